@@ -0,0 +1,573 @@
+/**
+ * Offline evaluation of the triage pipeline against a labeled corpus.
+ *
+ * Every case goes through the same steps as a live SOS: language detection
+ * and translation, AI analysis (any configured provider), then validation
+ * with the triage rules. The report shows how the final urgency compares to
+ * the expected one, with the under-triage rate (cases rated less urgent
+ * than they are) per level - CRITICAL first.
+ *
+ * Corpus: JSONL, one case per line:
+ *   {"id":"c1","text":"...","language":"es"?,
+ *    "expected":{"urgency":"CRITICAL","eventType":"trapped","needs":["rescue"]}}
+ * A sample lives in scripts/fixtures/triage-corpus.jsonl.
+ *
+ * Usage: npm run evaluate:triage -- [corpus.jsonl] [options]
+ *   --providers openai,heuristic  Analysis providers (default:
+ *                                 ANALYSIS_PROVIDERS)
+ *   --record <file>               Save model responses for later replay
+ *   --replay <file>               Use saved responses (no network)
+ *   --baseline <file>             Compare with a saved run
+ *   --save-baseline <file>        Save this run as a baseline
+ *   --fail-on-regression          Exit 1 if CRITICAL under-triage got worse
+ *                                 than the baseline
+ *   --db                          Use the triage rules stored in MongoDB
+ *                                 (default: built-in rules)
+ *   --report <file>               Write the full report as JSON
+ *   --verbose                     Show pipeline logs
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const { localizeText } = require("../src/services/translationService");
+const { analyzeSOSContentWithTrace } = require("../src/services/gptService");
+const {
+  validateAIAnalysis,
+  compareUrgency,
+  URGENCY_LEVELS,
+} = require("../src/services/validationService");
+const {
+  refreshRules,
+  getRuleset,
+} = require("../src/services/triageRuleService");
+
+const DEFAULT_CORPUS = path.join(__dirname, "fixtures/triage-corpus.jsonl");
+
+// Most urgent first, for reading the matrix top-down
+const LEVELS = [...URGENCY_LEVELS].reverse();
+
+/**
+ * Reads a JSONL file
+ * @param {string} file - Path
+ * @returns {object[]}
+ */
+const readJSONL = (file) =>
+  fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith("//"))
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number}: ${error.message}`);
+      }
+    });
+
+/**
+ * Checks a corpus case
+ * @param {object} item - Corpus case
+ * @param {number} index - Position in the corpus
+ * @returns {string[]} - Errors
+ */
+const validateCase = (item, index) => {
+  const errors = [];
+  const label = item.id || `#${index + 1}`;
+  if (!item.id) errors.push(`${label}: id is required`);
+  if (!item.text) errors.push(`${label}: text is required`);
+  if (!item.expected || !URGENCY_LEVELS.includes(item.expected.urgency)) {
+    errors.push(
+      `${label}: expected.urgency must be one of ${URGENCY_LEVELS.join(", ")}`
+    );
+  }
+  return errors;
+};
+
+/**
+ * Runs fn with pipeline logging silenced (errors still show)
+ * @param {boolean} verbose - Keep logs
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>}
+ */
+const quietly = async (verbose, fn) => {
+  if (verbose) return fn();
+
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+};
+
+/**
+ * Lower-cased, trimmed text for loose label comparison
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeLabel = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Whether two free-text labels name the same thing ("trapped" matches
+ * "Trapped under rubble")
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {boolean}
+ */
+const labelsMatch = (expected, actual) => {
+  const a = normalizeLabel(expected);
+  const b = normalizeLabel(actual);
+  return Boolean(a && b && (a.includes(b) || b.includes(a)));
+};
+
+/**
+ * Analyzes one corpus case, live or from a recording
+ * @param {object} item - Corpus case
+ * @param {object} options - { providers, recorded }
+ * @returns {Promise<object>} - { localized, analysis, trace }
+ */
+const analyzeCase = async (item, { providers, recorded }) => {
+  if (recorded) {
+    if (recorded.text !== item.text) {
+      throw new Error("recorded response is for a different text");
+    }
+    return recorded;
+  }
+
+  const localized = await localizeText(item.text, {
+    language: item.language,
+  });
+  const translated = Boolean(localized.translation);
+  const { analysis, trace } = await analyzeSOSContentWithTrace(
+    localized.analysisText,
+    { language: localized.language, translated },
+    providers ? { providers } : {}
+  );
+
+  if (trace.error) {
+    throw new Error(`analysis failed: ${trace.error}`);
+  }
+
+  return {
+    id: item.id,
+    text: item.text,
+    localized: {
+      language: localized.language,
+      analysisText: localized.analysisText,
+      translated,
+    },
+    analysis,
+    trace: {
+      provider: trace.provider,
+      model: trace.model,
+      modelVersion: trace.modelVersion,
+      promptVersion: trace.promptVersion,
+      promptHash: trace.promptHash,
+    },
+  };
+};
+
+/**
+ * Scores one case
+ * @param {object} item - Corpus case
+ * @param {object} result - From analyzeCase
+ * @returns {object}
+ */
+const scoreCase = (item, { localized, analysis, trace }) => {
+  const validation = validateAIAnalysis(analysis, localized.analysisText, {
+    language: localized.language,
+    originalText: item.text,
+  });
+  const expected = item.expected;
+  const urgency = validation.adjustedUrgency;
+  const expectedNeeds = expected.needs || [];
+  const needsFound = expectedNeeds.filter((need) =>
+    (analysis.needs || []).some((actual) => labelsMatch(need, actual))
+  );
+
+  return {
+    id: item.id,
+    language: localized.language,
+    provider: trace.provider,
+    expected: expected.urgency,
+    aiUrgency: analysis.urgency,
+    urgency,
+    delta: compareUrgency(urgency, expected.urgency),
+    aiDelta: compareUrgency(analysis.urgency, expected.urgency),
+    eventType: analysis.eventType,
+    eventTypeMatch: expected.eventType
+      ? labelsMatch(expected.eventType, analysis.eventType)
+      : null,
+    needs: analysis.needs || [],
+    needsRecall:
+      expectedNeeds.length > 0
+        ? needsFound.length / expectedNeeds.length
+        : null,
+    rules: validation.matchedRules.map((match) => match.name),
+    manualReview: validation.manualReview,
+  };
+};
+
+/**
+ * Share of a list matching a predicate (null when empty)
+ * @param {object[]} list
+ * @param {Function} predicate
+ * @returns {number|null}
+ */
+const rate = (list, predicate) =>
+  list.length > 0 ? list.filter(predicate).length / list.length : null;
+
+/**
+ * Aggregate metrics over scored cases
+ * @param {object[]} scored - From scoreCase
+ * @returns {object}
+ */
+const computeMetrics = (scored) => {
+  const matrix = {};
+  LEVELS.forEach((expected) => {
+    matrix[expected] = {};
+    LEVELS.forEach((actual) => {
+      matrix[expected][actual] = 0;
+    });
+  });
+  scored.forEach((result) => {
+    matrix[result.expected][result.urgency]++;
+  });
+
+  const underTriage = {};
+  const aiUnderTriage = {};
+  LEVELS.forEach((level) => {
+    const cases = scored.filter((result) => result.expected === level);
+    underTriage[level] = rate(cases, (result) => result.delta < 0);
+    aiUnderTriage[level] = rate(cases, (result) => result.aiDelta < 0);
+  });
+
+  const withEventType = scored.filter(
+    (result) => result.eventTypeMatch !== null
+  );
+  const withNeeds = scored.filter((result) => result.needsRecall !== null);
+
+  return {
+    cases: scored.length,
+    urgencyAccuracy: rate(scored, (result) => result.delta === 0),
+    underTriage,
+    overTriage: rate(scored, (result) => result.delta > 0),
+    // Before the triage rules: what the rules add on top of the model
+    aiUnderTriage,
+    eventTypeAccuracy: rate(withEventType, (result) => result.eventTypeMatch),
+    needsRecall:
+      withNeeds.length > 0
+        ? withNeeds.reduce((sum, result) => sum + result.needsRecall, 0) /
+          withNeeds.length
+        : null,
+    manualReviewRate: rate(scored, (result) => result.manualReview),
+    confusionMatrix: matrix,
+  };
+};
+
+/**
+ * Compares this run with a baseline
+ * @param {object} report - This run
+ * @param {object} baseline - Saved run
+ * @returns {object} - { metrics: { name: { baseline, current, change } },
+ *   cases: [{ id, baseline, current, change }] }
+ */
+const diffBaseline = (report, baseline) => {
+  const metric = (current, previous) => ({
+    baseline: previous,
+    current,
+    change:
+      typeof current === "number" && typeof previous === "number"
+        ? current - previous
+        : null,
+  });
+
+  const metrics = {
+    criticalUnderTriage: metric(
+      report.metrics.underTriage.CRITICAL,
+      baseline.metrics.underTriage.CRITICAL
+    ),
+    highUnderTriage: metric(
+      report.metrics.underTriage.HIGH,
+      baseline.metrics.underTriage.HIGH
+    ),
+    overTriage: metric(report.metrics.overTriage, baseline.metrics.overTriage),
+    urgencyAccuracy: metric(
+      report.metrics.urgencyAccuracy,
+      baseline.metrics.urgencyAccuracy
+    ),
+    eventTypeAccuracy: metric(
+      report.metrics.eventTypeAccuracy,
+      baseline.metrics.eventTypeAccuracy
+    ),
+    needsRecall: metric(
+      report.metrics.needsRecall,
+      baseline.metrics.needsRecall
+    ),
+  };
+
+  const previous = new Map(
+    baseline.results.map((result) => [result.id, result])
+  );
+  const cases = report.results
+    .filter(
+      (result) =>
+        previous.has(result.id) &&
+        previous.get(result.id).urgency !== result.urgency
+    )
+    .map((result) => {
+      const before = previous.get(result.id);
+      const wasRight = before.urgency === result.expected;
+      const isRight = result.urgency === result.expected;
+      return {
+        id: result.id,
+        expected: result.expected,
+        baseline: before.urgency,
+        current: result.urgency,
+        change: isRight ? "fixed" : wasRight ? "regressed" : "changed",
+      };
+    });
+
+  return { metrics, cases };
+};
+
+/**
+ * Formats a rate as a percentage
+ * @param {number|null} value
+ * @returns {string}
+ */
+const percent = (value) =>
+  value === null || value === undefined
+    ? "n/a"
+    : `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Prints the report
+ * @param {object} report - This run
+ * @param {object|null} diff - From diffBaseline
+ */
+const printReport = (report, diff) => {
+  const { metrics } = report;
+  const pad = (value, width = 10) => String(value).padStart(width);
+
+  console.log(
+    `\n📊 Triage evaluation: ${metrics.cases} cases (${report.corpus})`
+  );
+  console.log(
+    `   Providers: ${report.providers.join(", ")} | prompt ${
+      report.promptVersions.join(", ") || "n/a"
+    } | rules ${report.rulesetVersion}`
+  );
+  if (report.failures.length > 0) {
+    console.log(`   ⚠️  ${report.failures.length} cases failed (not scored)`);
+  }
+
+  console.log("\nConfusion matrix (rows: expected, columns: final urgency)");
+  console.log(`${pad("", 10)}${LEVELS.map((level) => pad(level)).join("")}`);
+  LEVELS.forEach((expected) => {
+    console.log(
+      `${pad(expected)}${LEVELS.map((actual) =>
+        pad(metrics.confusionMatrix[expected][actual])
+      ).join("")}`
+    );
+  });
+
+  console.log("\nUnder-triage (final / AI before rules)");
+  LEVELS.forEach((level) => {
+    const marker = level === "CRITICAL" ? " 🚨" : "";
+    console.log(
+      `${pad(level)}${pad(percent(metrics.underTriage[level]))}${pad(
+        percent(metrics.aiUnderTriage[level])
+      )}${marker}`
+    );
+  });
+
+  console.log("");
+  console.log(`Urgency accuracy:     ${percent(metrics.urgencyAccuracy)}`);
+  console.log(`Over-triage:          ${percent(metrics.overTriage)}`);
+  console.log(`Event type accuracy:  ${percent(metrics.eventTypeAccuracy)}`);
+  console.log(`Needs recall:         ${percent(metrics.needsRecall)}`);
+  console.log(`Manual review rate:   ${percent(metrics.manualReviewRate)}`);
+
+  const missedCritical = report.results.filter(
+    (result) => result.expected === "CRITICAL" && result.delta < 0
+  );
+  if (missedCritical.length > 0) {
+    console.log("\n🚨 Under-triaged CRITICAL cases:");
+    missedCritical.forEach((result) => {
+      console.log(
+        `   ${result.id}: ${result.urgency} (AI ${result.aiUrgency}${
+          result.rules.length ? `, rules: ${result.rules.join(", ")}` : ""
+        })`
+      );
+    });
+  }
+
+  if (!diff) return;
+
+  console.log(`\nCompared with baseline (${report.baseline}):`);
+  Object.entries(diff.metrics).forEach(([name, value]) => {
+    const change =
+      value.change === null
+        ? ""
+        : ` (${value.change > 0 ? "+" : ""}${(value.change * 100).toFixed(
+            1
+          )} pts)`;
+    console.log(
+      `   ${name.padEnd(20)} ${percent(value.baseline)} → ${percent(
+        value.current
+      )}${change}`
+    );
+  });
+  if (diff.cases.length === 0) {
+    console.log("   No case changed urgency");
+  }
+  diff.cases.forEach((result) => {
+    const icon = { fixed: "✅", regressed: "❌", changed: "↔️ " }[
+      result.change
+    ];
+    console.log(
+      `   ${icon} ${result.id}: ${result.baseline} → ${result.current} (expected ${result.expected})`
+    );
+  });
+};
+
+const evaluate = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      providers: { type: "string" },
+      record: { type: "string" },
+      replay: { type: "string" },
+      baseline: { type: "string" },
+      "save-baseline": { type: "string" },
+      "fail-on-regression": { type: "boolean" },
+      db: { type: "boolean" },
+      report: { type: "string" },
+      verbose: { type: "boolean" },
+    },
+  });
+
+  if (values.record && values.replay) {
+    throw new Error("--record and --replay cannot be combined");
+  }
+
+  const corpusFile = positionals[0] || DEFAULT_CORPUS;
+  const corpus = readJSONL(corpusFile);
+  const errors = corpus.flatMap(validateCase);
+  if (errors.length > 0) {
+    throw new Error(`Invalid corpus:\n  ${errors.join("\n  ")}`);
+  }
+
+  const providers = values.providers
+    ? values.providers.split(",").map((name) => name.trim())
+    : null;
+  const recordings = values.replay
+    ? new Map(readJSONL(values.replay).map((entry) => [entry.id, entry]))
+    : null;
+
+  if (values.db) {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await refreshRules();
+    console.log("✅ Loaded triage rules from MongoDB");
+  }
+
+  const recorded = [];
+  const results = [];
+  const failures = [];
+
+  for (const item of corpus) {
+    try {
+      if (recordings && !recordings.has(item.id)) {
+        throw new Error("no recorded response");
+      }
+      const analyzed = await quietly(values.verbose, () =>
+        analyzeCase(item, {
+          providers,
+          recorded: recordings && recordings.get(item.id),
+        })
+      );
+
+      recorded.push(analyzed);
+      results.push(
+        await quietly(values.verbose, async () => ({
+          ...scoreCase(item, analyzed),
+          promptVersion: analyzed.trace.promptVersion,
+        }))
+      );
+    } catch (error) {
+      failures.push({ id: item.id, error: error.message });
+      console.error(`❌ ${item.id}: ${error.message}`);
+    }
+  }
+
+  if (values.record) {
+    fs.writeFileSync(
+      values.record,
+      recorded.map((entry) => JSON.stringify(entry)).join("\n") + "\n"
+    );
+    console.log(`💾 Recorded ${recorded.length} responses to ${values.record}`);
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    corpus: path.relative(process.cwd(), corpusFile),
+    mode: values.replay ? "replay" : "live",
+    providers: [...new Set(results.map((result) => result.provider))],
+    promptVersions: [
+      ...new Set(results.map((result) => result.promptVersion).filter(Boolean)),
+    ],
+    rulesetVersion: getRuleset().version,
+    metrics: computeMetrics(results),
+    results,
+    failures,
+  };
+
+  let diff = null;
+  if (values.baseline) {
+    report.baseline = values.baseline;
+    diff = diffBaseline(
+      report,
+      JSON.parse(fs.readFileSync(values.baseline, "utf8"))
+    );
+    report.diff = diff;
+  }
+
+  printReport(report, diff);
+
+  if (values["save-baseline"]) {
+    const saved = { ...report };
+    delete saved.baseline;
+    delete saved.diff;
+    fs.writeFileSync(values["save-baseline"], JSON.stringify(saved, null, 2));
+    console.log(`\n💾 Baseline saved to ${values["save-baseline"]}`);
+  }
+  if (values.report) {
+    fs.writeFileSync(values.report, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${values.report}`);
+  }
+
+  if (values.db) await mongoose.connection.close();
+
+  const criticalChange = diff && diff.metrics.criticalUnderTriage.change;
+  if (values["fail-on-regression"] && criticalChange > 0) {
+    console.error("\n❌ CRITICAL under-triage is worse than the baseline");
+    process.exitCode = 1;
+  }
+  if (failures.length > 0) process.exitCode = 1;
+};
+
+evaluate().catch(async (error) => {
+  console.error("❌ Evaluation failed:", error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * Converts free-text SOS.assignedTo and Incident.commander values into User
+ * references.
+ *
+ * A value is matched against user ids, emails and names (case-insensitive).
+ * Unmatched values are kept in legacyAssignee / legacyCommander and the
+ * reference is cleared.
+ *
+ * Usage: npm run migrate:assignees
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const SOS = require("../src/models/SOS");
+const Incident = require("../src/models/Incident");
+const User = require("../src/models/User");
+
+/**
+ * Finds the user a legacy assignee string refers to
+ * @param {string} value - Old assignedTo value
+ * @returns {Promise<object|null>}
+ */
+const findAssignee = async (value) => {
+  if (mongoose.isValidObjectId(value)) {
+    const user = await User.findById(value);
+    if (user) return user;
+  }
+
+  const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const exact = new RegExp(`^${escaped}$`, "i");
+  return User.findOne({ $or: [{ email: exact }, { name: exact }] });
+};
+
+/**
+ * Converts the string values of one field into User references
+ * @param {object} Model - Mongoose model
+ * @param {string} field - Field holding a user reference
+ * @param {string} legacyField - Where unmatched values are kept
+ */
+const migrateField = async (Model, field, legacyField) => {
+  // Read raw documents: the schema would try to cast strings to ObjectId
+  const cursor = Model.collection.find(
+    { [field]: { $type: "string" } },
+    { projection: { [field]: 1 } }
+  );
+
+  let linked = 0;
+  let unmatched = 0;
+
+  for await (const doc of cursor) {
+    const user = await findAssignee(doc[field]);
+
+    if (user) {
+      await Model.collection.updateOne(
+        { _id: doc._id },
+        { $set: { [field]: user._id } }
+      );
+      linked++;
+    } else {
+      await Model.collection.updateOne(
+        { _id: doc._id },
+        { $set: { [field]: null, [legacyField]: doc[field] } }
+      );
+      unmatched++;
+      console.log(
+        `⚠️  No account for "${doc[field]}" (${Model.modelName} ${doc._id})`
+      );
+    }
+  }
+
+  console.log(`👤 Linked ${linked} ${Model.modelName} ${field} values`);
+  console.log(`📝 Kept ${unmatched} unmatched values in ${legacyField}`);
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("✅ MongoDB Connected");
+
+  await migrateField(SOS, "assignedTo", "legacyAssignee");
+  await migrateField(Incident, "commander", "legacyCommander");
+
+  // createIndexes only adds missing indexes; syncIndexes would also drop
+  // indexes created outside the schema
+  await SOS.createIndexes();
+  console.log("✅ Indexes created");
+
+  await mongoose.connection.close();
+};
+
+migrate().catch(async (error) => {
+  console.error("❌ Migration failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+/**
+ * Backfills location.point (GeoJSON) from location.latitude/longitude on
+ * existing SOS documents and builds the 2dsphere index.
+ *
+ * Usage: npm run migrate:geo
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const SOS = require("../src/models/SOS");
+
+// Compound index on the old latitude/longitude fields
+const OLD_LOCATION_INDEX = "location.latitude_1_location.longitude_1";
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("✅ MongoDB Connected");
+
+  const result = await SOS.updateMany(
+    {
+      "location.latitude": { $type: "number" },
+      "location.longitude": { $type: "number" },
+      "location.point.coordinates": { $exists: false },
+    },
+    [
+      {
+        $set: {
+          "location.point": {
+            type: "Point",
+            coordinates: ["$location.longitude", "$location.latitude"],
+          },
+        },
+      },
+    ]
+  );
+  console.log(`📍 Backfilled GeoJSON point on ${result.modifiedCount} SOS`);
+
+  // Drop only the old lat/lng index by name and create the 2dsphere index;
+  // syncIndexes would also drop indexes created outside the schema
+  if (await SOS.collection.indexExists(OLD_LOCATION_INDEX)) {
+    await SOS.collection.dropIndex(OLD_LOCATION_INDEX);
+    console.log(`🗑️  Dropped obsolete index ${OLD_LOCATION_INDEX}`);
+  }
+  await SOS.createIndexes();
+  console.log("✅ Indexes created");
+
+  await mongoose.connection.close();
+};
+
+migrate().catch(async (error) => {
+  console.error("❌ Migration failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
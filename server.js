@@ -2,14 +2,58 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const connectDB = require("./src/config/database");
+const { startSOSWorker } = require("./src/workers/sosWorker");
+const { startTriageRefresh } = require("./src/workers/triageWorker");
+const { startEscalationScheduler } = require("./src/workers/escalationWorker");
+const { startWebhookDispatcher } = require("./src/workers/webhookWorker");
+const { startTriageRuleRefresh } = require("./src/services/triageRuleService");
+const authRoutes = require("./src/routes/auth");
 const sosRoutes = require("./src/routes/sos");
+const incidentRoutes = require("./src/routes/incidents");
+const webhookRoutes = require("./src/routes/webhooks");
+const smsRoutes = require("./src/routes/sms");
+const { checkSMSConfig } = require("./src/services/smsService");
+const { getRateLimits } = require("./src/config/rateLimits");
+const { getEscalationPolicies } = require("./src/config/escalationPolicies");
+const triageRuleRoutes = require("./src/routes/triageRules");
+const reviewRoutes = require("./src/routes/review");
 const { errorHandler, notFound } = require("./src/middleware/errorHandler");
 
 // Initialize express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Behind a load balancer, use the client IP it forwards (rate limits are
+// per IP). TRUST_PROXY: number of proxy hops, "true", or a subnet list.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    isNaN(hops)
+      ? process.env.TRUST_PROXY === "true" || process.env.TRUST_PROXY
+      : hops
+  );
+}
+
+// Connect to MongoDB, then resume background processing
+connectDB().then(() => {
+  startSOSWorker().catch((err) => {
+    console.error("❌ Failed to start SOS worker:", err);
+  });
+  startTriageRefresh();
+  startEscalationScheduler();
+  startWebhookDispatcher();
+  startTriageRuleRefresh();
+});
+
+// Parse RATE_LIMITS and ESCALATION_POLICIES now so a bad value is reported
+// at boot
+getRateLimits();
+getEscalationPolicies();
+
+// SMS webhooks answer 503 until the channel is configured
+checkSMSConfig().forEach((problem) => {
+  console.warn(`⚠️ SMS inbound disabled: ${problem}`);
+});
 
 // Middleware
 app.use(
@@ -19,6 +63,10 @@ app.use(
   })
 );
 
+// SMS gateway webhooks parse their own bodies: Twilio signs the raw
+// form fields, which the extended parser would nest
+app.use("/api/sms", smsRoutes);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -40,7 +88,12 @@ app.get("/health", (req, res) => {
 });
 
 // API Routes
+app.use("/api/auth", authRoutes);
 app.use("/api/sos", sosRoutes);
+app.use("/api/incidents", incidentRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/triage-rules", triageRuleRoutes);
+app.use("/api/review", reviewRoutes);
 
 // Error handling
 app.use(notFound);
@@ -0,0 +1,166 @@
+const { ROLES } = require("./roles");
+
+/**
+ * Escalation policies, by urgency.
+ *
+ * Each step fires once per case when its condition has held for
+ * `afterMinutes` since the SOS was received (or since the last reset):
+ *  - condition: "unassigned" (no rescuer yet) | "unresolved" (not resolved)
+ *  - level: escalation level the case reaches
+ *  - overdue: mark the case overdue
+ *  - notify: roles to notify
+ *
+ * Steps under ALL apply to every urgency. Assigning or resolving a case
+ * resets its escalation and restarts the clock.
+ *
+ * Override per urgency with ESCALATION_POLICIES, e.g.
+ *   {"CRITICAL":[{"id":"critical-2m","condition":"unassigned","afterMinutes":2,"level":1,"notify":["coordinator"]}]}
+ */
+const DEFAULT_POLICIES = {
+  CRITICAL: [
+    {
+      id: "critical-unassigned-5m",
+      condition: "unassigned",
+      afterMinutes: 5,
+      level: 1,
+      notify: [ROLES.COORDINATOR],
+    },
+    {
+      id: "critical-unassigned-15m",
+      condition: "unassigned",
+      afterMinutes: 15,
+      level: 2,
+      overdue: true,
+      notify: [ROLES.COORDINATOR, ROLES.ADMIN],
+    },
+  ],
+  HIGH: [
+    {
+      id: "high-unassigned-15m",
+      condition: "unassigned",
+      afterMinutes: 15,
+      level: 1,
+      notify: [ROLES.COORDINATOR],
+    },
+    {
+      id: "high-unassigned-45m",
+      condition: "unassigned",
+      afterMinutes: 45,
+      level: 2,
+      overdue: true,
+      notify: [ROLES.COORDINATOR],
+    },
+  ],
+  MEDIUM: [
+    {
+      id: "medium-unassigned-60m",
+      condition: "unassigned",
+      afterMinutes: 60,
+      level: 1,
+      notify: [ROLES.COORDINATOR],
+    },
+    {
+      id: "medium-unassigned-3h",
+      condition: "unassigned",
+      afterMinutes: 180,
+      level: 2,
+      overdue: true,
+      notify: [ROLES.COORDINATOR],
+    },
+  ],
+  LOW: [
+    {
+      id: "low-unassigned-12h",
+      condition: "unassigned",
+      afterMinutes: 720,
+      level: 2,
+      overdue: true,
+      notify: [ROLES.COORDINATOR],
+    },
+  ],
+  ALL: [
+    {
+      id: "stale-24h", // Same threshold as SOS#isStale()
+      condition: "unresolved",
+      afterMinutes: 24 * 60,
+      level: 2,
+      overdue: true,
+      notify: [ROLES.COORDINATOR],
+    },
+  ],
+};
+
+const CONDITIONS = ["unassigned", "unresolved"];
+
+/**
+ * Checks a policy step
+ * @param {object} step - Policy step
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateStep = (step) => {
+  if (!step || !step.id) return "every step needs an id";
+  if (!CONDITIONS.includes(step.condition)) {
+    return `step ${step.id}: condition must be one of ${CONDITIONS.join(", ")}`;
+  }
+  if (!(step.afterMinutes >= 0)) {
+    return `step ${step.id}: afterMinutes must be a number >= 0`;
+  }
+  return null;
+};
+
+/**
+ * Loads the escalation policies (defaults merged with ESCALATION_POLICIES)
+ * @returns {object} - Map of urgency => steps
+ */
+const loadEscalationPolicies = () => {
+  if (!process.env.ESCALATION_POLICIES) return DEFAULT_POLICIES;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.ESCALATION_POLICIES);
+  } catch (error) {
+    throw new Error(`ESCALATION_POLICIES is not valid JSON: ${error.message}`);
+  }
+
+  Object.values(overrides).forEach((steps) => {
+    if (!Array.isArray(steps)) {
+      throw new Error("ESCALATION_POLICIES values must be arrays of steps");
+    }
+    steps.forEach((step) => {
+      const error = validateStep(step);
+      if (error) throw new Error(`ESCALATION_POLICIES: ${error}`);
+    });
+  });
+
+  return { ...DEFAULT_POLICIES, ...overrides };
+};
+
+let loaded = null; // { source: ESCALATION_POLICIES value, policies }
+
+/**
+ * Escalation policies in effect. ESCALATION_POLICIES is parsed once (again
+ * only if it changes). An invalid value is reported and the defaults apply
+ * instead, so a typo cannot switch escalation off.
+ * @returns {object} - Map of urgency => steps
+ */
+const getEscalationPolicies = () => {
+  const source = process.env.ESCALATION_POLICIES;
+  if (loaded && loaded.source === source) return loaded.policies;
+
+  let policies;
+  try {
+    policies = loadEscalationPolicies();
+  } catch (error) {
+    console.error(`❌ ${error.message}; using the default escalation policies`);
+    policies = DEFAULT_POLICIES;
+  }
+
+  loaded = { source, policies };
+  return policies;
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  loadEscalationPolicies,
+  getEscalationPolicies,
+};
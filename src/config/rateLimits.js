@@ -0,0 +1,118 @@
+/**
+ * Rate limit policies for SOS submission routes, by scope.
+ *
+ *  - session: per survivor session (or device account)
+ *  - ip: per client IP address
+ *  - area: per map cell of cellDegrees × cellDegrees around the reported
+ *    location
+ *
+ * Each policy allows `max` submissions per `windowMs`. Over the limit the
+ * action applies:
+ *  - reject: answer 429 with Retry-After
+ *  - flag: accept, but queue the analysis and send the SOS to manual review
+ *
+ * Every policy only flags by default: a real disaster produces bursts of
+ * genuine SOS from one area or one shared connection, and the session key is
+ * sent by the client. Rejecting is an explicit opt-in.
+ *
+ * Override per scope with RATE_LIMITS, e.g.
+ *   {"session":{"windowMs":600000,"max":5,"action":"reject"},"ip":{"enabled":false}}
+ */
+const DEFAULT_RATE_LIMITS = {
+  session: {
+    windowMs: 10 * 60 * 1000,
+    max: 10,
+    action: "flag",
+  },
+  ip: {
+    windowMs: 10 * 60 * 1000,
+    max: 60,
+    action: "flag",
+  },
+  area: {
+    windowMs: 10 * 60 * 1000,
+    max: 100,
+    action: "flag",
+    cellDegrees: 0.01, // ~1 km
+  },
+};
+
+const SCOPES = Object.keys(DEFAULT_RATE_LIMITS);
+const ACTIONS = ["reject", "flag"];
+
+/**
+ * Checks a policy
+ * @param {string} scope - Policy scope
+ * @param {object} policy - Policy
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validatePolicy = (scope, policy) => {
+  if (!SCOPES.includes(scope)) {
+    return `unknown scope ${scope} (expected ${SCOPES.join(", ")})`;
+  }
+  if (policy.enabled === false) return null;
+  if (!(policy.windowMs > 0)) return `${scope}: windowMs must be > 0`;
+  if (!(policy.max >= 1)) return `${scope}: max must be >= 1`;
+  if (!ACTIONS.includes(policy.action)) {
+    return `${scope}: action must be one of ${ACTIONS.join(", ")}`;
+  }
+  if (scope === "area" && !(policy.cellDegrees > 0)) {
+    return "area: cellDegrees must be > 0";
+  }
+  return null;
+};
+
+/**
+ * Loads the rate limit policies (defaults merged with RATE_LIMITS)
+ * @returns {object} - Map of scope => policy (disabled scopes omitted)
+ */
+const loadRateLimits = () => {
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS);
+    } catch (error) {
+      throw new Error(`RATE_LIMITS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const policies = {};
+  Object.keys({ ...DEFAULT_RATE_LIMITS, ...overrides }).forEach((scope) => {
+    const policy = { ...DEFAULT_RATE_LIMITS[scope], ...overrides[scope] };
+    const error = validatePolicy(scope, policy);
+    if (error) throw new Error(`RATE_LIMITS: ${error}`);
+    if (policy.enabled !== false) policies[scope] = policy;
+  });
+
+  return policies;
+};
+
+let loaded = null; // { source: RATE_LIMITS value, policies }
+
+/**
+ * Rate limit policies in effect. RATE_LIMITS is parsed once (again only if
+ * it changes). An invalid value is reported and the defaults apply instead:
+ * a limiter config mistake must never reject an SOS.
+ * @returns {object} - Map of scope => policy
+ */
+const getRateLimits = () => {
+  const source = process.env.RATE_LIMITS;
+  if (loaded && loaded.source === source) return loaded.policies;
+
+  let policies;
+  try {
+    policies = loadRateLimits();
+  } catch (error) {
+    console.error(`❌ ${error.message}; using the default rate limits`);
+    policies = DEFAULT_RATE_LIMITS;
+  }
+
+  loaded = { source, policies };
+  return policies;
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  loadRateLimits,
+  getRateLimits,
+};
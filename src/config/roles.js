@@ -0,0 +1,21 @@
+/**
+ * User roles and the groups used by route guards
+ */
+const ROLES = {
+  SURVIVOR_DEVICE: "survivor_device",
+  RESCUER: "rescuer",
+  COORDINATOR: "coordinator",
+  ADMIN: "admin",
+};
+
+// Everyone working a case: can read SOS data and take assignments
+const STAFF_ROLES = [ROLES.RESCUER, ROLES.COORDINATOR, ROLES.ADMIN];
+
+// Can assign cases to others, reopen cases and manage incidents
+const DISPATCH_ROLES = [ROLES.COORDINATOR, ROLES.ADMIN];
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  DISPATCH_ROLES,
+};
@@ -0,0 +1,559 @@
+/**
+ * Default triage rules and the matching vocabulary of the rule engine
+ * (see services/triageRuleService).
+ *
+ * A rule fires when one of its patterns occurs in the message and is not
+ * negated ("not trapped anymore"). Fired rules add their weight to their
+ * target urgency; the most urgent level whose rules (at that level or
+ * above) add up to 1 is the urgency the rules call for. Generic words such
+ * as "help" weigh less than 1, so on their own they never escalate.
+ *
+ * Pattern types:
+ *  - keyword: one word, matched as a whole word. A leading / trailing "*"
+ *    also matches longer words ("atrapad*" matches "atrapados").
+ *  - phrase: several words, matched as whole words with any spacing
+ *  - regex: a regular expression (case-insensitive)
+ *
+ * These defaults are stored in MongoDB the first time the server starts;
+ * coordinators edit them through /api/triage-rules from then on.
+ */
+
+const PATTERN_TYPES = ["keyword", "phrase", "regex"];
+
+// Urgency levels a rule can call for, most urgent first
+const RULE_URGENCIES = ["CRITICAL", "HIGH", "MEDIUM"];
+
+/**
+ * Negation cues by language: words shortly before (or after) a match that
+ * negate it, and words that start a new clause (a negation does not reach
+ * past them)
+ */
+const NEGATION_CUES = {
+  en: {
+    before: [
+      "not",
+      "no",
+      "never",
+      "without",
+      "isn't",
+      "aren't",
+      "wasn't",
+      "weren't",
+      "don't",
+      "doesn't",
+      "didn't",
+      "no longer",
+      "nobody",
+      "none",
+    ],
+    after: ["anymore", "any more", "no longer"],
+    breaks: ["but", "although", "though"],
+  },
+  es: {
+    before: ["no", "sin", "nunca", "ya no", "tampoco", "nadie"],
+    after: ["ya no"],
+    breaks: ["pero", "aunque"],
+  },
+  fr: {
+    before: ["pas", "plus", "sans", "jamais", "aucun", "personne"],
+    after: ["pas", "plus"],
+    breaks: ["mais"],
+  },
+  pt: {
+    before: ["não", "nao", "sem", "nunca", "ninguém"],
+    after: ["mais"],
+    breaks: ["mas", "porém"],
+  },
+  id: {
+    before: ["tidak", "bukan", "tanpa", "tak", "belum", "sudah tidak"],
+    after: ["lagi"],
+    breaks: ["tapi", "tetapi"],
+  },
+  tl: {
+    before: ["hindi", "wala", "walang", "di"],
+    after: ["na"],
+    breaks: ["pero", "ngunit"],
+  },
+  tr: {
+    before: [],
+    after: ["değil", "degil", "yok"],
+    breaks: ["ama", "fakat"],
+  },
+  ar: {
+    before: ["لا", "ليس", "لست", "غير", "لم"],
+    after: [],
+    breaks: ["لكن"],
+  },
+  hi: {
+    before: ["नहीं", "न", "बिना"],
+    after: ["नहीं"],
+    breaks: ["लेकिन", "पर"],
+  },
+};
+
+/**
+ * Default English rules (checked against the text that was analyzed)
+ */
+const DEFAULT_RULES = [
+  {
+    name: "Trapped",
+    patternType: "keyword",
+    patterns: ["trapped", "stuck", "pinned", "buried"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Cannot get out",
+    patternType: "phrase",
+    patterns: ["can't move", "cannot move", "can't get out", "cannot get out"],
+    urgency: "CRITICAL",
+    negatable: false,
+  },
+  {
+    name: "Bleeding",
+    patternType: "keyword",
+    patterns: ["bleeding", "hemorrhage"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Blood loss",
+    patternType: "phrase",
+    patterns: ["losing blood", "lot of blood", "covered in blood"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Serious injury",
+    patternType: "regex",
+    patterns: [
+      "\\b(?:injured|fractured?|dislocated)\\b",
+      "\\bbroken (?:arm|leg|bones?|back|neck|hip|ribs?|skull)\\b",
+    ],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Life-threatening medical condition",
+    patternType: "keyword",
+    patterns: ["unconscious", "unresponsive", "seizure", "dying", "overdose"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Breathing or heart problem",
+    patternType: "phrase",
+    patterns: [
+      "not breathing",
+      "can't breathe",
+      "cannot breathe",
+      "chest pain",
+      "heart attack",
+      "no pulse",
+    ],
+    urgency: "CRITICAL",
+    negatable: false,
+  },
+  {
+    name: "Fire",
+    patternType: "keyword",
+    patterns: ["fire", "smoke", "burning", "flames"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Rising water",
+    patternType: "keyword",
+    patterns: ["drowning", "flood", "flooding", "flooded"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Water rising",
+    patternType: "phrase",
+    patterns: ["water rising", "water is rising", "water up to"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Structural collapse",
+    patternType: "keyword",
+    patterns: ["collapsed", "collapsing", "rubble", "debris"],
+    urgency: "CRITICAL",
+  },
+  {
+    name: "Pain or injury",
+    patternType: "keyword",
+    patterns: ["hurt", "pain", "wounded", "burned", "burns"],
+    urgency: "HIGH",
+  },
+  {
+    name: "Lost or stranded",
+    patternType: "keyword",
+    patterns: ["lost", "stranded", "alone", "isolated"],
+    urgency: "HIGH",
+  },
+  {
+    name: "Nowhere to go",
+    patternType: "phrase",
+    patterns: ["nowhere to go", "cut off"],
+    urgency: "HIGH",
+  },
+  {
+    name: "Exposure",
+    patternType: "keyword",
+    patterns: ["cold", "freezing", "hypothermia"],
+    urgency: "HIGH",
+  },
+  {
+    name: "No water or food",
+    patternType: "keyword",
+    patterns: ["dehydrated", "thirsty", "hungry", "starving"],
+    urgency: "HIGH",
+  },
+  {
+    name: "Out of water or food",
+    patternType: "phrase",
+    patterns: ["no water", "no food", "out of water", "out of food"],
+    urgency: "HIGH",
+    negatable: false,
+  },
+  {
+    name: "Medication and shelter",
+    patternType: "keyword",
+    patterns: ["medication", "medicine", "insulin", "shelter", "supplies"],
+    urgency: "HIGH",
+  },
+  {
+    name: "Fear",
+    patternType: "keyword",
+    patterns: ["scared", "afraid", "panic", "terrified"],
+    urgency: "HIGH",
+    weight: 0.5,
+  },
+  {
+    name: "Disaster mentioned",
+    patternType: "keyword",
+    patterns: ["earthquake", "aftershock", "tsunami", "landslide", "severe"],
+    urgency: "HIGH",
+    weight: 0.5,
+  },
+  {
+    name: "Call for help",
+    patternType: "keyword",
+    patterns: ["help", "emergency", "urgent", "sos", "hurry"],
+    urgency: "HIGH",
+    weight: 0.5,
+  },
+];
+
+/**
+ * Critical / high keywords in other languages, checked against the
+ * survivor's original words so escalation does not depend on translation.
+ * Generic calls for help weigh half, like "help" in English.
+ */
+const KEYWORDS_BY_LANGUAGE = {
+  es: {
+    critical: [
+      "atrapado",
+      "atrapada",
+      "atrapados",
+      "sangrando",
+      "sangre",
+      "herido",
+      "herida",
+      "fuego",
+      "incendio",
+      "humo",
+      "ahogando",
+      "inundación",
+      "derrumbe",
+      "escombros",
+      "inconsciente",
+      "no respira",
+      "muriendo",
+    ],
+    high: [
+      "perdido",
+      "varado",
+      "frío",
+      "sin agua",
+      "sin comida",
+      "hambre",
+      "miedo",
+      "refugio",
+      "medicina",
+      "medicamento",
+    ],
+    generic: ["ayuda", "socorro", "emergencia", "urgente", "terremoto"],
+  },
+  fr: {
+    critical: [
+      "coincé",
+      "coincée",
+      "bloqué",
+      "bloquée",
+      "saigne",
+      "sang",
+      "blessé",
+      "blessée",
+      "feu",
+      "incendie",
+      "fumée",
+      "noyade",
+      "inondation",
+      "effondré",
+      "décombres",
+      "inconscient",
+      "ne respire pas",
+      "mourir",
+    ],
+    high: [
+      "perdu",
+      "isolé",
+      "seul",
+      "froid",
+      "pas d'eau",
+      "pas de nourriture",
+      "faim",
+      "peur",
+      "abri",
+      "médicament",
+    ],
+    generic: [
+      "aidez",
+      "au secours",
+      "urgence",
+      "urgent",
+      "séisme",
+      "tremblement de terre",
+    ],
+  },
+  pt: {
+    critical: [
+      "preso",
+      "presa",
+      "presos",
+      "sangrando",
+      "sangue",
+      "ferido",
+      "ferida",
+      "fogo",
+      "incêndio",
+      "fumaça",
+      "afogando",
+      "enchente",
+      "inundação",
+      "desabou",
+      "escombros",
+      "inconsciente",
+      "não respira",
+      "morrendo",
+    ],
+    high: [
+      "perdido",
+      "ilhado",
+      "sozinho",
+      "frio",
+      "sem água",
+      "sem comida",
+      "fome",
+      "medo",
+      "abrigo",
+      "remédio",
+    ],
+    generic: ["ajuda", "socorro", "emergência", "urgente", "terremoto"],
+  },
+  id: {
+    critical: [
+      "terjebak",
+      "tertimpa",
+      "berdarah",
+      "luka",
+      "terluka",
+      "kebakaran",
+      "asap",
+      "tenggelam",
+      "banjir",
+      "runtuh",
+      "reruntuhan",
+      "pingsan",
+      "tidak bernapas",
+      "sekarat",
+    ],
+    high: [
+      "tersesat",
+      "terdampar",
+      "sendirian",
+      "kedinginan",
+      "tidak ada air",
+      "kelaparan",
+      "takut",
+      "pengungsian",
+      "obat",
+    ],
+    generic: ["tolong", "darurat", "gempa"],
+  },
+  tl: {
+    critical: [
+      "naipit",
+      "nakulong",
+      "dumudugo",
+      "dugo",
+      "sugatan",
+      "sunog",
+      "usok",
+      "nalulunod",
+      "bumabaha",
+      "binaha",
+      "gumuho",
+      "walang malay",
+      "hindi humihinga",
+      "naghihingalo",
+    ],
+    high: [
+      "nawawala",
+      "stranded",
+      "mag-isa",
+      "nilalamig",
+      "walang tubig",
+      "walang pagkain",
+      "gutom",
+      "takot",
+      "gamot",
+    ],
+    generic: ["tulong", "saklolo", "emergency", "lindol"],
+  },
+  tr: {
+    critical: [
+      "mahsur",
+      "enkaz",
+      "kanıyor",
+      "yaralı",
+      "yangın",
+      "duman",
+      "boğuluyor",
+      "sel bast",
+      "çöktü",
+      "baygın",
+      "nefes almıyor",
+      "ölüyor",
+    ],
+    high: [
+      "kayıp",
+      "yalnız",
+      "soğuk",
+      "su yok",
+      "yiyecek yok",
+      "korku",
+      "barınak",
+      "ilaç",
+    ],
+    generic: ["yardım", "imdat", "acil", "deprem"],
+  },
+  ar: {
+    critical: [
+      "محاصر",
+      "عالق",
+      "تحت الأنقاض",
+      "نزيف",
+      "دم",
+      "مصاب",
+      "جريح",
+      "حريق",
+      "دخان",
+      "غرق",
+      "فيضان",
+      "انهيار",
+      "فاقد الوعي",
+      "لا يتنفس",
+    ],
+    high: [
+      "تائه",
+      "وحيد",
+      "برد",
+      "لا يوجد ماء",
+      "لا يوجد طعام",
+      "جوع",
+      "خائف",
+      "مأوى",
+      "دواء",
+    ],
+    generic: ["النجدة", "ساعدونا", "طوارئ", "زلزال"],
+  },
+  hi: {
+    critical: [
+      "फंसे",
+      "फंसा",
+      "फंसी",
+      "मलबे",
+      "खून",
+      "घायल",
+      "आग",
+      "धुआं",
+      "डूब",
+      "बाढ़",
+      "बेहोश",
+      "सांस नहीं",
+    ],
+    high: [
+      "खो गए",
+      "अकेले",
+      "ठंड",
+      "पानी नहीं",
+      "खाना नहीं",
+      "भूखे",
+      "डर",
+      "आश्रय",
+      "दवा",
+    ],
+    generic: ["मदद", "बचाओ", "आपातकाल", "भूकंप"],
+  },
+};
+
+/**
+ * Turns a keyword list into patterns: single words become keywords that
+ * also match inflected forms, multi-word entries become phrases. Arabic
+ * attaches prefixes (و, ال) to words, so its keywords match anywhere.
+ * @param {string} language - ISO 639-1 code
+ * @param {string[]} keywords - Keywords
+ * @returns {object[]} - { patternType, patterns } groups
+ */
+const keywordPatterns = (language, keywords) => {
+  const words = keywords.filter((keyword) => !keyword.includes(" "));
+  const phrases = keywords.filter((keyword) => keyword.includes(" "));
+  const wildcard = (keyword) =>
+    language === "ar" ? `*${keyword}*` : `${keyword}*`;
+
+  return [
+    { patternType: "keyword", patterns: words.map(wildcard) },
+    { patternType: "phrase", patterns: phrases.map(wildcard) },
+  ].filter((group) => group.patterns.length > 0);
+};
+
+const LANGUAGE_LEVELS = [
+  { list: "critical", label: "critical keywords", urgency: "CRITICAL" },
+  { list: "high", label: "high keywords", urgency: "HIGH" },
+  { list: "generic", label: "calls for help", urgency: "HIGH", weight: 0.5 },
+];
+
+/**
+ * The complete default ruleset
+ * @returns {object[]} - Rule definitions
+ */
+const defaultTriageRules = () => [
+  ...DEFAULT_RULES.map((rule) => ({ language: "en", ...rule })),
+  ...Object.entries(KEYWORDS_BY_LANGUAGE).flatMap(([language, lists]) =>
+    LANGUAGE_LEVELS.flatMap(({ list, label, urgency, weight }) =>
+      keywordPatterns(language, lists[list]).map((group) => ({
+        name: `${language.toUpperCase()} ${label}${
+          group.patternType === "phrase" ? " (phrases)" : ""
+        }`,
+        language,
+        urgency,
+        ...(weight && { weight }),
+        ...group,
+      }))
+    )
+  ),
+];
+
+module.exports = {
+  PATTERN_TYPES,
+  RULE_URGENCIES,
+  NEGATION_CUES,
+  KEYWORDS_BY_LANGUAGE,
+  defaultTriageRules,
+};
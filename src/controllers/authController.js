@@ -0,0 +1,421 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { ROLES, STAFF_ROLES } = require("../config/roles");
+const {
+  issueTokens,
+  issueStreamTicket,
+  refreshTokens,
+  revokeTokens,
+} = require("../services/authService");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Checks a new password
+ * @param {*} password - Password from the request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validatePassword = (password) =>
+  typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+
+/**
+ * Validates fields for a staff account
+ * @param {object} body - { name, email, password, role }
+ * @param {boolean} requirePassword - Whether the password is mandatory
+ * @returns {string[]} - Errors
+ */
+const validateAccount = (body, requirePassword = true) => {
+  const errors = [];
+  if (!body.name) errors.push("Name is required");
+  if (!body.email) errors.push("Email is required");
+  if (requirePassword || body.password !== undefined) {
+    const passwordError = validatePassword(body.password);
+    if (passwordError) errors.push(passwordError);
+  }
+  if (body.role && !Object.values(ROLES).includes(body.role)) {
+    errors.push(
+      `Invalid role. Must be one of: ${Object.values(ROLES).join(", ")}`
+    );
+  }
+  return errors;
+};
+
+const BOOTSTRAP_CLOSED =
+  "Bootstrap is only available before the first staff account exists";
+
+/**
+ * Create the first admin account (only while no staff account exists;
+ * survivor devices can register before setup and do not count)
+ * POST /api/auth/bootstrap
+ */
+const bootstrapAdmin = async (req, res) => {
+  try {
+    if (await User.exists({ role: { $in: STAFF_ROLES } })) {
+      return res.status(403).json({
+        success: false,
+        error: BOOTSTRAP_CLOSED,
+      });
+    }
+
+    const errors = validateAccount(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const user = new User({
+      name: req.body.name,
+      email: req.body.email,
+      role: ROLES.ADMIN,
+      bootstrap: true,
+    });
+    user.setPassword(req.body.password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Admin account created",
+      data: user,
+      tokens: issueTokens(user),
+    });
+  } catch (error) {
+    // Another bootstrap request created the admin first
+    if (error.code === 11000) {
+      return res.status(403).json({
+        success: false,
+        error: BOOTSTRAP_CLOSED,
+      });
+    }
+
+    console.error("Bootstrap admin error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create admin account",
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({
+      email: String(email || "").toLowerCase(),
+    }).select("+passwordHash");
+
+    if (!user || !user.active || !user.verifyPassword(password)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid email or password",
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user,
+      tokens: issueTokens(user),
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log in",
+    });
+  }
+};
+
+/**
+ * Register a survivor device and get tokens for it.
+ * Survivor devices need no password; the token only identifies the device.
+ * POST /api/auth/device
+ */
+const registerDevice = async (req, res) => {
+  try {
+    const { deviceId, name } = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: "deviceId is required",
+      });
+    }
+
+    let user = await User.findOne({ deviceId });
+
+    if (user && user.role !== ROLES.SURVIVOR_DEVICE) {
+      return res.status(409).json({
+        success: false,
+        error: "deviceId is already in use",
+      });
+    }
+
+    if (!user) {
+      user = await User.create({
+        name: name || `Device ${deviceId}`,
+        deviceId,
+        role: ROLES.SURVIVOR_DEVICE,
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        error: "Device has been disabled",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      tokens: issueTokens(user),
+    });
+  } catch (error) {
+    console.error("Register device error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register device",
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res, next) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "refreshToken is required",
+      });
+    }
+
+    const { user, tokens } = await refreshTokens(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: user,
+      tokens,
+    });
+  } catch (error) {
+    // JsonWebTokenError / TokenExpiredError are mapped by errorHandler
+    next(error);
+  }
+};
+
+/**
+ * Revoke all refresh tokens of the current user
+ * POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeTokens(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Logged out",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log out",
+    });
+  }
+};
+
+/**
+ * Current user
+ * GET /api/auth/me
+ */
+const getMe = (req, res) => {
+  res.json({
+    success: true,
+    data: req.user,
+  });
+};
+
+/**
+ * Short-lived ticket for opening an event stream
+ * POST /api/auth/stream-ticket
+ *
+ * EventSource cannot send an Authorization header; pass the ticket as
+ * ?ticket= instead. Fetch a new one for every (re)connect.
+ */
+const createStreamTicket = (req, res) => {
+  res.status(201).json({
+    success: true,
+    ...issueStreamTicket(req.user, req.authExpiresAt),
+  });
+};
+
+/**
+ * Create a staff account (admin only)
+ * POST /api/auth/users
+ */
+const createUser = async (req, res) => {
+  try {
+    const errors = validateAccount(req.body);
+    if (!req.body.role) errors.push("Role is required");
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const user = new User({
+      name: req.body.name,
+      email: req.body.email,
+      role: req.body.role,
+    });
+    user.setPassword(req.body.password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "User created",
+      data: user,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "Email is already registered",
+      });
+    }
+
+    console.error("Create user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create user",
+    });
+  }
+};
+
+/**
+ * List accounts (admin only)
+ * GET /api/auth/users?role=rescuer
+ */
+const getAllUsers = async (req, res) => {
+  try {
+    const { role, active } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (active !== undefined) filter.active = active === "true";
+
+    const users = await User.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch users",
+    });
+  }
+};
+
+/**
+ * Update role, status or password of an account (admin only).
+ * Role changes, deactivation and password resets revoke refresh tokens.
+ * PATCH /api/auth/users/:id
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { name, role, active, password } = req.body || {};
+
+    const errors = [];
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      errors.push("Invalid user id");
+    }
+    if (role && !Object.values(ROLES).includes(role)) {
+      errors.push(
+        `Invalid role. Must be one of: ${Object.values(ROLES).join(", ")}`
+      );
+    }
+    if (active !== undefined && typeof active !== "boolean") {
+      errors.push("active must be true or false");
+    }
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) errors.push(passwordError);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    let revoke = false;
+    if (name) user.name = name;
+    if (role && role !== user.role) {
+      user.role = role;
+      revoke = true;
+    }
+    if (active !== undefined && active !== user.active) {
+      user.active = active;
+      revoke = revoke || !user.active;
+    }
+    if (password) {
+      user.setPassword(password);
+      revoke = true;
+    }
+    if (revoke) user.tokenVersion += 1;
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      data: user,
+    });
+  } catch (error) {
+    console.error("Update user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update user",
+    });
+  }
+};
+
+module.exports = {
+  bootstrapAdmin,
+  login,
+  registerDevice,
+  refresh,
+  logout,
+  getMe,
+  createStreamTicket,
+  createUser,
+  getAllUsers,
+  updateUser,
+};
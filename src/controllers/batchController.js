@@ -0,0 +1,323 @@
+const fs = require("fs");
+const SOS = require("../models/SOS");
+const {
+  validateSOSData,
+  parseJSONField,
+} = require("../services/validationService");
+const { submitTextSOS, submitVoiceSOS } = require("../services/sosIntake");
+
+/**
+ * Offline batch sync. Survivor apps queue SOS while offline and upload them
+ * in one request once they reach a network. Every item carries an id the app
+ * generated (clientId) so a batch re-sent after a lost response does not
+ * create the SOS twice, and the time it was recorded (location.capturedAt)
+ * so triage counts the time the survivor has really been waiting.
+ *
+ * Capture times are clamped to the window a queued SOS can plausibly be
+ * from (not later than receipt, not older than SOS_BATCH_MAX_AGE_HOURS),
+ * and clamped items are flagged in validationFlags.captureTimeAdjusted:
+ * the capture time drives the triage waiting points and escalation.
+ *
+ * Env:
+ *  - SOS_BATCH_MAX_ITEMS (default: 50)
+ *  - SOS_BATCH_MAX_AGE_HOURS (default: 72)
+ */
+
+const MAX_BATCH_ITEMS = parseInt(process.env.SOS_BATCH_MAX_ITEMS) || 50;
+const MAX_CAPTURE_AGE_MS =
+  (parseInt(process.env.SOS_BATCH_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000;
+const MAX_CLIENT_ID_LENGTH = 100;
+const BATCH_TYPES = ["text", "voice"];
+
+/**
+ * Validates one batch item and builds the SOS data for it
+ * @param {object} item - Batch item
+ * @param {object} context - { sessionId, files (by field name), now }
+ * @returns {{data: object|null, errors: string[]}}
+ */
+const parseBatchItem = (item, { sessionId, files, now }) => {
+  if (!item || typeof item !== "object") {
+    return { data: null, errors: ["Item must be an object"] };
+  }
+
+  const errors = [];
+  const clientId = typeof item.clientId === "string" ? item.clientId : "";
+  if (!clientId || clientId.length > MAX_CLIENT_ID_LENGTH) {
+    errors.push(
+      `clientId is required (at most ${MAX_CLIENT_ID_LENGTH} characters)`
+    );
+  }
+
+  const sosType = item.sosType || "text";
+  if (!BATCH_TYPES.includes(sosType)) {
+    errors.push(`sosType must be one of: ${BATCH_TYPES.join(", ")}`);
+  }
+
+  const location = parseJSONField(item.location);
+  const validation = validateSOSData({
+    sessionId: item.sessionId || sessionId,
+    sosType,
+    location,
+  });
+  errors.push(...validation.errors);
+
+  let capturedAt;
+  let captureTimeAdjusted = false;
+  if (location && location.capturedAt !== undefined) {
+    capturedAt = new Date(location.capturedAt);
+    const earliest = new Date(now.getTime() - MAX_CAPTURE_AGE_MS);
+    if (isNaN(capturedAt.getTime())) {
+      errors.push("location.capturedAt must be an ISO 8601 date");
+    } else if (capturedAt > now) {
+      // Device clocks drift; a capture time can't be later than receipt
+      capturedAt = now;
+      captureTimeAdjusted = true;
+    } else if (capturedAt < earliest) {
+      // Nor older than an SOS can sit in an offline queue (a wrong or
+      // forged date would max out waiting time and fire every escalation)
+      capturedAt = earliest;
+      captureTimeAdjusted = true;
+    }
+  }
+
+  const message = typeof item.message === "string" ? item.message.trim() : "";
+  const audioFile = files[item.audioField || clientId];
+  if (sosType === "text" && !message) {
+    errors.push("Message text is required");
+  }
+  if (sosType === "voice" && !audioFile) {
+    errors.push(
+      "Audio file is required (multipart part named by audioField or clientId)"
+    );
+  }
+
+  if (errors.length > 0) {
+    return { data: null, errors };
+  }
+
+  return {
+    data: {
+      clientId,
+      sosType,
+      sessionId: item.sessionId || sessionId,
+      location: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        ...(location.accuracy !== undefined && {
+          accuracy: location.accuracy,
+        }),
+        ...(capturedAt && { capturedAt }),
+      },
+      message,
+      audioFile,
+      language: item.language,
+      captureTimeAdjusted,
+    },
+    errors,
+  };
+};
+
+/**
+ * Result for an item that was already synced
+ * @param {string} clientId - Client id
+ * @param {object} existing - Existing SOS
+ * @returns {object}
+ */
+const duplicateResult = (clientId, existing) => ({
+  clientId,
+  success: true,
+  duplicate: true,
+  sosId: existing._id,
+  status: existing.status,
+});
+
+/**
+ * Creates the SOS of one valid batch item (or finds it if already synced)
+ * @param {object} data - Parsed item
+ * @param {number} index - Position of the item in the batch
+ * @param {object} req - Express request (device user, rate limit flags)
+ * @returns {Promise<object>} - Item result
+ */
+const syncBatchItem = async (data, index, req) => {
+  const submittedBy = req.user ? req.user._id : null;
+  const rateLimited =
+    (req.itemRateLimitFlags && req.itemRateLimitFlags[index]) || [];
+  const { clientId, sessionId } = data;
+
+  const existing = await SOS.findOne({ sessionId, clientId }).select("status");
+  if (existing) return duplicateResult(clientId, existing);
+
+  try {
+    // Analysis runs on the job queue so a large batch answers quickly
+    const { sos, status } =
+      data.sosType === "voice"
+        ? await submitVoiceSOS({
+            sessionId,
+            clientId,
+            location: data.location,
+            voiceFileUrl: data.audioFile.path,
+            submittedBy,
+            rateLimited,
+            language: data.language,
+            captureTimeAdjusted: data.captureTimeAdjusted,
+          })
+        : await submitTextSOS(
+            {
+              sessionId,
+              clientId,
+              location: data.location,
+              message: data.message,
+              submittedBy,
+              rateLimited,
+              language: data.language,
+              captureTimeAdjusted: data.captureTimeAdjusted,
+            },
+            { analyzeNow: false }
+          );
+
+    return {
+      clientId,
+      success: true,
+      sosId: sos._id,
+      status,
+      ...(data.captureTimeAdjusted && { captureTimeAdjusted: true }),
+    };
+  } catch (error) {
+    // Same item uploaded concurrently (unique sessionId + clientId)
+    if (error.code === 11000) {
+      const synced = await SOS.findOne({ sessionId, clientId }).select(
+        "status"
+      );
+      if (synced) return duplicateResult(clientId, synced);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Upload SOS queued offline
+ * POST /api/sos/batch
+ * JSON { sessionId, items: [{ clientId, sosType, location: { latitude,
+ * longitude, accuracy, capturedAt }, message }] }, or multipart with the
+ * same fields ("items" as a JSON string) and one audio part per voice item
+ * named by its audioField (default: its clientId).
+ * Responds with one result per item, in request order.
+ */
+const createBatchSOS = async (req, res) => {
+  const uploadedFiles = req.files || [];
+  const usedFiles = new Set();
+
+  try {
+    const body = req.body || {};
+    const items = parseJSONField(body.items);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "items must be a non-empty array",
+      });
+    }
+
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch may contain at most ${MAX_BATCH_ITEMS} items`,
+      });
+    }
+
+    console.log(`📥 Received batch of ${items.length} SOS`);
+
+    const now = new Date();
+    const files = Object.fromEntries(
+      uploadedFiles.map((file) => [file.fieldname, file])
+    );
+    const seen = new Set();
+
+    const parsed = items.map((item, index) => {
+      const { data, errors } = parseBatchItem(item, {
+        sessionId: body.sessionId,
+        files,
+        now,
+      });
+      const key = data && `${data.sessionId}:${data.clientId}`;
+      if (data && seen.has(key)) {
+        return {
+          index,
+          data: null,
+          errors: ["clientId appears more than once in the batch"],
+        };
+      }
+      if (data) seen.add(key);
+      return { index, data, errors };
+    });
+
+    const results = new Array(items.length);
+
+    parsed
+      .filter(({ data }) => !data)
+      .forEach(({ index, errors }) => {
+        results[index] = {
+          clientId: items[index] && items[index].clientId,
+          success: false,
+          errors,
+        };
+      });
+
+    // Create in capture order so the earliest report of a group is created
+    // first and becomes the parent case when duplicates are linked
+    const valid = parsed
+      .filter(({ data }) => data)
+      .sort(
+        (a, b) =>
+          (a.data.location.capturedAt || now) -
+          (b.data.location.capturedAt || now)
+      );
+
+    for (const { index, data } of valid) {
+      try {
+        results[index] = await syncBatchItem(data, index, req);
+        if (data.audioFile && !results[index].duplicate) {
+          usedFiles.add(data.audioFile.path);
+        }
+      } catch (error) {
+        console.error(`Batch item ${data.clientId} failed:`, error.message);
+        results[index] = {
+          clientId: data.clientId,
+          success: false,
+          errors: ["Failed to save SOS"],
+        };
+      }
+    }
+
+    const count = (predicate) => results.filter(predicate).length;
+
+    res.json({
+      success: true,
+      received: items.length,
+      created: count((result) => result.success && !result.duplicate),
+      duplicates: count((result) => result.duplicate),
+      failed: count((result) => !result.success),
+      results,
+    });
+  } catch (error) {
+    console.error("Batch SOS error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process batch",
+    });
+  } finally {
+    // Audio of rejected or already synced items is not kept
+    uploadedFiles
+      .filter((file) => !usedFiles.has(file.path))
+      .forEach((file) =>
+        fs.promises.unlink(file.path).catch((error) => {
+          console.error("Failed to remove unused upload:", error.message);
+        })
+      );
+  }
+};
+
+module.exports = {
+  parseBatchItem,
+  createBatchSOS,
+};
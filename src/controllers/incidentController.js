@@ -0,0 +1,512 @@
+const mongoose = require("mongoose");
+const Incident = require("../models/Incident");
+const SOS = require("../models/SOS");
+const User = require("../models/User");
+const { STAFF_ROLES } = require("../config/roles");
+const { parsePolygon } = require("../services/geoService");
+
+// Fields shown for SOS linked to an incident
+const INCIDENT_SOS_FIELDS =
+  "sosType status aiAnalysis.urgency aiAnalysis.summary aiAnalysis.peopleCount location.latitude location.longitude duplicateOf assignedTo receivedAt";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "incidentType",
+  "status",
+  "location",
+  "radiusMeters",
+  "commander",
+  "notes",
+];
+
+// Fields shown for the incident commander
+const COMMANDER_FIELDS = "name email role";
+
+/**
+ * Creates a 400 error
+ * @param {string} message
+ * @returns {Error}
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * 404 for ids that cannot be an incident
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {boolean} - true if a response was sent
+ */
+const rejectInvalidId = (req, res) => {
+  if (mongoose.isValidObjectId(req.params.id)) return false;
+  res.status(404).json({
+    success: false,
+    error: "Incident not found",
+  });
+  return true;
+};
+
+/**
+ * Checks that a commander is an active staff account
+ * @param {*} commander - User id from the request body (null clears it)
+ * @throws {Error} - statusCode 400 otherwise
+ */
+const checkCommander = async (commander) => {
+  if (commander === undefined || commander === null) return;
+
+  const exists =
+    mongoose.isValidObjectId(commander) &&
+    (await User.exists({
+      _id: commander,
+      role: { $in: STAFF_ROLES },
+      active: true,
+    }));
+  if (!exists) {
+    throw badRequest("commander must be the id of an active staff account");
+  }
+};
+
+/**
+ * Copies editable fields from the request body onto an incident
+ * @param {object} incident - Incident document
+ * @param {object} body - Request body
+ */
+const applyIncidentFields = (incident, body) => {
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) incident[field] = body[field];
+  });
+
+  if (body.area !== undefined) {
+    try {
+      incident.area = body.area ? parsePolygon(body.area) : undefined;
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  if (body.status === "closed" && !incident.closedAt) {
+    incident.closedAt = new Date();
+  } else if (body.status && body.status !== "closed") {
+    incident.closedAt = undefined;
+  }
+};
+
+/**
+ * Sums a value over parent cases only
+ * @param {object} value - Aggregation expression
+ * @param {object} condition - Extra condition (optional)
+ * @returns {object} - $sum accumulator
+ */
+const sumParentCases = (value, condition) => ({
+  $sum: {
+    $cond: [
+      {
+        $and: [
+          { $eq: ["$duplicateOf", null] },
+          ...(condition ? [condition] : []),
+        ],
+      },
+      value,
+      0,
+    ],
+  },
+});
+
+/**
+ * Rollup statistics for the SOS linked to an incident.
+ * Everything but totalSOS counts parent cases only: duplicates are the same
+ * people and emergency as their parent. Cases without a head count count as
+ * one person.
+ * @param {string} incidentId - Incident id
+ * @returns {Promise<object>}
+ */
+const getIncidentRollup = async (incidentId) => {
+  const [rollup] = await SOS.aggregate([
+    { $match: { incident: new mongoose.Types.ObjectId(incidentId) } },
+    {
+      $group: {
+        _id: null,
+        totalSOS: { $sum: 1 },
+        cases: sumParentCases(1),
+        peopleAffected: sumParentCases({
+          $ifNull: ["$aiAnalysis.peopleCount", 1],
+        }),
+        critical: sumParentCases(1, {
+          $eq: ["$aiAnalysis.urgency", "CRITICAL"],
+        }),
+        high: sumParentCases(1, { $eq: ["$aiAnalysis.urgency", "HIGH"] }),
+        medium: sumParentCases(1, { $eq: ["$aiAnalysis.urgency", "MEDIUM"] }),
+        low: sumParentCases(1, { $eq: ["$aiAnalysis.urgency", "LOW"] }),
+        unassigned: sumParentCases(1, {
+          $in: ["$status", ["pending", "processing", "processed"]],
+        }),
+        assigned: sumParentCases(1, { $eq: ["$status", "assigned"] }),
+        resolved: sumParentCases(1, { $eq: ["$status", "resolved"] }),
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+
+  return (
+    rollup || {
+      totalSOS: 0,
+      cases: 0,
+      peopleAffected: 0,
+      critical: 0,
+      high: 0,
+      medium: 0,
+      low: 0,
+      unassigned: 0,
+      assigned: 0,
+      resolved: 0,
+    }
+  );
+};
+
+/**
+ * Create incident
+ * POST /api/incidents
+ */
+const createIncident = async (req, res) => {
+  try {
+    await checkCommander(req.body.commander);
+
+    const incident = new Incident();
+    applyIncidentFields(incident, req.body);
+    await incident.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Incident created",
+      data: incident,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Create incident error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create incident",
+    });
+  }
+};
+
+/**
+ * List incidents
+ * GET /api/incidents?status=active
+ */
+const getAllIncidents = async (req, res) => {
+  try {
+    const { status, limit = 100, skip = 0 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(filter)
+        .sort({ openedAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .select("-__v"),
+      Incident.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: incidents.length,
+      total,
+      data: incidents,
+    });
+  } catch (error) {
+    console.error("Get incidents error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch incidents",
+    });
+  }
+};
+
+/**
+ * Get incident with linked SOS and rollup stats
+ * GET /api/incidents/:id
+ */
+const getIncidentById = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const incident = await Incident.findById(req.params.id).populate(
+      "commander",
+      COMMANDER_FIELDS
+    );
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: "Incident not found",
+      });
+    }
+
+    const [sos, stats] = await Promise.all([
+      SOS.find({ incident: incident._id })
+        .sort({ receivedAt: -1 })
+        .select(INCIDENT_SOS_FIELDS),
+      getIncidentRollup(incident._id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...incident.toObject(),
+        sos,
+        stats,
+      },
+    });
+  } catch (error) {
+    console.error("Get incident error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch incident",
+    });
+  }
+};
+
+/**
+ * Update incident
+ * PATCH /api/incidents/:id
+ */
+const updateIncident = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: "Incident not found",
+      });
+    }
+
+    await checkCommander(req.body.commander);
+    applyIncidentFields(incident, req.body);
+    await incident.save();
+
+    res.json({
+      success: true,
+      message: "Incident updated successfully",
+      data: incident,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Update incident error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update incident",
+    });
+  }
+};
+
+/**
+ * Delete incident (linked SOS are kept and unlinked)
+ * DELETE /api/incidents/:id
+ */
+const deleteIncident = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const incident = await Incident.findByIdAndDelete(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: "Incident not found",
+      });
+    }
+
+    const result = await SOS.updateMany(
+      { incident: incident._id },
+      { incident: null }
+    );
+
+    res.json({
+      success: true,
+      message: "Incident deleted",
+      unlinkedSOS: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Delete incident error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete incident",
+    });
+  }
+};
+
+/**
+ * Link SOS records to an incident (duplicates follow their parent case).
+ * Ids that match no SOS are reported in notFound.
+ * POST /api/incidents/:id/sos  { sosIds: [...] }
+ */
+const linkSOSToIncident = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const { sosIds } = req.body || {};
+
+    if (!Array.isArray(sosIds) || sosIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "sosIds must be a non-empty array",
+      });
+    }
+
+    const invalid = sosIds.filter((id) => !mongoose.isValidObjectId(id));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "sosIds must be SOS ids",
+        invalid,
+      });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: "Incident not found",
+      });
+    }
+
+    const found = new Set(
+      (await SOS.find({ _id: { $in: sosIds } }).distinct("_id")).map(String)
+    );
+    const notFound = sosIds.filter((id) => !found.has(String(id)));
+
+    if (found.size === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "None of the SOS were found",
+        notFound,
+      });
+    }
+
+    const ids = [...found];
+    const result = await SOS.updateMany(
+      { $or: [{ _id: { $in: ids } }, { duplicateOf: { $in: ids } }] },
+      { incident: incident._id }
+    );
+
+    res.json({
+      success: true,
+      message: "SOS linked to incident",
+      linked: result.modifiedCount,
+      notFound,
+      stats: await getIncidentRollup(incident._id),
+    });
+  } catch (error) {
+    console.error("Link SOS to incident error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to link SOS",
+    });
+  }
+};
+
+/**
+ * Unlink an SOS from an incident
+ * DELETE /api/incidents/:id/sos/:sosId
+ */
+const unlinkSOSFromIncident = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    if (!mongoose.isValidObjectId(req.params.sosId)) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not linked to this incident",
+      });
+    }
+
+    const sos = await SOS.findOneAndUpdate(
+      { _id: req.params.sosId, incident: req.params.id },
+      { incident: null },
+      { new: true }
+    );
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not linked to this incident",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "SOS unlinked from incident",
+      stats: await getIncidentRollup(req.params.id),
+    });
+  } catch (error) {
+    console.error("Unlink SOS from incident error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to unlink SOS",
+    });
+  }
+};
+
+/**
+ * Incident rollup statistics
+ * GET /api/incidents/:id/stats
+ */
+const getIncidentStats = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const exists = await Incident.exists({ _id: req.params.id });
+
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Incident not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getIncidentRollup(req.params.id),
+    });
+  } catch (error) {
+    console.error("Get incident stats error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch incident statistics",
+    });
+  }
+};
+
+module.exports = {
+  createIncident,
+  getAllIncidents,
+  getIncidentById,
+  updateIncident,
+  deleteIncident,
+  linkSOSToIncident,
+  unlinkSOSFromIncident,
+  getIncidentStats,
+};
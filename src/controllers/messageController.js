@@ -0,0 +1,321 @@
+const mongoose = require("mongoose");
+const SOS = require("../models/SOS");
+const Message = require("../models/Message");
+const {
+  toMessageView,
+  publishMessageEvent,
+  markDelivered,
+  markRead,
+} = require("../services/messageService");
+const { enqueueMessageTranscription } = require("../workers/sosWorker");
+const { discardUploads } = require("../middleware/upload");
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Validates message text
+ * @param {string} text - Message text
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateText = (text) => {
+  if (text !== undefined && text !== null && typeof text !== "string") {
+    return "Message text must be a string";
+  }
+  if (!text || text.trim().length === 0) {
+    return "Message text is required";
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return `Message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Builds the filter for messages marked read by id list (or all unread)
+ * @param {object} base - Thread filter
+ * @param {string[]} messageIds - Optional message ids
+ * @returns {object}
+ */
+const receiptFilter = (base, messageIds) =>
+  Array.isArray(messageIds) && messageIds.length > 0
+    ? {
+        ...base,
+        _id: { $in: messageIds.filter((id) => mongoose.isValidObjectId(id)) },
+      }
+    : base;
+
+/**
+ * Loads an SOS by id for rescuer routes
+ * @param {string} id - SOS id
+ * @returns {Promise<object|null>}
+ */
+const findSOS = (id) =>
+  mongoose.isValidObjectId(id)
+    ? SOS.findById(id).select("sessionId status")
+    : null;
+
+/**
+ * Get the message thread of an SOS (rescuer view).
+ * Survivor messages returned here count as delivered to the dashboard.
+ * GET /api/sos/:id/messages
+ */
+const getSOSMessages = async (req, res) => {
+  try {
+    const sos = await findSOS(req.params.id);
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    const messages = await Message.find({ sos: sos._id }).sort({
+      createdAt: 1,
+    });
+
+    await markDelivered({ sos: sos._id, direction: "from_survivor" });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages.map(toMessageView),
+    });
+  } catch (error) {
+    console.error("Get SOS messages error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch messages",
+    });
+  }
+};
+
+/**
+ * Send a message to the survivor
+ * POST /api/sos/:id/messages
+ */
+const sendSOSMessage = async (req, res) => {
+  try {
+    const text = req.body && req.body.text;
+    const textError = validateText(text);
+    if (textError) {
+      return res.status(400).json({
+        success: false,
+        error: textError,
+      });
+    }
+
+    const sos = await findSOS(req.params.id);
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    const message = await Message.create({
+      sos: sos._id,
+      sessionId: sos.sessionId,
+      direction: "to_survivor",
+      sender: req.user._id,
+      senderName: req.user.name,
+      text: text.trim(),
+    });
+
+    publishMessageEvent("message.created", message);
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: toMessageView(message),
+    });
+  } catch (error) {
+    console.error("Send SOS message error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send message",
+    });
+  }
+};
+
+/**
+ * Mark survivor messages as read (all unread, or { messageIds })
+ * POST /api/sos/:id/messages/read
+ */
+const markSOSMessagesRead = async (req, res) => {
+  try {
+    const sos = await findSOS(req.params.id);
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    const updated = await markRead(
+      receiptFilter(
+        { sos: sos._id, direction: "from_survivor" },
+        req.body && req.body.messageIds
+      )
+    );
+
+    res.json({
+      success: true,
+      updated,
+    });
+  } catch (error) {
+    console.error("Mark SOS messages read error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update read receipts",
+    });
+  }
+};
+
+/**
+ * Poll messages for a survivor session. Rescuer messages returned here are
+ * marked delivered.
+ * GET /api/sos/session/:sessionId/messages?since=ISO date
+ */
+const getSessionMessages = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const filter = { sessionId };
+
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: "since must be an ISO 8601 date",
+        });
+      }
+      filter.createdAt = { $gt: since };
+    }
+
+    const messages = await Message.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(200);
+
+    await markDelivered({
+      _id: { $in: messages.map((message) => message._id) },
+      direction: "to_survivor",
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages.map(toMessageView),
+    });
+  } catch (error) {
+    console.error("Get session messages error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch messages",
+    });
+  }
+};
+
+/**
+ * Reply to rescuers with text or voice
+ * POST /api/sos/session/:sessionId/:id/messages
+ * (JSON { text } or multipart with an "audio" file)
+ */
+const sendSessionMessage = async (req, res) => {
+  try {
+    const { sessionId, id } = req.params;
+    const audioFile = req.file;
+    const text = req.body && req.body.text;
+
+    if (!audioFile) {
+      const textError = validateText(text);
+      if (textError) {
+        return res.status(400).json({
+          success: false,
+          error: textError,
+        });
+      }
+    }
+
+    const sos = mongoose.isValidObjectId(id)
+      ? await SOS.exists({ _id: id, sessionId })
+      : null;
+
+    if (!sos) {
+      discardUploads(req);
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    const message = await Message.create({
+      sos: sos._id,
+      sessionId,
+      direction: "from_survivor",
+      ...(audioFile
+        ? {
+            messageType: "voice",
+            voiceFileUrl: audioFile.path,
+            transcriptionStatus: "processing",
+          }
+        : { messageType: "text", text: text.trim() }),
+    });
+
+    publishMessageEvent("message.created", message);
+
+    if (audioFile) {
+      await enqueueMessageTranscription(message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: toMessageView(message),
+    });
+  } catch (error) {
+    console.error("Send session message error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send message",
+    });
+  }
+};
+
+/**
+ * Mark rescuer messages as read on the survivor device
+ * (all unread, or { messageIds })
+ * POST /api/sos/session/:sessionId/messages/read
+ */
+const markSessionMessagesRead = async (req, res) => {
+  try {
+    const updated = await markRead(
+      receiptFilter(
+        { sessionId: req.params.sessionId, direction: "to_survivor" },
+        req.body && req.body.messageIds
+      )
+    );
+
+    res.json({
+      success: true,
+      updated,
+    });
+  } catch (error) {
+    console.error("Mark session messages read error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update read receipts",
+    });
+  }
+};
+
+module.exports = {
+  getSOSMessages,
+  sendSOSMessage,
+  markSOSMessagesRead,
+  getSessionMessages,
+  sendSessionMessage,
+  markSessionMessagesRead,
+};
@@ -0,0 +1,227 @@
+const mongoose = require("mongoose");
+const { buildSOSQuery, findSOS } = require("../services/sosQueryService");
+const {
+  claimReview,
+  releaseReview,
+  decideReview,
+  summarizeReviews,
+  reviewLabels,
+} = require("../services/reviewService");
+
+const DEFAULT_STATS_DAYS = 7;
+
+/**
+ * Sends a service error with its status code, or a generic 500
+ * @param {object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.claim && { claim: error.claim }),
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallback,
+  });
+};
+
+/**
+ * Parses an optional ISO 8601 date query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error)
+ * @returns {Date|null}
+ * @throws {Error} - statusCode 400 when malformed
+ */
+const parseDateParam = (value, name) => {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const error = new Error(`${name} must be an ISO 8601 date`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+};
+
+/**
+ * 404 for ids that cannot be an SOS
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {boolean} - true if a response was sent
+ */
+const rejectInvalidId = (req, res) => {
+  if (mongoose.isValidObjectId(req.params.id)) return false;
+  res.status(404).json({
+    success: false,
+    error: "SOS not found",
+  });
+  return true;
+};
+
+/**
+ * Cases waiting for manual review, highest priority first. Accepts the
+ * SOS list filters; resolved cases are left out unless includeResolved=true.
+ * GET /api/review?limit=&skip=&urgency=&near=&bbox=&includeResolved=
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
+
+    const sosQuery = buildSOSQuery(req.query);
+    sosQuery.filter["validationFlags.manualReview"] = true;
+    if (!req.query.status && req.query.includeResolved !== "true") {
+      sosQuery.filter.status = { $ne: "resolved" };
+    }
+
+    const { data: sosCases, total } = await findSOS(sosQuery, {
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+    });
+
+    res.json({
+      success: true,
+      count: sosCases.length,
+      total,
+      data: sosCases,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch review queue");
+  }
+};
+
+/**
+ * Claim a case for review (calling again extends your claim)
+ * POST /api/review/:id/claim
+ */
+const claimReviewItem = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const sos = await claimReview(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: "SOS claimed for review",
+      data: {
+        sosId: sos._id,
+        claim: sos.reviewClaim,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to claim SOS for review");
+  }
+};
+
+/**
+ * Give a case back to the queue without deciding
+ * POST /api/review/:id/release
+ */
+const releaseReviewItem = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    await releaseReview(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: "Review claim released",
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to release review claim");
+  }
+};
+
+/**
+ * Confirm or override the analysis of a claimed case
+ * POST /api/review/:id/decision
+ * Body: { decision: "confirm"|"override", urgency?, eventType?, needs?,
+ *   reason (required to override) }
+ */
+const decideReviewItem = async (req, res) => {
+  try {
+    if (rejectInvalidId(req, res)) return;
+
+    const sos = await decideReview(req.params.id, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: "Review recorded",
+      data: sos,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to record review");
+  }
+};
+
+/**
+ * Review throughput, reviewer time and AI agreement rates
+ * GET /api/review/stats?since=ISO date (default: last 7 days)
+ */
+const getReviewStats = async (req, res) => {
+  try {
+    const since =
+      parseDateParam(req.query.since, "since") ||
+      new Date(Date.now() - DEFAULT_STATS_DAYS * 24 * 60 * 60 * 1000);
+
+    res.json({
+      success: true,
+      data: await summarizeReviews(since),
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch review stats");
+  }
+};
+
+/**
+ * Reviewer decisions as labeled data, one JSON object per line
+ * GET /api/review/export?since=&until=&decision=confirmed|overridden
+ */
+const exportReviewLabels = async (req, res) => {
+  try {
+    const since = parseDateParam(req.query.since, "since");
+    const until = parseDateParam(req.query.until, "until");
+    const { decision } = req.query;
+
+    if (decision && !["confirmed", "overridden"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be "confirmed" or "overridden"',
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "application/x-ndjson");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="review-labels-${date}.jsonl"`
+    );
+
+    for await (const row of reviewLabels({ since, until, decision })) {
+      res.write(`${JSON.stringify(row)}\n`);
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone once rows were streamed; just cut the response
+    if (res.headersSent) {
+      console.error("Review export error:", error);
+      return res.end();
+    }
+    sendError(res, error, "Failed to export review labels");
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  claimReviewItem,
+  releaseReviewItem,
+  decideReviewItem,
+  getReviewStats,
+  exportReviewLabels,
+};
@@ -0,0 +1,267 @@
+const SOS = require("../models/SOS");
+const {
+  submitTextSOS,
+  submitFollowUp,
+  MAX_FOLLOW_UPS,
+} = require("../services/sosIntake");
+const { parseLocationFromText } = require("../services/locationParser");
+const { getRateLimits } = require("../config/rateLimits");
+const { areaKey, checkRateLimits } = require("../middleware/rateLimit");
+const {
+  checkSMSConfig,
+  normalizePhoneNumber,
+  sessionIdForPhone,
+  maskPhoneNumber,
+  getInboundAdapter,
+  sendSMS,
+} = require("../services/smsService");
+
+// Messages without a location within this window extend the open SOS
+const FOLLOW_UP_WINDOW_HOURS =
+  parseInt(process.env.SMS_FOLLOW_UP_WINDOW_HOURS) || 24;
+
+const MAX_SMS_LENGTH = 2000;
+
+/**
+ * Short reference survivors can quote on the phone
+ * @param {object} sos - SOS document
+ * @returns {string}
+ */
+const shortRef = (sos) => String(sos._id).slice(-6).toUpperCase();
+
+/**
+ * Finds the most recent unresolved SOS of an SMS session
+ * @param {string} sessionId - Session derived from the phone number
+ * @returns {Promise<object|null>}
+ */
+const findOpenSOS = (sessionId) =>
+  SOS.findOne({
+    sessionId,
+    status: { $ne: "resolved" },
+    receivedAt: {
+      $gte: new Date(Date.now() - FOLLOW_UP_WINDOW_HOURS * 60 * 60 * 1000),
+    },
+  }).sort({ receivedAt: -1 });
+
+/**
+ * Receive an SMS from a gateway webhook.
+ * A message with a location creates a text SOS, or completes the sender's
+ * open SOS if that one is still waiting for a location. Without a location
+ * it is added as a follow-up to the sender's open SOS, or stored as a new
+ * SOS pending a location and the sender is asked for one. Analysis runs on
+ * the job queue so gateways get a fast answer; the acknowledgement goes out
+ * through the SMS sender. Senders are rate limited like app submissions,
+ * keyed by phone number.
+ * POST /api/sms/inbound/:gateway (twilio | generic)
+ */
+const receiveSMS = async (req, res) => {
+  const adapter = getInboundAdapter(req.params.gateway);
+
+  if (!adapter) {
+    return res.status(404).json({
+      success: false,
+      error: "Unknown SMS gateway",
+    });
+  }
+
+  try {
+    const [configError] = checkSMSConfig(req.params.gateway);
+    if (configError) {
+      console.error(
+        `❌ SMS from ${req.params.gateway} refused: ${configError}`
+      );
+      return adapter.respond(res, 503, {
+        error: "SMS inbound is not configured",
+      });
+    }
+
+    if (!adapter.verify(req)) {
+      return adapter.respond(res, 403, { error: "Invalid gateway signature" });
+    }
+
+    const { from, text, messageId } = adapter.parse(req.body || {});
+    const phoneNumber = normalizePhoneNumber(from);
+    const message = String(text || "")
+      .trim()
+      .slice(0, MAX_SMS_LENGTH);
+
+    if (!phoneNumber || !message) {
+      return adapter.respond(res, 400, {
+        error: "Sender and message text are required",
+      });
+    }
+
+    // Gateways retry webhooks they consider failed; the message may have
+    // created an SOS or been added to one
+    if (messageId) {
+      const existing = await SOS.exists({
+        $or: [
+          { "originalData.smsMessageId": messageId },
+          { "followUps.smsMessageId": messageId },
+        ],
+      });
+      if (existing) {
+        return adapter.respond(res, 200, {
+          result: "duplicate",
+          sosId: existing._id,
+        });
+      }
+    }
+
+    const sessionId = sessionIdForPhone(phoneNumber);
+    const location = parseLocationFromText(message);
+
+    // Same policies as app submissions; the session is the phone number and
+    // the gateway's IP says nothing about the sender
+    const policies = getRateLimits();
+    const { flags: rateLimited, retryAfterMs } = checkRateLimits(
+      {
+        session: sessionId,
+        ...(location &&
+          policies.area && { area: areaKey(location, policies.area) }),
+      },
+      policies
+    );
+
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return adapter.respond(res, 429, {
+        error: "Too many SOS submissions",
+        retryAfter,
+      });
+    }
+
+    const coordinates = location && {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      ...(location.accuracy && { accuracy: location.accuracy }),
+    };
+    const openSOS = await findOpenSOS(sessionId);
+
+    // The sender's open SOS was stored without a location: this message
+    // supplies it
+    if (coordinates && openSOS && openSOS.location.pending) {
+      openSOS.location = coordinates;
+      await submitFollowUp(
+        openSOS,
+        { messageType: "text", text: message, smsMessageId: messageId },
+        { analyzeNow: false }
+      );
+
+      console.log(
+        `📱 SMS SOS ${openSOS._id} located from ${maskPhoneNumber(
+          phoneNumber
+        )} (${location.source})`
+      );
+
+      await sendSMS(
+        phoneNumber,
+        `Location added to your SOS (ref ${shortRef(
+          openSOS
+        )}). Reply to this number with any updates.`
+      );
+
+      return adapter.respond(res, 200, {
+        result: "located",
+        sosId: openSOS._id,
+        sessionId,
+      });
+    }
+
+    // A first message without a readable location is stored too (pending a
+    // location) so dispatchers see it; the sender is asked for one
+    if (coordinates || !openSOS) {
+      const { sos } = await submitTextSOS(
+        {
+          sessionId,
+          location: coordinates || { pending: true },
+          message,
+          originalData: {
+            channel: "sms",
+            phoneNumber,
+            smsMessageId: messageId,
+          },
+          rateLimited,
+        },
+        { analyzeNow: false }
+      );
+
+      if (!coordinates) {
+        console.warn(
+          `⚠️ SMS SOS ${sos._id} from ${maskPhoneNumber(
+            phoneNumber
+          )} has no readable location`
+        );
+
+        await sendSMS(
+          phoneNumber,
+          `SOS received (ref ${shortRef(
+            sos
+          )}), but we could not read your location. Reply with coordinates (e.g. 14.5995, 120.9842) or a plus code (e.g. 7Q63HX2R+4R).`
+        );
+
+        return adapter.respond(res, 201, {
+          result: "location_required",
+          sosId: sos._id,
+          sessionId,
+        });
+      }
+
+      console.log(
+        `📱 SMS SOS ${sos._id} from ${maskPhoneNumber(phoneNumber)} (${
+          location.source
+        })`
+      );
+
+      await sendSMS(
+        phoneNumber,
+        `SOS received (ref ${shortRef(
+          sos
+        )}). Rescuers have been alerted. Reply to this number with any updates.`
+      );
+
+      return adapter.respond(res, 201, {
+        result: "created",
+        sosId: sos._id,
+        sessionId,
+      });
+    }
+
+    if (openSOS.followUps.length < MAX_FOLLOW_UPS) {
+      await submitFollowUp(
+        openSOS,
+        { messageType: "text", text: message, smsMessageId: messageId },
+        { analyzeNow: false }
+      );
+
+      await sendSMS(
+        phoneNumber,
+        openSOS.location.pending
+          ? `Update added to your SOS (ref ${shortRef(
+              openSOS
+            )}). We still need your location: reply with coordinates or a plus code.`
+          : `Update added to your SOS (ref ${shortRef(openSOS)}).`
+      );
+
+      return adapter.respond(res, 200, {
+        result: "followup",
+        sosId: openSOS._id,
+        sessionId,
+      });
+    }
+
+    adapter.respond(res, 200, {
+      result: "ignored",
+      sosId: openSOS._id,
+      sessionId,
+    });
+  } catch (error) {
+    console.error("Inbound SMS error:", error);
+    adapter.respond(res, 500, { error: "Failed to process SMS" });
+  }
+};
+
+module.exports = {
+  receiveSMS,
+};
@@ -1,15 +1,75 @@
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
 const SOS = require("../models/SOS");
+const User = require("../models/User");
+const { STAFF_ROLES, DISPATCH_ROLES } = require("../config/roles");
 const {
-  transcribeAudio,
-  validateAudioFile,
-} = require("../services/whisperService");
-const { analyzeSOSContent, analyzeTextSOS } = require("../services/gptService");
-const {
-  validateAIAnalysis,
   validateSOSData,
+  parseJSONField,
 } = require("../services/validationService");
-const fs = require("fs");
-const path = require("path");
+const {
+  submitTextSOS,
+  submitVoiceSOS,
+  submitPhotoSOS,
+} = require("../services/sosIntake");
+const { publishSOSEvent } = require("../services/eventBus");
+const { discardUploads } = require("../middleware/upload");
+const {
+  buildSOSQuery,
+  findSOS,
+  streamSOS,
+} = require("../services/sosQueryService");
+const {
+  EXPORT_FORMATS,
+  EXPORT_PROJECTION,
+  exportColumns,
+  flattenSOS,
+} = require("../services/sosExportService");
+const { unlinkDuplicate } = require("../services/duplicateService");
+const { resetEscalation } = require("../services/escalationService");
+const {
+  allowedTransitions,
+  checkTransition,
+  historyEntry,
+} = require("../services/statusLifecycle");
+
+// Status changes requested through the API (not by the pipeline)
+const MANUAL = { manual: true };
+
+// Fields shown for linked SOS (parent case / related reports)
+const LINKED_SOS_FIELDS =
+  "sessionId sosType status transcript aiAnalysis.urgency aiAnalysis.summary location.latitude location.longitude receivedAt";
+
+// Fields shown for the assigned rescuer
+const ASSIGNEE_FIELDS = "name email role";
+
+/**
+ * Checks whether a user may make a change to an SOS.
+ * Rescuers may take unassigned cases and update or release their own;
+ * reassigning someone else's case and reopening need a coordinator.
+ * @param {object} user - Acting user
+ * @param {object} sos - SOS document (before the change)
+ * @param {string} assignedTo - Requested assignee id (if any)
+ * @returns {string|null} - Error message, or null if allowed
+ */
+const checkPermission = (user, sos, assignedTo) => {
+  if (DISPATCH_ROLES.includes(user.role)) return null;
+
+  const userId = String(user._id);
+  const currentAssignee = sos.assignedTo ? String(sos.assignedTo) : null;
+
+  if (currentAssignee && currentAssignee !== userId) {
+    return "Only a coordinator can change a case assigned to another rescuer";
+  }
+  if (assignedTo && String(assignedTo) !== userId) {
+    return "Rescuers can only assign cases to themselves";
+  }
+  if (sos.status === "resolved") {
+    return "Only a coordinator can reopen a resolved case";
+  }
+  return null;
+};
 
 /**
  * Create new voice SOS
@@ -20,7 +80,7 @@ const createVoiceSOS = async (req, res) => {
     console.log("📥 Received voice SOS");
 
     // Parse request body
-    const { sessionId, location } = req.body;
+    const { sessionId, location, language } = req.body || {};
     const audioFile = req.file;
 
     // Validate required fields
@@ -31,35 +91,30 @@ const createVoiceSOS = async (req, res) => {
       });
     }
 
-    // Validate SOS data
+    // Validate SOS data (multipart sends the location as JSON text)
+    const coordinates = parseJSONField(location);
     const validation = validateSOSData({
       sessionId,
       sosType: "voice",
-      location: JSON.parse(location),
+      location: coordinates,
     });
 
     if (!validation.isValid) {
+      discardUploads(req);
       return res.status(400).json({
         success: false,
         errors: validation.errors,
       });
     }
 
-    // Create initial SOS record
-    const sos = await SOS.create({
+    // Create the SOS and queue transcription and analysis
+    const { sos } = await submitVoiceSOS({
       sessionId,
-      sosType: "voice",
-      location: JSON.parse(location),
-      originalData: {
-        voiceFileUrl: audioFile.path,
-      },
-      status: "processing",
-      receivedAt: new Date(),
-    });
-
-    // Process in background (don't wait)
-    processVoiceSOS(sos._id, audioFile.path).catch((err) => {
-      console.error("Background processing error:", err);
+      location: coordinates,
+      voiceFileUrl: audioFile.path,
+      submittedBy: req.user ? req.user._id : null,
+      rateLimited: req.rateLimitFlags,
+      language,
     });
 
     // Immediate response to survivor
@@ -78,55 +133,6 @@ const createVoiceSOS = async (req, res) => {
   }
 };
 
-/**
- * Background processing for voice SOS
- */
-const processVoiceSOS = async (sosId, audioFilePath) => {
-  try {
-    // Step 1: Transcribe audio
-    const transcript = await transcribeAudio(audioFilePath);
-
-    await SOS.findByIdAndUpdate(sosId, {
-      transcript,
-      status: "processing",
-    });
-
-    // Step 2: AI analysis
-    const sos = await SOS.findById(sosId);
-    const aiAnalysis = await analyzeSOSContent(transcript, {
-      receivedAt: sos.receivedAt,
-      location: sos.location,
-    });
-
-    // Step 3: Validation
-    const validationResult = validateAIAnalysis(aiAnalysis, transcript);
-
-    // Step 4: Update with final analysis
-    await SOS.findByIdAndUpdate(sosId, {
-      aiAnalysis: {
-        ...aiAnalysis,
-        urgency: validationResult.adjustedUrgency,
-      },
-      validationFlags: {
-        hasKeywords: validationResult.hasKeywords,
-        meetsThreshold: validationResult.meetsThreshold,
-        manualReview: validationResult.manualReview,
-      },
-      status: "processed",
-      processedAt: new Date(),
-    });
-
-    console.log(`✅ SOS ${sosId} processed successfully`);
-  } catch (error) {
-    console.error(`❌ Processing failed for SOS ${sosId}:`, error);
-
-    await SOS.findByIdAndUpdate(sosId, {
-      status: "failed",
-      processingErrors: [error.message],
-    });
-  }
-};
-
 /**
  * Create new text SOS
  * POST /api/sos/text
@@ -135,7 +141,7 @@ const createTextSOS = async (req, res) => {
   try {
     console.log("📥 Received text SOS");
 
-    const { sessionId, location, message } = req.body;
+    const { sessionId, location, message, language } = req.body;
 
     // Validate
     const validation = validateSOSData({
@@ -158,77 +164,117 @@ const createTextSOS = async (req, res) => {
       });
     }
 
-    // Create SOS
-    const sos = await SOS.create({
-      sessionId,
-      sosType: "text",
-      location,
-      originalData: {
-        textMessage: message,
+    // Submissions over a rate limit wait for the queue instead of a
+    // synchronous analysis call
+    const rateLimited = req.rateLimitFlags || [];
+    const { sos, status } = await submitTextSOS(
+      {
+        sessionId,
+        location,
+        message,
+        submittedBy: req.user ? req.user._id : null,
+        rateLimited,
+        language,
       },
-      transcript: message, // For text, transcript is the message itself
-      status: "processing",
-      receivedAt: new Date(),
+      { analyzeNow: rateLimited.length === 0 }
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        status === "processed"
+          ? "Text SOS processed"
+          : "SOS received and being processed",
+      sosId: sos._id,
+      status,
     });
+  } catch (error) {
+    console.error("Text SOS creation error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process text SOS",
+    });
+  }
+};
 
-    // Process AI analysis
-    const aiAnalysis = await analyzeTextSOS(message, {
-      receivedAt: sos.receivedAt,
-      location,
+/**
+ * Create new photo SOS
+ * POST /api/sos/photo
+ */
+const createPhotoSOS = async (req, res) => {
+  try {
+    console.log("📥 Received photo SOS");
+
+    // Parse request body
+    const { sessionId, location, message, language } = req.body || {};
+    const photoFile = req.file;
+
+    // Validate required fields
+    if (!photoFile) {
+      return res.status(400).json({
+        success: false,
+        error: "Photo file is required",
+      });
+    }
+
+    // Validate SOS data (multipart sends the location as JSON text)
+    const coordinates = parseJSONField(location);
+    const validation = validateSOSData({
+      sessionId,
+      sosType: "photo",
+      location: coordinates,
     });
 
-    const validationResult = validateAIAnalysis(aiAnalysis, message);
+    if (!validation.isValid) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors,
+      });
+    }
+
+    const caption = message && message.trim().length > 0 ? message : null;
 
-    // Update with analysis
-    await SOS.findByIdAndUpdate(sos._id, {
-      aiAnalysis: {
-        ...aiAnalysis,
-        urgency: validationResult.adjustedUrgency,
-      },
-      validationFlags: {
-        hasKeywords: validationResult.hasKeywords,
-        meetsThreshold: validationResult.meetsThreshold,
-        manualReview: validationResult.manualReview,
-      },
-      status: "processed",
-      processedAt: new Date(),
+    // Create the SOS and queue vision analysis
+    const { sos } = await submitPhotoSOS({
+      sessionId,
+      location: coordinates,
+      photoUrl: photoFile.path,
+      caption,
+      submittedBy: req.user ? req.user._id : null,
+      rateLimited: req.rateLimitFlags,
+      language,
     });
 
+    // Immediate response to survivor
     res.status(201).json({
       success: true,
-      message: "Text SOS processed",
+      message: "SOS received and being processed",
       sosId: sos._id,
-      status: "processed",
+      status: "processing",
     });
   } catch (error) {
-    console.error("Text SOS creation error:", error);
+    console.error("Photo SOS creation error:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to process text SOS",
+      error: "Failed to process photo SOS",
     });
   }
 };
 
 /**
  * Get all SOS cases (for rescuer dashboard)
- * GET /api/sos
+ * GET /api/sos?status=&urgency=&near=lng,lat&radius=&bbox=&within=&overdue=
  */
 const getAllSOS = async (req, res) => {
   try {
-    const { status, urgency, limit = 100, skip = 0 } = req.query;
-
-    // Build filter
-    const filter = {};
-    if (status) filter.status = status;
-    if (urgency) filter["aiAnalysis.urgency"] = urgency;
-
-    const sosCases = await SOS.find(filter)
-      .sort({ "aiAnalysis.urgency": -1, receivedAt: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(skip))
-      .select("-__v");
+    const { limit = 100, skip = 0 } = req.query;
 
-    const total = await SOS.countDocuments(filter);
+    const sosQuery = buildSOSQuery(req.query);
+    const { data: sosCases, total } = await findSOS(sosQuery, {
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+    });
 
     res.json({
       success: true,
@@ -237,6 +283,13 @@ const getAllSOS = async (req, res) => {
       data: sosCases,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error("Get SOS error:", error);
     res.status(500).json({
       success: false,
@@ -245,13 +298,103 @@ const getAllSOS = async (req, res) => {
   }
 };
 
+/**
+ * Export every SOS matching the list filters, streamed
+ * GET /api/sos/export?format=csv|geojson|kml&redact=true&status=&urgency=&...
+ *
+ * redact=true leaves out free text and personal fields, for sharing with
+ * partner agencies.
+ */
+const exportSOS = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+    const redact = req.query.redact === "true";
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const sosQuery = buildSOSQuery(req.query);
+
+    // Assignee names, looked up once instead of per case
+    const assignees = new Map();
+    if (!redact) {
+      const staff = await User.find({ role: { $in: STAFF_ROLES } })
+        .select("name")
+        .lean();
+      staff.forEach((user) => assignees.set(String(user._id), user.name));
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", exporter.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="sos-export-${date}.${exporter.extension}"`
+    );
+
+    const columns = exportColumns({ redact, near: Boolean(sosQuery.near) });
+    const cursor = streamSOS(sosQuery, EXPORT_PROJECTION);
+    let count = 0;
+
+    async function* chunks() {
+      yield exporter.start(columns);
+      for await (const sos of cursor) {
+        yield exporter.row(flattenSOS(sos, { redact, assignees }), count);
+        count++;
+      }
+      yield exporter.end();
+    }
+
+    // pipeline respects backpressure so slow clients don't buffer the whole
+    // export, and stops reading when the client goes away or the cursor
+    // fails
+    try {
+      await pipeline(Readable.from(chunks(), { objectMode: false }), res);
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    console.log(
+      `📤 Exported ${count} SOS as ${format}${redact ? " (redacted)" : ""}`
+    );
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // The client went away mid-export
+    if (error.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+
+    console.error("Export SOS error:", error);
+    // Rows were already streamed: cut the response so the file is incomplete
+    if (res.headersSent || res.destroyed) return res.destroy();
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to export SOS cases",
+    });
+  }
+};
+
 /**
  * Get single SOS by ID
  * GET /api/sos/:id
  */
 const getSOSById = async (req, res) => {
   try {
-    const sos = await SOS.findById(req.params.id);
+    const sos = await SOS.findById(req.params.id)
+      .populate("assignedTo", ASSIGNEE_FIELDS)
+      .populate("duplicateOf", LINKED_SOS_FIELDS)
+      .populate("relatedTo", LINKED_SOS_FIELDS);
 
     if (!sos) {
       return res.status(404).json({
@@ -276,28 +419,231 @@ const getSOSById = async (req, res) => {
 /**
  * Update SOS status (for rescuer actions)
  * PATCH /api/sos/:id
+ *
+ * Status changes must follow the lifecycle in statusLifecycle; every
+ * change is appended to statusHistory.
  */
 const updateSOSStatus = async (req, res) => {
   try {
-    const { status, assignedTo, resolutionNotes } = req.body;
+    const { status, assignedTo, eta, resolutionNotes, reason, notes } =
+      req.body;
+    const actor = req.user._id;
+    const actorName = req.user.name;
+
+    const sos = await SOS.findById(req.params.id);
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    const permissionError = checkPermission(req.user, sos, assignedTo);
+    if (permissionError) {
+      return res.status(403).json({
+        success: false,
+        error: permissionError,
+      });
+    }
 
-    const updateData = {};
-    if (status) updateData.status = status;
+    const nextEta = eta ? new Date(eta) : null;
+    if (nextEta && isNaN(nextEta.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: "eta must be an ISO 8601 date",
+      });
+    }
+
+    // Assignees must be active staff accounts
     if (assignedTo) {
-      updateData.assignedTo = assignedTo;
-      updateData.assignedAt = new Date();
+      const assignee =
+        mongoose.isValidObjectId(assignedTo) &&
+        (await User.exists({
+          _id: assignedTo,
+          role: { $in: STAFF_ROLES },
+          active: true,
+        }));
+
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          error: "assignedTo must be the id of an active rescuer account",
+        });
+      }
+    }
+
+    // Assigning a case that is not yet assigned moves it to "assigned"
+    let nextStatus = status;
+    if (
+      !nextStatus &&
+      assignedTo &&
+      allowedTransitions(sos.status, MANUAL).includes("assigned")
+    ) {
+      nextStatus = "assigned";
     }
+
+    const previousStatus = sos.status;
+    const previousAssignee = sos.assignedTo ? String(sos.assignedTo) : null;
+
+    if (nextStatus && nextStatus !== sos.status) {
+      const transition = checkTransition(sos.status, nextStatus, reason, {
+        ...MANUAL,
+        assignee: assignedTo || sos.assignedTo,
+      });
+
+      if (!transition.allowed) {
+        return res.status(409).json({
+          success: false,
+          error: transition.error,
+          currentStatus: sos.status,
+          allowedTransitions: allowedTransitions(sos.status, MANUAL),
+        });
+      }
+
+      sos.statusHistory.push(
+        historyEntry({
+          from: sos.status,
+          to: nextStatus,
+          actor,
+          actorName,
+          notes: reason || notes,
+        })
+      );
+
+      if (sos.status === "resolved") {
+        sos.resolvedAt = undefined; // Reopened
+      }
+      if (nextStatus === "resolved") {
+        sos.resolvedAt = new Date();
+      }
+      if (nextStatus === "assigned" || nextStatus === "resolved") {
+        resetEscalation(sos);
+      }
+      if (nextStatus === "processed") {
+        sos.assignedTo = null; // Unassigned or reopened for dispatch
+        sos.assignedAt = undefined;
+        sos.eta = undefined;
+      }
+
+      sos.status = nextStatus;
+    }
+
+    if (assignedTo && String(assignedTo) !== String(sos.assignedTo)) {
+      sos.statusHistory.push(
+        historyEntry({
+          field: "assignedTo",
+          from: sos.assignedTo,
+          to: assignedTo,
+          actor,
+          actorName,
+          notes,
+        })
+      );
+      sos.assignedTo = assignedTo;
+      sos.assignedAt = new Date();
+    }
+
+    // Estimated arrival shown to the survivor (null clears it)
+    if (eta !== undefined) {
+      const previous = sos.eta ? sos.eta.toISOString() : null;
+      const next = nextEta ? nextEta.toISOString() : null;
+      if (previous !== next) {
+        sos.statusHistory.push(
+          historyEntry({
+            field: "eta",
+            from: previous,
+            to: next,
+            actor,
+            actorName,
+          })
+        );
+        sos.eta = nextEta || undefined;
+      }
+    }
+
     if (resolutionNotes) {
-      updateData.resolutionNotes = resolutionNotes;
-      if (status === "resolved") {
-        updateData.resolvedAt = new Date();
+      sos.resolutionNotes = resolutionNotes;
+    }
+
+    await sos.save();
+
+    publishSOSEvent("sos.updated", sos);
+    if (sos.status === "assigned" && sos.assignedTo) {
+      const newAssignee = String(sos.assignedTo) !== previousAssignee;
+      if (newAssignee || previousStatus !== "assigned") {
+        publishSOSEvent("sos.assigned", sos);
       }
     }
+    if (sos.status === "resolved" && previousStatus !== "resolved") {
+      publishSOSEvent("sos.resolved", sos);
+    }
+
+    res.json({
+      success: true,
+      message: "SOS updated successfully",
+      data: sos,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Update SOS error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update SOS",
+    });
+  }
+};
+
+/**
+ * Get the audit trail of an SOS
+ * GET /api/sos/:id/history
+ */
+const getSOSHistory = async (req, res) => {
+  try {
+    const sos = await SOS.findById(req.params.id).select(
+      "status statusHistory"
+    );
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
 
-    const sos = await SOS.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
+    res.json({
+      success: true,
+      currentStatus: sos.status,
+      allowedTransitions: allowedTransitions(sos.status, MANUAL),
+      count: sos.statusHistory.length,
+      data: sos.statusHistory,
+    });
+  } catch (error) {
+    console.error("Get SOS history error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch SOS history",
     });
+  }
+};
+
+/**
+ * Explain how an SOS got its urgency: model call, raw output, triage rules
+ * that fired and validation warnings, for the latest analysis and each
+ * follow-up re-analysis
+ * GET /api/sos/:id/analysis
+ */
+const getSOSAnalysis = async (req, res) => {
+  try {
+    const sos = await SOS.findById(req.params.id).select(
+      "sosType status transcript translation language aiAnalysis validationFlags +analysisTrace +followUpTraces"
+    );
 
     if (!sos) {
       return res.status(404).json({
@@ -306,16 +652,72 @@ const updateSOSStatus = async (req, res) => {
       });
     }
 
+    if (!sos.analysisTrace) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS has not been analyzed yet",
+      });
+    }
+
     res.json({
       success: true,
-      message: "SOS updated successfully",
-      data: sos,
+      data: {
+        sosId: sos._id,
+        sosType: sos.sosType,
+        status: sos.status,
+        transcript: sos.transcript,
+        translation: sos.translation,
+        language: sos.language,
+        urgency: sos.aiAnalysis && sos.aiAnalysis.urgency,
+        validationFlags: sos.validationFlags,
+        trace: sos.analysisTrace,
+        followUpTraces: sos.followUpTraces,
+      },
     });
   } catch (error) {
-    console.error("Update SOS error:", error);
+    console.error("Get SOS analysis error:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update SOS",
+      error: "Failed to fetch SOS analysis",
+    });
+  }
+};
+
+/**
+ * Detach an SOS wrongly linked as a duplicate
+ * DELETE /api/sos/:id/duplicate
+ */
+const unlinkDuplicateSOS = async (req, res) => {
+  try {
+    const sos = await SOS.findById(req.params.id);
+
+    if (!sos) {
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    if (!sos.duplicateOf) {
+      return res.status(400).json({
+        success: false,
+        error: "SOS is not linked to another case",
+      });
+    }
+
+    const updated = await unlinkDuplicate(sos);
+    publishSOSEvent("sos.updated", updated);
+
+    res.json({
+      success: true,
+      message: "SOS unlinked from case",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("Unlink SOS error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to unlink SOS",
     });
   }
 };
@@ -374,8 +776,13 @@ const getSOSStats = async (req, res) => {
 module.exports = {
   createVoiceSOS,
   createTextSOS,
+  createPhotoSOS,
   getAllSOS,
+  exportSOS,
   getSOSById,
   updateSOSStatus,
+  getSOSHistory,
+  getSOSAnalysis,
+  unlinkDuplicateSOS,
   getSOSStats,
 };
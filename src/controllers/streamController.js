@@ -0,0 +1,254 @@
+const User = require("../models/User");
+const { STAFF_ROLES } = require("../config/roles");
+const { subscribe, getEventsSince } = require("../services/eventBus");
+const { parseBBox, isWithinBBox } = require("../services/geoService");
+const { markDelivered } = require("../services/messageService");
+
+/**
+ * Env:
+ *  - STREAM_AUTH_CHECK_MS: how often dashboard streams re-check the
+ *    account (default: 60000)
+ *  - SESSION_STREAM_LIMIT: open message streams per survivor session
+ *    (default: 3)
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // Longer delays fire at once
+
+// Open message streams per survivor session
+const sessionStreams = new Map();
+
+/**
+ * Parses a comma-separated filter value
+ * @param {string} value - e.g. "CRITICAL,HIGH"
+ * @returns {string[]|null}
+ */
+const parseList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : null;
+
+/**
+ * Builds an event predicate from the stream query filters
+ * @param {object} query - { urgency, status, bbox, types }
+ * @returns {Function} - (event) => boolean
+ */
+const buildEventFilter = (query) => {
+  const urgencies = parseList(query.urgency);
+  const statuses = parseList(query.status);
+  const types = parseList(query.types);
+  const bbox = parseBBox(query.bbox);
+
+  return (event) => {
+    if (types && !types.includes(event.type)) return false;
+
+    const data = event.data || {};
+    if (urgencies && !urgencies.includes(data.urgency)) return false;
+    if (statuses && !statuses.includes(data.status)) return false;
+    if (bbox && !isWithinBBox(data.location, bbox)) return false;
+
+    return true;
+  };
+};
+
+/**
+ * Writes one event in Server-Sent Events format
+ * @param {object} res - Express response
+ * @param {object} event - Bus event
+ */
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+};
+
+/**
+ * Checks that the account behind a stream may still read SOS data
+ * @param {string} userId - User id
+ * @returns {Promise<boolean>}
+ */
+const isStillStaff = async (userId) => {
+  const user = await User.findById(userId).select("role active");
+  return Boolean(user && user.active && STAFF_ROLES.includes(user.role));
+};
+
+/**
+ * Opens a Server-Sent Events response, replays missed events and forwards
+ * matching live events until the client disconnects.
+ * The stream ends with a "stream.closed" event once expiresAt passes or
+ * checkAccess resolves false; clients reconnect with fresh credentials.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} matches - (event) => boolean
+ * @param {object} options - { onSent: (event) => void after each write,
+ *   onClose: () => void, expiresAt: Date, checkAccess: async () => boolean }
+ */
+const openEventStream = (req, res, matches, options = {}) => {
+  const {
+    onSent = () => {},
+    onClose = () => {},
+    expiresAt,
+    checkAccess,
+  } = options;
+
+  const send = (event) => {
+    writeEvent(res, event);
+    onSent(event);
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.write("retry: 3000\n\n");
+
+  // Replay what the client missed while disconnected
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, gap } = getEventsSince(lastEventId);
+    if (gap) {
+      res.write(`event: sos.resync\ndata: {}\n\n`);
+    }
+    events.filter(matches).forEach(send);
+  }
+
+  const unsubscribe = subscribe((event) => {
+    if (matches(event)) send(event);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const timers = [heartbeat];
+  let closed = false;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearInterval);
+    unsubscribe();
+    onClose();
+  };
+
+  const close = (reason) => {
+    if (closed) return;
+    res.write(`event: stream.closed\ndata: ${JSON.stringify({ reason })}\n\n`);
+    cleanup();
+    res.end();
+  };
+
+  req.on("close", cleanup);
+  res.on("close", cleanup);
+
+  if (expiresAt) {
+    timers.push(
+      setTimeout(
+        () => close("credentials_expired"),
+        Math.min(Math.max(expiresAt.getTime() - Date.now(), 0), MAX_TIMEOUT_MS)
+      )
+    );
+  }
+  if (checkAccess) {
+    const intervalMs = parseInt(process.env.STREAM_AUTH_CHECK_MS) || 60000;
+    timers.push(
+      setInterval(async () => {
+        try {
+          if (!(await checkAccess())) close("access_revoked");
+        } catch (error) {
+          // A database hiccup must not drop every dashboard at once
+          console.error("Stream access check failed:", error.message);
+        }
+      }, intervalMs)
+    );
+  }
+};
+
+/**
+ * Live SOS event stream (Server-Sent Events) for the rescuer dashboard
+ * GET /api/sos/stream?urgency=CRITICAL,HIGH&status=processed&bbox=minLng,minLat,maxLng,maxLat
+ *
+ * Events: sos.created, sos.processed, sos.updated, sos.failed, sos.followup,
+ * sos.escalated, sos.assigned, sos.resolved, notification and
+ * message.created, message.updated, message.receipt.
+ * Reconnecting clients send Last-Event-ID (or ?lastEventId=) to receive the
+ * events they missed; when that is no longer possible a "sos.resync" event
+ * tells them to reload the list.
+ *
+ * Browsers authenticate with ?ticket= (POST /api/auth/stream-ticket). The
+ * stream ends with "stream.closed" when the access token behind it expires
+ * or the account is disabled; the client then reconnects with a new ticket.
+ */
+const streamSOSEvents = (req, res) => {
+  let matches;
+  try {
+    matches = buildEventFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  const userId = req.user._id;
+  openEventStream(req, res, matches, {
+    expiresAt: req.authExpiresAt,
+    checkAccess: () => isStillStaff(userId),
+  });
+};
+
+/**
+ * Live message stream for a survivor session (Server-Sent Events)
+ * GET /api/sos/session/:sessionId/messages/stream
+ *
+ * Events: message.created, message.updated, message.receipt for the
+ * session's threads. Rescuer messages written to the stream are marked
+ * delivered. Resuming works as for the dashboard stream. A session may hold
+ * SESSION_STREAM_LIMIT streams at once.
+ */
+const streamSessionMessages = (req, res) => {
+  const { sessionId } = req.params;
+
+  const limit = parseInt(process.env.SESSION_STREAM_LIMIT) || 3;
+  const open = sessionStreams.get(sessionId) || 0;
+  if (open >= limit) {
+    return res.status(429).json({
+      success: false,
+      error: "Too many open streams for this session",
+    });
+  }
+  sessionStreams.set(sessionId, open + 1);
+
+  const matches = (event) =>
+    event.type.startsWith("message.") &&
+    event.data &&
+    event.data.sessionId === sessionId;
+
+  openEventStream(req, res, matches, {
+    onSent: (event) => {
+      if (
+        event.type === "message.created" &&
+        event.data.direction === "to_survivor"
+      ) {
+        markDelivered({ _id: event.data.messageId }).catch((error) =>
+          console.error("Delivery receipt failed:", error.message)
+        );
+      }
+    },
+    onClose: () => {
+      const remaining = sessionStreams.get(sessionId) - 1;
+      if (remaining > 0) sessionStreams.set(sessionId, remaining);
+      else sessionStreams.delete(sessionId);
+    },
+  });
+};
+
+module.exports = {
+  streamSOSEvents,
+  streamSessionMessages,
+};
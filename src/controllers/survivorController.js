@@ -0,0 +1,147 @@
+const mongoose = require("mongoose");
+const SOS = require("../models/SOS");
+const { submitFollowUp, MAX_FOLLOW_UPS } = require("../services/sosIntake");
+const { discardUploads } = require("../middleware/upload");
+
+/**
+ * Survivor-facing endpoints. The sessionId the app generated when sending
+ * the SOS is the only credential, so responses carry no rescuer details,
+ * analysis or other survivors' data.
+ */
+
+/**
+ * Builds the limited view of an SOS a survivor may see.
+ * Reports linked as duplicates show the progress of the parent case.
+ * @param {object} sos - SOS document (duplicateOf populated)
+ * @returns {object}
+ */
+const toSurvivorView = (sos) => {
+  const rescueCase = sos.duplicateOf || sos;
+
+  return {
+    sosId: sos._id,
+    sosType: sos.sosType,
+    status: rescueCase.status,
+    assigned: Boolean(rescueCase.assignedTo),
+    eta: rescueCase.eta || null,
+    linkedToEarlierReport: Boolean(sos.duplicateOf),
+    receivedAt: sos.receivedAt,
+    updatedAt: rescueCase.updatedAt,
+    followUps: sos.followUps.map((followUp) => ({
+      id: followUp._id,
+      messageType: followUp.messageType,
+      status: followUp.status,
+      receivedAt: followUp.receivedAt,
+    })),
+  };
+};
+
+/**
+ * Get the SOS sent from a session
+ * GET /api/sos/session/:sessionId
+ */
+const getSessionSOS = async (req, res) => {
+  try {
+    const sosCases = await SOS.find({ sessionId: req.params.sessionId })
+      .select(
+        "sosType status assignedTo eta duplicateOf followUps receivedAt updatedAt"
+      )
+      .populate("duplicateOf", "status assignedTo eta updatedAt")
+      .sort({ receivedAt: -1 })
+      .limit(20);
+
+    if (sosCases.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No SOS found for this session",
+      });
+    }
+
+    res.json({
+      success: true,
+      count: sosCases.length,
+      data: sosCases.map(toSurvivorView),
+    });
+  } catch (error) {
+    console.error("Get session SOS error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch SOS status",
+    });
+  }
+};
+
+/**
+ * Add a text or voice follow-up to an SOS from the same session
+ * POST /api/sos/session/:sessionId/:id/followups
+ * (JSON { message } or multipart with an "audio" file)
+ */
+const addFollowUp = async (req, res) => {
+  try {
+    const { sessionId, id } = req.params;
+    const audioFile = req.file;
+    const message = req.body && req.body.message;
+
+    if (message !== undefined && typeof message !== "string") {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: "Message must be a string",
+      });
+    }
+
+    if (!audioFile && (!message || message.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "A message or an audio file is required",
+      });
+    }
+
+    const sos = mongoose.isValidObjectId(id)
+      ? await SOS.findOne({ _id: id, sessionId })
+      : null;
+
+    if (!sos) {
+      discardUploads(req);
+      return res.status(404).json({
+        success: false,
+        error: "SOS not found",
+      });
+    }
+
+    if (sos.followUps.length >= MAX_FOLLOW_UPS) {
+      discardUploads(req);
+      return res.status(429).json({
+        success: false,
+        error: "Too many follow-ups on this SOS",
+      });
+    }
+
+    const { followUp, status } = await submitFollowUp(
+      sos,
+      audioFile
+        ? { messageType: "voice", voiceFileUrl: audioFile.path }
+        : { messageType: "text", text: message.trim() },
+      { analyzeNow: !(req.rateLimitFlags && req.rateLimitFlags.length) }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Follow-up received",
+      sosId: sos._id,
+      followUpId: followUp._id,
+      status,
+    });
+  } catch (error) {
+    console.error("Add follow-up error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add follow-up",
+    });
+  }
+};
+
+module.exports = {
+  getSessionSOS,
+  addFollowUp,
+};
@@ -0,0 +1,466 @@
+const mongoose = require("mongoose");
+const TriageRule = require("../models/TriageRule");
+const TriageRuleRevision = require("../models/TriageRuleRevision");
+const {
+  validateRule,
+  buildRuleset,
+  evaluateRules,
+  getRuleset,
+  refreshRules,
+  recordRevision,
+} = require("../services/triageRuleService");
+const { normalizeLanguageCode } = require("../services/languageService");
+const { DISPATCH_ROLES } = require("../config/roles");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "language",
+  "patternType",
+  "patterns",
+  "negatable",
+  "urgency",
+  "weight",
+  "active",
+];
+
+const MAX_DRAFT_RULES = 20;
+
+/**
+ * Picks the editable fields of a request body
+ * @param {object} body - Request body
+ * @returns {object}
+ */
+const pickRuleFields = (body) =>
+  EDITABLE_FIELDS.reduce((values, field) => {
+    if (body[field] !== undefined) values[field] = body[field];
+    return values;
+  }, {});
+
+/**
+ * Validates rule fields, on their own or merged into an existing rule
+ * @param {object} values - Fields from the request
+ * @param {object} existing - Current rule (PATCH)
+ * @returns {{values: object, errors: string[]}}
+ */
+const parseRule = (values, existing = {}) => {
+  if (values.language !== undefined) {
+    values.language = normalizeLanguageCode(values.language) || values.language;
+  }
+  const errors = validateRule({ ...existing, ...values });
+  return { values, errors };
+};
+
+/**
+ * Loads a rule by id
+ * @param {string} id - Rule id
+ * @returns {Promise<object|null>}
+ */
+const findRule = (id) =>
+  mongoose.isValidObjectId(id) ? TriageRule.findById(id) : null;
+
+/**
+ * Reloads the ruleset after an edit so it applies right away on this
+ * instance (others pick it up on their next refresh)
+ */
+const reloadRules = () =>
+  refreshRules().catch((error) => {
+    console.error("❌ Triage rule reload failed:", error.message);
+  });
+
+/**
+ * Create a triage rule
+ * POST /api/triage-rules
+ */
+const createTriageRule = async (req, res) => {
+  try {
+    const { values, errors } = parseRule(pickRuleFields(req.body));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const rule = await TriageRule.create({
+      ...values,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await recordRevision(rule, "created", req.user._id);
+    await reloadRules();
+
+    console.log(`📐 Triage rule "${rule.name}" created`);
+
+    res.status(201).json({
+      success: true,
+      message: "Triage rule created",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Create triage rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create triage rule",
+    });
+  }
+};
+
+/**
+ * List triage rules, with the ruleset currently in use
+ * GET /api/triage-rules?active=true&language=es&urgency=CRITICAL
+ */
+const getAllTriageRules = async (req, res) => {
+  try {
+    const { active, language, urgency } = req.query;
+
+    const filter = {};
+    if (active !== undefined) filter.active = active === "true";
+    if (language) filter.language = normalizeLanguageCode(language);
+    if (urgency) filter.urgency = urgency;
+
+    const rules = await TriageRule.find(filter).sort({
+      language: 1,
+      urgency: 1,
+      name: 1,
+    });
+    const ruleset = getRuleset();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      ruleset: {
+        version: ruleset.version,
+        rules: ruleset.rules.length,
+        loadedAt: ruleset.loadedAt,
+      },
+      data: rules,
+    });
+  } catch (error) {
+    console.error("Get triage rules error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch triage rules",
+    });
+  }
+};
+
+/**
+ * Get a triage rule
+ * GET /api/triage-rules/:id
+ */
+const getTriageRuleById = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Triage rule not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Get triage rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch triage rule",
+    });
+  }
+};
+
+/**
+ * Update a triage rule. Send the version you edited to avoid overwriting
+ * someone else's change (409 if the rule changed since).
+ * PATCH /api/triage-rules/:id
+ */
+const updateTriageRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Triage rule not found",
+      });
+    }
+
+    const { values, errors } = parseRule(
+      pickRuleFields(req.body),
+      rule.toObject()
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const expectedVersion =
+      req.body.version !== undefined ? Number(req.body.version) : rule.version;
+
+    const updated = await TriageRule.findOneAndUpdate(
+      { _id: rule._id, version: expectedVersion },
+      {
+        $set: { ...values, updatedBy: req.user._id },
+        $inc: { version: 1 },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error:
+          "Triage rule was changed by someone else; reload it and try again",
+        currentVersion: (await TriageRule.findById(rule._id)).version,
+      });
+    }
+
+    await recordRevision(updated, "updated", req.user._id);
+    await reloadRules();
+
+    console.log(
+      `📐 Triage rule "${updated.name}" updated (v${updated.version})`
+    );
+
+    res.json({
+      success: true,
+      message: "Triage rule updated successfully",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("Update triage rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update triage rule",
+    });
+  }
+};
+
+/**
+ * Delete a triage rule (its revisions are kept, so it can be restored)
+ * DELETE /api/triage-rules/:id
+ */
+const deleteTriageRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Triage rule not found",
+      });
+    }
+
+    await rule.deleteOne();
+    rule.version += 1;
+    await recordRevision(rule, "deleted", req.user._id);
+    await reloadRules();
+
+    console.log(`📐 Triage rule "${rule.name}" deleted`);
+
+    res.json({
+      success: true,
+      message: "Triage rule deleted",
+    });
+  } catch (error) {
+    console.error("Delete triage rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete triage rule",
+    });
+  }
+};
+
+/**
+ * Version history of a rule (also available after it was deleted)
+ * GET /api/triage-rules/:id/revisions
+ */
+const getTriageRuleRevisions = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Triage rule not found",
+      });
+    }
+
+    const revisions = await TriageRuleRevision.find({ rule: req.params.id })
+      .sort({ version: -1 })
+      .populate("changedBy", "name email");
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions,
+    });
+  } catch (error) {
+    console.error("Get triage rule revisions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch triage rule revisions",
+    });
+  }
+};
+
+/**
+ * Roll a rule back to an earlier version (recreates it if it was deleted).
+ * The restored content becomes a new version.
+ * POST /api/triage-rules/:id/revisions/:version/restore
+ */
+const restoreTriageRuleRevision = async (req, res) => {
+  try {
+    const revision = mongoose.isValidObjectId(req.params.id)
+      ? await TriageRuleRevision.findOne({
+          rule: req.params.id,
+          version: Number(req.params.version),
+        })
+      : null;
+
+    if (!revision || revision.action === "deleted") {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found",
+      });
+    }
+
+    const [latest] = await TriageRuleRevision.find({ rule: req.params.id })
+      .sort({ version: -1 })
+      .limit(1);
+    const values = pickRuleFields(revision.snapshot);
+
+    const rule = await TriageRule.findOneAndUpdate(
+      { _id: req.params.id },
+      {
+        $set: {
+          ...values,
+          version: latest.version + 1,
+          updatedBy: req.user._id,
+        },
+        $setOnInsert: { createdBy: req.user._id },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await recordRevision(rule, "restored", req.user._id);
+    await reloadRules();
+
+    console.log(
+      `📐 Triage rule "${rule.name}" restored to v${revision.version} (now v${rule.version})`
+    );
+
+    res.json({
+      success: true,
+      message: `Triage rule restored to version ${revision.version}`,
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Restore triage rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore triage rule",
+    });
+  }
+};
+
+/**
+ * Shows which rules would fire on a sample text, with the current ruleset
+ * and/or draft rules that are not saved yet (regex drafts: coordinators)
+ * POST /api/triage-rules/dry-run
+ * Body: { text, language?, originalText?, rules?: [draft], includeStored? }
+ */
+const dryRunTriageRules = async (req, res) => {
+  try {
+    const { text, language, originalText, rules = [] } = req.body;
+    const includeStored = req.body.includeStored !== false;
+
+    if (!text || typeof text !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "text is required",
+      });
+    }
+
+    if (!Array.isArray(rules) || rules.length > MAX_DRAFT_RULES) {
+      return res.status(400).json({
+        success: false,
+        error: `rules must be a list of at most ${MAX_DRAFT_RULES} draft rules`,
+      });
+    }
+
+    // Regexes are the only drafts that can be slow; keep them to the
+    // people who can save rules anyway
+    if (
+      !DISPATCH_ROLES.includes(req.user.role) &&
+      rules.some((draft) => draft && draft.patternType === "regex")
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Only coordinators can try regex rules",
+      });
+    }
+
+    const drafts = rules.map((draft) => parseRule(pickRuleFields(draft || {})));
+    const errors = drafts.flatMap(({ errors: draftErrors }, index) =>
+      draftErrors.map((error) => `rules[${index}]: ${error}`)
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const stored = includeStored ? getRuleset() : { rules: [], version: null };
+    const draftRuleset = buildRuleset(
+      drafts.map(({ values }, index) => ({
+        ...values,
+        name: `${values.name} (draft ${index + 1})`,
+      })),
+      "draft"
+    );
+
+    const result = evaluateRules(text, {
+      language: normalizeLanguageCode(language),
+      originalText,
+      ruleset: {
+        rules: [...stored.rules, ...draftRuleset.rules],
+        version: stored.version,
+      },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        urgency: result.urgency,
+        rulesetVersion: stored.version,
+        fired: result.fired,
+        negated: result.negated,
+      },
+    });
+  } catch (error) {
+    console.error("Triage rule dry run error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to evaluate triage rules",
+    });
+  }
+};
+
+module.exports = {
+  createTriageRule,
+  getAllTriageRules,
+  getTriageRuleById,
+  updateTriageRule,
+  deleteTriageRule,
+  getTriageRuleRevisions,
+  restoreTriageRuleRevision,
+  dryRunTriageRules,
+};
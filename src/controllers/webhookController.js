@@ -0,0 +1,370 @@
+const mongoose = require("mongoose");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  SUPPORTED_EVENTS,
+  DEFAULT_EVENTS,
+  generateSecret,
+  createReplay,
+} = require("../services/webhookService");
+const { enqueueWebhookDelivery } = require("../workers/webhookWorker");
+const { URGENCY_LEVELS } = require("../services/validationService");
+const { parseBBox } = require("../services/geoService");
+
+/**
+ * Validates and normalizes subscription fields
+ * @param {object} body - Request body
+ * @param {boolean} partial - PATCH (fields optional)
+ * @returns {{values: object, errors: string[]}}
+ */
+const parseSubscription = (body, partial = false) => {
+  const errors = [];
+  const values = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name) errors.push("Name is required");
+    else values.name = body.name;
+  }
+
+  if (body.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      errors.push("url must be an http(s) URL");
+    } else {
+      values.url = url.toString();
+    }
+  }
+
+  if (body.events !== undefined) {
+    const events = Array.isArray(body.events) ? body.events : [];
+    const unknown = events.filter((event) => !SUPPORTED_EVENTS.includes(event));
+    if (events.length === 0 || unknown.length > 0) {
+      errors.push(
+        `events must be a non-empty list of: ${SUPPORTED_EVENTS.join(", ")}`
+      );
+    } else {
+      values.events = events;
+    }
+  }
+
+  if (body.filters !== undefined) {
+    const filters = body.filters || {};
+    values.filters = {};
+
+    if (filters.urgency) {
+      const urgency = [].concat(filters.urgency);
+      if (urgency.some((level) => !URGENCY_LEVELS.includes(level))) {
+        errors.push(
+          `filters.urgency must contain: ${URGENCY_LEVELS.join(", ")}`
+        );
+      }
+      values.filters.urgency = urgency;
+    }
+
+    if (filters.eventType) {
+      values.filters.eventType = [].concat(filters.eventType);
+    }
+
+    if (filters.bbox) {
+      try {
+        const bbox = parseBBox(
+          Array.isArray(filters.bbox) ? filters.bbox.join(",") : filters.bbox
+        );
+        values.filters.bbox = [
+          bbox.minLng,
+          bbox.minLat,
+          bbox.maxLng,
+          bbox.maxLat,
+        ];
+      } catch (error) {
+        errors.push(`filters.bbox: ${error.message}`);
+      }
+    }
+  }
+
+  if (body.active !== undefined) {
+    values.active = Boolean(body.active);
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Loads a subscription by id
+ * @param {string} id - Subscription id
+ * @returns {Promise<object|null>}
+ */
+const findSubscription = (id) =>
+  mongoose.isValidObjectId(id) ? WebhookSubscription.findById(id) : null;
+
+/**
+ * Register a partner webhook. The signing secret is only returned here.
+ * POST /api/webhooks
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { values, errors } = parseSubscription(req.body);
+    if (req.body.secret && String(req.body.secret).length < 16) {
+      errors.push("secret must be at least 16 characters long");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const secret = req.body.secret || generateSecret();
+    const subscription = await WebhookSubscription.create({
+      events: DEFAULT_EVENTS,
+      ...values,
+      secret,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook registered",
+      data: subscription,
+      secret,
+    });
+  } catch (error) {
+    console.error("Create webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register webhook",
+    });
+  }
+};
+
+/**
+ * List webhooks
+ * GET /api/webhooks
+ */
+const getAllWebhooks = async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions,
+    });
+  } catch (error) {
+    console.error("Get webhooks error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhooks",
+    });
+  }
+};
+
+/**
+ * Get a webhook
+ * GET /api/webhooks/:id
+ */
+const getWebhookById = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    console.error("Get webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhook",
+    });
+  }
+};
+
+/**
+ * Update a webhook ({ rotateSecret: true } issues a new secret)
+ * PATCH /api/webhooks/:id
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const { values, errors } = parseSubscription(req.body, true);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+
+    let secret;
+    if (req.body.rotateSecret) {
+      secret = generateSecret();
+      subscription.secret = secret;
+    }
+
+    subscription.set(values);
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: subscription,
+      ...(secret && { secret }),
+    });
+  } catch (error) {
+    console.error("Update webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update webhook",
+    });
+  }
+};
+
+/**
+ * Delete a webhook (its delivery log is kept)
+ * DELETE /api/webhooks/:id
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+
+    await subscription.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Webhook deleted",
+    });
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook",
+    });
+  }
+};
+
+/**
+ * Delivery log of a webhook
+ * GET /api/webhooks/:id/deliveries?status=failed&limit=50&skip=0
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, limit = 50, skip = 0 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+
+    const filter = { subscription: req.params.id };
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip)),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      total,
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error("Get webhook deliveries error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch deliveries",
+    });
+  }
+};
+
+/**
+ * Send an earlier delivery again (same payload, new delivery id)
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ */
+const replayWebhookDelivery = async (req, res) => {
+  try {
+    const original = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findById(req.params.deliveryId)
+      : null;
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      });
+    }
+
+    const subscription = await WebhookSubscription.exists({
+      _id: original.subscription,
+      active: true,
+    });
+    if (!subscription) {
+      return res.status(409).json({
+        success: false,
+        error: "Webhook was deleted or is inactive",
+      });
+    }
+
+    const replay = await createReplay(original);
+    await enqueueWebhookDelivery(replay);
+
+    res.status(202).json({
+      success: true,
+      message: "Delivery queued",
+      data: replay,
+    });
+  } catch (error) {
+    console.error("Replay webhook delivery error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to replay delivery",
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getAllWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+};
@@ -0,0 +1,117 @@
+const User = require("../models/User");
+const {
+  verifyAccessToken,
+  verifyStreamTicket,
+} = require("../services/authService");
+
+/**
+ * Reads a bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Loads the active user a verified token belongs to
+ * @param {object} payload - Decoded access token or stream ticket
+ * @returns {Promise<object|null>}
+ */
+const loadUser = async (payload) => {
+  const user = await User.findById(payload.sub);
+  return user && user.active ? user : null;
+};
+
+/**
+ * Builds the authentication middleware. Sets req.user and
+ * req.authExpiresAt (when the credential stops being valid).
+ * @param {object} options - { allowStreamTicket: accept ?ticket= }
+ * @returns {Function}
+ */
+const authenticate =
+  (options = {}) =>
+  async (req, res, next) => {
+    const token = getBearerToken(req);
+    const ticket = options.allowStreamTicket ? req.query.ticket : null;
+
+    if (!token && !ticket) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      });
+    }
+
+    try {
+      const payload = token
+        ? verifyAccessToken(token)
+        : verifyStreamTicket(String(ticket));
+      const user = await loadUser(payload);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: "Account not found or disabled",
+        });
+      }
+
+      req.user = user;
+      req.authExpiresAt = new Date((payload.until || payload.exp) * 1000);
+      next();
+    } catch (error) {
+      // JsonWebTokenError / TokenExpiredError are mapped by errorHandler
+      next(error);
+    }
+  };
+
+/**
+ * Requires a valid access token
+ */
+const protect = authenticate();
+
+/**
+ * Same as protect, but also accepts a stream ticket as ?ticket= because
+ * browsers' EventSource cannot send an Authorization header. Access tokens
+ * are never read from the URL, where proxies and access logs keep them.
+ */
+const protectStream = authenticate({ allowStreamTicket: true });
+
+/**
+ * Attaches req.user when a valid token is sent; never rejects.
+ * Used on survivor submission routes, which must keep working without login.
+ */
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = (await loadUser(verifyAccessToken(token))) || undefined;
+  } catch (error) {
+    // An expired device token must not block an SOS
+  }
+  next();
+};
+
+/**
+ * Restricts a route to the given roles (use after protect)
+ * @param {string[]} roles - Allowed roles
+ * @returns {Function}
+ */
+const authorize = (roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: "You do not have permission to perform this action",
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  protectStream,
+  optionalAuth,
+  authorize,
+};
@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { discardUploads } = require("./upload");
+
+/**
+ * Idempotent submissions. A client that retries a request after a timeout
+ * sends the same Idempotency-Key header; the first successful (2xx)
+ * response is stored with a fingerprint of the request and returned again
+ * for repeats instead of creating another SOS.
+ *
+ * - same key, different body or files → 422
+ * - same key while the first request is still running → 409
+ * - failed responses are not stored, so the client can simply retry
+ *
+ * Place after upload middleware so uploaded files are part of the
+ * fingerprint.
+ *
+ * Env:
+ *  - IDEMPOTENCY_TTL_HOURS (default: 24)
+ *  - IDEMPOTENCY_LOCK_TIMEOUT_MS: after this a request that never finished
+ *    (e.g. the server restarted) no longer blocks its key (default: 300000)
+ */
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const LOCK_TIMEOUT_MS =
+  parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash equally
+ * @param {*} value - Value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * SHA-256 of an uploaded file's content
+ * @param {string} filePath - Path on disk
+ * @returns {Promise<string>}
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+
+/**
+ * Uploaded files of a request (single or multiple)
+ * @param {object} req - Express request
+ * @returns {object[]}
+ */
+const uploadedFiles = (req) =>
+  [].concat(req.file || [], Array.isArray(req.files) ? req.files : []);
+
+/**
+ * Fingerprint of what a request asks for: body and file contents
+ * @param {object} req - Express request
+ * @returns {Promise<string>}
+ */
+const fingerprintRequest = async (req) => {
+  const files = await Promise.all(
+    uploadedFiles(req).map(async (file) => ({
+      field: file.fieldname,
+      sha256: await hashFile(file.path),
+    }))
+  );
+
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify({ body: req.body || {}, files }))
+    .digest("hex");
+};
+
+/**
+ * Route and client a key is valid for
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const keyScope = (req) => {
+  const client =
+    (req.user && String(req.user._id)) ||
+    (req.body && req.body.sessionId) ||
+    req.params.sessionId ||
+    "anonymous";
+  return `${req.method} ${req.baseUrl}${req.path} ${client}`;
+};
+
+/**
+ * Claims a key for this request
+ * @param {string} key - Idempotency key
+ * @param {string} scope - Key scope
+ * @param {string} fingerprint - Request fingerprint
+ * @returns {Promise<{record: object, existing: object|null}>}
+ */
+const claimKey = async (key, scope, fingerprint) => {
+  const now = new Date();
+  const values = {
+    key,
+    scope,
+    fingerprint,
+    status: "processing",
+    expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000),
+  };
+
+  try {
+    return { record: await IdempotencyKey.create(values), existing: null };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ key, scope });
+
+  // Expired, or abandoned by a request that never finished
+  const takeOver =
+    existing &&
+    (existing.expiresAt <= now ||
+      (existing.status === "processing" &&
+        existing.updatedAt < new Date(now.getTime() - LOCK_TIMEOUT_MS)));
+
+  if (takeOver) {
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      {
+        $set: values,
+        $unset: { responseStatus: 1, responseBody: 1, sos: 1, completedAt: 1 },
+      },
+      { new: true }
+    );
+    if (record) return { record, existing: null };
+  }
+
+  return { record: null, existing };
+};
+
+/**
+ * Idempotency-Key middleware for submission routes
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    discardUploads(req);
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  let claim;
+  try {
+    const fingerprint = await fingerprintRequest(req);
+    claim = await claimKey(key, keyScope(req), fingerprint);
+
+    const { existing } = claim;
+    if (existing) {
+      discardUploads(req);
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error:
+            "Idempotency-Key was already used for a different request; use a new key",
+        });
+      }
+
+      if (existing.status === "processing") {
+        res.set("Retry-After", "5");
+        return res.status(409).json({
+          success: false,
+          error: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      console.log(`🔁 Replaying response for Idempotency-Key ${key}`);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Store the response before sending it, so a retry arriving right after
+  // the response finds the completed record
+  const { record } = claim;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored =
+      res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody: body,
+              sos: body && body.sosId,
+              completedAt: new Date(),
+            }
+          )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+    stored
+      .catch((error) => {
+        console.error(`Failed to store Idempotency-Key ${key}:`, error.message);
+      })
+      .finally(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+};
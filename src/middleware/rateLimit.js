@@ -0,0 +1,220 @@
+const { getRateLimits } = require("../config/rateLimits");
+const { discardUploads } = require("./upload");
+
+/**
+ * Rate limiting for SOS submission routes (policies in config/rateLimits).
+ *
+ * Counters are fixed windows kept in memory, like the event bus; with
+ * several API instances each one enforces the limits on its own traffic.
+ * Flagged submissions carry the exceeded scopes in req.rateLimitFlags.
+ * A batch counts each of its items as one submission.
+ * Channels that are not plain HTTP submissions (SMS webhooks) build their
+ * own keys and call checkRateLimits.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const counters = new Map(); // "scope:key" => { count, resetAt }
+
+// Drop finished windows so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  counters.forEach((entry, key) => {
+    if (entry.resetAt <= now) counters.delete(key);
+  });
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Counts a request against a window
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time (ms)
+ * @returns {object} - { count, resetAt }
+ */
+const hit = (key, windowMs, now) => {
+  let entry = counters.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    counters.set(key, entry);
+  }
+  entry.count += 1;
+  return entry;
+};
+
+/**
+ * Reads the reported location (multipart requests send it as JSON text)
+ * @param {object} body - Request body
+ * @returns {object|null} - { latitude, longitude }
+ */
+const reportedLocation = (body) => {
+  let location = body && body.location;
+  if (typeof location === "string") {
+    try {
+      location = JSON.parse(location);
+    } catch (error) {
+      return null;
+    }
+  }
+  return location &&
+    Number.isFinite(Number(location.latitude)) &&
+    Number.isFinite(Number(location.longitude))
+    ? location
+    : null;
+};
+
+/**
+ * Map cell of a location for the area policy
+ * @param {object} location - { latitude, longitude }
+ * @param {object} policy - Area policy
+ * @returns {string}
+ */
+const areaKey = (location, policy) =>
+  [
+    Math.floor(Number(location.latitude) / policy.cellDegrees),
+    Math.floor(Number(location.longitude) / policy.cellDegrees),
+  ].join(",");
+
+/**
+ * Builds the counter key of each scope for a submission
+ * @param {object} req - Express request
+ * @param {object} policies - Map of scope => policy
+ * @param {object} submission - Fields of the submission (default: the body;
+ *   a batch item for batches)
+ * @returns {object} - Map of scope => key (scopes without a key are skipped)
+ */
+const scopeKeys = (req, policies, submission = req.body || {}) => {
+  const body = req.body || {};
+  const keys = {};
+
+  const session =
+    (req.user && String(req.user._id)) ||
+    submission.sessionId ||
+    body.sessionId ||
+    req.params.sessionId;
+  if (session) keys.session = session;
+
+  if (req.ip) keys.ip = req.ip;
+
+  const location = reportedLocation(submission);
+  if (location && policies.area) {
+    keys.area = areaKey(location, policies.area);
+  }
+
+  return keys;
+};
+
+/**
+ * Counts a submission against each scope's policy
+ * @param {object} keys - Map of scope => counter key
+ * @param {object} policies - Map of scope => policy
+ * @returns {object} - { flags: exceeded "flag" scopes, retryAfterMs: > 0
+ *   when a "reject" policy was exceeded }
+ */
+const checkRateLimits = (keys, policies) => {
+  const now = Date.now();
+  const flags = [];
+  let retryAfterMs = 0;
+
+  Object.entries(keys).forEach(([scope, key]) => {
+    const policy = policies[scope];
+    if (!policy) return;
+
+    const entry = hit(`${scope}:${key}`, policy.windowMs, now);
+    if (entry.count <= policy.max) return;
+
+    console.warn(`🚦 Rate limit exceeded (${scope} ${key}): ${policy.action}`);
+    if (policy.action === "reject") {
+      retryAfterMs = Math.max(retryAfterMs, entry.resetAt - now);
+    } else {
+      flags.push(scope);
+    }
+  });
+
+  return { flags, retryAfterMs };
+};
+
+/**
+ * Answers 429 for a submission a reject policy refused
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {number} retryAfterMs - Time until the window resets
+ */
+const rejectSubmission = (req, res, retryAfterMs) => {
+  discardUploads(req);
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error:
+      "Too many SOS submissions. If you already sent an SOS, send updates to it instead.",
+    retryAfter,
+  });
+};
+
+/**
+ * Reads the items of a batch (multipart requests send them as JSON text)
+ * @param {object} body - Request body
+ * @returns {object[]|null}
+ */
+const batchItems = (body) => {
+  let items = body && body.items;
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      return null;
+    }
+  }
+  return Array.isArray(items) ? items : null;
+};
+
+/**
+ * Rate limit middleware for submission routes. Place after upload
+ * middleware (multipart fields are needed for the session and area) and
+ * after idempotency, so replayed retries do not count.
+ */
+const rateLimitSubmissions = (req, res, next) => {
+  const policies = getRateLimits();
+  const { flags, retryAfterMs } = checkRateLimits(
+    scopeKeys(req, policies),
+    policies
+  );
+
+  if (retryAfterMs > 0) return rejectSubmission(req, res, retryAfterMs);
+
+  req.rateLimitFlags = flags;
+  next();
+};
+
+/**
+ * Rate limit middleware for POST /api/sos/batch. Every item counts as one
+ * submission against its own session and area, so a batch cannot get past
+ * the limits. Flags are kept per item in req.itemRateLimitFlags (by index).
+ * A body without an items array counts once (the controller rejects it).
+ */
+const rateLimitBatch = (req, res, next) => {
+  const items = batchItems(req.body);
+  if (!items) return rateLimitSubmissions(req, res, next);
+
+  const policies = getRateLimits();
+  let retryAfterMs = 0;
+
+  req.itemRateLimitFlags = items.map((item) => {
+    const result = checkRateLimits(
+      scopeKeys(req, policies, item && typeof item === "object" ? item : {}),
+      policies
+    );
+    retryAfterMs = Math.max(retryAfterMs, result.retryAfterMs);
+    return result.flags;
+  });
+
+  if (retryAfterMs > 0) return rejectSubmission(req, res, retryAfterMs);
+  next();
+};
+
+module.exports = {
+  areaKey,
+  checkRateLimits,
+  rateLimitSubmissions,
+  rateLimitBatch,
+};
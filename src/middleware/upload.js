@@ -126,7 +126,7 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     // Generate unique filename: sessionId_timestamp_originalname
-    const sessionId = req.body.sessionId || "unknown";
+    const sessionId = req.body.sessionId || req.params.sessionId || "unknown";
     const timestamp = Date.now();
     const ext = path.extname(file.originalname);
     const filename = `${sessionId}_${timestamp}${ext}`;
@@ -193,6 +193,16 @@ const uploadPhoto = multer({
   },
 }).single("photo");
 
+// Offline batch sync: any number of audio parts, named by the items
+const uploadBatchAudio = multer({
+  storage: storage,
+  fileFilter: audioFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+    files: parseInt(process.env.SOS_BATCH_MAX_ITEMS) || 50,
+  },
+}).any();
+
 // Wrapper to handle multer errors
 const handleUpload = (uploadFunction) => {
   return (req, res, next) => {
@@ -221,7 +231,24 @@ const handleUpload = (uploadFunction) => {
   };
 };
 
+/**
+ * Removes the uploaded files of a request that will not be processed
+ * (rejected, or answered from an earlier identical request)
+ * @param {object} req - Express request
+ */
+const discardUploads = (req) => {
+  []
+    .concat(req.file || [], Array.isArray(req.files) ? req.files : [])
+    .forEach((file) =>
+      fs.promises.unlink(file.path).catch((error) => {
+        console.error("Failed to remove upload:", error.message);
+      })
+    );
+};
+
 module.exports = {
   uploadAudio: handleUpload(uploadAudio),
   uploadPhoto: handleUpload(uploadPhoto),
+  uploadBatchAudio: handleUpload(uploadBatchAudio),
+  discardUploads,
 };
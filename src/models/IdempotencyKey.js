@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Idempotency-Key header sent by the client
+    key: {
+      type: String,
+      required: true,
+    },
+
+    // Route and client the key belongs to, e.g. "POST /api/sos/text session-1"
+    scope: {
+      type: String,
+      required: true,
+    },
+
+    // Hash of the request body and uploaded files
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+
+    // Stored response, returned again for repeats
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    sos: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SOS",
+    },
+
+    completedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+const incidentSchema = new mongoose.Schema(
+  {
+    // Identity
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    incidentType: {
+      type: String,
+      default: "Unknown", // e.g. building collapse, flood, fire
+    },
+
+    // Status Tracking
+    status: {
+      type: String,
+      enum: ["active", "contained", "closed"],
+      default: "active",
+    },
+
+    // Location & Area
+    location: {
+      latitude: {
+        type: Number,
+        required: true,
+      },
+      longitude: {
+        type: Number,
+        required: true,
+      },
+      point: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number], // [longitude, latitude]
+          default: undefined,
+        },
+      },
+    },
+    area: {
+      type: {
+        type: String,
+        enum: ["Polygon"],
+      },
+      coordinates: {
+        type: [[[Number]]],
+        default: undefined,
+      },
+    },
+    radiusMeters: Number,
+
+    // Command
+    commander: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Free-text commander from before accounts existed (see
+    // migrate:assignees)
+    legacyCommander: String,
+    notes: String,
+
+    // Timestamps
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+incidentSchema.index({ status: 1, openedAt: -1 });
+incidentSchema.index({ "location.point": "2dsphere" });
+
+// Keep the GeoJSON point in sync with latitude/longitude
+incidentSchema.pre("validate", function (next) {
+  if (
+    this.location &&
+    typeof this.location.latitude === "number" &&
+    typeof this.location.longitude === "number"
+  ) {
+    this.location.point = {
+      type: "Point",
+      coordinates: [this.location.longitude, this.location.latitude],
+    };
+  }
+  next();
+});
+
+module.exports = mongoose.model("Incident", incidentSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    // Handler name, e.g. "sos.process-voice"
+    type: {
+      type: String,
+      required: true,
+    },
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Document the job works on (used to find orphaned SOS records)
+    refId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "dead"],
+      default: "queued",
+    },
+
+    // Retry Tracking
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    failures: [
+      {
+        attempt: Number,
+        message: String,
+        at: Date,
+      },
+    ],
+
+    // Lease held by the worker currently running the job
+    lockedAt: Date,
+    lockedBy: String,
+
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for claiming and lease recovery
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+
+module.exports = mongoose.model("Job", jobSchema);
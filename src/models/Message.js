@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    // Thread
+    sos: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SOS",
+      required: true,
+    },
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["to_survivor", "from_survivor"],
+      required: true,
+    },
+
+    // Rescuer who wrote a message to the survivor
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    senderName: String,
+
+    // Content
+    messageType: {
+      type: String,
+      enum: ["text", "voice"],
+      default: "text",
+    },
+    text: String, // Message text, or transcript of a voice reply
+    voiceFileUrl: String,
+    transcriptionStatus: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+    },
+
+    // Receipts (set by the recipient's side)
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for thread views and survivor polling
+messageSchema.index({ sos: 1, createdAt: 1 });
+messageSchema.index({ sessionId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -1,4 +1,163 @@
 const mongoose = require("mongoose");
+const { computeTriage, waitingSince } = require("../services/triageService");
+
+// Additional information a survivor sends after the original SOS
+const followUpSchema = new mongoose.Schema({
+  messageType: {
+    type: String,
+    enum: ["text", "voice"],
+    required: true,
+  },
+  text: String, // Message text, or transcript of a voice follow-up
+  voiceFileUrl: String,
+  smsMessageId: String, // Gateway message id of an SMS follow-up (dedup)
+  language: String, // ISO 639-1 code of the text
+  translation: String, // Text in the analysis language, if it differs
+  status: {
+    type: String,
+    enum: ["processing", "processed", "failed"],
+    default: "processing",
+  },
+  // Urgency of the case re-analyzed with this message included
+  urgency: {
+    type: String,
+    enum: ["CRITICAL", "HIGH", "MEDIUM", "LOW"],
+  },
+  escalated: {
+    type: Boolean,
+    default: false,
+  },
+  processingErrors: [String],
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: Date,
+});
+
+// A triage rule that matched the message (see services/triageRuleService)
+const ruleMatchSchema = new mongoose.Schema(
+  {
+    rule: String,
+    name: String,
+    version: Number,
+    urgency: String,
+    weight: Number,
+    pattern: String,
+    match: String,
+  },
+  { _id: false }
+);
+
+// How an analysis was produced, for reviewers asking why a case got its
+// urgency (GET /api/sos/:id/analysis)
+const analysisTraceSchema = new mongoose.Schema(
+  {
+    followUp: mongoose.Schema.Types.ObjectId, // Follow-up re-analyses only
+    analyzedAt: Date,
+
+    // Model call
+    provider: String,
+    model: String,
+    modelVersion: String, // As reported by the API
+    promptVersion: String,
+    promptHash: String,
+    rawResponse: String,
+    usage: {
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+    },
+    attempts: [
+      {
+        _id: false,
+        provider: String,
+        model: String,
+        ok: Boolean,
+        error: String,
+        durationMs: Number,
+        rawResponse: String,
+        parseError: String,
+      },
+    ],
+    error: String, // Every provider failed
+
+    // Input
+    language: String,
+    translated: Boolean,
+
+    // Validation
+    rules: {
+      rulesetVersion: String,
+      fired: [ruleMatchSchema],
+      negated: [ruleMatchSchema],
+    },
+    originalUrgency: String, // As rated by the model
+    adjustedUrgency: String, // After validation
+    finalUrgency: String, // Stored on the case
+    hasCriticalKeywords: Boolean,
+    hasHighKeywords: Boolean,
+    meetsThreshold: Boolean,
+    manualReview: Boolean,
+    warnings: [String],
+  },
+  { _id: false }
+);
+
+// A reviewer's decision on a case flagged for manual review. The AI's
+// values are kept next to the reviewer's, so corrections can be exported
+// as labeled data (GET /api/review/export).
+const reviewSchema = new mongoose.Schema(
+  {
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewerName: String,
+    claimedAt: Date,
+    reviewedAt: Date,
+    durationMs: Number, // From claim to decision
+    decision: {
+      type: String,
+      enum: ["confirmed", "overridden"],
+    },
+    reason: String,
+    // What the reviewer saw
+    analysis: {
+      urgency: String,
+      eventType: String,
+      needs: [String],
+      confidence: Number,
+      provider: String,
+    },
+    // Values the reviewer changed (absent when confirmed)
+    override: {
+      urgency: String,
+      eventType: String,
+      needs: {
+        type: [String],
+        default: undefined,
+      },
+    },
+    // Whether the reviewer kept each AI value
+    agreement: {
+      urgency: Boolean,
+      eventType: Boolean,
+      needs: Boolean,
+    },
+    rulesetVersion: String,
+  },
+  { _id: false }
+);
+
+/**
+ * Coordinates are required unless the location is still pending
+ * @this {object} - SOS document
+ * @returns {boolean}
+ */
+function requiresCoordinates() {
+  return !(this.location && this.location.pending);
+}
 
 const sosSchema = new mongoose.Schema(
   {
@@ -8,6 +167,8 @@ const sosSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Id the app generated for an SOS queued offline (batch sync dedup)
+    clientId: String,
 
     // SOS Type
     sosType: {
@@ -20,14 +181,31 @@ const sosSchema = new mongoose.Schema(
     location: {
       latitude: {
         type: Number,
-        required: true,
+        required: requiresCoordinates,
       },
       longitude: {
         type: Number,
-        required: true,
+        required: requiresCoordinates,
       },
       accuracy: Number,
+      // SMS SOS whose sender has not sent a readable location yet (no
+      // coordinates until they do)
+      pending: Boolean,
+      // When the device recorded the SOS; earlier than receivedAt for SOS
+      // queued offline
       capturedAt: Date,
+      // GeoJSON mirror of latitude/longitude for geospatial queries
+      // (kept in sync by the pre-validate hook below)
+      point: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number], // [longitude, latitude]
+          default: undefined,
+        },
+      },
     },
 
     // Original Data
@@ -35,14 +213,44 @@ const sosSchema = new mongoose.Schema(
       voiceFileUrl: String,
       textMessage: String,
       photoUrl: String,
+      channel: {
+        type: String,
+        enum: ["app", "sms"],
+        default: "app",
+      },
+      // SMS: sender number (for call-backs) and gateway message id (dedup)
+      phoneNumber: {
+        type: String,
+        select: false,
+      },
+      smsMessageId: String,
     },
 
     // AI Processing Results
+    // (transcript is in the survivor's own language)
     transcript: {
       type: String,
       default: null,
     },
 
+    // Language of the survivor's words
+    language: {
+      code: String, // ISO 639-1, "und" when undetermined
+      confidence: Number,
+      source: {
+        type: String,
+        enum: ["client", "speech", "text", "translation"],
+      },
+    },
+
+    // Transcript translated into the analysis / dashboard language
+    // (ANALYSIS_LANGUAGE); absent when the survivor used that language
+    translation: {
+      language: String,
+      text: String,
+      provider: String,
+    },
+
     aiAnalysis: {
       urgency: {
         type: String,
@@ -50,15 +258,21 @@ const sosSchema = new mongoose.Schema(
         default: "MEDIUM",
       },
       summary: String,
+      sceneDescription: String, // Photo SOS: what the vision model saw
       eventType: String,
       injuryStatus: String,
       riskFactors: [String],
       needs: [String],
+      peopleCount: {
+        type: Number,
+        min: 1,
+      },
       confidence: {
         type: Number,
         min: 0,
         max: 1,
       },
+      provider: String, // Which analysis provider produced this result
     },
 
     // Validation & Safety
@@ -69,6 +283,73 @@ const sosSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Triage rules that fired, and the ruleset they came from
+      matchedRules: [ruleMatchSchema],
+      rulesetVersion: String,
+      // The capture time an offline device reported was out of range and
+      // was clamped (see batchController)
+      captureTimeAdjusted: Boolean,
+    },
+
+    // Latest analysis and follow-up re-analyses, step by step (large, so
+    // only loaded on request)
+    analysisTrace: {
+      type: analysisTraceSchema,
+      select: false,
+    },
+    followUpTraces: {
+      type: [analysisTraceSchema],
+      select: false,
+    },
+
+    // Manual review (see services/reviewService): who is reviewing the
+    // case now, and every decision made on it
+    reviewClaim: {
+      claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      claimedAt: Date,
+      expiresAt: Date,
+    },
+    reviews: [reviewSchema],
+
+    // Prank / spam likelihood (see services/spamService). High scores send
+    // the SOS to manual review; nothing is ever dropped.
+    spam: {
+      score: {
+        type: Number,
+        default: 0,
+      },
+      signals: [
+        {
+          _id: false,
+          signal: String,
+          points: Number,
+          detail: String,
+        },
+      ],
+      // Rate limit scopes the submission exceeded ("flag" policies)
+      rateLimited: [String],
+      computedAt: Date,
+    },
+
+    // Dashboard priority (see services/triageService)
+    triage: {
+      score: {
+        type: Number,
+        default: 0,
+      },
+      breakdown: [
+        {
+          _id: false,
+          factor: String,
+          points: Number,
+          detail: String,
+        },
+      ],
+      vulnerableGroups: [String],
+      computedAt: Date,
     },
 
     // Status Tracking
@@ -87,6 +368,27 @@ const sosSchema = new mongoose.Schema(
 
     processingErrors: [String],
 
+    // Survivor device account that submitted the SOS (if signed in)
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Append-only audit trail of status/assignment changes
+    statusHistory: [
+      {
+        _id: false,
+        field: { type: String, immutable: true },
+        from: { type: String, immutable: true },
+        to: { type: String, immutable: true },
+        actor: { type: String, immutable: true }, // User id or "system"
+        actorName: { type: String, immutable: true },
+        at: { type: Date, immutable: true },
+        notes: { type: String, immutable: true },
+      },
+    ],
+
     // Timestamps
     receivedAt: {
       type: Date,
@@ -95,12 +397,83 @@ const sosSchema = new mongoose.Schema(
 
     processedAt: Date,
 
+    // Duplicate Linking: children point to the earliest SOS (parent case)
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SOS",
+      default: null,
+      index: true,
+    },
+    relatedTo: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SOS",
+      },
+    ],
+    duplicateMatch: {
+      reason: {
+        type: String,
+        enum: ["session", "proximity", "transcript"],
+      },
+      score: Number,
+      distanceMeters: Number,
+      similarity: Number,
+      linkedAt: Date,
+    },
+    // Parent cases a dispatcher unlinked this SOS from (never relinked)
+    unlinkedFrom: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SOS",
+      },
+    ],
+
+    // Operational incident this SOS belongs to
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Incident",
+      default: null,
+      index: true,
+    },
+
     // Rescuer Assignment
     assignedTo: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
       default: null,
+      index: true,
     },
+    // Free-text assignee from before accounts existed (see migrate:assignees)
+    legacyAssignee: String,
     assignedAt: Date,
+    eta: Date, // Rescuer's estimated arrival, shown to the survivor
+
+    // Escalation of unattended cases (see services/escalationService)
+    escalations: [
+      {
+        _id: false,
+        step: String, // Policy step id
+        level: Number,
+        reason: String,
+        overdue: Boolean,
+        notified: [String], // Roles notified
+        at: Date,
+      },
+    ],
+    escalationLevel: {
+      type: Number,
+      default: 0,
+    },
+    escalationResetAt: Date, // Last time a rescuer took or resolved the case
+    overdue: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    overdueAt: Date,
+
+    // Survivor follow-up messages
+    followUps: [followUpSchema],
 
     // Resolution
     resolvedAt: Date,
@@ -114,11 +487,41 @@ const sosSchema = new mongoose.Schema(
 // Indexes for performance
 sosSchema.index({ status: 1, "aiAnalysis.urgency": -1 });
 sosSchema.index({ receivedAt: -1 });
-sosSchema.index({ "location.latitude": 1, "location.longitude": 1 });
+sosSchema.index({ "location.point": "2dsphere" });
+sosSchema.index({ "triage.score": -1, receivedAt: 1 });
+sosSchema.index({ "originalData.smsMessageId": 1 }, { sparse: true });
+sosSchema.index({ "followUps.smsMessageId": 1 }, { sparse: true });
+sosSchema.index({ "validationFlags.manualReview": 1, "triage.score": -1 });
+sosSchema.index({ "reviews.reviewedAt": -1 });
+sosSchema.index(
+  { sessionId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
+// Keep the GeoJSON point in sync with latitude/longitude
+sosSchema.pre("validate", function (next) {
+  if (
+    this.location &&
+    typeof this.location.latitude === "number" &&
+    typeof this.location.longitude === "number"
+  ) {
+    this.location.point = {
+      type: "Point",
+      coordinates: [this.location.longitude, this.location.latitude],
+    };
+  }
+  next();
+});
+
+// Recompute the triage score on every save
+sosSchema.pre("save", function (next) {
+  this.triage = computeTriage(this);
+  next();
+});
 
-// Virtual for time elapsed
+// Virtual for time elapsed (since capture for SOS queued offline)
 sosSchema.virtual("timeElapsed").get(function () {
-  return Date.now() - this.receivedAt.getTime();
+  return Date.now() - waitingSince(this).getTime();
 });
 
 // Method to check if SOS is stale (over 24 hours)
@@ -127,4 +530,15 @@ sosSchema.methods.isStale = function () {
   return hoursElapsed > 24;
 };
 
+// Method to recompute and store the triage score after query updates
+// (findByIdAndUpdate bypasses the save hook)
+sosSchema.methods.refreshTriage = async function () {
+  this.triage = computeTriage(this);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { triage: this.triage } }
+  );
+  return this;
+};
+
 module.exports = mongoose.model("SOS", sosSchema);
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const { PATTERN_TYPES, RULE_URGENCIES } = require("../config/triageRules");
+
+const triageRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+
+    // Language of the text the patterns are checked against (ISO 639-1)
+    language: {
+      type: String,
+      default: "en",
+    },
+
+    // What to look for
+    patternType: {
+      type: String,
+      enum: PATTERN_TYPES,
+      required: true,
+    },
+    patterns: {
+      type: [String],
+      required: true,
+    },
+    // Ignore matches preceded by "not", "no longer", ...
+    negatable: {
+      type: Boolean,
+      default: true,
+    },
+
+    // What a match calls for
+    urgency: {
+      type: String,
+      enum: RULE_URGENCIES,
+      required: true,
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 10,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Incremented on every change; past versions are kept as revisions
+    version: {
+      type: Number,
+      default: 1,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+triageRuleSchema.index({ active: 1, language: 1 });
+
+module.exports = mongoose.model("TriageRule", triageRuleSchema);
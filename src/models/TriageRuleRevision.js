@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+/**
+ * Snapshot of a triage rule after each change, so edits made during an
+ * incident can be audited and rolled back
+ */
+const triageRuleRevisionSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TriageRule",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["created", "updated", "deleted", "restored"],
+      required: true,
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+triageRuleRevisionSchema.index({ rule: 1, version: -1 });
+
+module.exports = mongoose.model("TriageRuleRevision", triageRuleRevisionSchema);
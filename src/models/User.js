@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { ROLES } = require("../config/roles");
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const userSchema = new mongoose.Schema(
+  {
+    // Identity
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      unique: true,
+      sparse: true, // Survivor devices have no email
+    },
+    deviceId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    // Credentials
+    passwordHash: {
+      type: String,
+      select: false,
+    },
+    // Bumped on logout / password change to revoke refresh tokens
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // Access
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      required: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastLoginAt: Date,
+
+    // Set only on the admin created by POST /api/auth/bootstrap. The unique
+    // index lets one bootstrap succeed when several requests race.
+    bootstrap: {
+      type: Boolean,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Never expose credentials
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    delete ret.bootstrap;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Method to hash and store a password (scrypt with random salt)
+userSchema.methods.setPassword = function (password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto
+    .scryptSync(password, salt, SCRYPT_KEY_LENGTH)
+    .toString("hex");
+  this.passwordHash = `${salt}:${hash}`;
+};
+
+// Method to check a password against the stored hash
+userSchema.methods.verifyPassword = function (password) {
+  if (!this.passwordHash || typeof password !== "string" || !password) {
+    return false;
+  }
+
+  const [salt, hash] = this.passwordHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+    },
+
+    // Event being delivered
+    eventId: String,
+    eventType: {
+      type: String,
+      required: true,
+    },
+    sos: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SOS",
+    },
+    payload: mongoose.Schema.Types.Mixed, // Exact body sent
+
+    // Delivery state
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: [
+      {
+        _id: false,
+        at: Date,
+        statusCode: Number,
+        error: String,
+        durationMs: Number,
+      },
+    ],
+    deliveredAt: Date,
+
+    // Set on deliveries created by the replay endpoint
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
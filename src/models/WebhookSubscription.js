@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    // Partner
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    // HMAC-SHA256 signing key; only returned when the subscription is created
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Which events to deliver
+    events: {
+      type: [String],
+      default: undefined,
+    },
+    filters: {
+      urgency: [String],
+      eventType: [String],
+      bbox: {
+        type: [Number], // [minLng, minLat, maxLng, maxLat]
+        default: undefined,
+      },
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Delivery health
+    lastDeliveryAt: Date,
+    lastFailureAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const {
+  bootstrapAdmin,
+  login,
+  registerDevice,
+  refresh,
+  logout,
+  getMe,
+  createStreamTicket,
+  createUser,
+  getAllUsers,
+  updateUser,
+} = require("../controllers/authController");
+const { protect, authorize } = require("../middleware/auth");
+const { ROLES, STAFF_ROLES } = require("../config/roles");
+
+// Session Routes
+router.post("/bootstrap", bootstrapAdmin);
+router.post("/login", login);
+router.post("/device", registerDevice);
+router.post("/refresh", refresh);
+router.post("/logout", protect, logout);
+router.get("/me", protect, getMe);
+router.post(
+  "/stream-ticket",
+  protect,
+  authorize(STAFF_ROLES),
+  createStreamTicket
+);
+
+// Account Management Routes (admin only)
+router.post("/users", protect, authorize([ROLES.ADMIN]), createUser);
+router.get("/users", protect, authorize([ROLES.ADMIN]), getAllUsers);
+router.patch("/users/:id", protect, authorize([ROLES.ADMIN]), updateUser);
+
+module.exports = router;
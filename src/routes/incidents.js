@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createIncident,
+  getAllIncidents,
+  getIncidentById,
+  updateIncident,
+  deleteIncident,
+  linkSOSToIncident,
+  unlinkSOSFromIncident,
+  getIncidentStats,
+} = require("../controllers/incidentController");
+const { protect, authorize } = require("../middleware/auth");
+const { STAFF_ROLES, DISPATCH_ROLES } = require("../config/roles");
+
+const staffOnly = authorize(STAFF_ROLES);
+const dispatchOnly = authorize(DISPATCH_ROLES);
+
+// Every incident route needs an account
+router.use(protect);
+
+// Incident CRUD
+router.post("/", dispatchOnly, createIncident);
+router.get("/", staffOnly, getAllIncidents);
+router.get("/:id", staffOnly, getIncidentById);
+router.patch("/:id", dispatchOnly, updateIncident);
+router.delete("/:id", dispatchOnly, deleteIncident);
+
+// Linked SOS & rollups
+router.get("/:id/stats", staffOnly, getIncidentStats);
+router.post("/:id/sos", dispatchOnly, linkSOSToIncident);
+router.delete("/:id/sos/:sosId", dispatchOnly, unlinkSOSFromIncident);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReviewQueue,
+  claimReviewItem,
+  releaseReviewItem,
+  decideReviewItem,
+  getReviewStats,
+  exportReviewLabels,
+} = require("../controllers/reviewController");
+const { protect, authorize } = require("../middleware/auth");
+const { STAFF_ROLES, DISPATCH_ROLES } = require("../config/roles");
+
+const staffOnly = authorize(STAFF_ROLES);
+const dispatchOnly = authorize(DISPATCH_ROLES);
+
+// Every review route needs an account
+router.use(protect);
+
+// Reporting (before the :id routes)
+router.get("/stats", dispatchOnly, getReviewStats);
+router.get("/export", dispatchOnly, exportReviewLabels);
+
+// Queue and decisions
+router.get("/", staffOnly, getReviewQueue);
+router.post("/:id/claim", staffOnly, claimReviewItem);
+router.post("/:id/release", staffOnly, releaseReviewItem);
+router.post("/:id/decision", staffOnly, decideReviewItem);
+
+module.exports = router;
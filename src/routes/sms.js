@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const { receiveSMS } = require("../controllers/smsController");
+
+// Flat form fields: Twilio's signature covers each field name and value
+// as sent, so bracketed names must not be nested
+router.use(express.json());
+router.use(express.urlencoded({ extended: false }));
+
+// Gateway webhooks (authenticated by gateway signature or token)
+router.post("/inbound/:gateway", receiveSMS);
+
+module.exports = router;
@@ -3,23 +3,122 @@ const router = express.Router();
 const {
   createVoiceSOS,
   createTextSOS,
+  createPhotoSOS,
   getAllSOS,
+  exportSOS,
   getSOSById,
   updateSOSStatus,
+  getSOSHistory,
+  getSOSAnalysis,
+  unlinkDuplicateSOS,
   getSOSStats,
 } = require("../controllers/sosController");
-const { uploadAudio, uploadPhoto } = require("../middleware/upload");
+const {
+  streamSOSEvents,
+  streamSessionMessages,
+} = require("../controllers/streamController");
+const {
+  getSOSMessages,
+  sendSOSMessage,
+  markSOSMessagesRead,
+  getSessionMessages,
+  sendSessionMessage,
+  markSessionMessagesRead,
+} = require("../controllers/messageController");
+const {
+  getSessionSOS,
+  addFollowUp,
+} = require("../controllers/survivorController");
+const { createBatchSOS } = require("../controllers/batchController");
+const {
+  uploadAudio,
+  uploadPhoto,
+  uploadBatchAudio,
+} = require("../middleware/upload");
+const {
+  protect,
+  protectStream,
+  optionalAuth,
+  authorize,
+} = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const {
+  rateLimitSubmissions,
+  rateLimitBatch,
+} = require("../middleware/rateLimit");
+const { STAFF_ROLES, DISPATCH_ROLES } = require("../config/roles");
+
+const staffOnly = [protect, authorize(STAFF_ROLES)];
+const dispatchOnly = [protect, authorize(DISPATCH_ROLES)];
+
+// SOS Creation Routes (open to survivors; device tokens are optional).
+// Retries carrying the same Idempotency-Key get the original response;
+// submissions are rate limited per session, IP and area (each batch item
+// counts as one submission).
+router.post(
+  "/voice",
+  optionalAuth,
+  uploadAudio,
+  idempotency,
+  rateLimitSubmissions,
+  createVoiceSOS
+);
+router.post(
+  "/text",
+  optionalAuth,
+  idempotency,
+  rateLimitSubmissions,
+  createTextSOS
+);
+router.post(
+  "/photo",
+  optionalAuth,
+  uploadPhoto,
+  idempotency,
+  rateLimitSubmissions,
+  createPhotoSOS
+);
+router.post(
+  "/batch",
+  optionalAuth,
+  uploadBatchAudio,
+  idempotency,
+  rateLimitBatch,
+  createBatchSOS
+);
 
-// SOS Creation Routes
-router.post("/voice", uploadAudio, createVoiceSOS);
-router.post("/text", createTextSOS);
+// Survivor Routes (scoped to the sessionId that sent the SOS)
+router.get("/session/:sessionId", getSessionSOS);
+router.post(
+  "/session/:sessionId/:id/followups",
+  uploadAudio,
+  idempotency,
+  rateLimitSubmissions,
+  addFollowUp
+);
+router.get("/session/:sessionId/messages", getSessionMessages);
+router.get("/session/:sessionId/messages/stream", streamSessionMessages);
+router.post("/session/:sessionId/messages/read", markSessionMessagesRead);
+router.post(
+  "/session/:sessionId/:id/messages",
+  uploadAudio,
+  sendSessionMessage
+);
 
 // SOS Retrieval Routes (for rescuer dashboard)
-router.get("/", getAllSOS);
-router.get("/stats", getSOSStats);
-router.get("/:id", getSOSById);
+router.get("/", staffOnly, getAllSOS);
+router.get("/stats", staffOnly, getSOSStats);
+router.get("/export", dispatchOnly, exportSOS);
+router.get("/stream", protectStream, authorize(STAFF_ROLES), streamSOSEvents);
+router.get("/:id", staffOnly, getSOSById);
+router.get("/:id/history", staffOnly, getSOSHistory);
+router.get("/:id/analysis", staffOnly, getSOSAnalysis);
+router.get("/:id/messages", staffOnly, getSOSMessages);
 
 // SOS Update Routes (for rescuer actions)
-router.patch("/:id", updateSOSStatus);
+router.patch("/:id", staffOnly, updateSOSStatus);
+router.post("/:id/messages", staffOnly, sendSOSMessage);
+router.post("/:id/messages/read", staffOnly, markSOSMessagesRead);
+router.delete("/:id/duplicate", dispatchOnly, unlinkDuplicateSOS);
 
 module.exports = router;
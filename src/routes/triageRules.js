@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createTriageRule,
+  getAllTriageRules,
+  getTriageRuleById,
+  updateTriageRule,
+  deleteTriageRule,
+  getTriageRuleRevisions,
+  restoreTriageRuleRevision,
+  dryRunTriageRules,
+} = require("../controllers/triageRuleController");
+const { protect, authorize } = require("../middleware/auth");
+const { STAFF_ROLES, DISPATCH_ROLES } = require("../config/roles");
+
+const staffOnly = authorize(STAFF_ROLES);
+const dispatchOnly = authorize(DISPATCH_ROLES);
+
+// Every triage rule route needs an account
+router.use(protect);
+
+// Testing rules against sample text (before the :id routes)
+router.post("/dry-run", staffOnly, dryRunTriageRules);
+
+// Rule CRUD (coordinators tune rules during an incident)
+router.post("/", dispatchOnly, createTriageRule);
+router.get("/", staffOnly, getAllTriageRules);
+router.get("/:id", staffOnly, getTriageRuleById);
+router.patch("/:id", dispatchOnly, updateTriageRule);
+router.delete("/:id", dispatchOnly, deleteTriageRule);
+
+// Versioning
+router.get("/:id/revisions", staffOnly, getTriageRuleRevisions);
+router.post(
+  "/:id/revisions/:version/restore",
+  dispatchOnly,
+  restoreTriageRuleRevision
+);
+
+module.exports = router;
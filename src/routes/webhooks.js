@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createWebhook,
+  getAllWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+} = require("../controllers/webhookController");
+const { protect, authorize } = require("../middleware/auth");
+const { ROLES } = require("../config/roles");
+
+// Partner integrations are managed by admins
+router.use(protect, authorize([ROLES.ADMIN]));
+
+// Subscription Routes
+router.post("/", createWebhook);
+router.get("/", getAllWebhooks);
+router.get("/:id", getWebhookById);
+router.patch("/:id", updateWebhook);
+router.delete("/:id", deleteWebhook);
+
+// Delivery Log Routes
+router.get("/:id/deliveries", getWebhookDeliveries);
+router.post("/deliveries/:deliveryId/replay", replayWebhookDelivery);
+
+module.exports = router;
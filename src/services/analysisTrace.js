@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+/**
+ * Helpers for recording how an analysis was produced (stored on the SOS as
+ * analysisTrace, see GET /api/sos/:id/analysis).
+ *
+ * Providers receive a detail object per attempt and fill in what they
+ * know: model, prompt hash, raw response, token usage.
+ */
+
+const MAX_RAW_RESPONSE_LENGTH = 20000;
+
+/**
+ * Hash of the exact prompt sent to a model, so analyses made with the same
+ * prompt can be grouped without storing it again
+ * @param {object[]} messages - Chat messages ({ role, content })
+ * @returns {string}
+ */
+const hashPrompt = (messages) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(messages))
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * Records a chat completion response on an attempt detail
+ * @param {object} detail - Attempt detail
+ * @param {object} response - Chat completions API response
+ */
+const recordCompletion = (detail, response) => {
+  const content = response.choices?.[0]?.message?.content;
+  detail.modelVersion = response.model;
+  detail.rawResponse =
+    typeof content === "string"
+      ? content.slice(0, MAX_RAW_RESPONSE_LENGTH)
+      : null;
+  if (response.usage) {
+    detail.usage = {
+      promptTokens: response.usage.prompt_tokens,
+      completionTokens: response.usage.completion_tokens,
+      totalTokens: response.usage.total_tokens,
+    };
+  }
+};
+
+/**
+ * Combines the failover attempts and their details into a trace
+ * @param {object[]} attempts - From runWithFailover
+ * @param {object} details - Map of provider name => attempt detail
+ * @param {string} provider - Provider that produced the analysis
+ * @returns {object} - { provider, model, modelVersion, promptVersion,
+ *   promptHash, rawResponse, parseError, usage, attempts }
+ */
+const buildTrace = (attempts, details, provider) => {
+  const used = (provider && details[provider]) || {};
+
+  return {
+    provider: provider || "none",
+    model: used.model,
+    modelVersion: used.modelVersion,
+    promptVersion: used.promptVersion,
+    promptHash: used.promptHash,
+    rawResponse: used.rawResponse,
+    usage: used.usage,
+    attempts: attempts.map((attempt) => {
+      const detail = details[attempt.provider] || {};
+      return {
+        ...attempt,
+        model: detail.model,
+        // Output of failed attempts shows why parsing failed
+        ...(!attempt.ok && {
+          rawResponse: detail.rawResponse,
+          parseError: detail.parseError,
+        }),
+      };
+    }),
+  };
+};
+
+/**
+ * Wraps a provider call so parse errors are recorded on its detail
+ * @param {object} detail - Attempt detail
+ * @param {Function} run - async () => analysis
+ * @returns {Promise<object>}
+ */
+const tracedAttempt = async (detail, run) => {
+  try {
+    return await run();
+  } catch (error) {
+    // The model answered, but not with a usable analysis
+    if (detail.rawResponse !== undefined) detail.parseError = error.message;
+    throw error;
+  }
+};
+
+module.exports = {
+  hashPrompt,
+  recordCompletion,
+  buildTrace,
+  tracedAttempt,
+};
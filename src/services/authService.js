@@ -0,0 +1,142 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+/**
+ * JWT issuance and refresh.
+ *
+ * Access tokens are short-lived and carry the user's role; refresh tokens
+ * carry the user's tokenVersion so they can be revoked by bumping it.
+ * Stream tickets stand in for the access token in EventSource URLs, which
+ * cannot carry an Authorization header: they only open streams and expire
+ * within seconds, so a ticket left in an access log is worthless.
+ *
+ * Env:
+ *  - JWT_SECRET (required)
+ *  - JWT_REFRESH_SECRET (default: JWT_SECRET)
+ *  - JWT_EXPIRES_IN (default: 15m), JWT_REFRESH_EXPIRES_IN (default: 7d)
+ *  - STREAM_TICKET_EXPIRES_IN (default: 30s)
+ */
+
+/**
+ * Reads the signing secrets, failing loudly when unset
+ * @returns {{accessSecret: string, refreshSecret: string}}
+ */
+const getSecrets = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return {
+    accessSecret: process.env.JWT_SECRET,
+    refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+  };
+};
+
+/**
+ * Issues an access/refresh token pair for a user
+ * @param {object} user - User document
+ * @returns {object} - { accessToken, refreshToken, expiresIn, tokenType }
+ */
+const issueTokens = (user) => {
+  const { accessSecret, refreshSecret } = getSecrets();
+  const expiresIn = process.env.JWT_EXPIRES_IN || "15m";
+
+  const accessToken = jwt.sign(
+    { sub: String(user._id), role: user.role, type: "access" },
+    accessSecret,
+    { expiresIn }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: String(user._id), tv: user.tokenVersion, type: "refresh" },
+    refreshSecret,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d" }
+  );
+
+  return { accessToken, refreshToken, expiresIn, tokenType: "Bearer" };
+};
+
+/**
+ * Verifies an access token.
+ * Throws JsonWebTokenError / TokenExpiredError (mapped by errorHandler).
+ * @param {string} token - Access token
+ * @returns {object} - Decoded payload
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getSecrets().accessSecret);
+  if (payload.type !== "access") {
+    throw new jwt.JsonWebTokenError("Not an access token");
+  }
+  return payload;
+};
+
+/**
+ * Issues a stream ticket. Streams opened with it close when the access
+ * token it was exchanged for expires.
+ * @param {object} user - User document
+ * @param {Date} accessExpiresAt - Expiry of the caller's access token
+ * @returns {object} - { ticket, expiresIn }
+ */
+const issueStreamTicket = (user, accessExpiresAt) => {
+  const expiresIn = process.env.STREAM_TICKET_EXPIRES_IN || "30s";
+
+  const ticket = jwt.sign(
+    {
+      sub: String(user._id),
+      type: "stream",
+      until: Math.floor(accessExpiresAt.getTime() / 1000),
+    },
+    getSecrets().accessSecret,
+    { expiresIn }
+  );
+
+  return { ticket, expiresIn };
+};
+
+/**
+ * Verifies a stream ticket.
+ * Throws JsonWebTokenError / TokenExpiredError (mapped by errorHandler).
+ * @param {string} ticket - Stream ticket
+ * @returns {object} - Decoded payload
+ */
+const verifyStreamTicket = (ticket) => {
+  const payload = jwt.verify(ticket, getSecrets().accessSecret);
+  if (payload.type !== "stream") {
+    throw new jwt.JsonWebTokenError("Not a stream ticket");
+  }
+  return payload;
+};
+
+/**
+ * Exchanges a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<{user: object, tokens: object}>}
+ */
+const refreshTokens = async (refreshToken) => {
+  const payload = jwt.verify(refreshToken, getSecrets().refreshSecret);
+  if (payload.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("Not a refresh token");
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active || user.tokenVersion !== payload.tv) {
+    throw new jwt.JsonWebTokenError("Refresh token revoked");
+  }
+
+  return { user, tokens: issueTokens(user) };
+};
+
+/**
+ * Revokes every refresh token of a user
+ * @param {string} userId - User id
+ */
+const revokeTokens = (userId) =>
+  User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  issueStreamTicket,
+  verifyStreamTicket,
+  refreshTokens,
+  revokeTokens,
+};
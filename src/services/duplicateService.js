@@ -0,0 +1,256 @@
+const SOS = require("../models/SOS");
+const { EARTH_RADIUS_METERS, distanceMeters } = require("./geoService");
+
+/**
+ * Links SOS that most likely describe the same emergency (one family
+ * sending several messages from one or more phones).
+ *
+ * A new SOS is linked to an earlier one received within the time window when:
+ *  - "session": it comes from the same sessionId
+ *  - "proximity": it was sent from within DUPLICATE_RADIUS_METERS and its
+ *    text shares some words (neighbouring families send SOS from a few
+ *    metres apart, so closeness alone is not enough)
+ *  - "transcript": its text is similar and it is within
+ *    DUPLICATE_TEXT_RADIUS_METERS (GPS is often poor indoors)
+ *
+ * The earliest SOS of a group is the parent case: children point to it
+ * with `duplicateOf` and the parent lists them in `relatedTo`. A dispatcher
+ * can unlink a wrong match; the case remembers it in `unlinkedFrom` and is
+ * never linked to that parent again.
+ *
+ * Env:
+ *  - DUPLICATE_WINDOW_MINUTES (default: 60)
+ *  - DUPLICATE_RADIUS_METERS (default: 50)
+ *  - DUPLICATE_TEXT_RADIUS_METERS (default: 500)
+ *  - DUPLICATE_SIMILARITY_THRESHOLD (default: 0.5)
+ *  - DUPLICATE_PROXIMITY_SIMILARITY (default: 0.2)
+ */
+
+const config = () => ({
+  windowMs: (parseInt(process.env.DUPLICATE_WINDOW_MINUTES) || 60) * 60 * 1000,
+  radiusMeters: parseInt(process.env.DUPLICATE_RADIUS_METERS) || 50,
+  textRadiusMeters: parseInt(process.env.DUPLICATE_TEXT_RADIUS_METERS) || 500,
+  similarityThreshold:
+    parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.5,
+  proximitySimilarity:
+    parseFloat(process.env.DUPLICATE_PROXIMITY_SIMILARITY) || 0.2,
+});
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "at",
+  "i",
+  "im",
+  "in",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "our",
+  "please",
+  "the",
+  "there",
+  "to",
+  "us",
+  "we",
+  "with",
+]);
+
+/**
+ * Normalizes text into a set of meaningful words
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+const tokenize = (text = "") =>
+  new Set(
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(/\s+/)
+      .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+  );
+
+/**
+ * Jaccard similarity between two texts (0..1)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const textSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared += 1;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Scores how likely a candidate is a duplicate of the SOS
+ * @param {object} sos - New SOS
+ * @param {object} candidate - Earlier SOS
+ * @returns {object|null} - { reason, score, distanceMeters, similarity } or null
+ */
+const scoreCandidate = (sos, candidate) => {
+  const {
+    radiusMeters,
+    textRadiusMeters,
+    similarityThreshold,
+    proximitySimilarity,
+  } = config();
+
+  if (candidate.sessionId === sos.sessionId) {
+    return { reason: "session", score: 1 };
+  }
+
+  const distance = distanceMeters(sos.location, candidate.location);
+  const similarity = textSimilarity(sos.transcript, candidate.transcript);
+
+  if (distance <= textRadiusMeters && similarity >= similarityThreshold) {
+    return {
+      reason: "transcript",
+      score: Number(similarity.toFixed(2)),
+      distanceMeters: Math.round(distance),
+      similarity: Number(similarity.toFixed(2)),
+    };
+  }
+
+  if (distance <= radiusMeters && similarity >= proximitySimilarity) {
+    return {
+      reason: "proximity",
+      score: Number((0.6 + 0.4 * (1 - distance / radiusMeters)).toFixed(2)),
+      distanceMeters: Math.round(distance),
+      similarity: Number(similarity.toFixed(2)),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Finds the most likely earlier SOS this one duplicates
+ * @param {object} sos - SOS document
+ * @returns {Promise<{candidate: object, match: object}|null>}
+ */
+const findDuplicateCandidate = async (sos) => {
+  const { windowMs, textRadiusMeters } = config();
+  const { longitude, latitude } = sos.location;
+  const located = typeof latitude === "number" && typeof longitude === "number";
+
+  const candidates = await SOS.find({
+    _id: { $ne: sos._id },
+    receivedAt: {
+      $gte: new Date(sos.receivedAt.getTime() - windowMs),
+      $lte: sos.receivedAt,
+    },
+    // Without coordinates (location pending) only the session can match
+    $or: [
+      { sessionId: sos.sessionId },
+      ...(located
+        ? [
+            {
+              "location.point": {
+                $geoWithin: {
+                  $centerSphere: [
+                    [longitude, latitude],
+                    textRadiusMeters / EARTH_RADIUS_METERS,
+                  ],
+                },
+              },
+            },
+          ]
+        : []),
+    ],
+  })
+    .sort({ receivedAt: 1 })
+    .select("sessionId location transcript receivedAt duplicateOf");
+
+  // Parent cases a dispatcher unlinked this SOS from
+  const unlinked = new Set((sos.unlinkedFrom || []).map(String));
+
+  let best = null;
+  for (const candidate of candidates) {
+    const parentId = String(candidate.duplicateOf || candidate._id);
+    if (unlinked.has(parentId)) continue;
+
+    const match = scoreCandidate(sos, candidate);
+    if (match && (!best || match.score > best.match.score)) {
+      best = { candidate, match };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Links an SOS to its parent case if it looks like a duplicate.
+ * Already linked SOS are left alone.
+ * @param {object} sos - SOS document (with transcript when available)
+ * @returns {Promise<object|null>} - Updated SOS, or null if not a duplicate
+ */
+const linkDuplicates = async (sos) => {
+  if (sos.duplicateOf) return null;
+
+  const found = await findDuplicateCandidate(sos);
+  if (!found) return null;
+
+  const parentId = found.candidate.duplicateOf || found.candidate._id;
+
+  const linked = await SOS.findByIdAndUpdate(
+    sos._id,
+    {
+      duplicateOf: parentId,
+      duplicateMatch: { ...found.match, linkedAt: new Date() },
+    },
+    { new: true }
+  );
+  await SOS.findByIdAndUpdate(parentId, {
+    $addToSet: { relatedTo: sos._id },
+  });
+
+  console.log(
+    `🔗 SOS ${sos._id} linked to case ${parentId} (${found.match.reason})`
+  );
+
+  return linked;
+};
+
+/**
+ * Removes a wrongly linked SOS from its parent case. The parent is
+ * remembered so re-analysis does not link them again.
+ * @param {object} sos - SOS document
+ * @returns {Promise<object>} - Updated SOS
+ */
+const unlinkDuplicate = async (sos) => {
+  if (sos.duplicateOf) {
+    await SOS.findByIdAndUpdate(sos.duplicateOf, {
+      $pull: { relatedTo: sos._id },
+    });
+  }
+
+  return SOS.findByIdAndUpdate(
+    sos._id,
+    {
+      duplicateOf: null,
+      $unset: { duplicateMatch: "" },
+      ...(sos.duplicateOf && {
+        $addToSet: { unlinkedFrom: sos.duplicateOf },
+      }),
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  linkDuplicates,
+  unlinkDuplicate,
+  textSimilarity,
+};
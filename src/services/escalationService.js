@@ -0,0 +1,213 @@
+const SOS = require("../models/SOS");
+const { getEscalationPolicies } = require("../config/escalationPolicies");
+const { notify } = require("./notificationService");
+const { publishSOSEvent } = require("./eventBus");
+const { waitingSince } = require("./triageService");
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Checks whether a policy condition currently holds for an SOS
+ * @param {string} condition - "unassigned" | "unresolved"
+ * @param {object} sos - SOS document
+ * @returns {boolean}
+ */
+const conditionHolds = (condition, sos) => {
+  if (sos.status === "resolved") return false;
+  if (condition === "unassigned") {
+    return !sos.assignedTo && sos.status !== "assigned";
+  }
+  return true;
+};
+
+/**
+ * Checks whether a step already fired since the last reset
+ * @param {object} sos - SOS document
+ * @param {object} step - Policy step
+ * @returns {boolean}
+ */
+const hasFired = (sos, step) =>
+  (sos.escalations || []).some(
+    (escalation) =>
+      escalation.step === step.id &&
+      (!sos.escalationResetAt || escalation.at >= sos.escalationResetAt)
+  );
+
+/**
+ * Time the escalation clock runs from: when the SOS was received (or
+ * captured), or the last reset, so steps do not fire again right after a
+ * rescuer takes the case
+ * @param {object} sos - SOS document
+ * @returns {Date}
+ */
+const escalationStart = (sos) => {
+  const since = waitingSince(sos);
+  return sos.escalationResetAt && sos.escalationResetAt > since
+    ? sos.escalationResetAt
+    : since;
+};
+
+/**
+ * Formats minutes for escalation reasons
+ * @param {number} minutes
+ * @returns {string} - e.g. "15 min", "3 h"
+ */
+const formatMinutes = (minutes) =>
+  minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`;
+
+/**
+ * Lists the policy steps that are due for an SOS
+ * @param {object} sos - SOS document
+ * @param {object} policies - Map of urgency => steps
+ * @param {Date} now - Reference time
+ * @returns {object[]} - Due steps
+ */
+const dueSteps = (sos, policies, now = new Date()) => {
+  const urgency = (sos.aiAnalysis && sos.aiAnalysis.urgency) || "MEDIUM";
+  const steps = [...(policies[urgency] || []), ...(policies.ALL || [])];
+  const minutesWaiting = (now - escalationStart(sos)) / MS_PER_MINUTE;
+
+  return steps.filter(
+    (step) =>
+      minutesWaiting >= step.afterMinutes &&
+      conditionHolds(step.condition, sos) &&
+      !hasFired(sos, step)
+  );
+};
+
+/**
+ * Applies due steps to an SOS: records them, raises the level, marks it
+ * overdue when required and notifies staff
+ * @param {object} sos - SOS document
+ * @param {object[]} steps - Due steps
+ * @param {Date} now - Reference time
+ * @returns {Promise<object|null>} - Updated SOS, or null if it changed meanwhile
+ */
+const escalateSOS = async (sos, steps, now = new Date()) => {
+  const urgency = sos.aiAnalysis && sos.aiAnalysis.urgency;
+  const entries = steps.map((step) => ({
+    step: step.id,
+    level: step.level || 1,
+    reason: `${urgency || "MEDIUM"} SOS ${
+      step.condition
+    } for over ${formatMinutes(step.afterMinutes)}`,
+    overdue: Boolean(step.overdue),
+    notified: step.notify || [],
+    at: now,
+  }));
+
+  const update = {
+    $set: {
+      escalationLevel: Math.max(
+        sos.escalationLevel || 0,
+        ...entries.map((entry) => entry.level)
+      ),
+    },
+    $push: { escalations: { $each: entries } },
+  };
+  if (entries.some((entry) => entry.overdue)) {
+    update.$set.overdue = true;
+    if (!sos.overdue) update.$set.overdueAt = now;
+  }
+
+  // Skip if another run escalated, or a rescuer reset, the case meanwhile
+  const updated = await SOS.findOneAndUpdate(
+    {
+      _id: sos._id,
+      status: { $ne: "resolved" },
+      escalations: { $size: (sos.escalations || []).length },
+      escalationResetAt: sos.escalationResetAt || null,
+    },
+    update,
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await updated.refreshTriage();
+  publishSOSEvent("sos.escalated", updated);
+
+  await Promise.all(
+    entries
+      .filter((entry) => entry.notified.length > 0)
+      .map((entry) =>
+        notify({
+          type: entry.overdue ? "sos.overdue" : "sos.escalated",
+          title: entry.overdue ? "SOS overdue" : "SOS escalated",
+          message: entry.reason,
+          roles: entry.notified,
+          sosId: updated._id,
+          urgency: updated.aiAnalysis && updated.aiAnalysis.urgency,
+          status: updated.status,
+          location: updated.location && {
+            latitude: updated.location.latitude,
+            longitude: updated.location.longitude,
+          },
+          data: { step: entry.step, level: entry.level },
+        })
+      )
+  );
+
+  console.warn(
+    `⏫ SOS ${updated._id} escalated to level ${updated.escalationLevel}`
+  );
+  return updated;
+};
+
+/**
+ * Checks every open SOS against the escalation policies
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of SOS escalated
+ */
+const runEscalations = async (now = new Date()) => {
+  const policies = getEscalationPolicies();
+  const earliest = Math.min(
+    ...Object.values(policies)
+      .flat()
+      .map((step) => step.afterMinutes)
+  );
+  if (!Number.isFinite(earliest)) return 0;
+
+  const cutoff = new Date(now.getTime() - earliest * MS_PER_MINUTE);
+  const cursor = SOS.find({
+    status: { $ne: "resolved" },
+    $or: [
+      { receivedAt: { $lte: cutoff } },
+      { "location.capturedAt": { $lte: cutoff } },
+    ],
+  })
+    .select(
+      "status assignedTo aiAnalysis.urgency location receivedAt escalations escalationLevel escalationResetAt overdue"
+    )
+    .cursor();
+
+  let escalated = 0;
+  for await (const sos of cursor) {
+    const steps = dueSteps(sos, policies, now);
+    if (steps.length > 0 && (await escalateSOS(sos, steps, now))) {
+      escalated += 1;
+    }
+  }
+
+  return escalated;
+};
+
+/**
+ * Clears the escalation state of a case a rescuer has taken or resolved
+ * (mutates the document; the caller saves it)
+ * @param {object} sos - SOS document
+ */
+const resetEscalation = (sos) => {
+  if (!sos.overdue && !sos.escalationLevel) return;
+
+  sos.overdue = false;
+  sos.overdueAt = undefined;
+  sos.escalationLevel = 0;
+  sos.escalationResetAt = new Date();
+};
+
+module.exports = {
+  dueSteps,
+  escalateSOS,
+  runEscalations,
+  resetEscalation,
+};
@@ -0,0 +1,132 @@
+const { EventEmitter } = require("events");
+
+/**
+ * In-process event bus for SOS lifecycle events.
+ *
+ * Every event gets an id of the form "<bootId>-<sequence>" and is kept in
+ * a bounded history so stream clients can resume after a reconnect with
+ * Last-Event-ID. Ids from a previous process (different bootId) or older
+ * than the history window cannot be resumed; callers get `gap: true` and
+ * should tell the client to refetch.
+ *
+ * Env:
+ *  - EVENT_HISTORY_SIZE (default: 1000)
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const bootId = Date.now().toString(36);
+const history = [];
+let sequence = 0;
+
+const historySize = () => parseInt(process.env.EVENT_HISTORY_SIZE) || 1000;
+
+/**
+ * Publishes an event to all subscribers
+ * @param {string} type - e.g. "sos.created"
+ * @param {object} data - Event payload
+ * @returns {object} - The published event
+ */
+const publish = (type, data) => {
+  sequence += 1;
+  const event = {
+    id: `${bootId}-${sequence}`,
+    type,
+    data,
+    at: new Date().toISOString(),
+  };
+
+  history.push(event);
+  if (history.length > historySize()) {
+    history.splice(0, history.length - historySize());
+  }
+
+  emitter.emit("event", event);
+  return event;
+};
+
+/**
+ * Subscribes to all events
+ * @param {Function} listener - (event) => void
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribe = (listener) => {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+};
+
+/**
+ * Returns events published after the given id
+ * @param {string} lastEventId - Id previously received by the client
+ * @returns {{events: object[], gap: boolean}}
+ */
+const getEventsSince = (lastEventId) => {
+  const [eventBootId, seq] = String(lastEventId).split("-");
+  const lastSeq = parseInt(seq, 10);
+
+  if (eventBootId !== bootId || !Number.isFinite(lastSeq)) {
+    return { events: [], gap: true };
+  }
+
+  const events = history.filter(
+    (event) => parseInt(event.id.split("-")[1], 10) > lastSeq
+  );
+  const oldestSeq = history.length
+    ? parseInt(history[0].id.split("-")[1], 10)
+    : sequence + 1;
+
+  return { events, gap: lastSeq < oldestSeq - 1 };
+};
+
+/**
+ * Builds the event payload for an SOS (what the dashboard needs to render
+ * or re-sort a case without refetching it)
+ * @param {object} sos - SOS document
+ * @returns {object}
+ */
+const toSOSEventData = (sos) => ({
+  sosId: sos._id,
+  sosType: sos.sosType,
+  status: sos.status,
+  urgency: sos.aiAnalysis ? sos.aiAnalysis.urgency : undefined,
+  triageScore: sos.triage ? sos.triage.score : undefined,
+  summary: sos.aiAnalysis ? sos.aiAnalysis.summary : undefined,
+  eventType: sos.aiAnalysis ? sos.aiAnalysis.eventType : undefined,
+  language: sos.language ? sos.language.code : undefined,
+  manualReview: sos.validationFlags
+    ? sos.validationFlags.manualReview
+    : undefined,
+  location:
+    sos.location && typeof sos.location.latitude === "number"
+      ? {
+          latitude: sos.location.latitude,
+          longitude: sos.location.longitude,
+        }
+      : undefined,
+  assignedTo: sos.assignedTo,
+  eta: sos.eta,
+  followUpCount: sos.followUps ? sos.followUps.length : undefined,
+  duplicateOf: sos.duplicateOf,
+  receivedAt: sos.receivedAt,
+  updatedAt: sos.updatedAt,
+});
+
+/**
+ * Publishes an SOS lifecycle event
+ * @param {string} type - sos.created | sos.processed | sos.updated | sos.failed
+ *   | sos.followup | sos.escalated | sos.assigned | sos.resolved
+ * @param {object} sos - SOS document
+ * @returns {object|null} - The published event
+ */
+const publishSOSEvent = (type, sos) => {
+  if (!sos) return null;
+  return publish(type, toSOSEventData(sos));
+};
+
+module.exports = {
+  publish,
+  publishSOSEvent,
+  subscribe,
+  getEventsSince,
+};
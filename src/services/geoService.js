@@ -0,0 +1,170 @@
+/**
+ * Parses a bounding box "minLng,minLat,maxLng,maxLat"
+ * @param {string} value - Query string value
+ * @returns {object|null} - { minLng, minLat, maxLng, maxLat } or null if absent
+ * @throws {Error} - If the value is malformed
+ */
+const parseBBox = (value) => {
+  if (!value) return null;
+
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) {
+    throw new Error("bbox must be minLng,minLat,maxLng,maxLat");
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat > maxLat || minLat < -90 || maxLat > 90) {
+    throw new Error("Invalid bbox latitude range");
+  }
+  if (minLng < -180 || maxLng > 180) {
+    throw new Error("Invalid bbox longitude range");
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Checks whether a {latitude, longitude} point is inside a bounding box
+ * @param {object} location - { latitude, longitude }
+ * @param {object} bbox - Parsed bounding box
+ * @returns {boolean}
+ */
+const isWithinBBox = (location, bbox) => {
+  if (!location) return false;
+  const { latitude, longitude } = location;
+  const inLat = latitude >= bbox.minLat && latitude <= bbox.maxLat;
+  // A box crossing the antimeridian has minLng > maxLng
+  const inLng =
+    bbox.minLng <= bbox.maxLng
+      ? longitude >= bbox.minLng && longitude <= bbox.maxLng
+      : longitude >= bbox.minLng || longitude <= bbox.maxLng;
+  return inLat && inLng;
+};
+
+/**
+ * Parses a point "lng,lat" (GeoJSON order, same as bbox)
+ * @param {string} value - Query string value
+ * @returns {object|null} - GeoJSON Point or null if absent
+ * @throws {Error} - If the value is malformed
+ */
+const parsePoint = (value) => {
+  if (!value) return null;
+
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 2 || parts.some((n) => !Number.isFinite(n))) {
+    throw new Error("near must be lng,lat");
+  }
+
+  const [lng, lat] = parts;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw new Error("Invalid near coordinates");
+  }
+
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+/**
+ * Parses a polygon given as a GeoJSON Polygon geometry or as a JSON array
+ * of [lng, lat] positions; the ring is closed automatically
+ * @param {string} value - JSON string
+ * @returns {object|null} - GeoJSON Polygon or null if absent
+ * @throws {Error} - If the value is malformed
+ */
+const parsePolygon = (value) => {
+  if (!value) return null;
+
+  let parsed;
+  try {
+    parsed = typeof value === "string" ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new Error("within must be a GeoJSON Polygon or [[lng,lat],...]");
+  }
+
+  const ring =
+    parsed && parsed.type === "Polygon"
+      ? Array.isArray(parsed.coordinates) && parsed.coordinates[0]
+      : parsed;
+
+  const isPosition = (position) =>
+    Array.isArray(position) &&
+    position.length === 2 &&
+    position.every((n) => Number.isFinite(n));
+
+  if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isPosition)) {
+    throw new Error("within polygon needs at least 3 [lng,lat] positions");
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  const closed =
+    first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+
+  return { type: "Polygon", coordinates: [closed] };
+};
+
+/**
+ * Closed ring of a box between two longitudes
+ * @param {number} west - Western longitude
+ * @param {number} east - Eastern longitude
+ * @param {number} minLat
+ * @param {number} maxLat
+ * @returns {number[][]}
+ */
+const boxRing = (west, east, minLat, maxLat) => [
+  [west, minLat],
+  [east, minLat],
+  [east, maxLat],
+  [west, maxLat],
+  [west, minLat],
+];
+
+/**
+ * Converts a parsed bounding box to a GeoJSON geometry. A box crossing the
+ * antimeridian (minLng > maxLng) becomes a MultiPolygon of its two halves,
+ * matching isWithinBBox.
+ * @param {object} bbox - Parsed bounding box
+ * @returns {object} - GeoJSON Polygon or MultiPolygon
+ */
+const bboxToGeometry = ({ minLng, minLat, maxLng, maxLat }) =>
+  minLng <= maxLng
+    ? {
+        type: "Polygon",
+        coordinates: [boxRing(minLng, maxLng, minLat, maxLat)],
+      }
+    : {
+        type: "MultiPolygon",
+        coordinates: [
+          [boxRing(minLng, 180, minLat, maxLat)],
+          [boxRing(-180, maxLng, minLat, maxLat)],
+        ],
+      };
+
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Great-circle distance between two {latitude, longitude} points
+ * @param {object} a - First point
+ * @param {object} b - Second point
+ * @returns {number} - Distance in meters
+ */
+const distanceMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) *
+      Math.cos(toRad(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  distanceMeters,
+  parseBBox,
+  isWithinBBox,
+  parsePoint,
+  parsePolygon,
+  bboxToGeometry,
+};
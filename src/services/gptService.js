@@ -1,20 +1,48 @@
 const OpenAI = require("openai");
+const { resolveProviderChain, runWithFailover } = require("./providerChain");
+const { analyzeHeuristically } = require("./heuristicAnalyzer");
+const {
+  hashPrompt,
+  recordCompletion,
+  buildTrace,
+  tracedAttempt,
+} = require("./analysisTrace");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Analysis providers.
+ *
+ * Each provider exposes analyze(transcript, metadata, detail) => raw
+ * analysis object, and records how it got there on detail (see
+ * analysisTrace).
+ * The failover order comes from ANALYSIS_PROVIDERS (comma-separated).
+ * Default: openai,heuristic - the offline heuristic analyzer is always
+ * a safe last resort because it never needs the network.
+ *
+ * Env:
+ *  - OPENAI_API_KEY, ANALYSIS_MODEL (default: gpt-4o)
+ *  - LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1), LOCAL_LLM_MODEL,
+ *    LOCAL_LLM_API_KEY (optional), LOCAL_LLM_JSON_MODE (default: true)
+ */
+
+const clients = {};
 
 /**
- * Analyzes SOS transcript using GPT-4o to extract structured rescue data
- * @param {string} transcript - Transcribed text from survivor
- * @param {object} metadata - Additional context (location, time, etc.)
- * @returns {Promise<object>} - Structured analysis result
+ * Lazily creates (and caches) an OpenAI-compatible client
+ * @param {string} name - Cache key
+ * @param {object} options - OpenAI client options
+ * @returns {OpenAI}
  */
-const analyzeSOSContent = async (transcript, metadata = {}) => {
-  try {
-    console.log("🤖 Starting GPT-4o analysis...");
+const getClient = (name, options) => {
+  if (!clients[name]) {
+    clients[name] = new OpenAI(options);
+  }
+  return clients[name];
+};
 
-    const systemPrompt = `You are an emergency response AI assistant analyzing SOS messages from disaster survivors. Your role is to extract critical information and assess urgency.
+// Bump when the prompts change, so traces show which wording was used
+const PROMPT_VERSION = "sos-analysis-1";
+
+const systemPrompt = `You are an emergency response AI assistant analyzing SOS messages from disaster survivors. Your role is to extract critical information and assess urgency.
 
 CRITICAL RULES:
 1. Always respond with valid JSON only
@@ -29,17 +57,32 @@ Urgency Levels:
 - MEDIUM: Needs assistance but not immediate danger (stranded, minor injuries, seeking shelter)
 - LOW: General help request, information seeking`;
 
-    const userPrompt = `Analyze this SOS message and respond with JSON only:
+/**
+ * Builds the user prompt for an SOS message
+ * @param {string} transcript - Survivor message
+ * @param {object} metadata - Additional context (location, time, etc.)
+ * @returns {string}
+ */
+const buildUserPrompt = (
+  transcript,
+  metadata = {}
+) => `Analyze this SOS message and respond with JSON only:
 
 MESSAGE: "${transcript}"
 
 METADATA:
 - Time received: ${metadata.receivedAt || new Date().toISOString()}
 - Location: ${
-      metadata.location
-        ? `${metadata.location.latitude}, ${metadata.location.longitude}`
-        : "Unknown"
-    }
+  metadata.location
+    ? `${metadata.location.latitude}, ${metadata.location.longitude}`
+    : "Unknown"
+}${
+  metadata.language
+    ? `\n- Survivor's language: ${metadata.language}${
+        metadata.translated ? " (message machine-translated)" : ""
+      }`
+    : ""
+}
 
 Respond with this exact JSON structure:
 {
@@ -49,62 +92,249 @@ Respond with this exact JSON structure:
   "injuryStatus": "Description of any injuries or none",
   "riskFactors": ["array", "of", "specific", "risks"],
   "needs": ["array", "of", "specific", "needs"],
+  "peopleCount": "Number of people needing help if stated, otherwise null",
   "confidence": 0.85
 }`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      temperature: 0.3,
-      max_tokens: 500,
-      response_format: { type: "json_object" },
-    });
+/**
+ * Runs the SOS prompt against an OpenAI-compatible chat completions API
+ * @param {OpenAI} client - API client
+ * @param {string} model - Model name
+ * @param {boolean} jsonMode - Whether to request response_format json_object
+ * @param {string} transcript - Survivor message
+ * @param {object} metadata - Additional context
+ * @param {object} detail - Attempt detail for the analysis trace
+ * @returns {Promise<object>} - Parsed model output
+ */
+const chatCompletionAnalysis = async (
+  client,
+  model,
+  jsonMode,
+  transcript,
+  metadata,
+  detail = {}
+) => {
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: buildUserPrompt(transcript, metadata) },
+  ];
+  Object.assign(detail, {
+    model,
+    promptVersion: PROMPT_VERSION,
+    promptHash: hashPrompt(messages),
+  });
+
+  const response = await client.chat.completions.create({
+    model,
+    messages,
+    temperature: 0.3,
+    max_tokens: 500,
+    ...(jsonMode && { response_format: { type: "json_object" } }),
+  });
+  recordCompletion(detail, response);
+
+  const content = response.choices[0].message.content;
+
+  // Local models sometimes wrap JSON in prose or code fences
+  const jsonText = jsonMode ? content : content.match(/\{[\s\S]*\}/)?.[0];
+  if (!jsonText) {
+    throw new Error("Model response did not contain JSON");
+  }
+
+  return JSON.parse(jsonText);
+};
 
-    const content = response.choices[0].message.content;
-    const analysis = JSON.parse(content);
+/**
+ * Maps OpenAI SDK errors to readable messages (failover: false when the
+ * request itself was refused)
+ * @param {string} label - Provider label
+ * @returns {Function}
+ */
+const mapOpenAIError = (label) => (error) => {
+  if (error.status === 401) return new Error(`Invalid ${label} API key`);
+  if (error.status === 429) return new Error(`${label} rate limit exceeded`);
+  // The request itself was refused (e.g. message too long): stop the chain
+  // and fall back to the manual review default
+  if (error.status === 400 || error.status === 413) {
+    const rejected = new Error(
+      `${label} rejected the request: ${error.message}`
+    );
+    rejected.failover = false;
+    return rejected;
+  }
+  if (error instanceof SyntaxError) {
+    return new Error(`${label} returned invalid JSON: ${error.message}`);
+  }
+  return error;
+};
 
-    console.log("✅ GPT-4o analysis completed");
+const providers = {
+  openai: {
+    analyze: (transcript, metadata, detail) =>
+      chatCompletionAnalysis(
+        getClient("openai", { apiKey: process.env.OPENAI_API_KEY }),
+        process.env.ANALYSIS_MODEL || "gpt-4o",
+        true,
+        transcript,
+        metadata,
+        detail
+      ),
+    mapError: mapOpenAIError("OpenAI"),
+  },
 
-    // Validate response structure
-    if (!analysis.urgency || !analysis.summary) {
-      throw new Error("Invalid AI response structure");
-    }
+  // Any OpenAI-compatible endpoint: Ollama, vLLM, llama.cpp server, LM Studio
+  "openai-compatible": {
+    analyze: (transcript, metadata, detail) => {
+      if (!process.env.LOCAL_LLM_BASE_URL || !process.env.LOCAL_LLM_MODEL) {
+        throw new Error(
+          "LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL must be configured"
+        );
+      }
+      return chatCompletionAnalysis(
+        getClient("openai-compatible", {
+          baseURL: process.env.LOCAL_LLM_BASE_URL,
+          apiKey: process.env.LOCAL_LLM_API_KEY || "not-needed",
+        }),
+        process.env.LOCAL_LLM_MODEL,
+        process.env.LOCAL_LLM_JSON_MODE !== "false",
+        transcript,
+        metadata,
+        detail
+      );
+    },
+    mapError: mapOpenAIError("Local LLM"),
+  },
+
+  // Fully offline keyword-based analysis
+  heuristic: {
+    analyze: async (transcript, metadata, detail = {}) => {
+      detail.model = "keyword-heuristics";
+      return analyzeHeuristically(transcript, {
+        language: metadata.language,
+        originalText: metadata.originalText,
+      });
+    },
+  },
+};
+
+/**
+ * Reads a head count from model output ("3", 3, null, "unknown")
+ * @param {*} value
+ * @returns {number|null}
+ */
+const parsePeopleCount = (value) => {
+  const count = parseInt(value, 10);
+  return Number.isFinite(count) && count > 0 ? count : null;
+};
+
+/**
+ * Normalizes a raw provider result into the stored aiAnalysis shape
+ * @param {object} analysis - Raw analysis
+ * @returns {object}
+ */
+const normalizeAnalysis = (analysis) => {
+  // Validate response structure
+  if (!analysis || !analysis.urgency || !analysis.summary) {
+    throw new Error("Invalid AI response structure");
+  }
+
+  return {
+    urgency: analysis.urgency || "MEDIUM",
+    summary: analysis.summary || "Unable to generate summary",
+    eventType: analysis.eventType || "Unknown",
+    injuryStatus: analysis.injuryStatus || "Unknown",
+    riskFactors: Array.isArray(analysis.riskFactors)
+      ? analysis.riskFactors
+      : [],
+    needs: Array.isArray(analysis.needs) ? analysis.needs : [],
+    peopleCount: parsePeopleCount(analysis.peopleCount),
+    confidence: analysis.confidence || 0.5,
+  };
+};
+
+/**
+ * Analyzes SOS transcript to extract structured rescue data, trying each
+ * configured analysis provider in order, and records how the result was
+ * produced
+ * @param {string} transcript - Transcribed text from survivor
+ * @param {object} metadata - Additional context (location, time, etc.)
+ * @param {object} options - { providers: string[] override }
+ * @returns {Promise<{analysis: object, trace: object}>} - Structured
+ *   analysis result and its trace (provider, model, prompt hash, raw
+ *   response, token usage, failed attempts)
+ */
+const analyzeSOSContentWithTrace = async (
+  transcript,
+  metadata = {},
+  options = {}
+) => {
+  const chain =
+    options.providers ||
+    resolveProviderChain(
+      process.env.ANALYSIS_PROVIDERS,
+      providers,
+      ["openai", "heuristic"],
+      "ANALYSIS_PROVIDERS"
+    );
+  const details = {};
+
+  try {
+    console.log(`🤖 Starting SOS analysis (${chain.join(" → ")})...`);
+
+    const { result, provider, attempts } = await runWithFailover(
+      chain,
+      providers,
+      (analyzer, name) => {
+        const detail = (details[name] = {});
+        return tracedAttempt(detail, async () =>
+          normalizeAnalysis(
+            await analyzer.analyze(transcript, metadata, detail)
+          )
+        );
+      }
+    );
+
+    console.log(`✅ SOS analysis completed (${provider})`);
 
     return {
-      urgency: analysis.urgency || "MEDIUM",
-      summary: analysis.summary || "Unable to generate summary",
-      eventType: analysis.eventType || "Unknown",
-      injuryStatus: analysis.injuryStatus || "Unknown",
-      riskFactors: Array.isArray(analysis.riskFactors)
-        ? analysis.riskFactors
-        : [],
-      needs: Array.isArray(analysis.needs) ? analysis.needs : [],
-      confidence: analysis.confidence || 0.5,
+      analysis: { ...result, provider },
+      trace: buildTrace(attempts, details, provider),
     };
   } catch (error) {
-    console.error("❌ GPT analysis error:", error.message);
-
-    // Return safe default for critical failures
-    if (error.status === 401) {
-      throw new Error("Invalid OpenAI API key");
-    }
+    console.error("❌ SOS analysis error:", error.message);
 
-    // If JSON parsing fails, return default
+    // Every provider failed (heuristic was not in the chain): return a safe
+    // default so the case still reaches a rescuer
     return {
-      urgency: "HIGH", // Default to HIGH for safety
-      summary: "AI analysis failed - requires manual review",
-      eventType: "Unknown",
-      injuryStatus: "Unknown",
-      riskFactors: ["AI processing error"],
-      needs: ["Manual review required"],
-      confidence: 0.0,
+      analysis: {
+        urgency: "HIGH", // Default to HIGH for safety
+        summary: "AI analysis failed - requires manual review",
+        eventType: "Unknown",
+        injuryStatus: "Unknown",
+        riskFactors: ["AI processing error"],
+        needs: ["Manual review required"],
+        confidence: 0.0,
+        provider: "none",
+      },
+      trace: {
+        ...buildTrace(error.attempts || [], details, null),
+        error: error.message,
+      },
     };
   }
 };
 
+/**
+ * Analyzes SOS transcript to extract structured rescue data, trying each
+ * configured analysis provider in order
+ * @param {string} transcript - Transcribed text from survivor
+ * @param {object} metadata - Additional context (location, time, etc.)
+ * @param {object} options - { providers: string[] override }
+ * @returns {Promise<object>} - Structured analysis result
+ */
+const analyzeSOSContent = async (transcript, metadata = {}, options = {}) =>
+  (await analyzeSOSContentWithTrace(transcript, metadata, options)).analysis;
+
 /**
  * Analyzes text SOS message (no transcription needed)
  * @param {string} textMessage - Direct text SOS
@@ -117,5 +347,7 @@ const analyzeTextSOS = async (textMessage, metadata = {}) => {
 
 module.exports = {
   analyzeSOSContent,
+  analyzeSOSContentWithTrace,
   analyzeTextSOS,
+  providers,
 };
@@ -0,0 +1,124 @@
+const {
+  EVENT_TYPE_KEYWORDS,
+  NEED_KEYWORDS,
+  INJURY_KEYWORDS,
+} = require("./validationService");
+const { evaluateRules } = require("./triageRuleService");
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Returns the keywords that occur in the text as whole words
+ * @param {string} text - Lowercased text
+ * @param {string[]} keywords - Keywords or phrases
+ * @returns {string[]} - Matched keywords
+ */
+const matchKeywords = (text, keywords) =>
+  keywords.filter((keyword) =>
+    new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`).test(text)
+  );
+
+/**
+ * Picks the keyword group with the most matches
+ * @param {string} text - Lowercased text
+ * @param {object} groups - Map of label => keywords
+ * @returns {string[]} - Labels ordered by match count (only groups that matched)
+ */
+const rankGroups = (text, groups) =>
+  Object.entries(groups)
+    .map(([label, keywords]) => ({
+      label,
+      hits: matchKeywords(text, keywords).length,
+    }))
+    .filter((group) => group.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map((group) => group.label);
+
+const WORD_NUMBERS = {
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+/**
+ * Extracts a rough head count from phrases like "3 people" or "five of us"
+ * @param {string} text - Lowercased text
+ * @returns {number|null}
+ */
+const extractPeopleCount = (text) => {
+  const match = text.match(
+    /\b(\d+|two|three|four|five|six|seven|eight|nine|ten)\s+(people|persons|of us|adults|children|kids)\b/
+  );
+  if (!match) return null;
+  return WORD_NUMBERS[match[1]] || parseInt(match[1], 10);
+};
+
+/**
+ * Offline, rule-based SOS analysis. Produces the same structure as the
+ * LLM analysis: urgency from the active triage rules (so coordinators'
+ * rule edits and negation apply here too), event type and needs from the
+ * keyword groups in validationService. Keeps triage working when no model
+ * is reachable.
+ * @param {string} transcript - SOS text
+ * @param {object} options - { language, originalText } of the survivor's
+ *   own words, as for validateAIAnalysis
+ * @returns {object} - Structured analysis result
+ */
+const analyzeHeuristically = (transcript = "", options = {}) => {
+  const text = transcript.toLowerCase();
+
+  const rules = evaluateRules(transcript, options);
+  const injuries = matchKeywords(text, INJURY_KEYWORDS);
+  const eventTypes = rankGroups(text, EVENT_TYPE_KEYWORDS);
+  const needs = rankGroups(text, NEED_KEYWORDS);
+
+  let urgency = rules.urgency || "LOW";
+  if (!rules.urgency && text.trim().length > 0) {
+    urgency = "MEDIUM";
+  }
+
+  const eventType = eventTypes[0] || "Unknown";
+  const injuryStatus =
+    injuries.length > 0
+      ? `Possible injuries mentioned: ${injuries.join(", ")}`
+      : "None mentioned";
+
+  const excerpt =
+    transcript.length > 140 ? `${transcript.slice(0, 137)}...` : transcript;
+
+  return {
+    urgency,
+    summary: `Offline keyword analysis (${eventType}): "${excerpt}"`,
+    eventType,
+    injuryStatus,
+    // Low-weight rules ("help") are too generic to name a risk
+    riskFactors: [
+      ...new Set(
+        rules.fired
+          .filter((match) => match.weight >= 1)
+          .map((match) => match.match)
+      ),
+    ],
+    needs,
+    peopleCount: extractPeopleCount(text),
+    // Keyword matching is a coarse signal: stay below the 0.6 threshold so
+    // these cases are never presented as model-confident
+    confidence: eventType === "Unknown" ? 0.3 : 0.55,
+  };
+};
+
+module.exports = {
+  analyzeHeuristically,
+  matchKeywords,
+};
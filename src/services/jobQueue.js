@@ -0,0 +1,331 @@
+const os = require("os");
+const Job = require("../models/Job");
+
+/**
+ * MongoDB-backed job queue.
+ *
+ * Jobs survive restarts: a worker claims a job by atomically moving it to
+ * "running" with a lease, renewed while the handler runs; if the process
+ * dies, the lease expires and the job is put back in the queue. Failed jobs
+ * are retried with exponential backoff and dead-lettered after maxAttempts,
+ * including jobs whose worker died on every attempt.
+ *
+ * Env:
+ *  - JOB_MAX_ATTEMPTS (default: 5)
+ *  - JOB_BACKOFF_BASE_MS (default: 5000), JOB_BACKOFF_MAX_MS (default: 10 min)
+ *  - JOB_POLL_INTERVAL_MS (default: 1000)
+ *  - JOB_CONCURRENCY (default: 2)
+ *  - JOB_LEASE_MS (default: 5 min)
+ */
+
+const handlers = {};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let recoveryTimer = null;
+let running = 0;
+let polling = false;
+let stopped = true;
+
+const config = () => ({
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000,
+  backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS) || 10 * 60 * 1000,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  leaseMs: parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000,
+});
+
+/**
+ * Registers the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => void; throw to retry
+ * @param {object} options - { onDeadLetter: async (job) => void }
+ */
+const registerHandler = (type, handler, options = {}) => {
+  handlers[type] = { handler, onDeadLetter: options.onDeadLetter };
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} type - Job type
+ * @param {object} payload - Data passed to the handler
+ * @param {object} options - { refId, maxAttempts, runAt }
+ * @returns {Promise<object>} - Created job
+ */
+const enqueue = async (type, payload = {}, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    refId: options.refId || null,
+    maxAttempts: options.maxAttempts || config().maxAttempts,
+    runAt: options.runAt || new Date(),
+  });
+
+  // Pick it up right away instead of waiting for the next poll
+  if (!stopped) setImmediate(poll);
+
+  return job;
+};
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped, with jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} - Milliseconds
+ */
+const backoffDelay = (attempt) => {
+  const { backoffBaseMs, backoffMaxMs } = config();
+  const delay = Math.min(backoffBaseMs * 2 ** (attempt - 1), backoffMaxMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Atomically claims the next due job
+ * @returns {Promise<object|null>}
+ */
+const claimNextJob = () =>
+  Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: new Date() },
+      type: { $in: Object.keys(handlers) },
+    },
+    {
+      $set: { status: "running", lockedAt: new Date(), lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+/**
+ * Keeps renewing the lease of a running job so handlers that take longer
+ * than JOB_LEASE_MS are not recovered and run twice
+ * @param {object} job - Claimed job document
+ * @returns {Function} - Stops the renewal
+ */
+const renewLease = (job) => {
+  const timer = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, status: "running", lockedBy: workerId },
+      { $set: { lockedAt: new Date() } }
+    )
+      .then((result) => {
+        if (result.matchedCount === 0) {
+          console.warn(`⚠️  Job ${job.type} ${job._id} lost its lease`);
+        }
+      })
+      .catch((err) =>
+        console.error(
+          `❌ Lease renewal failed for job ${job._id}:`,
+          err.message
+        )
+      );
+  }, config().leaseMs / 3);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Releases a running job with an update, if it still holds the same lease
+ * @param {object} lease - Filter identifying the lease, e.g. { lockedBy }
+ * @param {object} job - Running job
+ * @param {object} update - Fields to set (the lease is cleared)
+ * @returns {Promise<object|null>} - Updated job, or null if the lease is gone
+ */
+const releaseJob = (lease, job, update) =>
+  Job.findOneAndUpdate(
+    { _id: job._id, status: "running", ...lease },
+    { ...update, lockedAt: null, lockedBy: null },
+    { new: true }
+  );
+
+/**
+ * Dead-letters a running job and runs its dead-letter handler
+ * @param {object} lease - Filter identifying the lease
+ * @param {object} job - Running job
+ * @param {object} failure - Last failure { attempt, message, at }
+ * @returns {Promise<boolean>} - false if the lease was gone
+ */
+const deadLetter = async (lease, job, failure) => {
+  console.error(
+    `❌ Job ${job.type} ${job._id} dead-lettered after ${job.attempts} attempts:`,
+    failure.message
+  );
+
+  const deadJob = await releaseJob(lease, job, {
+    status: "dead",
+    $push: { failures: failure },
+  });
+  if (!deadJob) return false;
+
+  const { onDeadLetter } = handlers[job.type] || {};
+  if (onDeadLetter) {
+    await onDeadLetter(deadJob).catch((err) => {
+      console.error(`Dead-letter handler failed for job ${job._id}:`, err);
+    });
+  }
+  return true;
+};
+
+/**
+ * Runs a claimed job and records the outcome. The outcome is only recorded
+ * while this worker still holds the lease: once it expired and another
+ * worker took the job over, that worker's result stands.
+ * @param {object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const { handler } = handlers[job.type];
+  const lease = { lockedBy: workerId };
+  const stopRenewal = renewLease(job);
+  let released;
+
+  try {
+    await handler(job.payload, job);
+    stopRenewal();
+
+    released = await releaseJob(lease, job, {
+      status: "completed",
+      completedAt: new Date(),
+    });
+  } catch (error) {
+    stopRenewal();
+    const failure = {
+      attempt: job.attempts,
+      message: error.message,
+      at: new Date(),
+    };
+
+    if (job.attempts >= job.maxAttempts) {
+      released = await deadLetter(lease, job, failure);
+    } else {
+      const delay = backoffDelay(job.attempts);
+      console.warn(
+        `⚠️  Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms: ${error.message}`
+      );
+
+      released = await releaseJob(lease, job, {
+        status: "queued",
+        runAt: new Date(Date.now() + delay),
+        $push: { failures: failure },
+      });
+    }
+  }
+
+  if (!released) {
+    console.warn(
+      `⚠️  Job ${job.type} ${job._id} lost its lease; outcome not recorded`
+    );
+  }
+};
+
+/**
+ * Claims and starts jobs until the concurrency limit is reached
+ */
+const poll = async () => {
+  if (stopped || polling) return;
+  polling = true;
+
+  try {
+    while (!stopped && running < config().concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      running += 1;
+      runJob(job)
+        .catch((err) => console.error(`Job ${job._id} crashed:`, err))
+        .finally(() => {
+          running -= 1;
+          setImmediate(poll);
+        });
+    }
+  } catch (error) {
+    console.error("❌ Job queue poll error:", error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Puts jobs whose worker lease expired (crashed or restarted process)
+ * back in the queue. Jobs that used up their attempts are dead-lettered
+ * instead, so a job that crashes its worker is not retried forever.
+ * @returns {Promise<number>} - Number of recovered jobs
+ */
+const recoverExpiredLeases = async () => {
+  const leaseCutoff = new Date(Date.now() - config().leaseMs);
+  const expired = await Job.find({
+    status: "running",
+    lockedAt: { $lt: leaseCutoff },
+  });
+
+  let recovered = 0;
+  for (const job of expired) {
+    // Only the lease that expired: a renewal in between keeps the job
+    const lease = { lockedAt: job.lockedAt };
+    const failure = {
+      attempt: job.attempts,
+      message: `Worker ${job.lockedBy} lost its lease`,
+      at: new Date(),
+    };
+
+    const released =
+      job.attempts >= job.maxAttempts
+        ? await deadLetter(lease, job, failure)
+        : await releaseJob(lease, job, {
+            status: "queued",
+            runAt: new Date(),
+            $push: { failures: failure },
+          });
+    if (released) recovered += 1;
+  }
+
+  if (recovered > 0) {
+    console.warn(`♻️  Recovered ${recovered} job(s) with expired lease`);
+  }
+
+  return recovered;
+};
+
+/**
+ * Starts polling for jobs
+ */
+const startWorker = async () => {
+  if (!stopped) return;
+  stopped = false;
+
+  const { pollIntervalMs, leaseMs } = config();
+
+  await recoverExpiredLeases();
+
+  pollTimer = setInterval(poll, pollIntervalMs);
+  recoveryTimer = setInterval(() => {
+    recoverExpiredLeases().catch((err) =>
+      console.error("❌ Lease recovery error:", err.message)
+    );
+  }, Math.max(leaseMs / 2, pollIntervalMs));
+
+  console.log(`⚙️  Job worker ${workerId} started`);
+  poll();
+};
+
+/**
+ * Stops claiming new jobs (running jobs finish on their own)
+ */
+const stopWorker = () => {
+  stopped = true;
+  clearInterval(pollTimer);
+  clearInterval(recoveryTimer);
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker,
+  claimNextJob,
+  backoffDelay,
+  runJob,
+  recoverExpiredLeases,
+};
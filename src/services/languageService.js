@@ -0,0 +1,303 @@
+/**
+ * Offline language detection for survivor messages.
+ *
+ * Non-Latin scripts are recognised by their Unicode block; Latin-script
+ * text is scored against common function words of each supported language.
+ * Codes are ISO 639-1 ("en", "es", ...); "und" means undetermined.
+ */
+
+const UNDETERMINED = "und";
+
+const SCRIPTS = [
+  { language: "ar", pattern: /[\u0600-\u06ff]/g },
+  { language: "hi", pattern: /[\u0900-\u097f]/g }, // Devanagari
+  { language: "bn", pattern: /[\u0980-\u09ff]/g },
+  { language: "ja", pattern: /[\u3040-\u30ff]/g }, // Kana
+  { language: "zh", pattern: /[\u4e00-\u9fff]/g },
+  { language: "ko", pattern: /[\uac00-\ud7af]/g },
+  { language: "ru", pattern: /[\u0400-\u04ff]/g }, // Cyrillic
+  { language: "el", pattern: /[\u0370-\u03ff]/g },
+  { language: "he", pattern: /[\u0590-\u05ff]/g },
+  { language: "th", pattern: /[\u0e00-\u0e7f]/g },
+];
+
+const FUNCTION_WORDS = {
+  en: [
+    "the",
+    "and",
+    "is",
+    "are",
+    "i",
+    "im",
+    "we",
+    "my",
+    "in",
+    "of",
+    "to",
+    "please",
+    "help",
+    "have",
+    "with",
+    "not",
+    "it",
+    "this",
+    "there",
+    "am",
+    "our",
+    "need",
+    "can",
+    "us",
+  ],
+  es: [
+    "el",
+    "la",
+    "los",
+    "las",
+    "de",
+    "que",
+    "y",
+    "en",
+    "estoy",
+    "estamos",
+    "por",
+    "favor",
+    "ayuda",
+    "mi",
+    "con",
+    "no",
+    "una",
+    "un",
+    "es",
+    "hay",
+    "necesito",
+    "nosotros",
+    "aqui",
+    "aquí",
+  ],
+  fr: [
+    "le",
+    "la",
+    "les",
+    "de",
+    "des",
+    "et",
+    "je",
+    "nous",
+    "est",
+    "sommes",
+    "suis",
+    "pour",
+    "avec",
+    "pas",
+    "une",
+    "un",
+    "il",
+    "aide",
+    "dans",
+    "mon",
+    "ma",
+    "besoin",
+    "sont",
+    "aidez",
+  ],
+  pt: [
+    "o",
+    "a",
+    "os",
+    "as",
+    "de",
+    "que",
+    "e",
+    "estou",
+    "estamos",
+    "por",
+    "favor",
+    "ajuda",
+    "meu",
+    "minha",
+    "com",
+    "não",
+    "nao",
+    "uma",
+    "um",
+    "em",
+    "na",
+    "no",
+    "preciso",
+    "socorro",
+  ],
+  id: [
+    "saya",
+    "kami",
+    "dan",
+    "yang",
+    "di",
+    "tolong",
+    "ada",
+    "tidak",
+    "dengan",
+    "ini",
+    "itu",
+    "kita",
+    "bantuan",
+    "terjebak",
+    "rumah",
+    "butuh",
+    "kaki",
+  ],
+  tl: [
+    "ako",
+    "kami",
+    "ang",
+    "mga",
+    "sa",
+    "ng",
+    "na",
+    "po",
+    "tulong",
+    "may",
+    "hindi",
+    "nasa",
+    "kailangan",
+    "namin",
+    "dito",
+    "bahay",
+  ],
+  tr: [
+    "ve",
+    "bir",
+    "bu",
+    "ben",
+    "biz",
+    "yardım",
+    "yardim",
+    "için",
+    "icin",
+    "çok",
+    "değil",
+    "var",
+    "ile",
+    "da",
+    "de",
+    "mahsur",
+    "lütfen",
+    "lutfen",
+    "evde",
+    "enkaz",
+  ],
+};
+
+// Characters that only (or mostly) occur in one of the Latin-script languages
+const MARKERS = {
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]/g,
+  fr: /[èêëœ]/g,
+  tr: /[ğşı]/g,
+};
+
+// Names some speech-to-text APIs report instead of codes
+const LANGUAGE_NAMES = {
+  english: "en",
+  spanish: "es",
+  french: "fr",
+  portuguese: "pt",
+  indonesian: "id",
+  tagalog: "tl",
+  filipino: "tl",
+  turkish: "tr",
+  arabic: "ar",
+  hindi: "hi",
+  bengali: "bn",
+  japanese: "ja",
+  chinese: "zh",
+  korean: "ko",
+  russian: "ru",
+  greek: "el",
+  hebrew: "he",
+  thai: "th",
+  german: "de",
+  italian: "it",
+  vietnamese: "vi",
+  urdu: "ur",
+  nepali: "ne",
+  swahili: "sw",
+};
+
+/**
+ * Normalizes a language code or name ("Spanish", "es-MX") to ISO 639-1
+ * @param {string} value - Code or name
+ * @returns {string|null}
+ */
+const normalizeLanguageCode = (value) => {
+  if (!value || typeof value !== "string") return null;
+  const lower = value.trim().toLowerCase();
+  if (LANGUAGE_NAMES[lower]) return LANGUAGE_NAMES[lower];
+
+  const code = lower.split(/[-_]/)[0];
+  return /^[a-z]{2}$/.test(code) ? code : null;
+};
+
+/**
+ * Language messages are translated to for analysis and the dashboard
+ * (ANALYSIS_LANGUAGE, default: en)
+ * @returns {string}
+ */
+const getAnalysisLanguage = () =>
+  normalizeLanguageCode(process.env.ANALYSIS_LANGUAGE) || "en";
+
+/**
+ * Detects the language of a text
+ * @param {string} text - Message text
+ * @returns {{language: string, confidence: number}}
+ */
+const detectLanguage = (text) => {
+  const value = String(text || "").toLowerCase();
+  const letters = (value.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return { language: UNDETERMINED, confidence: 0 };
+
+  // Non-Latin scripts
+  const scripts = SCRIPTS.map(({ language, pattern }) => ({
+    language,
+    count: (value.match(pattern) || []).length,
+  })).sort((a, b) => b.count - a.count);
+  if (scripts[0].count / letters >= 0.5) {
+    // Japanese mixes kana with Chinese characters
+    const language =
+      scripts[0].language === "zh" &&
+      scripts.find((script) => script.language === "ja").count > 0
+        ? "ja"
+        : scripts[0].language;
+    return { language, confidence: 0.9 };
+  }
+
+  // Latin script: function words, plus two points per marker character
+  const words = value.match(/\p{L}+/gu) || [];
+  const scores = Object.entries(FUNCTION_WORDS)
+    .map(([language, list]) => ({
+      language,
+      score:
+        words.filter((word) => list.includes(word)).length +
+        2 *
+          ((MARKERS[language] && value.match(MARKERS[language])) || []).length,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score === 0) return { language: UNDETERMINED, confidence: 0 };
+
+  const confidence = Math.min(
+    0.95,
+    (best.score - second.score) / best.score / 2 + Math.min(best.score, 5) / 10
+  );
+  return {
+    language: best.score > second.score ? best.language : UNDETERMINED,
+    confidence: Math.round(confidence * 100) / 100,
+  };
+};
+
+module.exports = {
+  UNDETERMINED,
+  getAnalysisLanguage,
+  normalizeLanguageCode,
+  detectLanguage,
+};
@@ -0,0 +1,135 @@
+/**
+ * Extracts a location from free text (SMS bodies).
+ *
+ * Understands, in order of preference:
+ *  - hemisphere coordinates: "14.5995N 120.9842E"
+ *  - map links: "...@14.5995,120.9842", "?q=14.5995,120.9842"
+ *  - labelled pairs: "lat 14.5995 lng 120.9842"
+ *  - bare decimal pairs with GPS precision (4+ decimals): "14.5995, 120.9842"
+ *  - full Open Location Codes (plus codes): "7Q63HX2R+4R"
+ *
+ * Bare pairs with fewer decimals are ignored: survivors write numbers like
+ * "water 1.50, 12.75 deep" that are not coordinates.
+ */
+
+const OLC_ALPHABET = "23456789CFGHJMPQRVWX";
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const OLC_GRID_ROWS = 5;
+const OLC_GRID_COLUMNS = 4;
+const METERS_PER_DEGREE = 111320;
+
+const HEMISPHERE_PATTERN =
+  /(\d{1,2}(?:\.\d+)?)\s*°?\s*([NS])[\s,;]+(\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])/i;
+const MAP_LINK_PATTERN =
+  /(?:@|[?&](?:q|ll|query|center)=)(-?\d{1,2}(?:\.\d+)?),\s*(-?\d{1,3}(?:\.\d+)?)/i;
+const LABELLED_PAIR_PATTERN =
+  /\blat(?:itude)?\s*[:=]?\s*(-?\d{1,2}(?:\.\d+)?)[\s,;/]*(?:(?:lng|lon|long)\w*\s*[:=]?\s*)?(-?\d{1,3}(?:\.\d+)?)/i;
+const DECIMAL_PAIR_PATTERN =
+  /(?<![\d.])(-?\d{1,2}\.\d{4,})\s*[,;/\s]\s*(-?\d{1,3}\.\d{4,})(?![\d.])/;
+const PLUS_CODE_PATTERN =
+  /(?:^|[^0-9A-Z])([23456789CFGHJMPQRVWX]{8}\+[23456789CFGHJMPQRVWX]{0,7})(?![0-9A-Z])/i;
+
+/**
+ * Checks coordinate ranges
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+const isValidCoordinate = (latitude, longitude) =>
+  Number.isFinite(latitude) &&
+  Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 &&
+  Math.abs(longitude) <= 180;
+
+/**
+ * Decodes a full plus code to the center of its area
+ * @param {string} code - e.g. "7Q63HX2R+4R"
+ * @returns {object|null} - { latitude, longitude, accuracy } or null
+ */
+const decodePlusCode = (code) => {
+  const digits = String(code).toUpperCase().replace("+", "");
+  if (digits.length < 8) return null;
+
+  const values = [...digits].map((char) => OLC_ALPHABET.indexOf(char));
+  if (values.some((value) => value === -1)) return null;
+  // First latitude digit covers 0-180 in steps of 20, longitude 0-360
+  if (values[0] > 8 || values[1] > 17) return null;
+
+  let latitude = -90;
+  let longitude = -180;
+  let latResolution = 0;
+  let lngResolution = 0;
+
+  for (let i = 0; i < Math.min(values.length, 10); i += 2) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i / 2];
+    latitude += values[i] * resolution;
+    longitude += (values[i + 1] || 0) * resolution;
+    latResolution = resolution;
+    lngResolution = resolution;
+  }
+
+  // Grid refinement digits after the first ten
+  for (let i = 10; i < Math.min(values.length, 15); i++) {
+    latResolution /= OLC_GRID_ROWS;
+    lngResolution /= OLC_GRID_COLUMNS;
+    latitude += Math.floor(values[i] / OLC_GRID_COLUMNS) * latResolution;
+    longitude += (values[i] % OLC_GRID_COLUMNS) * lngResolution;
+  }
+
+  const result = {
+    latitude: Math.min(90, latitude + latResolution / 2),
+    longitude: longitude + lngResolution / 2,
+    accuracy: Math.round((latResolution * METERS_PER_DEGREE) / 2),
+  };
+  return isValidCoordinate(result.latitude, result.longitude) ? result : null;
+};
+
+/**
+ * Finds a location in a message
+ * @param {string} text - Message text
+ * @returns {object|null} - { latitude, longitude, accuracy?, source } or null
+ */
+const parseLocationFromText = (text) => {
+  if (!text) return null;
+
+  const hemisphere = String(text).match(HEMISPHERE_PATTERN);
+  if (hemisphere) {
+    const latitude =
+      parseFloat(hemisphere[1]) *
+      (hemisphere[2].toUpperCase() === "S" ? -1 : 1);
+    const longitude =
+      parseFloat(hemisphere[3]) *
+      (hemisphere[4].toUpperCase() === "W" ? -1 : 1);
+    if (isValidCoordinate(latitude, longitude)) {
+      return { latitude, longitude, source: "coordinates" };
+    }
+  }
+
+  for (const pattern of [
+    MAP_LINK_PATTERN,
+    LABELLED_PAIR_PATTERN,
+    DECIMAL_PAIR_PATTERN,
+  ]) {
+    const pair = String(text).match(pattern);
+    if (!pair) continue;
+
+    const latitude = parseFloat(pair[1]);
+    const longitude = parseFloat(pair[2]);
+    if (isValidCoordinate(latitude, longitude)) {
+      return { latitude, longitude, source: "coordinates" };
+    }
+  }
+
+  const plusCode = String(text).match(PLUS_CODE_PATTERN);
+  if (plusCode) {
+    const decoded = decodePlusCode(plusCode[1]);
+    if (decoded) return { ...decoded, source: "plus_code" };
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseLocationFromText,
+  decodePlusCode,
+};
@@ -0,0 +1,139 @@
+const Message = require("../models/Message");
+const { transcribeAudio } = require("./whisperService");
+const { publish } = require("./eventBus");
+
+/**
+ * Rescuer ↔ survivor message threads (one per SOS).
+ *
+ * Messages are published on the event bus so the dashboard stream and the
+ * survivor's session stream see them live:
+ *  - message.created  new message in either direction
+ *  - message.updated  voice reply transcribed (or transcription failed)
+ *  - message.receipt  delivered / read timestamps changed
+ */
+
+/**
+ * Builds the event / API view of a message
+ * @param {object} message - Message document
+ * @returns {object}
+ */
+const toMessageView = (message) => ({
+  messageId: message._id,
+  sosId: message.sos,
+  sessionId: message.sessionId,
+  direction: message.direction,
+  senderName: message.senderName,
+  messageType: message.messageType,
+  text: message.text,
+  transcriptionStatus: message.transcriptionStatus,
+  deliveredAt: message.deliveredAt,
+  readAt: message.readAt,
+  createdAt: message.createdAt,
+});
+
+/**
+ * Publishes a message event
+ * @param {string} type - message.created | message.updated
+ * @param {object} message - Message document
+ */
+const publishMessageEvent = (type, message) =>
+  publish(type, toMessageView(message));
+
+/**
+ * Sets a receipt timestamp on messages that do not have it yet
+ * @param {object} filter - Messages to update
+ * @param {string} receipt - "deliveredAt" | "readAt"
+ * @returns {Promise<number>} - Number of messages updated
+ */
+const setReceipt = async (filter, receipt) => {
+  const pending = await Message.find({ ...filter, [receipt]: null }).select(
+    "_id sos sessionId direction"
+  );
+  if (pending.length === 0) return 0;
+
+  const at = new Date();
+  const ids = pending.map((message) => message._id);
+
+  await Message.updateMany(
+    { _id: { $in: ids }, [receipt]: null },
+    { $set: { [receipt]: at } }
+  );
+  if (receipt === "readAt") {
+    // Reading a message implies it was delivered
+    await Message.updateMany(
+      { _id: { $in: ids }, deliveredAt: null },
+      { $set: { deliveredAt: at } }
+    );
+  }
+
+  pending.forEach((message) =>
+    publish("message.receipt", {
+      messageId: message._id,
+      sosId: message.sos,
+      sessionId: message.sessionId,
+      direction: message.direction,
+      receipt: receipt === "readAt" ? "read" : "delivered",
+      at: at.toISOString(),
+    })
+  );
+
+  return pending.length;
+};
+
+/**
+ * Marks messages as delivered to their recipient
+ * @param {object} filter - Messages to update
+ * @returns {Promise<number>}
+ */
+const markDelivered = (filter) => setReceipt(filter, "deliveredAt");
+
+/**
+ * Marks messages as read by their recipient
+ * @param {object} filter - Messages to update
+ * @returns {Promise<number>}
+ */
+const markRead = (filter) => setReceipt(filter, "readAt");
+
+/**
+ * Transcribes a survivor's voice reply (run by the job queue)
+ * @param {string} messageId - Message id
+ * @returns {Promise<object>} - Updated message
+ */
+const transcribeMessage = async (messageId) => {
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw new Error(`Message ${messageId} not found`);
+  }
+  if (message.transcriptionStatus === "completed") return message;
+
+  message.text = await transcribeAudio(message.voiceFileUrl);
+  message.transcriptionStatus = "completed";
+  await message.save();
+
+  publishMessageEvent("message.updated", message);
+  return message;
+};
+
+/**
+ * Marks a voice reply whose transcription gave up
+ * @param {string} messageId - Message id
+ * @returns {Promise<object|null>}
+ */
+const markTranscriptionFailed = async (messageId) => {
+  const message = await Message.findByIdAndUpdate(
+    messageId,
+    { transcriptionStatus: "failed" },
+    { new: true }
+  );
+  if (message) publishMessageEvent("message.updated", message);
+  return message;
+};
+
+module.exports = {
+  toMessageView,
+  publishMessageEvent,
+  markDelivered,
+  markRead,
+  transcribeMessage,
+  markTranscriptionFailed,
+};
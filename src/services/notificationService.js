@@ -0,0 +1,60 @@
+const axios = require("axios");
+const { publish } = require("./eventBus");
+
+/**
+ * Staff notifications (escalations and other alerts).
+ *
+ * Every notification is published on the event bus as "notification"
+ * (dashboards receive it on the SOS stream) and logged. When
+ * NOTIFICATION_WEBHOOK_URL is set it is also POSTed there, e.g. to a chat
+ * or paging integration.
+ *
+ * Env:
+ *  - NOTIFICATION_WEBHOOK_URL (optional)
+ *  - NOTIFICATION_TIMEOUT_MS (default: 5000)
+ */
+
+/**
+ * Sends a notification. Delivery failures are logged, never thrown.
+ * @param {object} notification - { type, title, message, roles, sosId,
+ *   urgency, status, location, data } (urgency/status/location let
+ *   dashboard stream filters apply)
+ * @returns {Promise<object>} - The published notification
+ */
+const notify = async (notification) => {
+  const payload = {
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    roles: notification.roles || [],
+    sosId: notification.sosId,
+    urgency: notification.urgency,
+    status: notification.status,
+    location: notification.location,
+    ...(notification.data && { data: notification.data }),
+  };
+
+  publish("notification", payload);
+  console.warn(
+    `🔔 ${payload.title}: ${payload.message} → ${payload.roles.join(", ")}`
+  );
+
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (url) {
+    try {
+      await axios.post(
+        url,
+        { ...payload, sentAt: new Date().toISOString() },
+        { timeout: parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 5000 }
+      );
+    } catch (error) {
+      console.error("❌ Notification webhook failed:", error.message);
+    }
+  }
+
+  return payload;
+};
+
+module.exports = {
+  notify,
+};
@@ -0,0 +1,106 @@
+/**
+ * Helpers for services that can run against several interchangeable
+ * providers (speech-to-text, analysis, ...) chosen by configuration.
+ */
+
+/**
+ * Resolves an ordered provider chain from a comma-separated setting
+ * @param {string|undefined} configured - e.g. "openai,huggingface"
+ * @param {object} registry - Map of provider name => provider
+ * @param {string[]} defaults - Chain to use when nothing is configured
+ * @param {string} settingName - Env variable name, used in error messages
+ * @returns {string[]} - Provider names in failover order
+ */
+const resolveProviderChain = (configured, registry, defaults, settingName) => {
+  const names = configured
+    ? configured
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+    : defaults;
+
+  const unknown = names.filter((name) => !registry[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown ${settingName} provider(s): ${unknown.join(
+        ", "
+      )}. Available: ${Object.keys(registry).join(", ")}`
+    );
+  }
+
+  if (names.length === 0) {
+    throw new Error(`${settingName} does not name any provider`);
+  }
+
+  return names;
+};
+
+/**
+ * Runs an operation against each provider in turn until one succeeds.
+ * Errors are mapped through the provider's mapError() when it has one;
+ * a mapped error with `failover === false` stops the chain immediately.
+ * @param {string[]} chain - Provider names in order
+ * @param {object} registry - Map of provider name => provider
+ * @param {Function} invoke - async (provider, name) => result
+ * @returns {Promise<{result: *, provider: string, attempts: object[]}>}
+ */
+const runWithFailover = async (chain, registry, invoke) => {
+  const attempts = [];
+
+  for (const name of chain) {
+    const provider = registry[name];
+    const startedAt = Date.now();
+
+    try {
+      const result = await invoke(provider, name);
+      attempts.push({
+        provider: name,
+        ok: true,
+        durationMs: Date.now() - startedAt,
+      });
+      return { result, provider: name, attempts };
+    } catch (error) {
+      const mapped = provider.mapError ? provider.mapError(error) : error;
+      attempts.push({
+        provider: name,
+        ok: false,
+        error: mapped.message,
+        durationMs: Date.now() - startedAt,
+      });
+      console.warn(`⚠️  Provider "${name}" failed: ${mapped.message}`);
+
+      if (mapped.failover === false) {
+        mapped.attempts = attempts;
+        throw mapped;
+      }
+    }
+  }
+
+  const error = new Error(
+    attempts
+      .map((attempt) => `${attempt.provider}: ${attempt.error}`)
+      .join("; ")
+  );
+  error.attempts = attempts;
+  throw error;
+};
+
+/**
+ * Creates an Error carrying a provider-independent code
+ * @param {string} message - Human readable message
+ * @param {string} code - e.g. AUTH, RATE_LIMIT, TOO_LARGE, UNAVAILABLE
+ * @param {object} extra - Extra properties (failover, status, ...)
+ * @returns {Error}
+ */
+const providerError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+module.exports = {
+  resolveProviderChain,
+  runWithFailover,
+  providerError,
+};
@@ -0,0 +1,523 @@
+const SOS = require("../models/SOS");
+const { DISPATCH_ROLES } = require("../config/roles");
+const { URGENCY_LEVELS } = require("./validationService");
+const { historyEntry } = require("./statusLifecycle");
+const { publishSOSEvent } = require("./eventBus");
+
+/**
+ * Manual review of cases flagged by validation (validationFlags.manualReview).
+ *
+ * A reviewer claims a case, then confirms the AI analysis or overrides its
+ * urgency / eventType / needs with a reason. Overridden values become the
+ * case's operative analysis; the AI's values and the override are kept
+ * side by side in `reviews` for agreement stats and labeled-data export.
+ *
+ * Env: REVIEW_CLAIM_MINUTES (default: 15) - how long a claim holds before
+ * another reviewer can take the case
+ */
+
+const REVIEWED_FIELDS = ["urgency", "eventType", "needs"];
+
+/**
+ * Creates an error with an HTTP status code
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const reviewError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * How long a claim holds
+ * @returns {number} - Milliseconds
+ */
+const claimDurationMs = () =>
+  (Number(process.env.REVIEW_CLAIM_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Whether a claim is held by someone else and still valid
+ * @param {object} claim - sos.reviewClaim
+ * @param {object} user - Reviewer
+ * @returns {boolean}
+ */
+const claimedByOther = (claim, user) =>
+  Boolean(
+    claim &&
+      claim.claimedBy &&
+      String(claim.claimedBy) !== String(user._id) &&
+      claim.expiresAt > new Date()
+  );
+
+/**
+ * Explains why a claim or decision on a case was refused
+ * @param {string} sosId - SOS id
+ * @param {object} user - Reviewer
+ * @returns {Promise<Error>}
+ */
+const claimConflict = async (sosId, user) => {
+  const sos = await SOS.findById(sosId)
+    .select("validationFlags reviewClaim")
+    .populate("reviewClaim.claimedBy", "name");
+
+  if (!sos) return reviewError("SOS not found", 404);
+  if (!sos.validationFlags || !sos.validationFlags.manualReview) {
+    return reviewError("SOS is not waiting for review", 409);
+  }
+
+  const claim = sos.reviewClaim;
+  if (claimedByOther(claim, user)) {
+    const error = reviewError(
+      `SOS is being reviewed by ${claim.claimedBy.name || "another reviewer"}`,
+      409
+    );
+    error.claim = claim;
+    return error;
+  }
+
+  return reviewError("Claim the SOS before deciding on it", 409);
+};
+
+/**
+ * Claims a flagged case for review (or extends your own claim)
+ * @param {string} sosId - SOS id
+ * @param {object} user - Reviewer
+ * @returns {Promise<object>} - Updated SOS
+ * @throws {Error} - statusCode 404 / 409
+ */
+const claimReview = async (sosId, user) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + claimDurationMs());
+  const flagged = { _id: sosId, "validationFlags.manualReview": true };
+
+  // Extending keeps the original claim time, so review time stays honest
+  const extended = await SOS.findOneAndUpdate(
+    { ...flagged, "reviewClaim.claimedBy": user._id },
+    { $set: { "reviewClaim.expiresAt": expiresAt } },
+    { new: true }
+  );
+  if (extended) return extended;
+
+  const claimed = await SOS.findOneAndUpdate(
+    {
+      ...flagged,
+      $or: [
+        { "reviewClaim.claimedBy": null },
+        { "reviewClaim.expiresAt": { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        reviewClaim: { claimedBy: user._id, claimedAt: now, expiresAt },
+      },
+    },
+    { new: true }
+  );
+  if (claimed) {
+    console.log(`🔎 SOS ${sosId} claimed for review by ${user.name}`);
+    return claimed;
+  }
+
+  throw await claimConflict(sosId, user);
+};
+
+/**
+ * Releases a claim without deciding. Coordinators can release anyone's.
+ * @param {string} sosId - SOS id
+ * @param {object} user - Reviewer
+ * @returns {Promise<object>} - Updated SOS
+ * @throws {Error} - statusCode 404 / 409
+ */
+const releaseReview = async (sosId, user) => {
+  const filter = { _id: sosId, "reviewClaim.claimedBy": { $ne: null } };
+  if (!DISPATCH_ROLES.includes(user.role)) {
+    filter["reviewClaim.claimedBy"] = user._id;
+  }
+
+  const released = await SOS.findOneAndUpdate(
+    filter,
+    { $unset: { reviewClaim: 1 } },
+    { new: true }
+  );
+  if (released) return released;
+
+  if (!(await SOS.exists({ _id: sosId }))) {
+    throw reviewError("SOS not found", 404);
+  }
+  throw reviewError("You do not hold a review claim on this SOS", 409);
+};
+
+/**
+ * Normalizes a needs list for comparison
+ * @param {string[]} needs
+ * @returns {string}
+ */
+const needsKey = (needs = []) =>
+  JSON.stringify(
+    [...new Set(needs.map((need) => need.trim().toLowerCase()))].sort()
+  );
+
+/**
+ * Validates a review decision and works out what it changes
+ * @param {object} aiAnalysis - Current analysis of the case
+ * @param {object} body - { decision: "confirm"|"override", urgency?,
+ *   eventType?, needs?, reason? }
+ * @returns {{decision: string, reason: string, override: object|null,
+ *   agreement: object}}
+ * @throws {Error} - statusCode 400
+ */
+const parseDecision = (aiAnalysis, body = {}) => {
+  const { decision, urgency, eventType, needs } = body;
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+
+  if (!["confirm", "override"].includes(decision)) {
+    throw reviewError('decision must be "confirm" or "override"', 400);
+  }
+
+  const agreement = { urgency: true, eventType: true, needs: true };
+  if (decision === "confirm") {
+    return { decision: "confirmed", reason, override: null, agreement };
+  }
+
+  if (!reason) {
+    throw reviewError("reason is required to override the analysis", 400);
+  }
+  if (urgency !== undefined && !URGENCY_LEVELS.includes(urgency)) {
+    throw reviewError(
+      `urgency must be one of: ${URGENCY_LEVELS.join(", ")}`,
+      400
+    );
+  }
+  if (
+    eventType !== undefined &&
+    (typeof eventType !== "string" || !eventType.trim())
+  ) {
+    throw reviewError("eventType must be a non-empty string", 400);
+  }
+  if (
+    needs !== undefined &&
+    (!Array.isArray(needs) ||
+      needs.some((need) => typeof need !== "string" || !need.trim()))
+  ) {
+    throw reviewError("needs must be a list of strings", 400);
+  }
+
+  const override = {};
+  if (urgency !== undefined && urgency !== aiAnalysis.urgency) {
+    override.urgency = urgency;
+  }
+  if (eventType !== undefined && eventType.trim() !== aiAnalysis.eventType) {
+    override.eventType = eventType.trim();
+  }
+  if (
+    needs !== undefined &&
+    needsKey(needs) !== needsKey(aiAnalysis.needs || [])
+  ) {
+    override.needs = needs.map((need) => need.trim());
+  }
+
+  if (Object.keys(override).length === 0) {
+    throw reviewError(
+      "Override must change urgency, eventType or needs (use confirm otherwise)",
+      400
+    );
+  }
+
+  REVIEWED_FIELDS.forEach((field) => {
+    agreement[field] = override[field] === undefined;
+  });
+
+  return { decision: "overridden", reason, override, agreement };
+};
+
+/**
+ * Records a reviewer's decision on a case they claimed
+ * @param {string} sosId - SOS id
+ * @param {object} user - Reviewer
+ * @param {object} body - See parseDecision
+ * @returns {Promise<object>} - Updated SOS
+ * @throws {Error} - statusCode 400 / 404 / 409
+ */
+const decideReview = async (sosId, user, body) => {
+  const sos = await SOS.findById(sosId);
+  if (!sos) throw reviewError("SOS not found", 404);
+
+  const claim = sos.reviewClaim;
+  if (
+    !sos.validationFlags.manualReview ||
+    !claim ||
+    String(claim.claimedBy) !== String(user._id)
+  ) {
+    throw await claimConflict(sosId, user);
+  }
+
+  const aiAnalysis = sos.aiAnalysis || {};
+  const { decision, reason, override, agreement } = parseDecision(
+    aiAnalysis,
+    body
+  );
+  const now = new Date();
+
+  const review = {
+    reviewer: user._id,
+    reviewerName: user.name,
+    claimedAt: claim.claimedAt,
+    reviewedAt: now,
+    durationMs: claim.claimedAt ? now - claim.claimedAt : undefined,
+    decision,
+    ...(reason && { reason }),
+    analysis: {
+      urgency: aiAnalysis.urgency,
+      eventType: aiAnalysis.eventType,
+      needs: aiAnalysis.needs,
+      confidence: aiAnalysis.confidence,
+      provider: aiAnalysis.provider,
+    },
+    ...(override && { override }),
+    agreement,
+    rulesetVersion: sos.validationFlags.rulesetVersion,
+  };
+
+  const update = {
+    $set: { "validationFlags.manualReview": false },
+    $unset: { reviewClaim: 1 },
+    $push: { reviews: review },
+  };
+
+  if (override) {
+    REVIEWED_FIELDS.forEach((field) => {
+      if (override[field] !== undefined) {
+        update.$set[`aiAnalysis.${field}`] = override[field];
+      }
+    });
+  }
+  if (override && override.urgency) {
+    update.$push.statusHistory = historyEntry({
+      field: "urgency",
+      from: aiAnalysis.urgency,
+      to: override.urgency,
+      actor: user._id,
+      actorName: user.name,
+      notes: reason,
+    });
+  }
+
+  // Someone else may have taken over an expired claim meanwhile
+  const updated = await SOS.findOneAndUpdate(
+    { _id: sosId, "reviewClaim.claimedBy": user._id },
+    update,
+    { new: true }
+  );
+  if (!updated) throw await claimConflict(sosId, user);
+
+  await updated.refreshTriage();
+  publishSOSEvent("sos.updated", updated);
+
+  console.log(
+    `🔎 SOS ${sosId} review ${decision} by ${user.name}${
+      override && override.urgency
+        ? ` (${aiAnalysis.urgency} → ${override.urgency})`
+        : ""
+    }`
+  );
+  return updated;
+};
+
+/**
+ * Latest reviewer override of a case, merged field by field (a later
+ * review only replaces the fields it changed)
+ * @param {object} sos - SOS document
+ * @returns {object|null} - { urgency?, eventType?, needs?, reviewedAt }
+ */
+const latestOverride = (sos) => {
+  const overrides = (sos.reviews || []).filter(
+    (review) => review.decision === "overridden" && review.override
+  );
+  if (overrides.length === 0) return null;
+
+  return overrides.reduce((merged, review) => {
+    REVIEWED_FIELDS.forEach((field) => {
+      const value = review.override[field];
+      if (value !== undefined && value !== null) merged[field] = value;
+    });
+    merged.reviewedAt = review.reviewedAt;
+    return merged;
+  }, {});
+};
+
+/**
+ * Average of a list of numbers (null when empty)
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+const average = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+/**
+ * Review throughput and AI/reviewer agreement since a date
+ * @param {Date} since - Only reviews made after this
+ * @returns {Promise<object>}
+ */
+const summarizeReviews = async (since) => {
+  const now = new Date();
+  const [queue, reviews] = await Promise.all([
+    SOS.aggregate([
+      { $match: { "validationFlags.manualReview": true } },
+      {
+        $group: {
+          _id: null,
+          pending: { $sum: 1 },
+          claimed: {
+            $sum: {
+              $cond: [{ $gt: ["$reviewClaim.expiresAt", now] }, 1, 0],
+            },
+          },
+        },
+      },
+    ]),
+    SOS.aggregate([
+      { $match: { "reviews.reviewedAt": { $gte: since } } },
+      { $unwind: "$reviews" },
+      { $match: { "reviews.reviewedAt": { $gte: since } } },
+      { $replaceRoot: { newRoot: "$reviews" } },
+    ]),
+  ]);
+
+  const agreementRate = (list) =>
+    REVIEWED_FIELDS.reduce((rates, field) => {
+      const answered = list.filter(
+        (review) => review.agreement && review.agreement[field] !== undefined
+      );
+      rates[field] =
+        answered.length > 0
+          ? answered.filter((review) => review.agreement[field]).length /
+            answered.length
+          : null;
+      return rates;
+    }, {});
+
+  const durations = (list) =>
+    list
+      .map((review) => review.durationMs)
+      .filter((duration) => typeof duration === "number");
+
+  // AI urgency => reviewer urgency, for every review
+  const urgencyMatrix = {};
+  reviews.forEach((review) => {
+    const ai = (review.analysis && review.analysis.urgency) || "UNKNOWN";
+    const label = (review.override && review.override.urgency) || ai;
+    urgencyMatrix[ai] = urgencyMatrix[ai] || {};
+    urgencyMatrix[ai][label] = (urgencyMatrix[ai][label] || 0) + 1;
+  });
+
+  const byReviewer = new Map();
+  reviews.forEach((review) => {
+    const key = String(review.reviewer);
+    if (!byReviewer.has(key)) {
+      byReviewer.set(key, { name: review.reviewerName, reviews: [] });
+    }
+    byReviewer.get(key).reviews.push(review);
+  });
+
+  return {
+    since,
+    queue: {
+      pending: queue.length ? queue[0].pending : 0,
+      claimed: queue.length ? queue[0].claimed : 0,
+    },
+    reviewed: reviews.length,
+    confirmed: reviews.filter((review) => review.decision === "confirmed")
+      .length,
+    overridden: reviews.filter((review) => review.decision === "overridden")
+      .length,
+    avgDurationMs: average(durations(reviews)),
+    agreement: agreementRate(reviews),
+    urgencyMatrix,
+    reviewers: [...byReviewer.entries()].map(([reviewer, entry]) => ({
+      reviewer,
+      name: entry.name,
+      reviewed: entry.reviews.length,
+      overridden: entry.reviews.filter(
+        (review) => review.decision === "overridden"
+      ).length,
+      avgDurationMs: average(durations(entry.reviews)),
+      agreement: agreementRate(entry.reviews),
+    })),
+  };
+};
+
+/**
+ * Cursor over reviews as labeled examples: the survivor's words, what the
+ * AI said, and what the reviewer decided
+ * @param {object} options - { since, until, decision }
+ * @returns {AsyncIterable<object>} - One row per review
+ */
+async function* reviewLabels({ since, until, decision } = {}) {
+  const reviewedAt = {};
+  if (since) reviewedAt.$gte = since;
+  if (until) reviewedAt.$lt = until;
+  const inRange = (review) =>
+    (!since || review.reviewedAt >= since) &&
+    (!until || review.reviewedAt < until) &&
+    (!decision || review.decision === decision);
+
+  const cursor = SOS.find({
+    "reviews.0": { $exists: true },
+    ...(Object.keys(reviewedAt).length > 0 && {
+      "reviews.reviewedAt": reviewedAt,
+    }),
+  })
+    .select(
+      "sosType transcript originalData.textMessage language translation reviews analysisTrace.model analysisTrace.promptVersion"
+    )
+    .sort({ receivedAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const sos of cursor) {
+    for (const review of sos.reviews.filter(inRange)) {
+      const trace = sos.analysisTrace || {};
+      yield {
+        sosId: String(sos._id),
+        sosType: sos.sosType,
+        language: sos.language ? sos.language.code : undefined,
+        text:
+          sos.transcript ||
+          (sos.originalData && sos.originalData.textMessage) ||
+          null,
+        translation: sos.translation ? sos.translation.text : null,
+        ai: review.analysis,
+        label: {
+          urgency:
+            (review.override && review.override.urgency) ||
+            review.analysis.urgency,
+          eventType:
+            (review.override && review.override.eventType) ||
+            review.analysis.eventType,
+          needs:
+            (review.override && review.override.needs) || review.analysis.needs,
+        },
+        decision: review.decision,
+        reason: review.reason,
+        reviewedAt: review.reviewedAt,
+        rulesetVersion: review.rulesetVersion,
+        model: trace.model,
+        promptVersion: trace.promptVersion,
+      };
+    }
+  }
+}
+
+module.exports = {
+  claimReview,
+  releaseReview,
+  decideReview,
+  parseDecision,
+  latestOverride,
+  summarizeReviews,
+  reviewLabels,
+};
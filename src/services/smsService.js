@@ -0,0 +1,260 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+/**
+ * SMS gateway integration: parsing of inbound gateway webhooks and a
+ * pluggable sender for replies.
+ *
+ * Inbound adapters (POST /api/sms/inbound/:gateway):
+ *  - twilio: form post (From, Body, MessageSid). The X-Twilio-Signature
+ *    header is checked with TWILIO_AUTH_TOKEN; set PUBLIC_BASE_URL when
+ *    running behind a proxy so the signed URL matches.
+ *  - generic: JSON { from, text, id } (message/body and messageId are
+ *    accepted too). The X-SMS-Gateway-Token header must match
+ *    SMS_INBOUND_TOKEN.
+ * A gateway without its secret configured receives nothing.
+ *
+ * Senders (SMS_SENDER):
+ *  - log (default): replies are only logged
+ *  - twilio: Twilio REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+ *    TWILIO_FROM_NUMBER)
+ *  - webhook: POST { to, body } to SMS_SENDER_URL (optional bearer token
+ *    SMS_SENDER_TOKEN)
+ *
+ * Env:
+ *  - SMS_SESSION_SALT (required to receive SMS): secret key of the session
+ *    ids derived from phone numbers
+ *  - SMS_TIMEOUT_MS (default: 5000)
+ */
+
+const SMS_TIMEOUT_MS = parseInt(process.env.SMS_TIMEOUT_MS) || 5000;
+
+/**
+ * Normalizes a phone number to its digits (and a leading +)
+ * @param {string} phoneNumber - Number as sent by the gateway
+ * @returns {string}
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  const value = String(phoneNumber || "").trim();
+  const digits = value.replace(/\D/g, "");
+  return value.startsWith("+") ? `+${digits}` : digits;
+};
+
+// Secret each inbound gateway is verified with
+const GATEWAY_SECRETS = {
+  twilio: "TWILIO_AUTH_TOKEN",
+  generic: "SMS_INBOUND_TOKEN",
+};
+
+/**
+ * Problems that keep the SMS channel (or one gateway) from receiving messages
+ * @param {string} gateway - Optional gateway name
+ * @returns {string[]} - Empty when SMS can be received
+ */
+const checkSMSConfig = (gateway) => {
+  const problems = [];
+  if (!process.env.SMS_SESSION_SALT) {
+    problems.push("SMS_SESSION_SALT is not configured");
+  }
+  const secret = GATEWAY_SECRETS[gateway];
+  if (secret && !process.env[secret]) {
+    problems.push(`${secret} is not configured`);
+  }
+  return problems;
+};
+
+/**
+ * Derives a stable, non-reversible session id from a phone number so all
+ * messages from one phone land in the same survivor session. Keyed with
+ * SMS_SESSION_SALT: phone numbers are guessable, so an unkeyed hash would
+ * let anyone open a survivor's session.
+ * @param {string} phoneNumber - Sender number
+ * @returns {string}
+ * @throws {Error} - statusCode 503 when SMS_SESSION_SALT is not set
+ */
+const sessionIdForPhone = (phoneNumber) => {
+  if (!process.env.SMS_SESSION_SALT) {
+    const error = new Error("SMS_SESSION_SALT is not configured");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  return (
+    "sms-" +
+    crypto
+      .createHash("sha256")
+      .update(
+        `${process.env.SMS_SESSION_SALT}${normalizePhoneNumber(phoneNumber)}`
+      )
+      .digest("hex")
+      .slice(0, 24)
+  );
+};
+
+/**
+ * Masks a phone number for logs
+ * @param {string} phoneNumber - Phone number
+ * @returns {string}
+ */
+const maskPhoneNumber = (phoneNumber) => {
+  const value = normalizePhoneNumber(phoneNumber);
+  return value.length > 4 ? `***${value.slice(-4)}` : "***";
+};
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Checks a Twilio request signature: base64 HMAC-SHA1 of the full URL
+ * followed by every POST parameter (sorted by name) as name + value
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const verifyTwilioSignature = (req) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) return false;
+
+  const baseUrl =
+    process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  const params = req.body || {};
+  const signed = Object.keys(params)
+    .sort()
+    .reduce((data, key) => data + key + params[key], baseUrl + req.originalUrl);
+
+  const expected = crypto
+    .createHmac("sha1", authToken)
+    .update(signed)
+    .digest("base64");
+
+  return safeEqual(req.get("X-Twilio-Signature"), expected);
+};
+
+const INBOUND_ADAPTERS = {
+  twilio: {
+    verify: verifyTwilioSignature,
+    parse: (body) => ({
+      from: body.From,
+      to: body.To,
+      text: body.Body,
+      messageId: body.MessageSid || body.SmsSid,
+    }),
+    // Replies go out through the sender, so answer with empty TwiML
+    respond: (res, statusCode) =>
+      res
+        .status(statusCode)
+        .type("text/xml")
+        .send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>'),
+  },
+  generic: {
+    verify: (req) =>
+      Boolean(process.env.SMS_INBOUND_TOKEN) &&
+      safeEqual(req.get("X-SMS-Gateway-Token"), process.env.SMS_INBOUND_TOKEN),
+    parse: (body) => ({
+      from: body.from,
+      to: body.to,
+      text: body.text || body.message || body.body,
+      messageId: body.id || body.messageId,
+    }),
+    respond: (res, statusCode, result) =>
+      res.status(statusCode).json({ success: statusCode < 400, ...result }),
+  },
+};
+
+/**
+ * Returns the inbound adapter for a gateway name
+ * @param {string} gateway - "twilio" or "generic"
+ * @returns {object|null} - { verify, parse, respond }
+ */
+const getInboundAdapter = (gateway) =>
+  Object.prototype.hasOwnProperty.call(INBOUND_ADAPTERS, gateway)
+    ? INBOUND_ADAPTERS[gateway]
+    : null;
+
+const SENDERS = {
+  log: async ({ to, body }) => {
+    console.log(`📤 SMS to ${maskPhoneNumber(to)}: ${body}`);
+  },
+  twilio: async ({ to, body }) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!accountSid || !authToken || !process.env.TWILIO_FROM_NUMBER) {
+      throw new Error(
+        "TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required"
+      );
+    }
+
+    await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({
+        To: to,
+        From: process.env.TWILIO_FROM_NUMBER,
+        Body: body,
+      }).toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: SMS_TIMEOUT_MS,
+      }
+    );
+  },
+  webhook: async ({ to, body }) => {
+    if (!process.env.SMS_SENDER_URL) {
+      throw new Error("SMS_SENDER_URL is required");
+    }
+
+    await axios.post(
+      process.env.SMS_SENDER_URL,
+      { to, body },
+      {
+        headers: process.env.SMS_SENDER_TOKEN
+          ? { Authorization: `Bearer ${process.env.SMS_SENDER_TOKEN}` }
+          : {},
+        timeout: SMS_TIMEOUT_MS,
+      }
+    );
+  },
+};
+
+/**
+ * Sends an SMS through the configured sender. Failures are logged, never
+ * thrown: a missing acknowledgement must not lose the SOS.
+ * @param {string} to - Recipient number
+ * @param {string} body - Message text
+ * @returns {Promise<boolean>} - Whether the sender accepted the message
+ */
+const sendSMS = async (to, body) => {
+  const name = process.env.SMS_SENDER || "log";
+  const sender = SENDERS[name];
+
+  try {
+    if (!sender) {
+      throw new Error(`Unknown SMS_SENDER "${name}"`);
+    }
+    await sender({ to, body });
+    return true;
+  } catch (error) {
+    console.error(
+      `❌ SMS to ${maskPhoneNumber(to)} failed (${name}):`,
+      error.message
+    );
+    return false;
+  }
+};
+
+module.exports = {
+  checkSMSConfig,
+  normalizePhoneNumber,
+  sessionIdForPhone,
+  maskPhoneNumber,
+  getInboundAdapter,
+  sendSMS,
+};
@@ -0,0 +1,263 @@
+/**
+ * Flat SOS export formats for partner agencies and GIS tools
+ * (GET /api/sos/export).
+ *
+ * Each SOS becomes one flat row (aiAnalysis and the rest flattened into
+ * columns); a format turns rows into chunks of text so exports can be
+ * streamed. With `redact`, free text and anything identifying the survivor
+ * or the rescuer is left out, for sharing outside the response team.
+ */
+
+// Fields read from the database for an export
+const EXPORT_PROJECTION = {
+  sosType: 1,
+  status: 1,
+  "originalData.channel": 1,
+  "originalData.textMessage": 1,
+  "originalData.voiceFileUrl": 1,
+  "originalData.photoUrl": 1,
+  receivedAt: 1,
+  location: 1,
+  distance: 1,
+  aiAnalysis: 1,
+  "triage.score": 1,
+  "triage.vulnerableGroups": 1,
+  "validationFlags.manualReview": 1,
+  "language.code": 1,
+  transcript: 1,
+  "translation.text": 1,
+  sessionId: 1,
+  incident: 1,
+  duplicateOf: 1,
+  assignedTo: 1,
+  assignedAt: 1,
+  eta: 1,
+  overdue: 1,
+  escalationLevel: 1,
+  resolvedAt: 1,
+  resolutionNotes: 1,
+};
+
+// Left out of redacted exports
+const REDACTED_FIELDS = [
+  "summary",
+  "sceneDescription",
+  "injuryStatus",
+  "transcript",
+  "translation",
+  "textMessage",
+  "voiceFileUrl",
+  "photoUrl",
+  "sessionId",
+  "assignedTo",
+  "assigneeName",
+  "resolutionNotes",
+];
+
+/**
+ * ISO string of a date (empty when unset)
+ * @param {Date} date
+ * @returns {string|null}
+ */
+const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Flattens an SOS into export columns
+ * @param {object} sos - Plain SOS object
+ * @param {object} options - { redact, assignees: Map of user id => name }
+ * @returns {object} - Column name => value (in column order)
+ */
+const flattenSOS = (sos, { redact = false, assignees = new Map() } = {}) => {
+  const ai = sos.aiAnalysis || {};
+  const location = sos.location || {};
+  const original = sos.originalData || {};
+  const assignedTo = sos.assignedTo ? String(sos.assignedTo) : null;
+
+  const row = {
+    id: String(sos._id),
+    sosType: sos.sosType,
+    status: sos.status,
+    channel: original.channel,
+    receivedAt: isoDate(sos.receivedAt),
+    capturedAt: isoDate(location.capturedAt),
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: location.accuracy,
+    ...(sos.distance !== undefined && { distance: Math.round(sos.distance) }),
+    urgency: ai.urgency,
+    eventType: ai.eventType,
+    summary: ai.summary,
+    sceneDescription: ai.sceneDescription,
+    injuryStatus: ai.injuryStatus,
+    needs: (ai.needs || []).join("; "),
+    riskFactors: (ai.riskFactors || []).join("; "),
+    peopleCount: ai.peopleCount,
+    confidence: ai.confidence,
+    analysisProvider: ai.provider,
+    triageScore: sos.triage ? sos.triage.score : null,
+    vulnerableGroups: ((sos.triage && sos.triage.vulnerableGroups) || []).join(
+      "; "
+    ),
+    manualReview: Boolean(
+      sos.validationFlags && sos.validationFlags.manualReview
+    ),
+    language: sos.language ? sos.language.code : null,
+    transcript: sos.transcript,
+    translation: sos.translation ? sos.translation.text : null,
+    textMessage: original.textMessage,
+    voiceFileUrl: original.voiceFileUrl,
+    photoUrl: original.photoUrl,
+    sessionId: sos.sessionId,
+    incident: sos.incident ? String(sos.incident) : null,
+    duplicateOf: sos.duplicateOf ? String(sos.duplicateOf) : null,
+    assignedTo,
+    assigneeName: assignedTo ? assignees.get(assignedTo) || null : null,
+    assignedAt: isoDate(sos.assignedAt),
+    eta: isoDate(sos.eta),
+    overdue: Boolean(sos.overdue),
+    escalationLevel: sos.escalationLevel || 0,
+    resolvedAt: isoDate(sos.resolvedAt),
+    resolutionNotes: sos.resolutionNotes,
+  };
+
+  if (redact) {
+    REDACTED_FIELDS.forEach((field) => delete row[field]);
+  }
+
+  Object.keys(row).forEach((field) => {
+    if (row[field] === undefined) row[field] = null;
+  });
+  return row;
+};
+
+/**
+ * Column names of an export
+ * @param {object} options - { redact, near: distance query }
+ * @returns {string[]}
+ */
+const exportColumns = ({ redact = false, near = false } = {}) =>
+  Object.keys(flattenSOS({ ...(near && { distance: 0 }) }, { redact }));
+
+/**
+ * Quotes a CSV cell. Text that spreadsheets would run as a formula is
+ * prefixed with a quote (survivor messages are untrusted).
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Characters XML 1.0 does not allow, even escaped (control characters other
+// than tab, LF and CR, and the U+FFFE/U+FFFF non-characters)
+const XML_INVALID_CHARS =
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escapes text for XML, dropping characters XML cannot carry
+ * @param {*} value
+ * @returns {string}
+ */
+const xmlEscape = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(XML_INVALID_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// KML icon colors (aabbggrr) by urgency
+const KML_COLORS = {
+  CRITICAL: "ff0000ff",
+  HIGH: "ff0080ff",
+  MEDIUM: "ff00ffff",
+  LOW: "ff00ff00",
+};
+
+/**
+ * Export formats. Each one turns rows into text chunks:
+ * start(columns) before the first row, row(row, index) per SOS, end() at
+ * the end.
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    start: (columns) => `${columns.map(csvCell).join(",")}\r\n`,
+    row: (row) => `${Object.values(row).map(csvCell).join(",")}\r\n`,
+    end: () => "",
+  },
+
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    start: () => '{"type":"FeatureCollection","features":[\n',
+    row: (row, index) => {
+      const { latitude, longitude, ...properties } = row;
+      return `${index === 0 ? "" : ",\n"}${JSON.stringify({
+        type: "Feature",
+        id: row.id,
+        geometry: { type: "Point", coordinates: [longitude, latitude] },
+        properties,
+      })}`;
+    },
+    end: () => "\n]}\n",
+  },
+
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    start: () =>
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        "<Document>",
+        "<name>SOS cases</name>",
+        ...Object.entries(KML_COLORS).map(
+          ([urgency, color]) =>
+            `<Style id="${urgency}"><IconStyle><color>${color}</color></IconStyle></Style>`
+        ),
+        "",
+      ].join("\n"),
+    row: (row) => {
+      const data = Object.entries(row)
+        .filter(([, value]) => value !== null && value !== "")
+        .map(
+          ([name, value]) =>
+            `<Data name="${name}"><value>${xmlEscape(value)}</value></Data>`
+        )
+        .join("");
+
+      return [
+        `<Placemark id="sos-${row.id}">`,
+        `<name>${xmlEscape(
+          `${row.urgency} - ${row.eventType || "Unknown"}`
+        )}</name>`,
+        row.summary && `<description>${xmlEscape(row.summary)}</description>`,
+        row.receivedAt &&
+          `<TimeStamp><when>${row.receivedAt}</when></TimeStamp>`,
+        `<styleUrl>#${row.urgency}</styleUrl>`,
+        `<ExtendedData>${data}</ExtendedData>`,
+        `<Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point>`,
+        "</Placemark>",
+        "",
+      ]
+        .filter((line) => line !== null && line !== undefined)
+        .join("\n");
+    },
+    end: () => "</Document>\n</kml>\n",
+  },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_PROJECTION,
+  exportColumns,
+  flattenSOS,
+};
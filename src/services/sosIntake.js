@@ -0,0 +1,214 @@
+const SOS = require("../models/SOS");
+const { processTextSOS, processFollowUp } = require("./sosPipeline");
+const {
+  enqueueSOSProcessing,
+  enqueueFollowUpProcessing,
+} = require("../workers/sosWorker");
+const { publishSOSEvent } = require("./eventBus");
+const { historyEntry } = require("./statusLifecycle");
+const { normalizeLanguageCode } = require("./languageService");
+
+/**
+ * Intake steps shared by every channel that accepts SOS (HTTP API, SMS).
+ * Callers validate their input first.
+ */
+
+const MAX_FOLLOW_UPS = parseInt(process.env.MAX_FOLLOW_UPS) || 50;
+
+/**
+ * Language the client says the survivor uses (e.g. the app locale)
+ * @param {string} language - Reported code or name
+ * @returns {object|undefined} - SOS language field
+ */
+const clientLanguage = (language) => {
+  const code = normalizeLanguageCode(language);
+  return code ? { code, confidence: 1, source: "client" } : undefined;
+};
+
+/**
+ * Creates a text SOS and analyzes it right away; if analysis fails it is
+ * handed to the job queue to retry
+ * @param {object} data - { sessionId, location, message, submittedBy,
+ *   originalData, clientId, rateLimited, language, captureTimeAdjusted }
+ * @param {object} options - { analyzeNow: false to leave analysis to the queue }
+ * @returns {Promise<{sos: object, status: string}>}
+ */
+const submitTextSOS = async (
+  {
+    sessionId,
+    location,
+    message,
+    submittedBy = null,
+    originalData = {},
+    clientId,
+    rateLimited = [],
+    language,
+    captureTimeAdjusted = false,
+  },
+  options = {}
+) => {
+  const sos = await SOS.create({
+    sessionId,
+    clientId,
+    sosType: "text",
+    location,
+    language: clientLanguage(language),
+    ...(captureTimeAdjusted && { validationFlags: { captureTimeAdjusted } }),
+    originalData: {
+      ...originalData,
+      textMessage: message,
+    },
+    transcript: message, // For text, transcript is the message itself
+    spam: { rateLimited },
+    status: "processing",
+    statusHistory: [historyEntry({ from: null, to: "processing" })],
+    submittedBy,
+    receivedAt: new Date(),
+  });
+
+  publishSOSEvent("sos.created", sos);
+
+  if (options.analyzeNow === false) {
+    await enqueueSOSProcessing(sos);
+    return { sos, status: "processing" };
+  }
+
+  let status = "processed";
+  try {
+    await processTextSOS(sos._id);
+  } catch (processingError) {
+    console.error(
+      `Text SOS ${sos._id} analysis failed, queued for retry:`,
+      processingError.message
+    );
+    await enqueueSOSProcessing(sos);
+    status = "processing";
+  }
+
+  return { sos, status };
+};
+
+/**
+ * Creates a voice SOS and queues it for transcription and analysis
+ * @param {object} data - { sessionId, location, voiceFileUrl, submittedBy,
+ *   clientId, rateLimited, language, captureTimeAdjusted }
+ * @returns {Promise<{sos: object, status: string}>}
+ */
+const submitVoiceSOS = async ({
+  sessionId,
+  location,
+  voiceFileUrl,
+  submittedBy = null,
+  clientId,
+  rateLimited = [],
+  language,
+  captureTimeAdjusted = false,
+}) => {
+  const sos = await SOS.create({
+    sessionId,
+    clientId,
+    sosType: "voice",
+    location,
+    language: clientLanguage(language),
+    ...(captureTimeAdjusted && { validationFlags: { captureTimeAdjusted } }),
+    originalData: {
+      voiceFileUrl,
+    },
+    spam: { rateLimited },
+    status: "processing",
+    statusHistory: [historyEntry({ from: null, to: "processing" })],
+    submittedBy,
+    receivedAt: new Date(),
+  });
+
+  publishSOSEvent("sos.created", sos);
+
+  // Process in background via the durable job queue
+  await enqueueSOSProcessing(sos);
+
+  return { sos, status: "processing" };
+};
+
+/**
+ * Creates a photo SOS and queues it for vision analysis
+ * @param {object} data - { sessionId, location, photoUrl, caption,
+ *   submittedBy, clientId, rateLimited, language }
+ * @returns {Promise<{sos: object, status: string}>}
+ */
+const submitPhotoSOS = async ({
+  sessionId,
+  location,
+  photoUrl,
+  caption = null,
+  submittedBy = null,
+  clientId,
+  rateLimited = [],
+  language,
+}) => {
+  const sos = await SOS.create({
+    sessionId,
+    clientId,
+    sosType: "photo",
+    location,
+    language: clientLanguage(language),
+    originalData: {
+      photoUrl,
+      ...(caption && { textMessage: caption }),
+    },
+    transcript: caption, // Optional caption typed alongside the photo
+    spam: { rateLimited },
+    status: "processing",
+    statusHistory: [historyEntry({ from: null, to: "processing" })],
+    submittedBy,
+    receivedAt: new Date(),
+  });
+
+  publishSOSEvent("sos.created", sos);
+
+  // Process in background via the durable job queue
+  await enqueueSOSProcessing(sos);
+
+  return { sos, status: "processing" };
+};
+
+/**
+ * Appends a survivor follow-up to an SOS. Text is analyzed right away like
+ * a text SOS; voice goes to the queue for transcription.
+ * @param {object} sos - SOS document
+ * @param {object} data - { messageType, text, voiceFileUrl }
+ * @param {object} options - { analyzeNow: false to leave analysis to the queue }
+ * @returns {Promise<{followUp: object, status: string}>}
+ */
+const submitFollowUp = async (sos, data, options = {}) => {
+  sos.followUps.push(data);
+  const followUp = sos.followUps[sos.followUps.length - 1];
+  await sos.save();
+
+  publishSOSEvent("sos.followup", sos);
+
+  let status = "processing";
+  if (data.messageType === "text" && options.analyzeNow !== false) {
+    try {
+      await processFollowUp(sos._id, followUp._id);
+      status = "processed";
+    } catch (processingError) {
+      console.error(
+        `Follow-up ${followUp._id} analysis failed, queued for retry:`,
+        processingError.message
+      );
+      await enqueueFollowUpProcessing(sos, followUp);
+    }
+  } else {
+    await enqueueFollowUpProcessing(sos, followUp);
+  }
+
+  return { followUp, status };
+};
+
+module.exports = {
+  MAX_FOLLOW_UPS,
+  submitTextSOS,
+  submitVoiceSOS,
+  submitPhotoSOS,
+  submitFollowUp,
+};
@@ -0,0 +1,541 @@
+const SOS = require("../models/SOS");
+const {
+  transcribeAudio,
+  transcribeAudioDetailed,
+} = require("./whisperService");
+const { localizeText } = require("./translationService");
+const { analyzeSOSContentWithTrace } = require("./gptService");
+const { analyzeSOSPhotoWithTrace } = require("./visionService");
+const {
+  validateAIAnalysis,
+  compareUrgency,
+  highestUrgency,
+} = require("./validationService");
+const { assessSpam } = require("./spamService");
+const { publishSOSEvent } = require("./eventBus");
+const { linkDuplicates } = require("./duplicateService");
+const { checkTransition, historyEntry } = require("./statusLifecycle");
+const { latestOverride } = require("./reviewService");
+
+/**
+ * SOS processing steps shared by the HTTP controllers and the job queue.
+ * Every step throws on failure so the queue can retry it.
+ */
+
+/**
+ * Loads an SOS or throws
+ * @param {string} sosId - SOS id
+ * @returns {Promise<object>}
+ */
+const loadSOS = async (sosId) => {
+  const sos = await SOS.findById(sosId);
+  if (!sos) {
+    throw new Error(`SOS ${sosId} not found`);
+  }
+  return sos;
+};
+
+/**
+ * Language the survivor is known to use: sent by the app or reported by
+ * speech-to-text
+ * @param {object} sos - SOS document
+ * @returns {object} - { language, languageSource } (empty if unknown)
+ */
+const languageHint = (sos) =>
+  sos.language && ["client", "speech"].includes(sos.language.source)
+    ? { language: sos.language.code, languageSource: sos.language.source }
+    : {};
+
+/**
+ * Detects the language of the survivor's words and stores it with the
+ * translation used for analysis (reused when a previous attempt got this far)
+ * @param {object} sos - SOS document
+ * @param {string} text - Survivor's words
+ * @returns {Promise<object>} - { language, analysisText }
+ */
+const localizeSOS = async (sos, text) => {
+  if (sos.translation && sos.translation.text) {
+    return { language: sos.language.code, analysisText: sos.translation.text };
+  }
+
+  const localized = await localizeText(text, languageHint(sos));
+
+  await SOS.findByIdAndUpdate(sos._id, {
+    language: {
+      code: localized.language,
+      confidence: localized.confidence,
+      source: localized.source,
+    },
+    ...(localized.translation && { translation: localized.translation }),
+  });
+
+  return localized;
+};
+
+/**
+ * Location to give the model (none while an SMS SOS waits for one)
+ * @param {object} sos - SOS document
+ * @returns {object|undefined}
+ */
+const knownLocation = (sos) =>
+  sos.location && !sos.location.pending ? sos.location : undefined;
+
+/**
+ * Analysis context for an SOS
+ * @param {object} sos - SOS document
+ * @param {object} localized - { language, translation } of its text
+ * @param {string} originalText - The survivor's own words (for the
+ *   offline analyzer's per-language rules)
+ * @returns {object}
+ */
+const analysisMetadata = (sos, localized = {}, originalText) => ({
+  receivedAt: sos.receivedAt,
+  location: knownLocation(sos),
+  language: localized.language,
+  originalText,
+  translated: Boolean(
+    localized.translation || (sos.translation && sos.translation.text)
+  ),
+});
+
+/**
+ * Trace entry for an analysis: how the model answered and what validation
+ * made of it
+ * @param {object} trace - Model call trace (from the analysis service)
+ * @param {object} aiAnalysis - Analysis result
+ * @param {object} validationResult - From validateAIAnalysis
+ * @param {object} context - { language, translated, finalUrgency,
+ *   manualReview, followUp }
+ * @returns {object}
+ */
+const buildAnalysisTrace = (trace, aiAnalysis, validationResult, context) => ({
+  ...trace,
+  analyzedAt: new Date(),
+  rules: {
+    rulesetVersion: validationResult.rulesetVersion,
+    fired: validationResult.matchedRules,
+    negated: validationResult.negatedRules,
+  },
+  originalUrgency: aiAnalysis.urgency,
+  adjustedUrgency: validationResult.adjustedUrgency,
+  hasCriticalKeywords: validationResult.hasCriticalKeywords,
+  hasHighKeywords: validationResult.hasHighKeywords,
+  meetsThreshold: validationResult.meetsThreshold,
+  manualReview: validationResult.manualReview,
+  warnings: validationResult.warnings,
+  ...context,
+});
+
+/**
+ * Validates an AI analysis and stores the final result on the SOS
+ * @param {string} sosId - SOS id
+ * @param {object} analyzed - { analysis, trace } from the analysis service
+ * @param {string} observedText - Text the validation rules run against
+ * @param {object} original - { language, originalText, translated }: the
+ *   survivor's own words when observedText is a translation
+ * @returns {Promise<object>} - Updated SOS
+ */
+const applyAnalysis = async (sosId, analyzed, observedText, original = {}) => {
+  const { analysis: aiAnalysis, trace } = analyzed;
+  const validationResult = validateAIAnalysis(
+    aiAnalysis,
+    observedText,
+    original
+  );
+  const current = await loadSOS(sosId);
+  const spam = await assessSpam(current);
+  if (spam.review) {
+    console.warn(
+      `⚠️  SOS ${sosId} looks like spam (score ${spam.score}) - flagging for manual review`
+    );
+  }
+
+  // A reviewer's override stands until the survivor sends something new
+  const override = latestOverride(current);
+  const followUps = override
+    ? current.followUps.filter(
+        (followUp) => followUp.receivedAt > override.reviewedAt
+      )
+    : current.followUps;
+
+  // Follow-ups may only ever raise urgency, so re-analysis keeps their level
+  const urgency = highestUrgency([
+    (override && override.urgency) || validationResult.adjustedUrgency,
+    ...followUps.map((followUp) => followUp.urgency),
+  ]);
+
+  const update = {
+    aiAnalysis: {
+      ...aiAnalysis,
+      ...(override && override.eventType && { eventType: override.eventType }),
+      ...(override && override.needs && { needs: override.needs }),
+      urgency,
+    },
+    validationFlags: {
+      hasKeywords: validationResult.hasKeywords,
+      meetsThreshold: validationResult.meetsThreshold,
+      matchedRules: validationResult.matchedRules,
+      rulesetVersion: validationResult.rulesetVersion,
+      captureTimeAdjusted: Boolean(
+        current.validationFlags && current.validationFlags.captureTimeAdjusted
+      ),
+      // Likely spam is reviewed by a person, never dropped
+      manualReview: validationResult.manualReview || spam.review,
+    },
+    analysisTrace: buildAnalysisTrace(trace, aiAnalysis, validationResult, {
+      language: original.language,
+      translated: Boolean(original.translated),
+      finalUrgency: urgency,
+      manualReview: validationResult.manualReview || spam.review,
+    }),
+    spam: {
+      score: spam.score,
+      signals: spam.signals,
+      rateLimited: current.spam ? current.spam.rateLimited : [],
+      computedAt: spam.computedAt,
+    },
+  };
+
+  // Re-analysis of a case already in a rescuer's hands keeps its status
+  if (
+    current.status !== "processed" &&
+    checkTransition(current.status, "processed").allowed
+  ) {
+    update.status = "processed";
+    update.processedAt = new Date();
+    update.$push = {
+      statusHistory: historyEntry({ from: current.status, to: "processed" }),
+    };
+  }
+
+  const sos = await SOS.findByIdAndUpdate(sosId, update, { new: true });
+  await sos.refreshTriage();
+
+  // Group with earlier SOS from the same people; never block processing
+  let result = sos;
+  try {
+    result = (await linkDuplicates(sos)) || sos;
+  } catch (error) {
+    console.error(`Duplicate linking failed for SOS ${sosId}:`, error.message);
+  }
+
+  publishSOSEvent("sos.processed", result);
+  return result;
+};
+
+/**
+ * Voice SOS: transcribe, analyze, validate
+ * @param {string} sosId - SOS id
+ * @returns {Promise<object>} - Updated SOS
+ */
+const processVoiceSOS = async (sosId) => {
+  const sos = await loadSOS(sosId);
+
+  // Step 1: Transcribe audio in the language spoken (skipped when a
+  // previous attempt got this far)
+  let transcript = sos.transcript;
+  if (!transcript) {
+    const hint = languageHint(sos);
+    const transcription = await transcribeAudioDetailed(
+      sos.originalData.voiceFileUrl,
+      { language: hint.language }
+    );
+    transcript = transcription.text;
+
+    const update = { transcript, status: "processing" };
+    if (!hint.language && transcription.language) {
+      update.language = {
+        code: transcription.language,
+        confidence: 1,
+        source: "speech",
+      };
+    }
+    await SOS.findByIdAndUpdate(sosId, update);
+    if (update.language) sos.language = update.language;
+  }
+
+  // Step 2: Language detection and translation
+  const localized = await localizeSOS(sos, transcript);
+
+  // Step 3: AI analysis
+  const metadata = analysisMetadata(sos, localized, transcript);
+  const analyzed = await analyzeSOSContentWithTrace(
+    localized.analysisText,
+    metadata
+  );
+
+  // Step 4: Validation and final update
+  const updated = await applyAnalysis(sosId, analyzed, localized.analysisText, {
+    language: localized.language,
+    originalText: transcript,
+    translated: metadata.translated,
+  });
+
+  console.log(`✅ SOS ${sosId} processed successfully`);
+  return updated;
+};
+
+/**
+ * Photo SOS: vision analysis, validate against caption and scene description
+ * @param {string} sosId - SOS id
+ * @returns {Promise<object>} - Updated SOS
+ */
+const processPhotoSOS = async (sosId) => {
+  const sos = await loadSOS(sosId);
+
+  // Step 1: Language detection and translation of the caption
+  const localized = sos.transcript
+    ? await localizeSOS(sos, sos.transcript)
+    : { analysisText: null };
+
+  // Step 2: Vision analysis
+  const analyzed = await analyzeSOSPhotoWithTrace(sos.originalData.photoUrl, {
+    receivedAt: sos.receivedAt,
+    location: sos.location,
+    caption: localized.analysisText,
+  });
+
+  // Step 3: Validation against caption and what the model saw
+  const observedText = [
+    localized.analysisText,
+    analyzed.analysis.sceneDescription,
+  ]
+    .filter(Boolean)
+    .join(". ");
+  const updated = await applyAnalysis(sosId, analyzed, observedText, {
+    language: localized.language,
+    originalText: sos.transcript,
+    translated: analysisMetadata(sos, localized).translated,
+  });
+
+  console.log(`✅ SOS ${sosId} processed successfully`);
+  return updated;
+};
+
+/**
+ * Text SOS: analyze, validate
+ * @param {string} sosId - SOS id
+ * @returns {Promise<object>} - Updated SOS
+ */
+const processTextSOS = async (sosId) => {
+  const sos = await loadSOS(sosId);
+  const message = sos.originalData.textMessage;
+
+  const localized = await localizeSOS(sos, message);
+
+  const metadata = analysisMetadata(sos, localized, message);
+  const analyzed = await analyzeSOSContentWithTrace(
+    localized.analysisText,
+    metadata
+  );
+
+  return applyAnalysis(sosId, analyzed, localized.analysisText, {
+    language: localized.language,
+    originalText: message,
+    translated: metadata.translated,
+  });
+};
+
+/**
+ * Survivor follow-up: transcribe (voice), re-analyze the whole conversation
+ * and escalate the case if it became more urgent. Never lowers urgency.
+ * @param {string} sosId - SOS id
+ * @param {string} followUpId - Follow-up id
+ * @returns {Promise<object>} - Updated SOS
+ */
+const processFollowUp = async (sosId, followUpId) => {
+  const sos = await loadSOS(sosId);
+  const index = sos.followUps.findIndex((f) => f._id.equals(followUpId));
+  if (index === -1) {
+    throw new Error(`Follow-up ${followUpId} not found on SOS ${sosId}`);
+  }
+
+  const followUp = sos.followUps[index];
+  if (followUp.status === "processed") return sos;
+
+  // Step 1: Transcribe voice follow-ups (skipped when already done)
+  let text = followUp.text;
+  if (!text) {
+    text = await transcribeAudio(followUp.voiceFileUrl, {
+      language: sos.language && sos.language.code,
+    });
+
+    await SOS.updateOne(
+      { _id: sosId, "followUps._id": followUpId },
+      { $set: { "followUps.$.text": text } }
+    );
+  }
+
+  // Step 2: Translate like the original message (survivors keep writing
+  // in the same language)
+  let translation = followUp.translation;
+  let language = followUp.language;
+  if (!translation) {
+    const localized = await localizeText(text, languageHint(sos));
+    language = localized.language;
+    translation = localized.translation && localized.translation.text;
+
+    await SOS.updateOne(
+      { _id: sosId, "followUps._id": followUpId },
+      {
+        $set: {
+          "followUps.$.language": language,
+          ...(translation && { "followUps.$.translation": translation }),
+        },
+      }
+    );
+  }
+
+  // Step 3: Analyze the original message with everything sent since
+  const joinMessages = (messages) => messages.filter(Boolean).join("\n");
+  const earlier = sos.followUps.slice(0, index);
+  const conversation = joinMessages([
+    (sos.translation && sos.translation.text) || sos.transcript,
+    ...earlier.map((f) => f.translation || f.text),
+    translation || text,
+  ]);
+  const originalText = joinMessages([
+    sos.transcript,
+    ...earlier.map((f) => f.text),
+    text,
+  ]);
+
+  const translated = conversation !== originalText;
+  const { analysis: aiAnalysis, trace } = await analyzeSOSContentWithTrace(
+    conversation,
+    {
+      receivedAt: sos.receivedAt,
+      location: knownLocation(sos),
+      language,
+      originalText,
+      translated,
+    }
+  );
+  const validationResult = validateAIAnalysis(aiAnalysis, conversation, {
+    language,
+    originalText,
+  });
+  const { adjustedUrgency } = validationResult;
+
+  // Step 4: Escalate only
+  const currentUrgency = sos.aiAnalysis && sos.aiAnalysis.urgency;
+  const escalated = compareUrgency(adjustedUrgency, currentUrgency) > 0;
+
+  const update = {
+    $set: {
+      "followUps.$[f].status": "processed",
+      "followUps.$[f].urgency": adjustedUrgency,
+      "followUps.$[f].escalated": escalated,
+      "followUps.$[f].processedAt": new Date(),
+    },
+    $addToSet: {
+      "aiAnalysis.needs": { $each: aiAnalysis.needs || [] },
+      "aiAnalysis.riskFactors": { $each: aiAnalysis.riskFactors || [] },
+    },
+    $push: {
+      followUpTraces: buildAnalysisTrace(trace, aiAnalysis, validationResult, {
+        followUp: followUp._id,
+        language,
+        translated,
+        finalUrgency: escalated ? adjustedUrgency : currentUrgency,
+      }),
+    },
+  };
+
+  if (aiAnalysis.peopleCount) {
+    update.$max = { "aiAnalysis.peopleCount": aiAnalysis.peopleCount };
+  }
+
+  if (escalated) {
+    update.$set["aiAnalysis.urgency"] = adjustedUrgency;
+    update.$set["aiAnalysis.summary"] = aiAnalysis.summary;
+    update.$set["validationFlags.manualReview"] = true;
+    update.$push.statusHistory = historyEntry({
+      field: "urgency",
+      from: currentUrgency,
+      to: adjustedUrgency,
+      notes: "Escalated by survivor follow-up",
+    });
+  }
+
+  const updated = await SOS.findByIdAndUpdate(sosId, update, {
+    new: true,
+    arrayFilters: [{ "f._id": followUp._id }],
+  });
+  await updated.refreshTriage();
+
+  publishSOSEvent("sos.updated", updated);
+
+  console.log(
+    `✅ Follow-up ${followUpId} on SOS ${sosId} processed${
+      escalated ? ` (escalated to ${adjustedUrgency})` : ""
+    }`
+  );
+  return updated;
+};
+
+/**
+ * Marks a follow-up as failed; the SOS itself is left as it is
+ * @param {string} sosId - SOS id
+ * @param {string} followUpId - Follow-up id
+ * @param {string[]} errors - Error messages
+ * @returns {Promise<object>} - Updated SOS
+ */
+const markFollowUpFailed = async (sosId, followUpId, errors) => {
+  const sos = await SOS.findOneAndUpdate(
+    { _id: sosId, "followUps._id": followUpId },
+    {
+      $set: {
+        "followUps.$.status": "failed",
+        "followUps.$.processingErrors": errors,
+        // A rescuer has to read the message
+        "validationFlags.manualReview": true,
+      },
+    },
+    { new: true }
+  );
+
+  if (sos) {
+    await sos.refreshTriage();
+    publishSOSEvent("sos.updated", sos);
+  }
+  return sos;
+};
+
+/**
+ * Marks an SOS as failed, recording every attempt's error
+ * @param {string} sosId - SOS id
+ * @param {string[]} errors - Error messages
+ * @returns {Promise<object>} - Updated SOS
+ */
+const markSOSFailed = async (sosId, errors) => {
+  const current = await loadSOS(sosId);
+
+  const update = { processingErrors: errors };
+  if (checkTransition(current.status, "failed").allowed) {
+    update.status = "failed";
+    update.$push = {
+      statusHistory: historyEntry({
+        from: current.status,
+        to: "failed",
+        notes: errors[errors.length - 1],
+      }),
+    };
+  }
+
+  const sos = await SOS.findByIdAndUpdate(sosId, update, { new: true });
+  await sos.refreshTriage();
+
+  publishSOSEvent("sos.failed", sos);
+  return sos;
+};
+
+module.exports = {
+  processVoiceSOS,
+  processPhotoSOS,
+  processTextSOS,
+  processFollowUp,
+  applyAnalysis,
+  markSOSFailed,
+  markFollowUpFailed,
+};
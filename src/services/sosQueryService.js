@@ -0,0 +1,174 @@
+const SOS = require("../models/SOS");
+const {
+  parseBBox,
+  parsePoint,
+  parsePolygon,
+  bboxToGeometry,
+} = require("./geoService");
+
+// Highest triage score first; longest waiting first on ties
+const DEFAULT_SORT = { "triage.score": -1, receivedAt: 1 };
+
+/**
+ * Creates a 400 error for malformed query parameters
+ * @param {string} message
+ * @returns {Error}
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Builds the SOS list query from request query parameters.
+ * Shared by every endpoint that lists SOS cases so filters behave the same.
+ *
+ * Supported parameters:
+ *  - status, urgency
+ *  - hideDuplicates=true: only parent cases (no SOS linked as duplicates)
+ *  - overdue=true|false: cases past (or within) their escalation deadline
+ *  - near=lng,lat [+ radius=meters]: adds `distance` (meters) to each result
+ *  - bbox=minLng,minLat,maxLng,maxLat (minLng > maxLng crosses the
+ *    antimeridian)
+ *  - within=GeoJSON Polygon or [[lng,lat],...]
+ *
+ * @param {object} query - Request query
+ * @returns {{filter: object, near: object|null, radius: number|null}}
+ * @throws {Error} - statusCode 400 for malformed parameters
+ */
+const buildSOSQuery = (query = {}) => {
+  const { status, urgency } = query;
+
+  // Build filter
+  const filter = {};
+  if (status) filter.status = status;
+  if (urgency) filter["aiAnalysis.urgency"] = urgency;
+  if (query.hideDuplicates === "true") filter.duplicateOf = null;
+  if (query.overdue === "true") filter.overdue = true;
+  if (query.overdue === "false") filter.overdue = { $ne: true };
+
+  let near = null;
+  let radius = null;
+  const geoConditions = [];
+
+  try {
+    const bbox = parseBBox(query.bbox);
+    if (bbox) {
+      geoConditions.push({ $geometry: bboxToGeometry(bbox) });
+    }
+
+    const polygon = parsePolygon(query.within);
+    if (polygon) {
+      geoConditions.push({ $geometry: polygon });
+    }
+
+    near = parsePoint(query.near);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+
+  if (query.radius !== undefined) {
+    radius = Number(query.radius);
+    if (!near) {
+      throw badRequest("radius requires near=lng,lat");
+    }
+    if (!Number.isFinite(radius) || radius <= 0) {
+      throw badRequest("radius must be a positive number of meters");
+    }
+  }
+
+  if (geoConditions.length === 1) {
+    filter["location.point"] = { $geoWithin: geoConditions[0] };
+  } else if (geoConditions.length > 1) {
+    filter.$and = geoConditions.map((condition) => ({
+      "location.point": { $geoWithin: condition },
+    }));
+  }
+
+  return { filter, near, radius };
+};
+
+/**
+ * Aggregation stages for a distance query ($geoNear must come first)
+ * @param {object} sosQuery - Result of buildSOSQuery with `near` set
+ * @returns {object[]}
+ */
+const geoNearStages = ({ filter, near, radius }) => [
+  {
+    $geoNear: {
+      near,
+      key: "location.point",
+      distanceField: "distance",
+      spherical: true,
+      query: filter,
+      ...(radius && { maxDistance: radius }),
+    },
+  },
+];
+
+/**
+ * Runs a paginated SOS list query.
+ * With `near`, results are ordered by distance and include `distance`.
+ * @param {object} sosQuery - Result of buildSOSQuery
+ * @param {object} page - { limit, skip }
+ * @returns {Promise<{data: object[], total: number}>}
+ */
+const findSOS = async (sosQuery, { limit, skip }) => {
+  if (sosQuery.near) {
+    const [result] = await SOS.aggregate([
+      ...geoNearStages(sosQuery),
+      {
+        $facet: {
+          data: [{ $skip: skip }, { $limit: limit }, { $project: { __v: 0 } }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    return {
+      data: result.data,
+      total: result.total.length ? result.total[0].count : 0,
+    };
+  }
+
+  const [data, total] = await Promise.all([
+    SOS.find(sosQuery.filter)
+      .sort(DEFAULT_SORT)
+      .limit(limit)
+      .skip(skip)
+      .select("-__v"),
+    SOS.countDocuments(sosQuery.filter),
+  ]);
+
+  return { data, total };
+};
+
+/**
+ * Streams every SOS matching a list query, in list order, without loading
+ * them all into memory.
+ * With `near`, results are ordered by distance and include `distance`.
+ * @param {object} sosQuery - Result of buildSOSQuery
+ * @param {object} projection - Fields to include or exclude
+ * @returns {AsyncIterable<object>} - Plain SOS objects
+ */
+const streamSOS = (sosQuery, projection) => {
+  if (sosQuery.near) {
+    return SOS.aggregate([
+      ...geoNearStages(sosQuery),
+      { $project: projection },
+    ]).cursor();
+  }
+
+  return SOS.find(sosQuery.filter)
+    .sort(DEFAULT_SORT)
+    .select(projection)
+    .lean()
+    .cursor();
+};
+
+module.exports = {
+  buildSOSQuery,
+  findSOS,
+  streamSOS,
+};
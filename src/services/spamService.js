@@ -0,0 +1,292 @@
+const SOS = require("../models/SOS");
+const { matchKeywords } = require("./heuristicAnalyzer");
+const { evaluateRules } = require("./triageRuleService");
+
+/**
+ * Prank / spam likelihood of an SOS, computed alongside the validation of
+ * its analysis.
+ *
+ * The score (0-100) is the sum of the signals below. At or above
+ * SPAM_REVIEW_THRESHOLD (default: 50) the SOS goes to manual review. A
+ * spam score never drops an SOS or lowers its urgency: a false negative
+ * could cost a life.
+ */
+
+const SPAM_REVIEW_THRESHOLD = parseInt(process.env.SPAM_REVIEW_THRESHOLD) || 50;
+
+const POINTS = {
+  repeatedBySession: 20,
+  repeatedAcrossSessions: 25,
+  gibberish: 35,
+  noContent: 35,
+  nullIsland: 30,
+  oceanIndoor: 30,
+  ocean: 15,
+  rateLimited: 10, // Per exceeded scope
+};
+
+const REPEAT_WINDOW_MS = 60 * 60 * 1000;
+const MIN_CROSS_SESSION_LENGTH = 20; // Short cries for help repeat naturally
+const CROSS_SESSION_MIN_SESSIONS = 3;
+
+const PROFANITY = [
+  "fuck",
+  "fucking",
+  "fucker",
+  "shit",
+  "damn",
+  "crap",
+  "bitch",
+  "ass",
+  "asshole",
+  "bastard",
+  "dick",
+  "piss",
+  "wtf",
+];
+
+const JOKE_WORDS = ["lol", "lmao", "haha", "hahaha", "jk", "prank", "test"];
+
+const INDOOR_KEYWORDS = [
+  "building",
+  "house",
+  "home",
+  "apartment",
+  "floor",
+  "room",
+  "basement",
+  "stairs",
+  "office",
+  "school",
+  "hospital",
+  "rubble",
+  "collapsed",
+];
+
+const MARITIME_KEYWORDS = [
+  "boat",
+  "ship",
+  "vessel",
+  "sea",
+  "ocean",
+  "sailing",
+  "capsized",
+  "overboard",
+  "raft",
+  "yacht",
+  "ferry",
+  "fishing",
+];
+
+// Open ocean far from any coast or inhabited island (deliberately coarse)
+const OPEN_OCEAN_BOXES = [
+  { name: "North Pacific", minLat: 30, maxLat: 45, minLng: -170, maxLng: -135 },
+  {
+    name: "South Pacific",
+    minLat: -50,
+    maxLat: -30,
+    minLng: -150,
+    maxLng: -90,
+  },
+  { name: "North Atlantic", minLat: 35, maxLat: 50, minLng: -50, maxLng: -32 },
+  { name: "South Atlantic", minLat: -35, maxLat: -20, minLng: -25, maxLng: -5 },
+  { name: "Indian Ocean", minLat: -35, maxLat: -15, minLng: 70, maxLng: 100 },
+];
+
+const KEYBOARD_RUNS = [
+  "qwert",
+  "werty",
+  "asdf",
+  "sdfg",
+  "zxcv",
+  "hjkl",
+  "uiop",
+];
+
+/**
+ * Checks whether a word looks like keyboard mashing
+ * @param {string} word - Lowercased Latin word
+ * @returns {boolean}
+ */
+const isMashedWord = (word) =>
+  (word.length >= 4 && !/[aeiouy]/.test(word)) ||
+  /[bcdfghjklmnpqrstvwxz]{5,}/.test(word) ||
+  /(.)\1{3,}/.test(word) ||
+  KEYBOARD_RUNS.some((run) => word.includes(run));
+
+/**
+ * Detects gibberish in Latin-script text. Text in other scripts and text
+ * that any triage rule matches (even negated) is never called gibberish.
+ * @param {string} text - Lowercased text
+ * @param {object} options - { language, translation } of the text
+ * @returns {boolean}
+ */
+const isGibberish = (text, options = {}) => {
+  const rules = evaluateRules(options.translation || text, {
+    language: options.language,
+    originalText: text,
+  });
+  if (rules.fired.length > 0 || rules.negated.length > 0) {
+    return false;
+  }
+
+  const words = text.match(/[a-z]{3,}/g) || [];
+  if (words.length === 0) {
+    // Only symbols / digits, unless another script is in use
+    return !/\p{L}/u.test(text) && text.trim().length > 0;
+  }
+
+  const mashed = words.filter(isMashedWord).length;
+  return mashed / words.length >= 0.6;
+};
+
+/**
+ * Checks whether text only contains profanity, laughter or "test"
+ * @param {string} text - Lowercased text
+ * @returns {boolean}
+ */
+const hasNoContent = (text) => {
+  const words = text.match(/\p{L}+/gu) || [];
+  return (
+    words.length > 0 &&
+    words.every((word) => PROFANITY.includes(word) || JOKE_WORDS.includes(word))
+  );
+};
+
+/**
+ * Finds the open-ocean area a point lies in
+ * @param {object} location - { latitude, longitude }
+ * @returns {string|null} - Area name
+ */
+const openOceanArea = ({ latitude, longitude }) => {
+  const box = OPEN_OCEAN_BOXES.find(
+    (area) =>
+      latitude >= area.minLat &&
+      latitude <= area.maxLat &&
+      longitude >= area.minLng &&
+      longitude <= area.maxLng
+  );
+  return box ? box.name : null;
+};
+
+/**
+ * Counts earlier SOS with the same message
+ * @param {object} sos - SOS document
+ * @param {string} transcript - Message text
+ * @returns {Promise<{bySession: number, otherSessions: number}>}
+ */
+const countRepeats = async (sos, transcript) => {
+  const since = new Date(new Date(sos.receivedAt).getTime() - REPEAT_WINDOW_MS);
+  const base = {
+    _id: { $ne: sos._id },
+    transcript,
+    receivedAt: { $gte: since },
+  };
+
+  const [bySession, otherSessions] = await Promise.all([
+    SOS.countDocuments({ ...base, sessionId: sos.sessionId }),
+    transcript.length >= MIN_CROSS_SESSION_LENGTH
+      ? SOS.distinct("sessionId", {
+          ...base,
+          sessionId: { $ne: sos.sessionId },
+        })
+      : [],
+  ]);
+
+  return { bySession, otherSessions: otherSessions.length };
+};
+
+/**
+ * Computes the spam / prank score of an SOS
+ * @param {object} sos - SOS document (transcript is the survivor's text)
+ * @returns {Promise<object>} - { score, signals: [{signal, points, detail}],
+ *   review, computedAt }
+ */
+const assessSpam = async (sos) => {
+  const signals = [];
+  const add = (signal, points, detail) =>
+    signals.push({ signal, points, detail });
+
+  const transcript = (sos.transcript || "").trim();
+  const text = transcript.toLowerCase();
+
+  if (text) {
+    const repeats = await countRepeats(sos, transcript);
+    if (repeats.bySession > 0) {
+      add(
+        "repeated",
+        POINTS.repeatedBySession,
+        `Same message sent ${repeats.bySession + 1} times from this session`
+      );
+    }
+    if (repeats.otherSessions >= CROSS_SESSION_MIN_SESSIONS) {
+      add(
+        "repeatedAcrossSessions",
+        POINTS.repeatedAcrossSessions,
+        `Same message sent from ${repeats.otherSessions} other sessions`
+      );
+    }
+
+    if (hasNoContent(text)) {
+      add("noContent", POINTS.noContent, "Only profanity, laughter or 'test'");
+    } else if (
+      isGibberish(text, {
+        language: sos.language && sos.language.code,
+        translation: sos.translation && sos.translation.text,
+      })
+    ) {
+      add("gibberish", POINTS.gibberish, "Message looks like random typing");
+    }
+  }
+
+  const { latitude, longitude } = sos.location || {};
+  if (Math.abs(latitude) < 0.1 && Math.abs(longitude) < 0.1) {
+    add("nullIsland", POINTS.nullIsland, "Location is 0,0 (no GPS fix)");
+  } else if (typeof latitude === "number" && typeof longitude === "number") {
+    const ocean = openOceanArea({ latitude, longitude });
+    if (ocean && matchKeywords(text, MARITIME_KEYWORDS).length === 0) {
+      const indoor = matchKeywords(text, INDOOR_KEYWORDS);
+      if (indoor.length > 0) {
+        add(
+          "implausibleLocation",
+          POINTS.oceanIndoor,
+          `Location in the open ${ocean} but message mentions "${indoor[0]}"`
+        );
+      } else {
+        add(
+          "implausibleLocation",
+          POINTS.ocean,
+          `Location in the open ${ocean}`
+        );
+      }
+    }
+  }
+
+  const rateLimited = (sos.spam && sos.spam.rateLimited) || [];
+  if (rateLimited.length > 0) {
+    add(
+      "rateLimited",
+      POINTS.rateLimited * rateLimited.length,
+      `Over the ${rateLimited.join(", ")} rate limit`
+    );
+  }
+
+  const score = Math.min(
+    100,
+    signals.reduce((sum, entry) => sum + entry.points, 0)
+  );
+
+  return {
+    score,
+    signals,
+    review: score >= SPAM_REVIEW_THRESHOLD,
+    computedAt: new Date(),
+  };
+};
+
+module.exports = {
+  assessSpam,
+  isGibberish,
+  hasNoContent,
+  openOceanArea,
+};
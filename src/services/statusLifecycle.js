@@ -0,0 +1,127 @@
+/**
+ * SOS status lifecycle.
+ *
+ *   pending → processing → processed → assigned → resolved
+ *                 ↓                       ↑
+ *               failed ────────────────────
+ *
+ * Unassigning (assigned → processed) and reopening a resolved case
+ * (resolved → processed | assigned) require a reason. Every move to
+ * assigned requires an assignee. pending, processing and failed are set by
+ * the processing pipeline only.
+ */
+const TRANSITIONS = {
+  pending: {
+    processing: {},
+    failed: {},
+  },
+  processing: {
+    processed: {},
+    failed: {},
+  },
+  failed: {
+    processing: {},
+    // A rescuer can still take a case whose AI processing failed
+    assigned: { requiresAssignee: true },
+  },
+  processed: {
+    processing: {},
+    assigned: { requiresAssignee: true },
+  },
+  assigned: {
+    resolved: {},
+    processed: { requiresReason: true }, // Unassign
+  },
+  resolved: {
+    processed: { requiresReason: true }, // Reopen
+    // Reopen straight to a rescuer
+    assigned: { requiresReason: true, requiresAssignee: true },
+  },
+};
+
+const SYSTEM_STATUSES = ["pending", "processing", "failed"];
+
+/**
+ * Lists the statuses reachable from a status
+ * @param {string} from - Current status
+ * @param {object} options - { manual: true to leave out pipeline statuses }
+ * @returns {string[]}
+ */
+const allowedTransitions = (from, options = {}) =>
+  Object.keys(TRANSITIONS[from] || {}).filter(
+    (to) => !options.manual || !SYSTEM_STATUSES.includes(to)
+  );
+
+/**
+ * Checks whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} reason - Reason given for the change
+ * @param {object} options - { manual: true for changes requested by a
+ *   person, assignee: the case's assignee after the change }
+ * @returns {{allowed: boolean, error: string|null}}
+ */
+const checkTransition = (from, to, reason, options = {}) => {
+  if (options.manual && SYSTEM_STATUSES.includes(to)) {
+    return {
+      allowed: false,
+      error: `Status "${to}" is set by the processing pipeline only`,
+    };
+  }
+
+  const rule = TRANSITIONS[from] && TRANSITIONS[from][to];
+
+  if (!rule) {
+    const allowed = allowedTransitions(from, options);
+    return {
+      allowed: false,
+      error: `Cannot change status from "${from}" to "${to}". Allowed: ${
+        allowed.length ? allowed.join(", ") : "none"
+      }`,
+    };
+  }
+
+  if (rule.requiresReason && (!reason || !String(reason).trim())) {
+    return {
+      allowed: false,
+      error: `A reason is required to change status from "${from}" to "${to}"`,
+    };
+  }
+
+  if (rule.requiresAssignee && !options.assignee) {
+    return {
+      allowed: false,
+      error: `assignedTo is required to change status to "${to}"`,
+    };
+  }
+
+  return { allowed: true, error: null };
+};
+
+/**
+ * Builds an audit entry for statusHistory
+ * @param {object} change - { field, from, to, actor, actorName, notes }
+ * @returns {object}
+ */
+const historyEntry = ({
+  field = "status",
+  from,
+  to,
+  actor,
+  actorName,
+  notes,
+}) => ({
+  field,
+  from: from === undefined || from === null ? null : String(from),
+  to: to === undefined || to === null ? null : String(to),
+  actor: actor ? String(actor) : "system",
+  ...(actorName && { actorName }),
+  at: new Date(),
+  ...(notes && { notes }),
+});
+
+module.exports = {
+  allowedTransitions,
+  checkTransition,
+  historyEntry,
+};
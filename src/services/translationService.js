@@ -0,0 +1,190 @@
+const OpenAI = require("openai");
+const { resolveProviderChain, runWithFailover } = require("./providerChain");
+const {
+  UNDETERMINED,
+  getAnalysisLanguage,
+  normalizeLanguageCode,
+  detectLanguage,
+} = require("./languageService");
+
+/**
+ * Translation of survivor messages into the analysis / dashboard language.
+ *
+ * Each provider exposes translate(text, { from, to }) =>
+ * { text, sourceLanguage }. The failover order comes from
+ * TRANSLATION_PROVIDERS (comma-separated). Default: openai,none - "none"
+ * leaves the text untranslated, so analysis still runs on the original
+ * words (and the per-language keyword checks) when translation is down.
+ *
+ * Env:
+ *  - OPENAI_API_KEY, TRANSLATION_MODEL (default: gpt-4o-mini)
+ *  - LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY (optional)
+ */
+
+const clients = {};
+
+/**
+ * Lazily creates (and caches) an OpenAI-compatible client
+ * @param {string} name - Cache key
+ * @param {object} options - OpenAI client options
+ * @returns {OpenAI}
+ */
+const getClient = (name, options) => {
+  if (!clients[name]) {
+    clients[name] = new OpenAI(options);
+  }
+  return clients[name];
+};
+
+const systemPrompt = `You translate emergency messages from disaster survivors. Translate faithfully: keep every detail (injuries, numbers, places, names) and do not add, soften or summarize anything. Respond with JSON only.`;
+
+/**
+ * Translates with an OpenAI-compatible chat completions API
+ * @param {OpenAI} client - API client
+ * @param {string} model - Model name
+ * @param {string} text - Text to translate
+ * @param {object} languages - { from, to }
+ * @returns {Promise<object>} - { text, sourceLanguage }
+ */
+const chatCompletionTranslation = async (client, model, text, { from, to }) => {
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      {
+        role: "user",
+        content: `Translate this message to the language with ISO 639-1 code "${to}"${
+          from && from !== UNDETERMINED ? ` (it is probably "${from}")` : ""
+        }.
+
+MESSAGE: "${text}"
+
+Respond with this exact JSON structure:
+{
+  "translation": "The translated message",
+  "sourceLanguage": "ISO 639-1 code of the original message"
+}`,
+      },
+    ],
+    temperature: 0,
+    max_tokens: 1000,
+    response_format: { type: "json_object" },
+  });
+
+  const result = JSON.parse(response.choices[0].message.content);
+  if (!result || typeof result.translation !== "string") {
+    throw new Error("Invalid translation response structure");
+  }
+
+  return {
+    text: result.translation,
+    sourceLanguage: normalizeLanguageCode(result.sourceLanguage),
+  };
+};
+
+const providers = {
+  openai: {
+    translate: (text, languages) =>
+      chatCompletionTranslation(
+        getClient("openai", { apiKey: process.env.OPENAI_API_KEY }),
+        process.env.TRANSLATION_MODEL || "gpt-4o-mini",
+        text,
+        languages
+      ),
+  },
+
+  // Any OpenAI-compatible endpoint (same settings as analysis)
+  "openai-compatible": {
+    translate: (text, languages) => {
+      if (!process.env.LOCAL_LLM_BASE_URL || !process.env.LOCAL_LLM_MODEL) {
+        throw new Error(
+          "LOCAL_LLM_BASE_URL and LOCAL_LLM_MODEL must be configured"
+        );
+      }
+      return chatCompletionTranslation(
+        getClient("openai-compatible", {
+          baseURL: process.env.LOCAL_LLM_BASE_URL,
+          apiKey: process.env.LOCAL_LLM_API_KEY || "not-needed",
+        }),
+        process.env.LOCAL_LLM_MODEL,
+        text,
+        languages
+      );
+    },
+  },
+
+  // No translation: analysis uses the original text
+  none: {
+    translate: async (text) => ({ text: null, sourceLanguage: null }),
+  },
+};
+
+/**
+ * Detects the language of a survivor message and translates it into the
+ * analysis language when it is written in another one
+ * @param {string} text - Message in the survivor's language
+ * @param {object} options - { language: known or reported language,
+ *   providers: string[] override }
+ * @returns {Promise<object>} - { language, confidence, source,
+ *   translation: { language, text, provider } | null, analysisText }
+ */
+const localizeText = async (text, options = {}) => {
+  const target = getAnalysisLanguage();
+  const reported = normalizeLanguageCode(options.language);
+  const detected = detectLanguage(text);
+
+  let language = reported || detected.language;
+  const result = {
+    language,
+    confidence: reported ? 1 : detected.confidence,
+    source: reported ? options.languageSource || "client" : "text",
+    translation: null,
+    analysisText: text,
+  };
+
+  if (!text || language === target) return result;
+
+  const chain =
+    options.providers ||
+    resolveProviderChain(
+      process.env.TRANSLATION_PROVIDERS,
+      providers,
+      ["openai", "none"],
+      "TRANSLATION_PROVIDERS"
+    );
+
+  try {
+    const { result: translated, provider } = await runWithFailover(
+      chain,
+      providers,
+      (translator) => translator.translate(text, { from: language, to: target })
+    );
+
+    // The translator knows better than the offline detector
+    if (language === UNDETERMINED && translated.sourceLanguage) {
+      language = translated.sourceLanguage;
+      result.language = language;
+      result.source = "translation";
+    }
+
+    if (translated.text && language !== target) {
+      console.log(`🌐 Translated ${language} → ${target} (${provider})`);
+      result.translation = {
+        language: target,
+        text: translated.text,
+        provider,
+      };
+      result.analysisText = translated.text;
+    }
+  } catch (error) {
+    // Analysis falls back to the original text
+    console.error("❌ Translation failed:", error.message);
+  }
+
+  return result;
+};
+
+module.exports = {
+  localizeText,
+  providers,
+};
@@ -0,0 +1,581 @@
+const crypto = require("crypto");
+const TriageRule = require("../models/TriageRule");
+const TriageRuleRevision = require("../models/TriageRuleRevision");
+const {
+  PATTERN_TYPES,
+  RULE_URGENCIES,
+  NEGATION_CUES,
+  defaultTriageRules,
+} = require("../config/triageRules");
+const {
+  getAnalysisLanguage,
+  normalizeLanguageCode,
+} = require("./languageService");
+
+/**
+ * Triage rule engine. Rules live in MongoDB (see config/triageRules for
+ * the defaults and how rules combine) and are compiled into an in-memory
+ * ruleset, so validation stays synchronous. The ruleset is reloaded on an
+ * interval and right after an edit on this instance.
+ *
+ * Env:
+ *  - TRIAGE_RULES_REFRESH_MS (default: 30000)
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERNS = 100;
+const MAX_TEXT_LENGTH = 5000;
+// Regex rules only see the start of a message, so even a slow pattern
+// that gets past checkRegexSafety stays fast
+const MAX_REGEX_TEXT_LENGTH = 500;
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+const NEGATION_WINDOW_BEFORE = 3; // words
+const NEGATION_WINDOW_AFTER = 2;
+
+// Letters, combining marks (Devanagari vowel signs) and digits
+const WORD_CHAR = "[\\p{L}\\p{M}\\p{N}]";
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}']+/gu;
+const CLAUSE_PUNCTUATION = /[.!?;,:\n]/;
+
+let ruleset = null;
+let timer = null;
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Lowercases text and straightens apostrophes (phones type ’)
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) =>
+  String(text || "")
+    .slice(0, MAX_TEXT_LENGTH)
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'");
+
+/**
+ * Regex source for a keyword or phrase: whole words, "*" at either end
+ * allows more letters there
+ * @param {string} pattern - Keyword or phrase
+ * @returns {string}
+ */
+const wordPatternSource = (pattern) => {
+  const value = normalizeText(pattern).trim();
+  const leading = value.startsWith("*");
+  const trailing = value.endsWith("*");
+  const core = value
+    .replace(/^\*|\*$/g, "")
+    .trim()
+    .split(/\s+/)
+    .map(escapeRegExp)
+    .join("[\\s\\-]+");
+
+  return [
+    leading ? `${WORD_CHAR}*` : `(?<!${WORD_CHAR})`,
+    core,
+    trailing ? `${WORD_CHAR}*` : `(?!${WORD_CHAR})`,
+  ].join("");
+};
+
+/**
+ * Rejects regex constructs that can backtrack catastrophically: regexes run
+ * synchronously on the event loop, so one slow pattern stalls every SOS.
+ * Not allowed: a quantified group that contains a quantifier or an
+ * alternation ("(a+)+", "(a|aa)*"), backreferences, and more than
+ * MAX_UNBOUNDED_QUANTIFIERS unbounded quantifiers ("a*a*a*").
+ * @param {string} pattern - Regex source
+ * @returns {string|null} - Why the pattern is unsafe, or null
+ */
+const checkRegexSafety = (pattern) => {
+  // One entry per open group: does it contain a quantifier / alternation?
+  const groups = [{ risky: false }];
+  let unbounded = 0;
+  let lastGroup = null; // Group that just closed (a quantifier may follow)
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const closed = lastGroup;
+    lastGroup = null;
+
+    if (char === "\\") {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === "k") {
+        return "backreferences are not allowed";
+      }
+      i++;
+      continue;
+    }
+
+    if (char === "[") {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+      continue;
+    }
+
+    if (char === "(") {
+      groups.push({ risky: false });
+      continue;
+    }
+
+    if (char === ")") {
+      const group = groups.length > 1 ? groups.pop() : { risky: false };
+      if (group.risky) groups[groups.length - 1].risky = true;
+      lastGroup = group;
+      continue;
+    }
+
+    if (char === "|") {
+      groups[groups.length - 1].risky = true;
+      continue;
+    }
+
+    const bounded = char === "{" && pattern.slice(i).match(/^\{(\d*),?(\d*)\}/);
+    if (char === "*" || char === "+" || bounded) {
+      if (closed && closed.risky) {
+        return "quantified groups cannot contain quantifiers or alternatives";
+      }
+      const max = bounded ? bounded[2] : "";
+      const hasComma = bounded && bounded[0].includes(",");
+      if (!bounded || (hasComma && (max === "" || Number(max) > 10))) {
+        unbounded++;
+      }
+      groups[groups.length - 1].risky = true;
+      if (bounded) i += bounded[0].length - 1;
+      // Lazy / possessive-looking suffix
+      if (pattern[i + 1] === "?") i++;
+      continue;
+    }
+
+    if (char === "?" && closed && closed.risky) {
+      // "(a+)?" is harmless; only repetition is a problem
+      continue;
+    }
+  }
+
+  if (unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+    return `at most ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, +, {n,}) are allowed`;
+  }
+  return null;
+};
+
+/**
+ * Compiles one pattern of a rule
+ * @param {string} patternType - keyword | phrase | regex
+ * @param {string} pattern - Pattern
+ * @returns {RegExp}
+ * @throws {Error} - Invalid or unsafe regex
+ */
+const compilePattern = (patternType, pattern) => {
+  if (patternType !== "regex") {
+    return new RegExp(wordPatternSource(pattern), "gu");
+  }
+
+  const unsafe = checkRegexSafety(pattern);
+  if (unsafe) throw new Error(`Unsafe regex: ${unsafe}`);
+  return new RegExp(pattern, "giu");
+};
+
+/**
+ * Checks a rule definition
+ * @param {object} rule - { name, language, patternType, patterns, urgency,
+ *   weight }
+ * @returns {string[]} - Errors
+ */
+const validateRule = (rule) => {
+  const errors = [];
+
+  if (!rule.name || typeof rule.name !== "string") {
+    errors.push("name is required");
+  }
+  if (!PATTERN_TYPES.includes(rule.patternType)) {
+    errors.push(`patternType must be one of: ${PATTERN_TYPES.join(", ")}`);
+  }
+  if (!RULE_URGENCIES.includes(rule.urgency)) {
+    errors.push(`urgency must be one of: ${RULE_URGENCIES.join(", ")}`);
+  }
+  if (
+    rule.weight !== undefined &&
+    !(typeof rule.weight === "number" && rule.weight >= 0 && rule.weight <= 10)
+  ) {
+    errors.push("weight must be a number between 0 and 10");
+  }
+  if (rule.language !== undefined && !normalizeLanguageCode(rule.language)) {
+    errors.push("language must be an ISO 639-1 code");
+  }
+
+  const patterns = rule.patterns;
+  if (
+    !Array.isArray(patterns) ||
+    patterns.length === 0 ||
+    patterns.length > MAX_PATTERNS ||
+    patterns.some(
+      (pattern) =>
+        typeof pattern !== "string" ||
+        !pattern.replace(/\*/g, "").trim() ||
+        pattern.length > MAX_PATTERN_LENGTH
+    )
+  ) {
+    errors.push(
+      `patterns must be a list of 1-${MAX_PATTERNS} non-empty strings (at most ${MAX_PATTERN_LENGTH} characters)`
+    );
+  } else if (PATTERN_TYPES.includes(rule.patternType)) {
+    patterns.forEach((pattern) => {
+      if (rule.patternType === "keyword" && /\s/.test(pattern.trim())) {
+        errors.push(`"${pattern}" has several words; use patternType phrase`);
+        return;
+      }
+      try {
+        compilePattern(rule.patternType, pattern);
+      } catch (error) {
+        errors.push(`Invalid pattern "${pattern}": ${error.message}`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Compiles a rule for evaluation
+ * @param {object} rule - Rule document or definition
+ * @returns {object}
+ */
+const compileRule = (rule) => ({
+  id: rule._id ? String(rule._id) : null,
+  name: rule.name,
+  version: rule.version || 1,
+  language: normalizeLanguageCode(rule.language) || "en",
+  urgency: rule.urgency,
+  weight: typeof rule.weight === "number" ? rule.weight : 1,
+  negatable: rule.negatable !== false,
+  maxTextLength:
+    rule.patternType === "regex" ? MAX_REGEX_TEXT_LENGTH : MAX_TEXT_LENGTH,
+  patterns: rule.patterns.map((pattern) => ({
+    pattern,
+    regex: compilePattern(rule.patternType, pattern),
+  })),
+});
+
+/**
+ * Compiles a list of rules, skipping (and logging) broken ones
+ * @param {object[]} rules - Rule documents
+ * @param {string} version - Ruleset version
+ * @returns {object} - { rules, version, loadedAt }
+ */
+const buildRuleset = (rules, version) => ({
+  rules: rules
+    .map((rule) => {
+      try {
+        return compileRule(rule);
+      } catch (error) {
+        console.error(`❌ Skipping triage rule "${rule.name}":`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean),
+  version,
+  loadedAt: new Date(),
+});
+
+/**
+ * Identifies a set of stored rules: changes whenever a rule is added,
+ * edited or removed
+ * @param {object[]} rules - Rule documents
+ * @returns {string}
+ */
+const rulesetVersion = (rules) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      rules
+        .map((rule) => `${rule._id}:${rule.version}`)
+        .sort()
+        .join(",")
+    )
+    .digest("hex")
+    .slice(0, 12);
+
+/**
+ * Current ruleset (the built-in defaults until rules are loaded)
+ * @returns {object} - { rules, version, loadedAt }
+ */
+const getRuleset = () => {
+  if (!ruleset) ruleset = buildRuleset(defaultTriageRules(), "defaults");
+  return ruleset;
+};
+
+/**
+ * Checks for a cue among words, as whole words
+ * @param {string[]} words - Words
+ * @param {string[]} cues - Cue words or phrases
+ * @returns {boolean}
+ */
+const hasCue = (words, cues) => {
+  const padded = ` ${words.join(" ")} `;
+  return cues.some((cue) => padded.includes(` ${cue} `));
+};
+
+/**
+ * Splits off the clause a match belongs to
+ * @param {string} text - Text before or after the match
+ * @param {string[]} breaks - Words that start a new clause
+ * @param {boolean} fromEnd - Keep the last clause (text before the match)
+ * @returns {string[]} - Words of that clause
+ */
+const clauseWords = (text, breaks, fromEnd) => {
+  const parts = text.split(CLAUSE_PUNCTUATION);
+  const clause = fromEnd ? parts[parts.length - 1] : parts[0];
+  const words = clause.match(WORD_PATTERN) || [];
+
+  const breakIndexes = words
+    .map((word, index) => (breaks.includes(word) ? index : -1))
+    .filter((index) => index !== -1);
+  if (breakIndexes.length === 0) return words;
+
+  return fromEnd
+    ? words.slice(breakIndexes[breakIndexes.length - 1] + 1)
+    : words.slice(0, breakIndexes[0]);
+};
+
+/**
+ * Checks whether a match is negated ("not trapped", "trapped anymore")
+ * @param {string} text - Normalized text
+ * @param {number} index - Match position
+ * @param {number} length - Match length
+ * @param {string} language - Rule language
+ * @returns {boolean}
+ */
+const isNegated = (text, index, length, language) => {
+  const cues = NEGATION_CUES[language] || NEGATION_CUES.en;
+  const before = clauseWords(text.slice(0, index), cues.breaks, true).slice(
+    -NEGATION_WINDOW_BEFORE
+  );
+  const after = clauseWords(
+    text.slice(index + length),
+    cues.breaks,
+    false
+  ).slice(0, NEGATION_WINDOW_AFTER);
+
+  return hasCue(before, cues.before) || hasCue(after, cues.after);
+};
+
+/**
+ * Finds a rule's first match in a text, preferring matches that are not
+ * negated
+ * @param {object} rule - Compiled rule
+ * @param {string} text - Normalized text
+ * @returns {object|null} - { pattern, match, negated }
+ */
+const findMatch = (rule, fullText) => {
+  const text = fullText.slice(0, rule.maxTextLength || MAX_TEXT_LENGTH);
+  let negatedMatch = null;
+
+  for (const { pattern, regex } of rule.patterns) {
+    for (const match of text.matchAll(regex)) {
+      if (!match[0]) continue;
+      const negated =
+        rule.negatable &&
+        isNegated(text, match.index, match[0].length, rule.language);
+      if (!negated) return { pattern, match: match[0], negated: false };
+      negatedMatch = negatedMatch || {
+        pattern,
+        match: match[0],
+        negated: true,
+      };
+    }
+  }
+
+  return negatedMatch;
+};
+
+/**
+ * Urgency the fired rules call for: the most urgent level whose rules (at
+ * that level or above) weigh at least 1
+ * @param {object[]} fired - Fired rule matches
+ * @returns {string|null}
+ */
+const combinedUrgency = (fired) => {
+  let weight = 0;
+  for (const level of RULE_URGENCIES) {
+    weight += fired
+      .filter((match) => match.urgency === level)
+      .reduce((sum, match) => sum + match.weight, 0);
+    if (weight >= 1) return level;
+  }
+  return null;
+};
+
+/**
+ * Evaluates rules against a message. Rules in the analysis language are
+ * checked against the analyzed text; rules in the survivor's language
+ * against their original words.
+ * @param {string} text - Analyzed text
+ * @param {object} options - { language, originalText, ruleset }
+ * @returns {object} - { urgency, fired, negated, rulesetVersion }
+ */
+const evaluateRules = (text, options = {}) => {
+  const current = options.ruleset || getRuleset();
+  const analysisLanguage = getAnalysisLanguage();
+  const texts = { [analysisLanguage]: normalizeText(text) };
+  if (
+    options.language &&
+    options.language !== analysisLanguage &&
+    options.originalText
+  ) {
+    texts[options.language] = normalizeText(options.originalText);
+  }
+
+  const fired = [];
+  const negated = [];
+  current.rules.forEach((rule) => {
+    const target = texts[rule.language];
+    if (!target) return;
+
+    const found = findMatch(rule, target);
+    if (!found) return;
+
+    const match = {
+      rule: rule.id,
+      name: rule.name,
+      version: rule.version,
+      urgency: rule.urgency,
+      weight: rule.weight,
+      ...found,
+    };
+    (found.negated ? negated : fired).push(match);
+  });
+
+  return {
+    urgency: combinedUrgency(fired),
+    fired,
+    negated,
+    rulesetVersion: current.version,
+  };
+};
+
+/**
+ * Reloads the active rules from the database
+ * @returns {Promise<object>} - The new ruleset
+ */
+const refreshRules = async () => {
+  const rules = await TriageRule.find({ active: true }).lean();
+  ruleset = buildRuleset(rules, rulesetVersion(rules));
+  return ruleset;
+};
+
+/**
+ * Plain copy of a rule for its revision history
+ * @param {object} rule - Rule document
+ * @returns {object}
+ */
+const ruleSnapshot = (rule) => {
+  const {
+    name,
+    description,
+    language,
+    patternType,
+    patterns,
+    negatable,
+    urgency,
+    weight,
+    active,
+    version,
+  } = rule.toObject ? rule.toObject() : rule;
+  return {
+    name,
+    description,
+    language,
+    patternType,
+    patterns,
+    negatable,
+    urgency,
+    weight,
+    active,
+    version,
+  };
+};
+
+/**
+ * Records a revision of a rule
+ * @param {object} rule - Rule document (after the change)
+ * @param {string} action - created | updated | deleted | restored
+ * @param {string} userId - Who made the change
+ * @returns {Promise<object>}
+ */
+const recordRevision = (rule, action, userId) =>
+  TriageRuleRevision.create({
+    rule: rule._id,
+    version: rule.version,
+    action,
+    snapshot: ruleSnapshot(rule),
+    changedBy: userId,
+  });
+
+/**
+ * Stores the default rules when the collection is empty
+ * @returns {Promise<number>} - Number of rules created
+ */
+const seedDefaultRules = async () => {
+  if ((await TriageRule.estimatedDocumentCount()) > 0) return 0;
+
+  const rules = await TriageRule.insertMany(defaultTriageRules());
+  await TriageRuleRevision.insertMany(
+    rules.map((rule) => ({
+      rule: rule._id,
+      version: rule.version,
+      action: "created",
+      snapshot: ruleSnapshot(rule),
+    }))
+  );
+  console.log(`📐 Stored ${rules.length} default triage rules`);
+  return rules.length;
+};
+
+/**
+ * Seeds the defaults if needed and keeps the ruleset in sync with the
+ * database
+ */
+const startTriageRuleRefresh = () => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.TRIAGE_RULES_REFRESH_MS) || 30000;
+
+  const tick = async () => {
+    try {
+      await refreshRules();
+    } catch (error) {
+      // Keep evaluating with the last ruleset that loaded
+      console.error("❌ Triage rule refresh failed:", error.message);
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  seedDefaultRules()
+    .catch((error) => {
+      console.error("❌ Failed to store default triage rules:", error.message);
+    })
+    .finally(tick);
+
+  console.log(`📐 Triage rules refresh every ${intervalMs}ms`);
+};
+
+module.exports = {
+  validateRule,
+  checkRegexSafety,
+  compileRule,
+  buildRuleset,
+  evaluateRules,
+  refreshRules,
+  recordRevision,
+  ruleSnapshot,
+  seedDefaultRules,
+  startTriageRuleRefresh,
+  getRuleset,
+};
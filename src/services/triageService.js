@@ -0,0 +1,196 @@
+const { VULNERABLE_KEYWORDS } = require("./validationService");
+const { matchKeywords } = require("./heuristicAnalyzer");
+
+/**
+ * Numeric triage score for ordering the rescuer dashboard.
+ *
+ * The score is the sum of the factors below; every factor that contributes
+ * is listed in the breakdown so dispatchers can see why a case ranks where
+ * it does. Resolved cases score 0.
+ *
+ * Waiting time makes the score grow, so it is refreshed periodically
+ * (see workers/triageWorker).
+ */
+
+const URGENCY_POINTS = {
+  CRITICAL: 60,
+  HIGH: 40,
+  MEDIUM: 20,
+  LOW: 5,
+};
+
+const WEIGHTS = {
+  confidence: 5, // × confidence, for CRITICAL / HIGH
+  uncertain: 10, // LOW / MEDIUM rated with confidence < 0.5
+  manualReview: 8,
+  keywords: 5,
+  waitingPerHour: 10,
+  waitingMax: 20,
+  stale: 5,
+  vulnerable: 10,
+  perExtraPerson: 2,
+  peopleMax: 10,
+  unassigned: 10,
+  overdue: 10,
+};
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Collects the survivor's own words (message, follow-ups) and the summary
+ * @param {object} sos - SOS document
+ * @returns {string} - Lowercased text
+ */
+const survivorText = (sos) =>
+  [
+    sos.transcript,
+    ...(sos.followUps || []).map((followUp) => followUp.text),
+    sos.aiAnalysis && sos.aiAnalysis.summary,
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+/**
+ * Finds the vulnerable groups mentioned for an SOS
+ * @param {object} sos - SOS document
+ * @returns {string[]} - e.g. ["children", "elderly"]
+ */
+const detectVulnerableGroups = (sos) => {
+  const text = survivorText(sos);
+  return Object.keys(VULNERABLE_KEYWORDS).filter(
+    (group) => matchKeywords(text, VULNERABLE_KEYWORDS[group]).length > 0
+  );
+};
+
+/**
+ * When the survivor started waiting: the capture time of an SOS that was
+ * queued offline, otherwise the time the server received it
+ * @param {object} sos - SOS document
+ * @returns {Date|null}
+ */
+const waitingSince = (sos) => {
+  const receivedAt = sos.receivedAt ? new Date(sos.receivedAt) : null;
+  const capturedAt =
+    sos.location && sos.location.capturedAt
+      ? new Date(sos.location.capturedAt)
+      : null;
+
+  return capturedAt && (!receivedAt || capturedAt < receivedAt)
+    ? capturedAt
+    : receivedAt;
+};
+
+/**
+ * Computes the triage score of an SOS
+ * @param {object} sos - SOS document
+ * @param {Date} now - Reference time (default: now)
+ * @returns {object} - { score, breakdown: [{factor, points, detail}], vulnerableGroups, computedAt }
+ */
+const computeTriage = (sos, now = new Date()) => {
+  const breakdown = [];
+  const add = (factor, points, detail) => {
+    if (points) breakdown.push({ factor, points, detail });
+  };
+
+  const vulnerableGroups = detectVulnerableGroups(sos);
+
+  if (sos.status === "resolved") {
+    return {
+      score: 0,
+      breakdown: [{ factor: "resolved", points: 0, detail: "Case resolved" }],
+      vulnerableGroups,
+      computedAt: now,
+    };
+  }
+
+  const analysis = sos.aiAnalysis || {};
+  const flags = sos.validationFlags || {};
+  const urgency = analysis.urgency || "MEDIUM";
+  const confidence =
+    typeof analysis.confidence === "number" ? analysis.confidence : null;
+
+  // Urgency level
+  add("urgency", URGENCY_POINTS[urgency] || 0, urgency);
+
+  // Confidence: sure about a serious case ranks higher; an unsure "not
+  // urgent" may be underestimated
+  if (confidence !== null) {
+    if (urgency === "CRITICAL" || urgency === "HIGH") {
+      add(
+        "confidence",
+        Math.round(WEIGHTS.confidence * confidence),
+        `${Math.round(confidence * 100)}% confident`
+      );
+    } else if (confidence < 0.5) {
+      add(
+        "uncertainty",
+        WEIGHTS.uncertain,
+        `Only ${Math.round(confidence * 100)}% confident; may be underestimated`
+      );
+    }
+  }
+
+  // Validation flags
+  if (flags.manualReview) {
+    add("manualReview", WEIGHTS.manualReview, "Flagged for manual review");
+  }
+  if (flags.hasKeywords) {
+    add("keywords", WEIGHTS.keywords, "Emergency keywords in message");
+  }
+
+  // Time waiting (from capture for SOS queued offline)
+  const since = waitingSince(sos) || now;
+  const hoursWaiting = Math.max(0, (now - since) / MS_PER_HOUR);
+  add(
+    "waiting",
+    Math.min(
+      WEIGHTS.waitingMax,
+      Math.round(hoursWaiting * WEIGHTS.waitingPerHour)
+    ),
+    `${Math.round(hoursWaiting * 60)} min since ${
+      since < new Date(sos.receivedAt) ? "captured" : "received"
+    }`
+  );
+  if (typeof sos.isStale === "function" ? sos.isStale() : hoursWaiting > 24) {
+    add("stale", WEIGHTS.stale, "Unresolved for over 24 hours");
+  }
+
+  // Vulnerable people and group size
+  if (vulnerableGroups.length > 0) {
+    add("vulnerable", WEIGHTS.vulnerable, vulnerableGroups.join(", "));
+  }
+  if (analysis.peopleCount > 1) {
+    add(
+      "people",
+      Math.min(
+        WEIGHTS.peopleMax,
+        (analysis.peopleCount - 1) * WEIGHTS.perExtraPerson
+      ),
+      `${analysis.peopleCount} people`
+    );
+  }
+
+  // Escalation policy deadline missed
+  if (sos.overdue) {
+    add("overdue", WEIGHTS.overdue, "Escalation deadline missed");
+  }
+
+  // Nobody on the way yet
+  if (!sos.assignedTo && sos.status !== "assigned") {
+    add("unassigned", WEIGHTS.unassigned, "No rescuer assigned");
+  }
+
+  return {
+    score: breakdown.reduce((sum, item) => sum + item.points, 0),
+    breakdown,
+    vulnerableGroups,
+    computedAt: now,
+  };
+};
+
+module.exports = {
+  computeTriage,
+  detectVulnerableGroups,
+  waitingSince,
+};
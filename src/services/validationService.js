@@ -1,79 +1,147 @@
+const { evaluateRules } = require("./triageRuleService");
+
+/**
+ * Urgency levels, least to most urgent
+ */
+const URGENCY_LEVELS = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+/**
+ * Compares two urgency levels
+ * @param {string} a - Urgency level
+ * @param {string} b - Urgency level
+ * @returns {number} - Positive if a is more urgent than b, 0 if equal
+ */
+const compareUrgency = (a, b) =>
+  URGENCY_LEVELS.indexOf(a) - URGENCY_LEVELS.indexOf(b);
+
+/**
+ * Picks the most urgent of several levels
+ * @param {string[]} levels - Urgency levels (falsy entries are ignored)
+ * @returns {string|undefined}
+ */
+const highestUrgency = (levels) =>
+  levels
+    .filter(Boolean)
+    .reduce(
+      (highest, level) =>
+        !highest || compareUrgency(level, highest) > 0 ? level : highest,
+      undefined
+    );
+
+/**
+ * Keyword groups used by the offline heuristic analyzer to classify
+ * the event type. Order matters: the first group with the most matches wins.
+ */
+const EVENT_TYPE_KEYWORDS = {
+  Fire: ["fire", "smoke", "burning", "flames", "burn"],
+  Flood: ["flood", "flooding", "water rising", "drowning", "water level"],
+  "Building collapse": ["collapsed", "collapse", "rubble", "debris"],
+  Trapped: ["trapped", "stuck", "can't move", "cannot move", "can't get out"],
+  "Medical emergency": [
+    "unconscious",
+    "not breathing",
+    "chest pain",
+    "heart attack",
+    "seizure",
+    "pregnant",
+    "labor",
+  ],
+  Earthquake: ["earthquake", "aftershock", "tremor"],
+  Landslide: ["landslide", "mudslide", "mud"],
+  Stranded: ["stranded", "lost", "nowhere to go", "cut off"],
+};
+
+/**
+ * Keyword groups mapped to concrete needs
+ */
+const NEED_KEYWORDS = {
+  "Search and rescue": ["trapped", "stuck", "rubble", "can't get out"],
+  "Medical assistance": [
+    "bleeding",
+    "injured",
+    "hurt",
+    "broken",
+    "fracture",
+    "unconscious",
+    "not breathing",
+    "chest pain",
+  ],
+  Evacuation: ["water rising", "drowning", "fire", "flames", "stranded"],
+  Water: ["no water", "thirsty", "dehydrated"],
+  Food: ["no food", "hungry"],
+  Shelter: ["shelter", "nowhere to go"],
+  Medication: ["medication", "medicine", "insulin"],
+  "Warmth and blankets": ["cold", "freezing", "hypothermia"],
+};
+
 /**
- * Critical keywords that indicate high-urgency situations
+ * Keywords describing injuries
  */
-const CRITICAL_KEYWORDS = [
-  "trapped",
-  "stuck",
-  "can't move",
-  "cannot move",
+const INJURY_KEYWORDS = [
   "bleeding",
   "blood",
   "injured",
   "hurt",
-  "pain",
-  "fire",
-  "smoke",
-  "burning",
-  "flames",
-  "drowning",
-  "water rising",
-  "flood",
-  "collapsed",
-  "rubble",
-  "debris",
+  "broken",
+  "fracture",
+  "burn",
+  "burned",
   "unconscious",
   "not breathing",
   "chest pain",
-  "help",
-  "emergency",
-  "urgent",
-  "dying",
-  "broken",
-  "fracture",
-  "severe",
-  "earthquake",
-  "aftershock",
 ];
 
-const HIGH_KEYWORDS = [
-  "lost",
-  "stranded",
-  "alone",
-  "cold",
-  "freezing",
-  "hypothermia",
-  "dehydrated",
-  "thirsty",
-  "no water",
-  "hungry",
-  "no food",
-  "scared",
-  "afraid",
-  "panic",
-  "shelter",
-  "nowhere to go",
-  "supplies",
-  "medication",
-  "medicine",
-];
+/**
+ * Keywords indicating vulnerable people, by group (used by triage)
+ */
+const VULNERABLE_KEYWORDS = {
+  children: [
+    "child",
+    "children",
+    "kid",
+    "kids",
+    "baby",
+    "babies",
+    "infant",
+    "toddler",
+    "son",
+    "daughter",
+  ],
+  elderly: [
+    "elderly",
+    "old man",
+    "old woman",
+    "grandmother",
+    "grandfather",
+    "grandma",
+    "grandpa",
+    "senior citizen",
+  ],
+  pregnant: ["pregnant", "pregnancy", "in labor", "contractions"],
+  disabled: ["disabled", "wheelchair", "blind", "deaf", "bedridden"],
+  "chronic illness": [
+    "diabetic",
+    "insulin",
+    "oxygen tank",
+    "dialysis",
+    "heart condition",
+  ],
+};
 
 /**
  * Validates AI analysis output with rule-based safety checks
  * @param {object} aiAnalysis - AI-generated analysis
- * @param {string} transcript - Original transcript
+ * @param {string} transcript - Text that was analyzed (translated if the
+ *   survivor wrote in another language)
+ * @param {object} options - { language, originalText } of the survivor's
+ *   own words, checked against that language's triage rules
  * @returns {object} - Validation results with flags
  */
-const validateAIAnalysis = (aiAnalysis, transcript) => {
-  const transcriptLower = transcript.toLowerCase();
-
-  // Check for critical keywords
-  const hasCriticalKeywords = CRITICAL_KEYWORDS.some((keyword) =>
-    transcriptLower.includes(keyword.toLowerCase())
-  );
-
-  const hasHighKeywords = HIGH_KEYWORDS.some((keyword) =>
-    transcriptLower.includes(keyword.toLowerCase())
-  );
+const validateAIAnalysis = (aiAnalysis, transcript, options = {}) => {
+  // Triage rules (admin-editable, see triageRuleService)
+  const rules = evaluateRules(transcript, options);
+  const hasCriticalKeywords = rules.urgency === "CRITICAL";
+  const hasHighKeywords = rules.urgency === "HIGH";
 
   // Confidence threshold check
   const meetsThreshold = aiAnalysis.confidence >= 0.6;
@@ -82,13 +150,14 @@ const validateAIAnalysis = (aiAnalysis, transcript) => {
   let manualReview = false;
   let adjustedUrgency = aiAnalysis.urgency;
 
-  // Override rules: Escalate if critical keywords found but AI rated low
-  if (
-    hasCriticalKeywords &&
-    (aiAnalysis.urgency === "LOW" || aiAnalysis.urgency === "MEDIUM")
-  ) {
-    console.warn("⚠️  Critical keywords detected - escalating urgency");
-    adjustedUrgency = "CRITICAL";
+  // Override rules: escalate to what the rules call for if AI rated lower
+  if (rules.urgency && compareUrgency(rules.urgency, aiAnalysis.urgency) > 0) {
+    console.warn(
+      `⚠️  Triage rules (${rules.fired
+        .map((match) => match.name)
+        .join(", ")}) - escalating urgency to ${rules.urgency}`
+    );
+    adjustedUrgency = rules.urgency;
     manualReview = true;
   }
 
@@ -104,9 +173,12 @@ const validateAIAnalysis = (aiAnalysis, transcript) => {
   }
 
   return {
-    hasKeywords: hasCriticalKeywords || hasHighKeywords,
+    hasKeywords: rules.fired.length > 0,
     hasCriticalKeywords,
     hasHighKeywords,
+    matchedRules: rules.fired,
+    negatedRules: rules.negated,
+    rulesetVersion: rules.rulesetVersion,
     meetsThreshold,
     manualReview,
     adjustedUrgency,
@@ -146,6 +218,20 @@ const generateWarnings = (aiAnalysis, hasCriticalKeywords, meetsThreshold) => {
   return warnings;
 };
 
+/**
+ * Parses a field that multipart requests send as a JSON string
+ * @param {*} value - Field value
+ * @returns {*} - Parsed value (undefined if it is not valid JSON)
+ */
+const parseJSONField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
 /**
  * Validates SOS data before processing
  * @param {object} sosData - SOS request data
@@ -199,6 +285,12 @@ const validateSOSData = (sosData) => {
 module.exports = {
   validateAIAnalysis,
   validateSOSData,
-  CRITICAL_KEYWORDS,
-  HIGH_KEYWORDS,
+  parseJSONField,
+  compareUrgency,
+  highestUrgency,
+  URGENCY_LEVELS,
+  EVENT_TYPE_KEYWORDS,
+  NEED_KEYWORDS,
+  INJURY_KEYWORDS,
+  VULNERABLE_KEYWORDS,
 };
@@ -0,0 +1,280 @@
+const OpenAI = require("openai");
+const fs = require("fs");
+const path = require("path");
+const {
+  hashPrompt,
+  recordCompletion,
+  buildTrace,
+  tracedAttempt,
+} = require("./analysisTrace");
+
+let openai = null;
+
+/**
+ * Lazily creates the OpenAI client so the stub provider works without a key
+ * @returns {OpenAI}
+ */
+const getOpenAIClient = () => {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+};
+
+const IMAGE_MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+// Bump when the prompts change, so traces show which wording was used
+const PROMPT_VERSION = "sos-photo-1";
+
+const systemPrompt = `You are an emergency response AI assistant analyzing photos sent by disaster survivors who may be unable to speak or type. Your role is to describe what is visible and assess urgency.
+
+CRITICAL RULES:
+1. Always respond with valid JSON only
+2. Be extremely conservative with urgency levels
+3. Describe only what is visible in the image
+4. Identify concrete hazards (collapsed structures, water level, fire, smoke, visible injuries)
+5. Never make assumptions beyond what can be seen
+
+Urgency Levels:
+- CRITICAL: Immediate life threat (person trapped under rubble, severe bleeding, fire, rising water at head height)
+- HIGH: Serious situation requiring prompt response (visible injury, heavily damaged structure, flood inside building)
+- MEDIUM: Needs assistance but not immediate danger (damaged surroundings, blocked road, stranded)
+- LOW: No visible hazard or image unclear`;
+
+/**
+ * Builds the user prompt for a photo, including optional survivor caption
+ * @param {object} metadata - Additional context (location, time, caption)
+ * @returns {string}
+ */
+const buildUserPrompt = (
+  metadata = {}
+) => `Analyze this SOS photo and respond with JSON only.
+
+METADATA:
+- Time received: ${metadata.receivedAt || new Date().toISOString()}
+- Location: ${
+  metadata.location
+    ? `${metadata.location.latitude}, ${metadata.location.longitude}`
+    : "Unknown"
+}
+- Survivor caption: ${metadata.caption ? `"${metadata.caption}"` : "None"}
+
+Respond with this exact JSON structure:
+{
+  "urgency": "CRITICAL|HIGH|MEDIUM|LOW",
+  "summary": "Brief 1-2 sentence summary of the situation",
+  "sceneDescription": "Factual description of what is visible in the photo",
+  "eventType": "Type of emergency (e.g., building collapse, flood, fire, injury, etc.)",
+  "injuryStatus": "Description of any visible injuries or none",
+  "riskFactors": ["array", "of", "specific", "visible", "risks"],
+  "needs": ["array", "of", "specific", "needs"],
+  "peopleCount": "Number of people visible who need help, otherwise null",
+  "confidence": 0.85
+}`;
+
+/**
+ * Vision analysis providers.
+ * Each provider exposes analyze(photoPath, metadata, detail) => raw analysis
+ * object, and records how it got there on detail (see analysisTrace).
+ * Select with VISION_PROVIDER (default: "openai" when OPENAI_API_KEY is set, else "stub").
+ */
+const providers = {
+  openai: {
+    analyze: async (photoPath, metadata, detail = {}) => {
+      const ext = path.extname(photoPath).toLowerCase();
+      const mimeType = IMAGE_MIME_TYPES[ext] || "image/jpeg";
+      const base64 = fs.readFileSync(photoPath).toString("base64");
+      const model = process.env.VISION_MODEL || "gpt-4o";
+      const userPrompt = buildUserPrompt(metadata);
+
+      // The image itself is not part of the hash
+      Object.assign(detail, {
+        model,
+        promptVersion: PROMPT_VERSION,
+        promptHash: hashPrompt([
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ]),
+      });
+
+      const response = await getOpenAIClient().chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          {
+            role: "user",
+            content: [
+              { type: "text", text: userPrompt },
+              {
+                type: "image_url",
+                image_url: { url: `data:${mimeType};base64,${base64}` },
+              },
+            ],
+          },
+        ],
+        temperature: 0.3,
+        max_tokens: 600,
+        response_format: { type: "json_object" },
+      });
+      recordCompletion(detail, response);
+
+      return JSON.parse(response.choices[0].message.content);
+    },
+  },
+
+  // Local stand-in for development and offline setups: no network calls,
+  // deterministic output, always routed to manual review.
+  stub: {
+    analyze: async (photoPath, metadata) => ({
+      urgency: "HIGH", // Default to HIGH for safety
+      summary: metadata.caption
+        ? `Photo SOS with caption: ${metadata.caption}`
+        : "Photo SOS received - requires visual review by a rescuer",
+      sceneDescription: `Image ${path.basename(
+        photoPath
+      )} was not analyzed (stub vision provider)`,
+      eventType: "Unknown",
+      injuryStatus: "Unknown",
+      riskFactors: [],
+      needs: ["Manual review of photo required"],
+      confidence: 0.3,
+    }),
+  },
+};
+
+/**
+ * Resolves the configured vision provider name
+ * @returns {string}
+ */
+const getProviderName = () => {
+  const configured = process.env.VISION_PROVIDER;
+  if (configured) {
+    if (!providers[configured]) {
+      throw new Error(
+        `Unknown VISION_PROVIDER "${configured}". Available: ${Object.keys(
+          providers
+        ).join(", ")}`
+      );
+    }
+    return configured;
+  }
+  return process.env.OPENAI_API_KEY ? "openai" : "stub";
+};
+
+/**
+ * Analyzes an SOS photo to extract structured rescue data, and records how
+ * the result was produced
+ * @param {string} photoPath - Path to the uploaded image
+ * @param {object} metadata - Additional context (location, time, caption)
+ * @returns {Promise<{analysis: object, trace: object}>} - Structured
+ *   analysis result (same shape as analyzeSOSContent) and its trace
+ */
+const analyzeSOSPhotoWithTrace = async (photoPath, metadata = {}) => {
+  const providerName = getProviderName();
+  const detail = {};
+  const startedAt = Date.now();
+  const trace = (attempt) =>
+    buildTrace(
+      [
+        {
+          provider: providerName,
+          durationMs: Date.now() - startedAt,
+          ...attempt,
+        },
+      ],
+      { [providerName]: detail },
+      attempt.ok ? providerName : null
+    );
+
+  try {
+    console.log(`📷 Starting photo analysis (${providerName})...`);
+
+    if (!fs.existsSync(photoPath)) {
+      throw new Error(`Photo file not found: ${photoPath}`);
+    }
+
+    const analysis = await tracedAttempt(detail, async () => {
+      const result = await providers[providerName].analyze(
+        photoPath,
+        metadata,
+        detail
+      );
+
+      // Validate response structure
+      if (!result.urgency || !result.summary) {
+        throw new Error("Invalid AI response structure");
+      }
+      return result;
+    });
+
+    console.log("✅ Photo analysis completed");
+
+    return {
+      analysis: {
+        urgency: analysis.urgency || "MEDIUM",
+        summary: analysis.summary || "Unable to generate summary",
+        sceneDescription: analysis.sceneDescription || "",
+        eventType: analysis.eventType || "Unknown",
+        injuryStatus: analysis.injuryStatus || "Unknown",
+        riskFactors: Array.isArray(analysis.riskFactors)
+          ? analysis.riskFactors
+          : [],
+        needs: Array.isArray(analysis.needs) ? analysis.needs : [],
+        peopleCount: parseInt(analysis.peopleCount, 10) || null,
+        confidence: analysis.confidence || 0.5,
+        provider: providerName,
+      },
+      trace: trace({ ok: true }),
+    };
+  } catch (error) {
+    console.error("❌ Photo analysis error:", error.message);
+
+    if (error.status === 401) {
+      throw new Error("Invalid OpenAI API key");
+    }
+
+    if (error.message.startsWith("Photo file not found")) {
+      throw error;
+    }
+
+    // Return safe default so the photo still reaches a rescuer
+    return {
+      analysis: {
+        urgency: "HIGH", // Default to HIGH for safety
+        summary: "Photo analysis failed - requires manual review",
+        sceneDescription: "",
+        eventType: "Unknown",
+        injuryStatus: "Unknown",
+        riskFactors: ["AI processing error"],
+        needs: ["Manual review required"],
+        confidence: 0.0,
+        provider: providerName,
+      },
+      trace: {
+        ...trace({ ok: false, error: error.message }),
+        error: error.message,
+      },
+    };
+  }
+};
+
+/**
+ * Analyzes an SOS photo to extract structured rescue data
+ * @param {string} photoPath - Path to the uploaded image
+ * @param {object} metadata - Additional context (location, time, caption)
+ * @returns {Promise<object>} - Structured analysis result (same shape as analyzeSOSContent)
+ */
+const analyzeSOSPhoto = async (photoPath, metadata = {}) =>
+  (await analyzeSOSPhotoWithTrace(photoPath, metadata)).analysis;
+
+module.exports = {
+  analyzeSOSPhoto,
+  analyzeSOSPhotoWithTrace,
+};
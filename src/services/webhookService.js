@@ -0,0 +1,253 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { isWithinBBox } = require("./geoService");
+
+/**
+ * Outbound webhooks for partner agencies.
+ *
+ * Events from the event bus are matched against active subscriptions and
+ * stored as WebhookDelivery records; the job queue sends them and retries
+ * failures with backoff (see workers/webhookWorker).
+ *
+ * Guarantees: the bus is in-process, so an event is turned into deliveries
+ * at most once. Events published just before a crash or restart, or while
+ * the database is unreachable, produce no delivery. Once a delivery is
+ * stored it is sent at least once; partners should dedupe on the event id
+ * (payload.id) and refetch the SOS when in doubt.
+ *
+ * Each request is a JSON POST with headers:
+ *  - X-GenRescue-Event: event type
+ *  - X-GenRescue-Delivery: delivery id (new for every replay)
+ *  - X-GenRescue-Timestamp: unix seconds
+ *  - X-GenRescue-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Env:
+ *  - WEBHOOK_TIMEOUT_MS (default: 10000)
+ */
+
+const SUPPORTED_EVENTS = [
+  "sos.created",
+  "sos.processed",
+  "sos.updated",
+  "sos.assigned",
+  "sos.resolved",
+  "sos.escalated",
+  "sos.failed",
+];
+
+const DEFAULT_EVENTS = [
+  "sos.created",
+  "sos.processed",
+  "sos.assigned",
+  "sos.resolved",
+];
+
+/**
+ * Generates a signing secret for a new subscription
+ * @returns {string}
+ */
+const generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Signs a request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * Checks whether an event should go to a subscription.
+ * Urgency and eventType are only known once the SOS has been analyzed, so
+ * those filters never match events of unanalyzed SOS (e.g. sos.created).
+ * @param {object} subscription - WebhookSubscription document
+ * @param {object} event - Bus event
+ * @returns {boolean}
+ */
+const matchesSubscription = (subscription, event) => {
+  const events = subscription.events || DEFAULT_EVENTS;
+  if (!events.includes(event.type)) return false;
+
+  const data = event.data || {};
+  const filters = subscription.filters || {};
+  const analyzed = Boolean(data.summary);
+
+  if (filters.urgency && filters.urgency.length > 0) {
+    if (!analyzed || !filters.urgency.includes(data.urgency)) return false;
+  }
+  if (filters.eventType && filters.eventType.length > 0) {
+    if (!analyzed || !filters.eventType.includes(data.eventType)) return false;
+  }
+  if (filters.bbox && filters.bbox.length === 4) {
+    const [minLng, minLat, maxLng, maxLat] = filters.bbox;
+    if (!isWithinBBox(data.location, { minLng, minLat, maxLng, maxLat })) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Creates a delivery for every active subscription matching an event
+ * @param {object} event - Bus event
+ * @returns {Promise<object[]>} - Created deliveries
+ */
+const createDeliveries = async (event) => {
+  if (!SUPPORTED_EVENTS.includes(event.type)) return [];
+
+  const subscriptions = await WebhookSubscription.find({ active: true });
+  const matching = subscriptions.filter((subscription) =>
+    matchesSubscription(subscription, event)
+  );
+  if (matching.length === 0) return [];
+
+  const payload = {
+    id: event.id,
+    type: event.type,
+    occurredAt: event.at,
+    data: event.data,
+  };
+
+  return WebhookDelivery.insertMany(
+    matching.map((subscription) => ({
+      subscription: subscription._id,
+      eventId: event.id,
+      eventType: event.type,
+      sos: event.data && event.data.sosId,
+      payload,
+    }))
+  );
+};
+
+/**
+ * Sends one delivery. Throws on network errors and non-2xx responses so
+ * the job queue retries it.
+ * @param {string} deliveryId - WebhookDelivery id
+ * @returns {Promise<object>} - Updated delivery
+ */
+const sendDelivery = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) {
+    throw new Error(`Webhook delivery ${deliveryId} not found`);
+  }
+  if (delivery.status === "succeeded") return delivery;
+
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription
+  ).select("+secret");
+  if (!subscription || !subscription.active) {
+    // Nothing to retry: the partner was removed or paused
+    delivery.status = "failed";
+    delivery.attempts.push({
+      at: new Date(),
+      error: "Subscription deleted or inactive",
+    });
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "GEN-Rescue-Webhooks/1.0",
+    "X-GenRescue-Event": delivery.eventType,
+    "X-GenRescue-Delivery": String(delivery._id),
+    "X-GenRescue-Timestamp": String(timestamp),
+    "X-GenRescue-Signature": signPayload(subscription.secret, timestamp, body),
+  };
+  if (delivery.replayOf) {
+    headers["X-GenRescue-Replay-Of"] = String(delivery.replayOf);
+  }
+
+  let response;
+  let requestError;
+  try {
+    response = await axios.post(subscription.url, body, {
+      headers,
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    requestError = error;
+  }
+
+  const ok = response && response.status >= 200 && response.status < 300;
+  const attempt = {
+    at: new Date(),
+    durationMs: Date.now() - startedAt,
+    ...(response && { statusCode: response.status }),
+    ...(!ok && {
+      error: requestError
+        ? requestError.message
+        : `Endpoint responded with HTTP ${response.status}`,
+    }),
+  };
+
+  delivery.attempts.push(attempt);
+  if (ok) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = attempt.at;
+  }
+  await delivery.save();
+
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    ok ? { lastDeliveryAt: attempt.at } : { lastFailureAt: attempt.at }
+  );
+
+  if (!ok) {
+    throw new Error(attempt.error);
+  }
+  return delivery;
+};
+
+/**
+ * Marks a delivery as failed after its last retry
+ * @param {string} deliveryId - WebhookDelivery id
+ * @returns {Promise<object|null>}
+ */
+const markDeliveryFailed = (deliveryId) =>
+  WebhookDelivery.findByIdAndUpdate(
+    deliveryId,
+    { status: "failed" },
+    { new: true }
+  );
+
+/**
+ * Creates a new delivery with the same payload as an earlier one
+ * @param {object} original - WebhookDelivery document
+ * @returns {Promise<object>} - New delivery
+ */
+const createReplay = (original) =>
+  WebhookDelivery.create({
+    subscription: original.subscription,
+    eventId: original.eventId,
+    eventType: original.eventType,
+    sos: original.sos,
+    payload: original.payload,
+    replayOf: original._id,
+  });
+
+module.exports = {
+  SUPPORTED_EVENTS,
+  DEFAULT_EVENTS,
+  generateSecret,
+  signPayload,
+  matchesSubscription,
+  createDeliveries,
+  sendDelivery,
+  markDeliveryFailed,
+  createReplay,
+};
@@ -0,0 +1,50 @@
+const { runEscalations } = require("../services/escalationService");
+
+/**
+ * Escalation scheduler: checks open cases against the escalation policies
+ * (config/escalationPolicies) on an interval.
+ *
+ * Env:
+ *  - ESCALATION_INTERVAL_MS (default: 60000)
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Starts the scheduler (runs once immediately)
+ */
+const startEscalationScheduler = () => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.ESCALATION_INTERVAL_MS) || 60 * 1000;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runEscalations();
+    } catch (error) {
+      console.error("❌ Escalation run failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  tick();
+  console.log(`⏰ Escalation scheduler every ${intervalMs}ms`);
+};
+
+/**
+ * Stops the scheduler
+ */
+const stopEscalationScheduler = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startEscalationScheduler,
+  stopEscalationScheduler,
+};
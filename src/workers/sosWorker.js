@@ -0,0 +1,169 @@
+const SOS = require("../models/SOS");
+const Job = require("../models/Job");
+const {
+  registerHandler,
+  enqueue,
+  startWorker,
+} = require("../services/jobQueue");
+const {
+  processVoiceSOS,
+  processPhotoSOS,
+  processTextSOS,
+  processFollowUp,
+  markSOSFailed,
+  markFollowUpFailed,
+} = require("../services/sosPipeline");
+const {
+  transcribeMessage,
+  markTranscriptionFailed,
+} = require("../services/messageService");
+
+/**
+ * Job types for background SOS processing, keyed by sosType
+ */
+const JOB_TYPES = {
+  voice: "sos.process-voice",
+  photo: "sos.process-photo",
+  text: "sos.process-text",
+};
+
+const FOLLOW_UP_JOB_TYPE = "sos.process-followup";
+const MESSAGE_JOB_TYPE = "message.transcribe";
+
+/**
+ * Formats every failed attempt of a job
+ * @param {object} job - Dead job
+ * @returns {string[]}
+ */
+const attemptErrors = (job) =>
+  job.failures.map(
+    (failure) =>
+      `Attempt ${failure.attempt} (${failure.at.toISOString()}): ${
+        failure.message
+      }`
+  );
+
+/**
+ * Dead-letter handler: the SOS becomes "failed" with every attempt recorded
+ * @param {object} job - Dead job
+ */
+const failSOS = async (job) => {
+  await markSOSFailed(job.payload.sosId, attemptErrors(job));
+  console.error(
+    `❌ SOS ${job.payload.sosId} failed after ${job.attempts} attempts`
+  );
+};
+
+registerHandler(JOB_TYPES.voice, ({ sosId }) => processVoiceSOS(sosId), {
+  onDeadLetter: failSOS,
+});
+registerHandler(JOB_TYPES.photo, ({ sosId }) => processPhotoSOS(sosId), {
+  onDeadLetter: failSOS,
+});
+registerHandler(JOB_TYPES.text, ({ sosId }) => processTextSOS(sosId), {
+  onDeadLetter: failSOS,
+});
+registerHandler(
+  FOLLOW_UP_JOB_TYPE,
+  ({ sosId, followUpId }) => processFollowUp(sosId, followUpId),
+  {
+    onDeadLetter: async (job) => {
+      const { sosId, followUpId } = job.payload;
+      await markFollowUpFailed(sosId, followUpId, attemptErrors(job));
+      console.error(`❌ Follow-up ${followUpId} on SOS ${sosId} failed`);
+    },
+  }
+);
+
+registerHandler(
+  MESSAGE_JOB_TYPE,
+  ({ messageId }) => transcribeMessage(messageId),
+  {
+    onDeadLetter: async (job) => {
+      await markTranscriptionFailed(job.payload.messageId);
+      console.error(
+        `❌ Transcription of message ${job.payload.messageId} failed`
+      );
+    },
+  }
+);
+
+/**
+ * Queues background processing for an SOS
+ * @param {object} sos - SOS document
+ * @returns {Promise<object>} - Created job
+ */
+const enqueueSOSProcessing = (sos) =>
+  enqueue(JOB_TYPES[sos.sosType], { sosId: sos._id }, { refId: sos._id });
+
+/**
+ * Queues background processing for a survivor follow-up
+ * @param {object} sos - SOS document
+ * @param {object} followUp - Follow-up subdocument
+ * @returns {Promise<object>} - Created job
+ */
+const enqueueFollowUpProcessing = (sos, followUp) =>
+  enqueue(
+    FOLLOW_UP_JOB_TYPE,
+    { sosId: sos._id, followUpId: followUp._id },
+    { refId: sos._id }
+  );
+
+/**
+ * Queues transcription of a survivor's voice reply
+ * @param {object} message - Message document
+ * @returns {Promise<object>} - Created job
+ */
+const enqueueMessageTranscription = (message) =>
+  enqueue(MESSAGE_JOB_TYPE, { messageId: message._id }, { refId: message._id });
+
+/**
+ * Finds SOS stuck in "processing" without a pending job (e.g. created right
+ * before a crash, or by a release without the queue) and queues them again
+ * @returns {Promise<number>} - Number of re-queued SOS
+ */
+const sweepOrphanedSOS = async () => {
+  const graceMs = parseInt(process.env.ORPHAN_SOS_GRACE_MS) || 60 * 1000;
+
+  const candidates = await SOS.find({
+    status: "processing",
+    receivedAt: { $lt: new Date(Date.now() - graceMs) },
+  }).select("_id sosType");
+
+  let requeued = 0;
+
+  for (const sos of candidates) {
+    const activeJob = await Job.exists({
+      refId: sos._id,
+      type: { $in: Object.values(JOB_TYPES) },
+      status: { $in: ["queued", "running"] },
+    });
+
+    if (!activeJob) {
+      await enqueueSOSProcessing(sos);
+      requeued += 1;
+    }
+  }
+
+  if (requeued > 0) {
+    console.warn(`♻️  Re-queued ${requeued} orphaned SOS`);
+  }
+
+  return requeued;
+};
+
+/**
+ * Starts the job worker and recovers work interrupted by a restart
+ */
+const startSOSWorker = async () => {
+  await startWorker();
+  await sweepOrphanedSOS();
+};
+
+module.exports = {
+  enqueueSOSProcessing,
+  enqueueFollowUpProcessing,
+  enqueueMessageTranscription,
+  sweepOrphanedSOS,
+  startSOSWorker,
+};
@@ -0,0 +1,91 @@
+const SOS = require("../models/SOS");
+const { computeTriage } = require("../services/triageService");
+
+/**
+ * Periodic triage refresh. Waiting time keeps raising the score of open
+ * cases, so stored scores are recomputed on an interval.
+ *
+ * Env:
+ *  - TRIAGE_REFRESH_INTERVAL_MS (default: 60000)
+ */
+
+const BATCH_SIZE = 500;
+
+let timer = null;
+let refreshing = false;
+
+/**
+ * Recomputes the triage score of every open SOS
+ * @returns {Promise<number>} - Number of SOS updated
+ */
+const refreshOpenTriage = async () => {
+  const now = new Date();
+  const cursor = SOS.find({ status: { $ne: "resolved" } })
+    .select(
+      "status transcript followUps.text aiAnalysis validationFlags receivedAt location.capturedAt assignedTo overdue"
+    )
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await SOS.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const sos of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: sos._id },
+        update: { $set: { triage: computeTriage(sos, now) } },
+      },
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+/**
+ * Starts refreshing triage scores (runs once immediately)
+ */
+const startTriageRefresh = () => {
+  if (timer) return;
+
+  const intervalMs =
+    parseInt(process.env.TRIAGE_REFRESH_INTERVAL_MS) || 60 * 1000;
+
+  const tick = async () => {
+    if (refreshing) return;
+    refreshing = true;
+    try {
+      await refreshOpenTriage();
+    } catch (error) {
+      console.error("❌ Triage refresh failed:", error.message);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  tick();
+  console.log(`📊 Triage refresh every ${intervalMs}ms`);
+};
+
+/**
+ * Stops the periodic refresh
+ */
+const stopTriageRefresh = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  refreshOpenTriage,
+  startTriageRefresh,
+  stopTriageRefresh,
+};
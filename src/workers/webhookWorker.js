@@ -0,0 +1,78 @@
+const { registerHandler, enqueue } = require("../services/jobQueue");
+const { subscribe } = require("../services/eventBus");
+const {
+  createDeliveries,
+  sendDelivery,
+  markDeliveryFailed,
+} = require("../services/webhookService");
+
+/**
+ * Webhook dispatch: turns bus events into deliveries and sends them
+ * through the durable job queue. Only sending is durable: events emitted
+ * before a delivery is stored are lost on a crash (see webhookService).
+ *
+ * Env:
+ *  - WEBHOOK_MAX_ATTEMPTS (default: 8)
+ */
+
+const JOB_TYPE = "webhook.deliver";
+
+registerHandler(JOB_TYPE, ({ deliveryId }) => sendDelivery(deliveryId), {
+  onDeadLetter: async (job) => {
+    await markDeliveryFailed(job.payload.deliveryId);
+    console.error(
+      `❌ Webhook delivery ${job.payload.deliveryId} failed after ${job.attempts} attempts`
+    );
+  },
+});
+
+/**
+ * Queues a delivery for sending
+ * @param {object} delivery - WebhookDelivery document
+ * @returns {Promise<object>} - Created job
+ */
+const enqueueWebhookDelivery = (delivery) =>
+  enqueue(
+    JOB_TYPE,
+    { deliveryId: delivery._id },
+    {
+      refId: delivery._id,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    }
+  );
+
+let unsubscribe = null;
+
+/**
+ * Starts forwarding bus events to webhook subscriptions
+ */
+const startWebhookDispatcher = () => {
+  if (unsubscribe) return;
+
+  unsubscribe = subscribe((event) => {
+    createDeliveries(event)
+      .then((deliveries) => Promise.all(deliveries.map(enqueueWebhookDelivery)))
+      .catch((error) => {
+        console.error(
+          `❌ Webhook dispatch failed for ${event.type}:`,
+          error.message
+        );
+      });
+  });
+
+  console.log("🔗 Webhook dispatcher started");
+};
+
+/**
+ * Stops forwarding events
+ */
+const stopWebhookDispatcher = () => {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+};
+
+module.exports = {
+  enqueueWebhookDelivery,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
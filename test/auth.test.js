@@ -0,0 +1,307 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../src/models/User");
+const { ROLES } = require("../src/config/roles");
+const {
+  issueStreamTicket,
+  issueTokens,
+} = require("../src/services/authService");
+const { authorize, protect, protectStream } = require("../src/middleware/auth");
+const {
+  bootstrapAdmin,
+  login,
+  updateUser,
+} = require("../src/controllers/authController");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+/**
+ * Whether a user matches a simple filter ({ field: value | { $in } })
+ * @param {object} user
+ * @param {object} filter
+ * @returns {boolean}
+ */
+const matches = (user, filter) =>
+  Object.entries(filter).every(([field, value]) =>
+    value && value.$in ? value.$in.includes(user[field]) : user[field] === value
+  );
+
+/**
+ * Keeps users in memory instead of MongoDB. save() enforces the unique
+ * bootstrap index like the database would.
+ * @param {object} t - Test context
+ * @param {object[]} initial - User field values
+ * @returns {object[]} - Stored user documents
+ */
+const useMemoryUsers = (t, initial = []) => {
+  const users = initial.map((values) => new User(values));
+  const find = (filter) => users.find((user) => matches(user, filter)) || null;
+
+  t.mock.method(User, "exists", async (filter) => {
+    const user = find(filter);
+    return user && { _id: user._id };
+  });
+  t.mock.method(User, "findOne", (filter) => ({
+    select: async () => find(filter),
+  }));
+  t.mock.method(
+    User,
+    "findById",
+    async (id) => users.find((user) => String(user._id) === String(id)) || null
+  );
+  t.mock.method(User.prototype, "save", async function () {
+    await new Promise(setImmediate);
+    if (this.bootstrap && users.some((user) => user.bootstrap)) {
+      throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    }
+    if (!users.includes(this)) users.push(this);
+    return this;
+  });
+
+  return users;
+};
+
+/**
+ * Calls a controller or middleware with a fake request
+ * @param {Function} handler
+ * @param {object} req - Request fields
+ * @returns {Promise<object>} - { status, body, next, req }
+ */
+const call = async (handler, req) => {
+  const result = { status: 200, next: false };
+  const headers = req.headers || {};
+  result.req = {
+    params: {},
+    query: {},
+    body: {},
+    get: (name) => headers[name],
+    ...req,
+  };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await handler(result.req, res, (error) => {
+    result.next = true;
+    result.error = error;
+  });
+  return result;
+};
+
+const admin = {
+  name: "Ada",
+  email: "ada@example.org",
+  password: "correct horse",
+};
+
+test("bootstrap creates the first admin", async (t) => {
+  const users = useMemoryUsers(t);
+  const result = await call(bootstrapAdmin, { body: admin });
+
+  assert.equal(result.status, 201);
+  assert.equal(users[0].role, ROLES.ADMIN);
+  assert.equal(result.body.data.toJSON().bootstrap, undefined);
+  assert.ok(result.body.tokens.accessToken);
+});
+
+test("a device registered before setup does not block bootstrap", async (t) => {
+  useMemoryUsers(t, [
+    { name: "Device 1", deviceId: "d-1", role: ROLES.SURVIVOR_DEVICE },
+  ]);
+  const result = await call(bootstrapAdmin, { body: admin });
+
+  assert.equal(result.status, 201);
+});
+
+test("bootstrap is closed once a staff account exists", async (t) => {
+  useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  const result = await call(bootstrapAdmin, { body: admin });
+
+  assert.equal(result.status, 403);
+});
+
+test("concurrent bootstraps create a single admin", async (t) => {
+  const users = useMemoryUsers(t);
+  const results = await Promise.all([
+    call(bootstrapAdmin, { body: admin }),
+    call(bootstrapAdmin, { body: { ...admin, email: "eve@example.org" } }),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), [201, 403]);
+  assert.equal(users.length, 1);
+});
+
+test("bootstrap validates the account", async (t) => {
+  useMemoryUsers(t);
+  const result = await call(bootstrapAdmin, {
+    body: { ...admin, password: 12345678 },
+  });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body.errors, [
+    "Password must be at least 8 characters long",
+  ]);
+});
+
+test("login checks the password and the account status", async (t) => {
+  const users = useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  users[0].setPassword("correct horse");
+
+  const ok = await call(login, {
+    body: { email: "RITA@example.org", password: "correct horse" },
+  });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.tokens.refreshToken);
+  assert.ok(users[0].lastLoginAt);
+
+  const wrong = await call(login, {
+    body: { email: "rita@example.org", password: "wrong horse" },
+  });
+  assert.equal(wrong.status, 401);
+
+  const notString = await call(login, {
+    body: { email: "rita@example.org", password: { $gt: "" } },
+  });
+  assert.equal(notString.status, 401);
+
+  users[0].active = false;
+  const disabled = await call(login, {
+    body: { email: "rita@example.org", password: "correct horse" },
+  });
+  assert.equal(disabled.status, 401);
+});
+
+test("protect loads the user of a valid token", async (t) => {
+  const users = useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  const { accessToken } = issueTokens(users[0]);
+
+  const ok = await call(protect, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  assert.equal(ok.next, true);
+  assert.equal(ok.error, undefined);
+
+  const missing = await call(protect, {});
+  assert.equal(missing.status, 401);
+
+  users[0].active = false;
+  const disabled = await call(protect, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  assert.equal(disabled.status, 401);
+});
+
+test("protect rejects refresh tokens", async (t) => {
+  const users = useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  const { refreshToken } = issueTokens(users[0]);
+  const result = await call(protect, {
+    headers: { Authorization: `Bearer ${refreshToken}` },
+  });
+
+  assert.equal(result.error.name, "JsonWebTokenError");
+});
+
+test("streams accept a ticket but no access token in the URL", async (t) => {
+  const users = useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  const { accessToken } = issueTokens(users[0]);
+  const accessExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
+  const { ticket } = issueStreamTicket(users[0], accessExpiresAt);
+
+  const queryToken = await call(protectStream, {
+    query: { access_token: accessToken },
+  });
+  assert.equal(queryToken.status, 401);
+
+  const ok = await call(protectStream, { query: { ticket } });
+  assert.equal(ok.next, true);
+  assert.equal(ok.error, undefined);
+  assert.equal(String(ok.req.user._id), String(users[0]._id));
+  assert.equal(
+    ok.req.authExpiresAt.getTime(),
+    Math.floor(accessExpiresAt.getTime() / 1000) * 1000
+  );
+});
+
+test("stream tickets are not access tokens", async (t) => {
+  const users = useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  const { accessToken } = issueTokens(users[0]);
+  const { ticket } = issueStreamTicket(users[0], new Date());
+
+  const asBearer = await call(protect, {
+    headers: { Authorization: `Bearer ${ticket}` },
+  });
+  assert.equal(asBearer.error.name, "JsonWebTokenError");
+
+  const asTicket = await call(protectStream, {
+    query: { ticket: accessToken },
+  });
+  assert.equal(asTicket.error.name, "JsonWebTokenError");
+});
+
+test("authorize only lets the given roles through", async () => {
+  const dispatchOnly = authorize([ROLES.COORDINATOR, ROLES.ADMIN]);
+
+  const coordinator = await call(dispatchOnly, {
+    user: { role: ROLES.COORDINATOR },
+  });
+  assert.equal(coordinator.next, true);
+
+  const rescuer = await call(dispatchOnly, { user: { role: ROLES.RESCUER } });
+  assert.equal(rescuer.status, 403);
+
+  const device = await call(dispatchOnly, {
+    user: { role: ROLES.SURVIVOR_DEVICE },
+  });
+  assert.equal(device.status, 403);
+
+  const anonymous = await call(dispatchOnly, {});
+  assert.equal(anonymous.status, 403);
+});
+
+test("updateUser only accepts a boolean active", async (t) => {
+  const users = useMemoryUsers(t, [
+    { name: "Rita", email: "rita@example.org", role: ROLES.RESCUER },
+  ]);
+  const id = String(users[0]._id);
+
+  const text = await call(updateUser, {
+    params: { id },
+    body: { active: "false" },
+  });
+  assert.equal(text.status, 400);
+  assert.deepEqual(text.body.errors, ["active must be true or false"]);
+  assert.equal(users[0].active, true);
+
+  const disabled = await call(updateUser, {
+    params: { id },
+    body: { active: false },
+  });
+  assert.equal(disabled.status, 200);
+  assert.equal(users[0].active, false);
+  assert.equal(users[0].tokenVersion, 1);
+});
+
+test("updateUser rejects invalid ids", async () => {
+  const result = await call(updateUser, { params: { id: "nope" }, body: {} });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body.errors, ["Invalid user id"]);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseBatchItem } = require("../src/controllers/batchController");
+
+const now = new Date("2026-03-01T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Parses a text item captured at the given time
+ * @param {*} capturedAt - location.capturedAt
+ * @returns {object} - { data, errors }
+ */
+const parseCapturedAt = (capturedAt) =>
+  parseBatchItem(
+    {
+      clientId: "item-1",
+      message: "Trapped under the stairs",
+      location: { latitude: 41, longitude: 29, capturedAt },
+    },
+    { sessionId: "session-1", files: {}, now }
+  );
+
+test("keeps a plausible capture time", () => {
+  const { data } = parseCapturedAt("2026-03-01T09:00:00Z");
+
+  assert.deepEqual(data.location.capturedAt, new Date("2026-03-01T09:00:00Z"));
+  assert.equal(data.captureTimeAdjusted, false);
+});
+
+test("clamps a capture time later than receipt", () => {
+  const { data } = parseCapturedAt("2026-03-02T12:00:00Z");
+
+  assert.deepEqual(data.location.capturedAt, now);
+  assert.equal(data.captureTimeAdjusted, true);
+});
+
+test("clamps a capture time older than an offline queue can be", () => {
+  const { data } = parseCapturedAt("2000-01-01T00:00:00Z");
+
+  assert.deepEqual(
+    data.location.capturedAt,
+    new Date(now.getTime() - 72 * HOUR)
+  );
+  assert.equal(data.captureTimeAdjusted, true);
+});
+
+test("rejects a capture time that is not a date", () => {
+  const { data, errors } = parseCapturedAt("yesterday-ish");
+
+  assert.equal(data, null);
+  assert.deepEqual(errors, ["location.capturedAt must be an ISO 8601 date"]);
+});
+
+test("items without a capture time are not adjusted", () => {
+  const { data } = parseCapturedAt(undefined);
+
+  assert.equal(data.location.capturedAt, undefined);
+  assert.equal(data.captureTimeAdjusted, false);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const SOS = require("../src/models/SOS");
+const {
+  linkDuplicates,
+  textSimilarity,
+  unlinkDuplicate,
+} = require("../src/services/duplicateService");
+
+const receivedAt = new Date("2026-03-01T10:00:00Z");
+
+/**
+ * Builds a plain SOS near a reference point
+ * @param {object} fields - Overrides
+ * @returns {object}
+ */
+const makeSOS = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sessionId: `session-${Math.random()}`,
+  location: { latitude: 41.0, longitude: 29.0 },
+  transcript: "",
+  receivedAt,
+  duplicateOf: null,
+  ...fields,
+});
+
+/**
+ * Serves candidates from memory and records updates
+ * @param {object} t - Test context
+ * @param {object[]} candidates - Earlier SOS
+ * @returns {object[]} - [id, update] of every findByIdAndUpdate call
+ */
+const useCandidates = (t, candidates) => {
+  const updates = [];
+  t.mock.method(SOS, "find", () => ({
+    sort: () => ({ select: async () => candidates }),
+  }));
+  t.mock.method(SOS, "findByIdAndUpdate", async (id, update) => {
+    updates.push([String(id), update]);
+    return { _id: id, ...update };
+  });
+  return updates;
+};
+
+// ~20 m north of the reference point
+const nearby = { latitude: 41.00018, longitude: 29.0 };
+
+test("text similarity ignores case, punctuation and stopwords", () => {
+  assert.equal(
+    textSimilarity("Trapped in the BASEMENT!", "trapped basement"),
+    1
+  );
+  assert.equal(textSimilarity("", "trapped"), 0);
+});
+
+test("links an SOS from the same session", async (t) => {
+  const parent = makeSOS({ sessionId: "family-1" });
+  const updates = useCandidates(t, [parent]);
+  const sos = makeSOS({ sessionId: "family-1" });
+
+  const linked = await linkDuplicates(sos);
+
+  assert.equal(String(linked.duplicateOf), String(parent._id));
+  assert.equal(linked.duplicateMatch.reason, "session");
+  assert.deepEqual(updates[1], [
+    String(parent._id),
+    { $addToSet: { relatedTo: sos._id } },
+  ]);
+});
+
+test("closeness alone does not link neighbours", async (t) => {
+  useCandidates(t, [
+    makeSOS({ transcript: "Water is rising in our street, two children" }),
+  ]);
+  const sos = makeSOS({
+    location: nearby,
+    transcript: "My grandmother fell and cannot breathe",
+  });
+
+  assert.equal(await linkDuplicates(sos), null);
+});
+
+test("close reports that share words are linked", async (t) => {
+  const parent = makeSOS({ transcript: "Building collapsed, family trapped" });
+  useCandidates(t, [parent]);
+  const sos = makeSOS({
+    location: nearby,
+    transcript: "Collapsed building on our street, people inside",
+  });
+
+  const linked = await linkDuplicates(sos);
+
+  assert.equal(linked.duplicateMatch.reason, "proximity");
+  assert.equal(linked.duplicateMatch.distanceMeters, 20);
+});
+
+test("similar reports further away are linked by text", async (t) => {
+  const parent = makeSOS({ transcript: "Fire on third floor, smoke, kids" });
+  useCandidates(t, [parent]);
+  const sos = makeSOS({
+    location: { latitude: 41.002, longitude: 29.0 },
+    transcript: "fire third floor smoke kids",
+  });
+
+  const linked = await linkDuplicates(sos);
+
+  assert.equal(linked.duplicateMatch.reason, "transcript");
+});
+
+test("a case is not linked again to a parent it was unlinked from", async (t) => {
+  const parent = makeSOS({ sessionId: "family-1" });
+  const child = makeSOS({ sessionId: "family-1", duplicateOf: parent._id });
+  useCandidates(t, [parent, child]);
+  const sos = makeSOS({ sessionId: "family-1", unlinkedFrom: [parent._id] });
+
+  assert.equal(await linkDuplicates(sos), null);
+});
+
+test("unlinking remembers the parent", async (t) => {
+  const updates = useCandidates(t, []);
+  const parentId = new mongoose.Types.ObjectId();
+  const sos = makeSOS({ duplicateOf: parentId });
+
+  await unlinkDuplicate(sos);
+
+  assert.deepEqual(updates[0], [
+    String(parentId),
+    { $pull: { relatedTo: sos._id } },
+  ]);
+  assert.deepEqual(updates[1][1].$addToSet, { unlinkedFrom: parentId });
+  assert.equal(updates[1][1].duplicateOf, null);
+});
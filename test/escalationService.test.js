@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_POLICIES,
+  getEscalationPolicies,
+} = require("../src/config/escalationPolicies");
+const {
+  dueSteps,
+  resetEscalation,
+} = require("../src/services/escalationService");
+
+const now = new Date("2026-01-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+const policies = {
+  CRITICAL: [
+    { id: "critical-5m", condition: "unassigned", afterMinutes: 5, level: 1 },
+    {
+      id: "critical-15m",
+      condition: "unassigned",
+      afterMinutes: 15,
+      level: 2,
+      overdue: true,
+    },
+  ],
+  ALL: [{ id: "open-2h", condition: "unresolved", afterMinutes: 120 }],
+};
+
+const ids = (steps) => steps.map((step) => step.id);
+
+test("lists the steps whose time has come", () => {
+  const sos = {
+    status: "processed",
+    aiAnalysis: { urgency: "CRITICAL" },
+    receivedAt: minutesAgo(10),
+    escalations: [],
+  };
+
+  assert.deepEqual(ids(dueSteps(sos, policies, now)), ["critical-5m"]);
+});
+
+test("skips steps that already fired", () => {
+  const sos = {
+    status: "processed",
+    aiAnalysis: { urgency: "CRITICAL" },
+    receivedAt: minutesAgo(20),
+    escalations: [{ step: "critical-5m", at: minutesAgo(15) }],
+  };
+
+  assert.deepEqual(ids(dueSteps(sos, policies, now)), ["critical-15m"]);
+});
+
+test("unassigned steps stop once a rescuer is assigned", () => {
+  const sos = {
+    status: "assigned",
+    assignedTo: "rescuer",
+    aiAnalysis: { urgency: "CRITICAL" },
+    receivedAt: minutesAgo(20),
+    escalations: [],
+  };
+
+  assert.deepEqual(dueSteps(sos, policies, now), []);
+});
+
+test("resolved cases never escalate", () => {
+  const sos = {
+    status: "resolved",
+    aiAnalysis: { urgency: "CRITICAL" },
+    receivedAt: minutesAgo(500),
+    escalations: [],
+  };
+
+  assert.deepEqual(dueSteps(sos, policies, now), []);
+});
+
+test("measures from the capture time of an SOS queued offline", () => {
+  const sos = {
+    status: "processed",
+    aiAnalysis: { urgency: "CRITICAL" },
+    receivedAt: minutesAgo(1),
+    location: { capturedAt: minutesAgo(6) },
+    escalations: [],
+  };
+
+  assert.deepEqual(ids(dueSteps(sos, policies, now)), ["critical-5m"]);
+});
+
+test("reset clears the level and restarts the clock", () => {
+  const sos = {
+    status: "assigned",
+    assignedTo: "rescuer",
+    aiAnalysis: { urgency: "CRITICAL" },
+    receivedAt: minutesAgo(180),
+    escalations: [
+      { step: "critical-5m", at: minutesAgo(175) },
+      { step: "open-2h", at: minutesAgo(60) },
+    ],
+    escalationLevel: 2,
+    overdue: true,
+    overdueAt: minutesAgo(165),
+  };
+
+  resetEscalation(sos);
+  assert.equal(sos.escalationLevel, 0);
+  assert.equal(sos.overdue, false);
+  assert.equal(sos.overdueAt, undefined);
+  assert.ok(sos.escalationResetAt instanceof Date);
+
+  // Right after the reset the unresolved step must not fire again
+  const resetAt = sos.escalationResetAt;
+  assert.deepEqual(dueSteps(sos, policies, resetAt), []);
+
+  // It fires again once its time has passed since the reset
+  const later = new Date(resetAt.getTime() + 121 * 60 * 1000);
+  assert.deepEqual(ids(dueSteps(sos, policies, later)), ["open-2h"]);
+});
+
+test("reset leaves a case without escalation untouched", () => {
+  const sos = { escalationLevel: 0, overdue: false };
+
+  resetEscalation(sos);
+  assert.equal(sos.escalationResetAt, undefined);
+});
+
+/**
+ * Sets ESCALATION_POLICIES for one test
+ * @param {object} t - Test context
+ * @param {string} value - ESCALATION_POLICIES value
+ */
+const useEscalationPolicies = (t, value) => {
+  const previous = process.env.ESCALATION_POLICIES;
+  process.env.ESCALATION_POLICIES = value;
+  t.after(() => {
+    if (previous === undefined) delete process.env.ESCALATION_POLICIES;
+    else process.env.ESCALATION_POLICIES = previous;
+  });
+};
+
+test("invalid ESCALATION_POLICIES fall back to the defaults once", (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  useEscalationPolicies(t, '{"CRITICAL":[{"id":"x","condition":"late"}]}');
+
+  assert.equal(getEscalationPolicies(), DEFAULT_POLICIES);
+  assert.equal(getEscalationPolicies(), DEFAULT_POLICIES);
+  assert.equal(logged.mock.callCount(), 1);
+  assert.match(logged.mock.calls[0].arguments[0], /default escalation/);
+});
+
+test("valid ESCALATION_POLICIES override one urgency", (t) => {
+  const step = { id: "critical-2m", condition: "unassigned", afterMinutes: 2 };
+  useEscalationPolicies(t, JSON.stringify({ CRITICAL: [step] }));
+
+  const policies = getEscalationPolicies();
+  assert.deepEqual(policies.CRITICAL, [step]);
+  assert.equal(policies.HIGH, DEFAULT_POLICIES.HIGH);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  bboxToGeometry,
+  isWithinBBox,
+  parseBBox,
+  parsePolygon,
+} = require("../src/services/geoService");
+const { buildSOSQuery } = require("../src/services/sosQueryService");
+
+const WITHIN_ERROR = /within polygon needs at least 3 \[lng,lat\] positions/;
+
+test("parses a bounding box", () => {
+  assert.deepEqual(parseBBox("120.9,14.5,121.1,14.7"), {
+    minLng: 120.9,
+    minLat: 14.5,
+    maxLng: 121.1,
+    maxLat: 14.7,
+  });
+  assert.equal(parseBBox(undefined), null);
+  assert.throws(() => parseBBox("1,2,3"), /minLng,minLat,maxLng,maxLat/);
+  assert.throws(() => parseBBox("0,10,1,5"), /latitude range/);
+});
+
+test("a bounding box becomes one polygon", () => {
+  const geometry = bboxToGeometry(parseBBox("10,20,11,21"));
+
+  assert.equal(geometry.type, "Polygon");
+  assert.deepEqual(geometry.coordinates[0][0], [10, 20]);
+  assert.deepEqual(geometry.coordinates[0][2], [11, 21]);
+});
+
+test("a box across the antimeridian becomes two polygons", () => {
+  const bbox = parseBBox("170,-20,-170,-10");
+  const geometry = bboxToGeometry(bbox);
+
+  assert.equal(geometry.type, "MultiPolygon");
+  assert.deepEqual(
+    geometry.coordinates.map(([ring]) => [ring[0][0], ring[1][0]]),
+    [
+      [170, 180],
+      [-180, -170],
+    ]
+  );
+
+  // Same cases as the stream filter
+  assert.equal(isWithinBBox({ latitude: -15, longitude: 178 }, bbox), true);
+  assert.equal(isWithinBBox({ latitude: -15, longitude: -175 }, bbox), true);
+  assert.equal(isWithinBBox({ latitude: -15, longitude: 0 }, bbox), false);
+});
+
+test("list queries filter with the antimeridian geometry", () => {
+  const { filter } = buildSOSQuery({ bbox: "170,-20,-170,-10" });
+
+  assert.equal(
+    filter["location.point"].$geoWithin.$geometry.type,
+    "MultiPolygon"
+  );
+});
+
+test("parses a polygon and closes its ring", () => {
+  const polygon = parsePolygon("[[0,0],[1,0],[1,1]]");
+
+  assert.deepEqual(polygon.coordinates[0], [
+    [0, 0],
+    [1, 0],
+    [1, 1],
+    [0, 0],
+  ]);
+  assert.deepEqual(
+    parsePolygon(
+      JSON.stringify({
+        type: "Polygon",
+        coordinates: [
+          [
+            [0, 0],
+            [1, 0],
+            [1, 1],
+            [0, 0],
+          ],
+        ],
+      })
+    ),
+    polygon
+  );
+});
+
+test("malformed polygons get a readable error", () => {
+  assert.throws(() => parsePolygon('{"type":"Polygon"}'), WITHIN_ERROR);
+  assert.throws(
+    () => parsePolygon('{"type":"Polygon","coordinates":5}'),
+    WITHIN_ERROR
+  );
+  assert.throws(() => parsePolygon("[[0,0],[1,0]]"), WITHIN_ERROR);
+  assert.throws(() => parsePolygon("{nope"), /within must be/);
+});
+
+test("malformed geo parameters are 400 errors", () => {
+  assert.throws(
+    () => buildSOSQuery({ within: '{"type":"Polygon"}' }),
+    (error) => error.statusCode === 400 && WITHIN_ERROR.test(error.message)
+  );
+  assert.throws(
+    () => buildSOSQuery({ radius: "100" }),
+    (error) => error.statusCode === 400
+  );
+});
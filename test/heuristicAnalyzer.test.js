@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeHeuristically } = require("../src/services/heuristicAnalyzer");
+
+test("rates urgency with the triage rules", () => {
+  const analysis = analyzeHeuristically(
+    "The house collapsed and my father is trapped under the rubble"
+  );
+
+  assert.equal(analysis.urgency, "CRITICAL");
+  assert.ok(analysis.riskFactors.includes("trapped"));
+});
+
+test("negated emergencies are not critical", () => {
+  const analysis = analyzeHeuristically("not trapped anymore, we are fine");
+
+  assert.equal(analysis.urgency, "MEDIUM");
+  assert.deepEqual(analysis.riskFactors, []);
+});
+
+test("generic calls for help are not risk factors", () => {
+  const analysis = analyzeHeuristically("help");
+
+  assert.equal(analysis.urgency, "MEDIUM");
+  assert.deepEqual(analysis.riskFactors, []);
+});
+
+test("empty text is low urgency", () => {
+  assert.equal(analyzeHeuristically("").urgency, "LOW");
+});
+
+test("stays below the model confidence threshold", () => {
+  const analysis = analyzeHeuristically("Fire in our building, 3 people");
+
+  assert.ok(analysis.confidence < 0.6);
+  assert.equal(analysis.peopleCount, 3);
+});
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const IdempotencyKey = require("../src/models/IdempotencyKey");
+const { idempotency } = require("../src/middleware/idempotency");
+
+/**
+ * Keeps idempotency records in memory instead of MongoDB
+ * @param {object} t - Test context
+ * @returns {Map} - "key scope" => record
+ */
+const useMemoryStore = (t) => {
+  const records = new Map();
+  let nextId = 1;
+  const byId = (id) => [...records.values()].find((item) => item._id === id);
+
+  t.mock.method(IdempotencyKey, "create", async (values) => {
+    const id = `${values.key} ${values.scope}`;
+    if (records.has(id)) {
+      throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    }
+    const record = { _id: nextId++, ...values, updatedAt: new Date() };
+    records.set(id, record);
+    return record;
+  });
+  t.mock.method(IdempotencyKey, "findOne", async ({ key, scope }) =>
+    records.get(`${key} ${scope}`)
+  );
+  t.mock.method(IdempotencyKey, "updateOne", async ({ _id }, update) => {
+    Object.assign(byId(_id), update);
+  });
+  t.mock.method(IdempotencyKey, "deleteOne", async ({ _id }) => {
+    const record = byId(_id);
+    records.delete(`${record.key} ${record.scope}`);
+  });
+
+  return records;
+};
+
+/**
+ * Sends a JSON request through the middleware, then (if it calls next)
+ * through a handler that answers with handlerStatus
+ * @param {object} options - { key, body, handlerStatus }
+ * @returns {Promise<object>} - { status, body, headers, handled }
+ */
+const send = ({ key, body = {}, handlerStatus = 201 }) =>
+  new Promise((resolve, reject) => {
+    const headers = {};
+    const result = { headers, handled: false };
+    const req = {
+      method: "POST",
+      baseUrl: "/api/sos",
+      path: "/text",
+      params: {},
+      body,
+      get: (name) => (name === "Idempotency-Key" ? key : undefined),
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        headers[name] = value;
+        return this;
+      },
+      json(responseBody) {
+        resolve({ ...result, status: this.statusCode, body: responseBody });
+        return this;
+      },
+    };
+
+    idempotency(req, res, (error) => {
+      if (error) return reject(error);
+      result.handled = true;
+      res
+        .status(handlerStatus)
+        .json({ success: handlerStatus < 400, sosId: "sos-1" });
+    });
+  });
+
+test("requests without a key pass straight through", async (t) => {
+  const records = useMemoryStore(t);
+  const response = await send({ body: { sessionId: "s1" } });
+
+  assert.equal(response.handled, true);
+  assert.equal(records.size, 0);
+});
+
+test("replays the stored response for a retried request", async (t) => {
+  useMemoryStore(t);
+  const body = { sessionId: "s1", message: "help", location: { lat: 1 } };
+
+  const first = await send({ key: "k1", body });
+  const retry = await send({
+    key: "k1",
+    body: { location: { lat: 1 }, message: "help", sessionId: "s1" },
+  });
+
+  assert.equal(first.handled, true);
+  assert.equal(retry.handled, false);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers["Idempotent-Replayed"], "true");
+});
+
+test("rejects a key reused for a different request", async (t) => {
+  useMemoryStore(t);
+
+  await send({ key: "k1", body: { sessionId: "s1", message: "help" } });
+  const reused = await send({
+    key: "k1",
+    body: { sessionId: "s1", message: "something else" },
+  });
+
+  assert.equal(reused.status, 422);
+  assert.equal(reused.handled, false);
+});
+
+test("answers 409 while the first request is still running", async (t) => {
+  const records = useMemoryStore(t);
+  const body = { sessionId: "s1", message: "help" };
+
+  await send({ key: "k1", body });
+  records.forEach((record) => {
+    record.status = "processing";
+  });
+  const retry = await send({ key: "k1", body });
+
+  assert.equal(retry.status, 409);
+  assert.equal(retry.headers["Retry-After"], "5");
+});
+
+test("does not store failed responses, so the client can retry", async (t) => {
+  const records = useMemoryStore(t);
+  const body = { sessionId: "s1", message: "help" };
+
+  const failed = await send({ key: "k1", body, handlerStatus: 500 });
+  assert.equal(failed.status, 500);
+  assert.equal(records.size, 0);
+
+  const retry = await send({ key: "k1", body });
+  assert.equal(retry.handled, true);
+  assert.equal(retry.status, 201);
+});
+
+test("keys are scoped to the session", async (t) => {
+  useMemoryStore(t);
+
+  await send({ key: "k1", body: { sessionId: "s1", message: "help" } });
+  const other = await send({
+    key: "k1",
+    body: { sessionId: "s2", message: "help" },
+  });
+
+  assert.equal(other.handled, true);
+});
+
+test("rejects overlong keys", async (t) => {
+  useMemoryStore(t);
+  const response = await send({ key: "k".repeat(256) });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.handled, false);
+});
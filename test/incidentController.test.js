@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Incident = require("../src/models/Incident");
+const SOS = require("../src/models/SOS");
+const User = require("../src/models/User");
+const {
+  createIncident,
+  getIncidentById,
+  getIncidentStats,
+  linkSOSToIncident,
+  unlinkSOSFromIncident,
+  updateIncident,
+} = require("../src/controllers/incidentController");
+
+/**
+ * Calls a controller with a fake request
+ * @param {Function} handler
+ * @param {object} req - Request fields
+ * @returns {Promise<object>} - { status, body }
+ */
+const call = async (handler, req) => {
+  const result = { status: 200 };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await handler({ params: {}, query: {}, body: {}, ...req }, res);
+  return result;
+};
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * Fakes the incident and SOS lookups used when linking
+ * @param {object} t - Test context
+ * @param {string[]} existing - SOS ids that exist
+ * @returns {object[]} - Filters passed to SOS.updateMany
+ */
+const useIncident = (t, existing = []) => {
+  const incident = new Incident({ name: "Flood" });
+  const updates = [];
+
+  t.mock.method(Incident, "findById", async () => incident);
+  t.mock.method(SOS, "find", (filter) => ({
+    distinct: async () =>
+      filter._id.$in
+        .filter((sosId) => existing.includes(sosId))
+        .map((sosId) => new mongoose.Types.ObjectId(sosId)),
+  }));
+  t.mock.method(SOS, "updateMany", async (filter) => {
+    updates.push(filter);
+    return { modifiedCount: existing.length };
+  });
+  t.mock.method(SOS, "aggregate", async () => []);
+  return updates;
+};
+
+for (const [name, handler] of [
+  ["getIncidentById", getIncidentById],
+  ["updateIncident", updateIncident],
+  ["getIncidentStats", getIncidentStats],
+  ["linkSOSToIncident", linkSOSToIncident],
+]) {
+  test(`${name} answers 404 for a malformed incident id`, async (t) => {
+    const findById = t.mock.method(Incident, "findById", async () => null);
+
+    const result = await call(handler, {
+      params: { id: "not-an-id" },
+      body: { sosIds: [id()] },
+    });
+
+    assert.equal(result.status, 404);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+}
+
+test("unlink answers 404 for a malformed SOS id", async (t) => {
+  const findOne = t.mock.method(SOS, "findOneAndUpdate", async () => null);
+
+  const result = await call(unlinkSOSFromIncident, {
+    params: { id: id(), sosId: "nope" },
+  });
+
+  assert.equal(result.status, 404);
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test("linking rejects malformed SOS ids", async (t) => {
+  const updates = useIncident(t);
+
+  const result = await call(linkSOSToIncident, {
+    params: { id: id() },
+    body: { sosIds: [id(), "bad"] },
+  });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body.invalid, ["bad"]);
+  assert.equal(updates.length, 0);
+});
+
+test("linking reports SOS that do not exist", async (t) => {
+  const known = id();
+  const missing = id();
+  const updates = useIncident(t, [known]);
+
+  const result = await call(linkSOSToIncident, {
+    params: { id: id() },
+    body: { sosIds: [known, missing] },
+  });
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.notFound, [missing]);
+  assert.deepEqual(updates[0].$or[0]._id.$in, [known]);
+});
+
+test("linking only unknown SOS answers 404", async (t) => {
+  const updates = useIncident(t);
+  const missing = id();
+
+  const result = await call(linkSOSToIncident, {
+    params: { id: id() },
+    body: { sosIds: [missing] },
+  });
+
+  assert.equal(result.status, 404);
+  assert.deepEqual(result.body.notFound, [missing]);
+  assert.equal(updates.length, 0);
+});
+
+test("rollup counts only parent cases apart from totalSOS", async (t) => {
+  const aggregate = t.mock.method(SOS, "aggregate", async () => []);
+  t.mock.method(Incident, "exists", async () => true);
+
+  await call(getIncidentStats, { params: { id: id() } });
+
+  const { $group } = aggregate.mock.calls[0].arguments[0][1];
+  for (const [field, accumulator] of Object.entries($group)) {
+    if (field === "_id" || field === "totalSOS") continue;
+    assert.match(JSON.stringify(accumulator), /\$duplicateOf/, field);
+  }
+});
+
+test("commander must be an active staff account", async (t) => {
+  const staff = id();
+  t.mock.method(User, "exists", async (filter) =>
+    String(filter._id) === staff ? { _id: staff } : null
+  );
+  t.mock.method(Incident.prototype, "save", async function () {
+    return this;
+  });
+
+  for (const commander of ["Ayse", id()]) {
+    const result = await call(createIncident, {
+      body: { name: "Flood", commander },
+    });
+    assert.equal(result.status, 400, commander);
+  }
+
+  const result = await call(createIncident, {
+    body: { name: "Flood", commander: staff },
+  });
+  assert.equal(result.status, 201);
+  assert.equal(String(result.body.data.commander), staff);
+});
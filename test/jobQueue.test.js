@@ -0,0 +1,259 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Job = require("../src/models/Job");
+const {
+  registerHandler,
+  claimNextJob,
+  backoffDelay,
+  runJob,
+  recoverExpiredLeases,
+} = require("../src/services/jobQueue");
+
+/**
+ * Whether a stored value equals a filter value (dates and ids by value)
+ * @param {*} actual
+ * @param {*} expected
+ * @returns {boolean}
+ */
+const same = (actual, expected) => {
+  if (actual instanceof Date || expected instanceof Date) {
+    return Boolean(actual && expected) && +actual === +expected;
+  }
+  if (actual == null || expected == null) return actual == expected;
+  return String(actual) === String(expected);
+};
+
+/**
+ * Whether a job matches a filter (equality, $lt, $lte and $in)
+ * @param {object} job
+ * @param {object} filter
+ * @returns {boolean}
+ */
+const matches = (job, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = job[field];
+    if (condition && condition.$lt) return value < condition.$lt;
+    if (condition && condition.$lte) return value <= condition.$lte;
+    if (condition && condition.$in) return condition.$in.includes(value);
+    return same(value, condition);
+  });
+
+/**
+ * Applies an update ($set, $inc, $push or plain fields) to a job
+ * @param {object} job
+ * @param {object} update
+ */
+const apply = (job, update) => {
+  Object.entries(update).forEach(([key, value]) => {
+    if (key === "$set") Object.assign(job, value);
+    else if (key === "$inc") {
+      Object.entries(value).forEach(([field, by]) => (job[field] += by));
+    } else if (key === "$push") {
+      Object.entries(value).forEach(([field, item]) => job[field].push(item));
+    } else job[key] = value;
+  });
+};
+
+/**
+ * Copy of a stored job, like a freshly loaded document
+ * @param {object} job
+ * @returns {object}
+ */
+const copy = (job) => ({ ...job, failures: [...job.failures] });
+
+/**
+ * Keeps jobs in memory instead of MongoDB
+ * @param {object} t - Test context
+ * @param {object[]} jobs - Job field values
+ * @returns {object[]} - Stored jobs
+ */
+const useMemoryJobs = (t, jobs) => {
+  const store = jobs.map((job) => ({
+    _id: new mongoose.Types.ObjectId(),
+    payload: {},
+    status: "queued",
+    attempts: 0,
+    maxAttempts: 3,
+    runAt: new Date(0),
+    failures: [],
+    lockedAt: null,
+    lockedBy: null,
+    ...job,
+  }));
+
+  t.mock.method(Job, "find", async (filter) =>
+    store.filter((job) => matches(job, filter)).map(copy)
+  );
+  t.mock.method(Job, "findOneAndUpdate", async (filter, update, options) => {
+    const job = store
+      .filter((candidate) => matches(candidate, filter))
+      .sort((a, b) => (options.sort ? a.runAt - b.runAt : 0))[0];
+    if (!job) return null;
+    apply(job, update);
+    return copy(job);
+  });
+
+  return store;
+};
+
+let unique = 0;
+
+/**
+ * Registers a handler under a job type of its own
+ * @param {Function} handler
+ * @param {object} options - Handler options
+ * @returns {string} - Job type
+ */
+const useHandler = (handler, options) => {
+  const type = `test.job-${++unique}`;
+  registerHandler(type, handler, options);
+  return type;
+};
+
+test("claims the earliest due job of a known type", async (t) => {
+  const type = useHandler(async () => {});
+  const store = useMemoryJobs(t, [
+    { type, runAt: new Date(Date.now() + 60000) },
+    { type, runAt: new Date(2000) },
+    { type: "test.unknown", runAt: new Date(0) },
+    { type, runAt: new Date(1000) },
+    { type, status: "running", runAt: new Date(0) },
+  ]);
+
+  const job = await claimNextJob();
+
+  assert.equal(String(job._id), String(store[3]._id));
+  assert.equal(job.status, "running");
+  assert.equal(job.attempts, 1);
+  assert.ok(job.lockedBy);
+  assert.ok(job.lockedAt);
+});
+
+test("claims nothing when no job is due", async (t) => {
+  const type = useHandler(async () => {});
+  useMemoryJobs(t, [{ type, runAt: new Date(Date.now() + 60000) }]);
+
+  assert.equal(await claimNextJob(), null);
+});
+
+test("backoff doubles per attempt up to the maximum", (t) => {
+  t.mock.method(Math, "random", () => 0.5);
+
+  assert.equal(backoffDelay(1), 5000);
+  assert.equal(backoffDelay(2), 10000);
+  assert.equal(backoffDelay(4), 40000);
+  assert.equal(backoffDelay(20), 10 * 60 * 1000);
+});
+
+test("backoff jitter stays within 20%", (t) => {
+  t.mock.method(Math, "random", () => 0);
+  assert.equal(backoffDelay(1), 4000);
+
+  Math.random.mock.mockImplementation(() => 0.9999);
+  assert.equal(backoffDelay(1), 6000);
+});
+
+test("a completed job is recorded", async (t) => {
+  const type = useHandler(async () => {});
+  const store = useMemoryJobs(t, [{ type }]);
+
+  await runJob(await claimNextJob());
+
+  assert.equal(store[0].status, "completed");
+  assert.equal(store[0].lockedBy, null);
+  assert.ok(store[0].completedAt);
+});
+
+test("a failed job is retried after a backoff", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(Math, "random", () => 0.5);
+  const type = useHandler(async () => {
+    throw new Error("provider down");
+  });
+  const store = useMemoryJobs(t, [{ type }]);
+  const before = Date.now();
+
+  await runJob(await claimNextJob());
+
+  assert.equal(store[0].status, "queued");
+  assert.ok(store[0].runAt - before >= 5000);
+  assert.deepEqual(
+    store[0].failures.map(({ attempt, message }) => ({ attempt, message })),
+    [{ attempt: 1, message: "provider down" }]
+  );
+});
+
+test("a job is dead-lettered after its last attempt", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const deadLettered = [];
+  const type = useHandler(
+    async () => {
+      throw new Error("still down");
+    },
+    { onDeadLetter: async (job) => deadLettered.push(job) }
+  );
+  const store = useMemoryJobs(t, [{ type, attempts: 2 }]);
+
+  await runJob(await claimNextJob());
+
+  assert.equal(store[0].status, "dead");
+  assert.equal(deadLettered.length, 1);
+  assert.equal(deadLettered[0].failures[0].attempt, 3);
+});
+
+test("a worker that lost its lease does not record the outcome", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const type = useHandler(async () => {});
+  const store = useMemoryJobs(t, [{ type }]);
+  const job = await claimNextJob();
+
+  // Lease expired and another worker claimed the job
+  store[0].lockedBy = "other-host:1";
+  await runJob(job);
+
+  assert.equal(store[0].status, "running");
+  assert.equal(store[0].lockedBy, "other-host:1");
+  assert.match(console.warn.mock.calls[0].arguments[0], /lost its lease/);
+});
+
+test("jobs with an expired lease are queued again", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const type = useHandler(async () => {});
+  const expired = new Date(Date.now() - 10 * 60 * 1000);
+  const store = useMemoryJobs(t, [
+    { type, status: "running", attempts: 1, lockedAt: expired, lockedBy: "a" },
+    {
+      type,
+      status: "running",
+      attempts: 1,
+      lockedAt: new Date(),
+      lockedBy: "b",
+    },
+  ]);
+
+  assert.equal(await recoverExpiredLeases(), 1);
+  assert.equal(store[0].status, "queued");
+  assert.equal(store[0].lockedBy, null);
+  assert.equal(store[0].failures[0].message, "Worker a lost its lease");
+  assert.equal(store[1].status, "running");
+});
+
+test("expired jobs out of attempts are dead-lettered", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const deadLettered = [];
+  const type = useHandler(async () => {}, {
+    onDeadLetter: async (job) => deadLettered.push(job),
+  });
+  const expired = new Date(Date.now() - 10 * 60 * 1000);
+  const store = useMemoryJobs(t, [
+    { type, status: "running", attempts: 3, lockedAt: expired, lockedBy: "a" },
+  ]);
+
+  await recoverExpiredLeases();
+
+  assert.equal(store[0].status, "dead");
+  assert.equal(deadLettered.length, 1);
+  assert.equal(deadLettered[0].failures[0].attempt, 3);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  decodePlusCode,
+  parseLocationFromText,
+} = require("../src/services/locationParser");
+
+/**
+ * Coordinates found in a message, without the source
+ * @param {string} text
+ * @returns {number[]|null} - [latitude, longitude]
+ */
+const coordinates = (text) => {
+  const location = parseLocationFromText(text);
+  return location && [location.latitude, location.longitude];
+};
+
+test("reads hemisphere coordinates", () => {
+  assert.deepEqual(coordinates("HELP 14.5995N 120.9842E"), [14.5995, 120.9842]);
+  assert.deepEqual(coordinates("at 33.86 S, 151.2 E"), [-33.86, 151.2]);
+  assert.deepEqual(coordinates("12.5N 70W flooding"), [12.5, -70]);
+});
+
+test("reads map links", () => {
+  assert.deepEqual(
+    coordinates("https://maps.google.com/?q=14.59,120.98 trapped"),
+    [14.59, 120.98]
+  );
+  assert.deepEqual(
+    coordinates("https://www.google.com/maps/@-6.2,106.81,15z"),
+    [-6.2, 106.81]
+  );
+  assert.deepEqual(
+    coordinates("http://maps.apple.com/?ll=41.01,28.97"),
+    [41.01, 28.97]
+  );
+});
+
+test("reads labelled pairs", () => {
+  assert.deepEqual(coordinates("lat 14.59 lng 120.98"), [14.59, 120.98]);
+  assert.deepEqual(
+    coordinates("Latitude: -1.29, Longitude: 36.82"),
+    [-1.29, 36.82]
+  );
+  assert.deepEqual(coordinates("lat=10.5 lon=-66.9"), [10.5, -66.9]);
+});
+
+test("reads bare pairs with GPS precision", () => {
+  assert.deepEqual(
+    coordinates("we are at 14.5995, 120.9842 please"),
+    [14.5995, 120.9842]
+  );
+  assert.deepEqual(coordinates("-33.8688 151.2093"), [-33.8688, 151.2093]);
+});
+
+test("ignores numbers that are not coordinates", () => {
+  assert.equal(coordinates("water 1.50, 12.75 deep"), null);
+  assert.equal(coordinates("3 people, 2.5 hours, 10.25 km away"), null);
+  assert.equal(coordinates("call 0917.555.1234"), null);
+  assert.equal(coordinates("help"), null);
+  assert.equal(coordinates(""), null);
+});
+
+test("rejects out of range coordinates", () => {
+  assert.equal(coordinates("lat 95.1 lng 10.2"), null);
+  assert.equal(coordinates("45.12345, 190.12345"), null);
+});
+
+test("decodes full plus codes", () => {
+  const location = parseLocationFromText("trapped at 849VCWC8+R9");
+
+  assert.equal(location.source, "plus_code");
+  assert.ok(Math.abs(location.latitude - 37.4220625) < 0.0001);
+  assert.ok(Math.abs(location.longitude + 122.0840625) < 0.0001);
+  assert.ok(location.accuracy <= 10);
+});
+
+test("rejects short or invalid plus codes", () => {
+  assert.equal(decodePlusCode("CWC8+R9"), null);
+  assert.equal(decodePlusCode("ZZ9VCWC8+R9"), null);
+});
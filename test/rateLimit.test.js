@@ -0,0 +1,246 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_RATE_LIMITS,
+  getRateLimits,
+  loadRateLimits,
+} = require("../src/config/rateLimits");
+const {
+  areaKey,
+  checkRateLimits,
+  rateLimitBatch,
+  rateLimitSubmissions,
+} = require("../src/middleware/rateLimit");
+
+// Counters are shared by the whole process: every test uses its own keys
+let unique = 0;
+const uniqueKey = (name) => `${name}-${++unique}`;
+
+/**
+ * Sets RATE_LIMITS for one test
+ * @param {object} t - Test context
+ * @param {object} overrides - RATE_LIMITS value
+ */
+const useRateLimits = (t, overrides) => {
+  const previous = process.env.RATE_LIMITS;
+  process.env.RATE_LIMITS = JSON.stringify(overrides);
+  t.after(() => {
+    if (previous === undefined) delete process.env.RATE_LIMITS;
+    else process.env.RATE_LIMITS = previous;
+  });
+};
+
+/**
+ * Runs a submission through the middleware
+ * @param {object} req - { body, ip, user, params }
+ * @param {Function} middleware - Rate limit middleware
+ * @returns {object} - { status, headers, body, next, flags, itemFlags }
+ */
+const submit = (req, middleware = rateLimitSubmissions) => {
+  const result = { headers: {}, next: false };
+  const request = { params: {}, body: {}, ...req };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+
+  middleware(request, res, (error) => {
+    if (error) throw error;
+    result.next = true;
+  });
+  result.flags = request.rateLimitFlags;
+  result.itemFlags = request.itemRateLimitFlags;
+  return result;
+};
+
+test("over-limit submissions are flagged, not rejected, by default", () => {
+  ["session", "ip", "area"].forEach((scope) => {
+    assert.equal(DEFAULT_RATE_LIMITS[scope].action, "flag");
+  });
+});
+
+test("counts submissions per key within a window", (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+  const policies = { session: { windowMs: 60000, max: 2, action: "flag" } };
+  const session = uniqueKey("session");
+
+  assert.deepEqual(checkRateLimits({ session }, policies).flags, []);
+  assert.deepEqual(checkRateLimits({ session }, policies).flags, []);
+  assert.deepEqual(checkRateLimits({ session }, policies).flags, ["session"]);
+
+  // Another session has its own counter
+  assert.deepEqual(
+    checkRateLimits({ session: uniqueKey("session") }, policies).flags,
+    []
+  );
+
+  // A new window starts from zero
+  now += 60000;
+  assert.deepEqual(checkRateLimits({ session }, policies).flags, []);
+});
+
+test("reject policies report how long to wait", (t) => {
+  const now = 2_000_000;
+  t.mock.method(Date, "now", () => now);
+  const policies = { ip: { windowMs: 30000, max: 1, action: "reject" } };
+  const ip = uniqueKey("ip");
+
+  checkRateLimits({ ip }, policies);
+  const result = checkRateLimits({ ip }, policies);
+
+  assert.equal(result.retryAfterMs, 30000);
+  assert.deepEqual(result.flags, []);
+});
+
+test("scopes without a policy are not counted", () => {
+  const result = checkRateLimits(
+    { session: uniqueKey("session") },
+    { ip: { windowMs: 1000, max: 1, action: "reject" } }
+  );
+
+  assert.deepEqual(result, { flags: [], retryAfterMs: 0 });
+});
+
+test("nearby locations share an area cell", () => {
+  const policy = { cellDegrees: 0.01 };
+
+  assert.equal(
+    areaKey({ latitude: 14.5991, longitude: 120.9842 }, policy),
+    areaKey({ latitude: 14.5999, longitude: 120.9849 }, policy)
+  );
+  assert.notEqual(
+    areaKey({ latitude: 14.5991, longitude: 120.9842 }, policy),
+    areaKey({ latitude: 14.6091, longitude: 120.9842 }, policy)
+  );
+});
+
+test("middleware flags the scopes a submission exceeded", (t) => {
+  useRateLimits(t, {
+    session: { max: 1 },
+    ip: { enabled: false },
+    area: { enabled: false },
+  });
+  const body = { sessionId: uniqueKey("session") };
+
+  assert.deepEqual(submit({ body }).flags, []);
+  const second = submit({ body });
+
+  assert.equal(second.next, true);
+  assert.deepEqual(second.flags, ["session"]);
+});
+
+test("middleware answers 429 when a reject policy is exceeded", (t) => {
+  useRateLimits(t, {
+    session: { enabled: false },
+    ip: { max: 1, action: "reject" },
+    area: { enabled: false },
+  });
+  const ip = uniqueKey("ip");
+
+  submit({ ip });
+  const rejected = submit({ ip });
+
+  assert.equal(rejected.next, false);
+  assert.equal(rejected.status, 429);
+  assert.ok(Number(rejected.headers["Retry-After"]) > 0);
+});
+
+test("middleware reads the area from multipart location text", (t) => {
+  useRateLimits(t, {
+    session: { enabled: false },
+    ip: { enabled: false },
+    area: { max: 1, cellDegrees: 0.0001 },
+  });
+  const latitude = 10 + unique++ / 1000;
+  const body = { location: JSON.stringify({ latitude, longitude: 20 }) };
+
+  submit({ body });
+  assert.deepEqual(submit({ body }).flags, ["area"]);
+});
+
+test("rejects an unknown action in RATE_LIMITS", (t) => {
+  useRateLimits(t, { session: { action: "drop" } });
+  assert.throws(loadRateLimits, /action must be one of/);
+});
+
+test("rejects an unknown scope in RATE_LIMITS", (t) => {
+  useRateLimits(t, { city: { max: 1 } });
+  assert.throws(loadRateLimits, /unknown scope city/);
+});
+
+test("an invalid RATE_LIMITS falls back to the defaults", (t) => {
+  t.mock.method(console, "error", () => {});
+  process.env.RATE_LIMITS = "{not json";
+  t.after(() => delete process.env.RATE_LIMITS);
+
+  assert.equal(getRateLimits(), DEFAULT_RATE_LIMITS);
+  assert.equal(console.error.mock.callCount(), 1);
+
+  // Parsed once: later submissions neither log again nor fail
+  const result = submit({ body: { sessionId: uniqueKey("session") } });
+  assert.equal(result.next, true);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("every batch item counts as one submission", (t) => {
+  useRateLimits(t, {
+    session: { max: 2 },
+    ip: { enabled: false },
+    area: { enabled: false },
+  });
+  const sessionId = uniqueKey("session");
+  const items = JSON.stringify([
+    { clientId: "a" },
+    { clientId: "b" },
+    { clientId: "c" },
+  ]);
+
+  const result = submit({ body: { sessionId, items } }, rateLimitBatch);
+
+  assert.equal(result.next, true);
+  assert.deepEqual(result.itemFlags, [[], [], ["session"]]);
+});
+
+test("batch items are limited by their own area", (t) => {
+  useRateLimits(t, {
+    session: { enabled: false },
+    ip: { enabled: false },
+    area: { max: 1, cellDegrees: 0.0001 },
+  });
+  const latitude = 10 + unique++ / 1000;
+  const items = [
+    { location: { latitude, longitude: 20 } },
+    { location: { latitude: latitude + 1, longitude: 20 } },
+    { location: { latitude, longitude: 20 } },
+  ];
+
+  const result = submit({ body: { items } }, rateLimitBatch);
+
+  assert.deepEqual(result.itemFlags, [[], [], ["area"]]);
+});
+
+test("a batch over a reject limit is refused as a whole", (t) => {
+  useRateLimits(t, {
+    session: { enabled: false },
+    ip: { max: 3, action: "reject" },
+    area: { enabled: false },
+  });
+  const ip = uniqueKey("ip");
+  const items = [{}, {}, {}, {}];
+
+  const result = submit({ ip, body: { items } }, rateLimitBatch);
+
+  assert.equal(result.next, false);
+  assert.equal(result.status, 429);
+});
@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const SOS = require("../src/models/SOS");
+const User = require("../src/models/User");
+const {
+  createPhotoSOS,
+  createVoiceSOS,
+  updateSOSStatus,
+} = require("../src/controllers/sosController");
+
+/**
+ * Calls a controller with a fake request
+ * @param {Function} handler
+ * @param {object} req - Request fields
+ * @returns {Promise<object>} - { status, body }
+ */
+const call = async (handler, req) => {
+  const result = { status: 200 };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return result;
+};
+
+/**
+ * Writes a throwaway upload
+ * @param {object} t - Test context
+ * @returns {object} - Multer-like file
+ */
+const makeUpload = (t) => {
+  const file = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "sos-")),
+    "upload.bin"
+  );
+  fs.writeFileSync(file, "data");
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true }));
+  return { path: file };
+};
+
+/**
+ * Waits until the upload was removed
+ * @param {string} file - Path
+ * @returns {Promise<boolean>} - Whether the file is gone
+ */
+const removed = async (file) => {
+  for (let i = 0; i < 50 && fs.existsSync(file); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return !fs.existsSync(file);
+};
+
+for (const [name, handler] of [
+  ["voice", createVoiceSOS],
+  ["photo", createPhotoSOS],
+]) {
+  test(`${name} SOS with malformed location JSON is a 400`, async (t) => {
+    t.mock.method(console, "log", () => {});
+    const file = makeUpload(t);
+
+    const result = await call(handler, {
+      body: { sessionId: "session-1", location: "{latitude: 41" },
+      file,
+    });
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body.errors, ["Location data is required"]);
+    assert.equal(await removed(file.path), true);
+  });
+
+  test(`${name} SOS without location is a 400`, async (t) => {
+    t.mock.method(console, "log", () => {});
+    const file = makeUpload(t);
+
+    const result = await call(handler, {
+      body: { sessionId: "session-1" },
+      file,
+    });
+
+    assert.equal(result.status, 400);
+    assert.equal(await removed(file.path), true);
+  });
+}
+
+/**
+ * Fakes loading and saving one processed SOS
+ * @param {object} t - Test context
+ * @param {object} fields - SOS fields
+ * @returns {object} - { sos, save }
+ */
+const useSOS = (t, fields = {}) => {
+  const sos = new SOS({
+    sosType: "text",
+    status: "processed",
+    location: { latitude: 41.01, longitude: 28.97 },
+    ...fields,
+  });
+  t.mock.method(SOS, "findById", async () => sos);
+  const save = t.mock.method(SOS.prototype, "save", async function () {
+    return this;
+  });
+  return { sos, save };
+};
+
+const coordinator = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Deniz",
+  role: "coordinator",
+};
+
+test("status assigned without an assignee is rejected", async (t) => {
+  const { sos, save } = useSOS(t);
+
+  const result = await call(updateSOSStatus, {
+    params: { id: String(sos._id) },
+    body: { status: "assigned" },
+    user: coordinator,
+  });
+
+  assert.equal(result.status, 409);
+  assert.match(result.body.error, /assignedTo is required/);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("status assigned with an assignee assigns the case", async (t) => {
+  const { sos } = useSOS(t);
+  const rescuer = new mongoose.Types.ObjectId();
+  t.mock.method(User, "exists", async () => ({ _id: rescuer }));
+
+  const result = await call(updateSOSStatus, {
+    params: { id: String(sos._id) },
+    body: { status: "assigned", assignedTo: String(rescuer) },
+    user: coordinator,
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(sos.status, "assigned");
+  assert.equal(String(sos.assignedTo), String(rescuer));
+});
+
+test("reopening to assigned keeps the previous assignee", async (t) => {
+  const rescuer = new mongoose.Types.ObjectId();
+  const { sos } = useSOS(t, { status: "resolved", assignedTo: rescuer });
+
+  const result = await call(updateSOSStatus, {
+    params: { id: String(sos._id) },
+    body: { status: "assigned", reason: "Survivor called again" },
+    user: coordinator,
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(String(sos.assignedTo), String(rescuer));
+});
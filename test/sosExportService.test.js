@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  EXPORT_FORMATS,
+  exportColumns,
+  flattenSOS,
+} = require("../src/services/sosExportService");
+
+const sos = {
+  _id: "64b000000000000000000001",
+  sosType: "text",
+  status: "pending",
+  receivedAt: new Date("2026-01-02T03:04:05Z"),
+  location: { latitude: 41.01, longitude: 28.97, accuracy: 12 },
+  originalData: { channel: "app", textMessage: '=HYPERLINK("x"), "hi"' },
+  aiAnalysis: {
+    urgency: "CRITICAL",
+    eventType: "earthquake",
+    summary: "Trapped <two> & injured\u0007",
+    needs: ["rescue", "medical"],
+  },
+  sessionId: "session-1",
+  assignedTo: "64b0000000000000000000aa",
+};
+
+/**
+ * Renders a whole export with a format
+ * @param {object} format - One of EXPORT_FORMATS
+ * @param {object[]} rows - Flattened rows
+ * @returns {string}
+ */
+const render = (format, rows) =>
+  format.start(Object.keys(rows[0])) +
+  rows.map((row, index) => format.row(row, index)).join("") +
+  format.end();
+
+test("flattens an SOS into export columns", () => {
+  const assignees = new Map([["64b0000000000000000000aa", "Ayse"]]);
+  const row = flattenSOS(sos, { assignees });
+
+  assert.deepEqual(Object.keys(row), exportColumns());
+  assert.equal(row.receivedAt, "2026-01-02T03:04:05.000Z");
+  assert.equal(row.needs, "rescue; medical");
+  assert.equal(row.assigneeName, "Ayse");
+  assert.equal(row.escalationLevel, 0);
+  assert.equal(row.eta, null);
+});
+
+test("redacted exports leave out free text and identities", () => {
+  const row = flattenSOS(sos, { redact: true });
+
+  assert.deepEqual(Object.keys(row), exportColumns({ redact: true }));
+  for (const field of ["summary", "textMessage", "sessionId", "assignedTo"]) {
+    assert.equal(field in row, false, field);
+  }
+  assert.equal(row.urgency, "CRITICAL");
+});
+
+test("distance is a column only for proximity queries", () => {
+  assert.equal(exportColumns().includes("distance"), false);
+  assert.equal(exportColumns({ near: true }).includes("distance"), true);
+  assert.equal(flattenSOS({ ...sos, distance: 12.6 }).distance, 13);
+});
+
+test("csv quotes cells and defuses formulas", () => {
+  const line = EXPORT_FORMATS.csv.row({
+    text: '=HYPERLINK("x"), "hi"',
+    negative: -5,
+    dash: "-5",
+    multiline: "a\nb",
+    empty: null,
+  });
+
+  assert.equal(line, `"'=HYPERLINK(""x""), ""hi""",-5,'-5,"a\nb",\r\n`);
+});
+
+test("csv starts with the header", () => {
+  const header = EXPORT_FORMATS.csv.start(exportColumns());
+
+  assert.equal(header, `${exportColumns().join(",")}\r\n`);
+});
+
+test("geojson is a FeatureCollection of points", () => {
+  const rows = [flattenSOS(sos), flattenSOS({ ...sos, _id: "second" })];
+  const collection = JSON.parse(render(EXPORT_FORMATS.geojson, rows));
+
+  assert.equal(collection.type, "FeatureCollection");
+  assert.equal(collection.features.length, 2);
+  assert.deepEqual(collection.features[0].geometry, {
+    type: "Point",
+    coordinates: [28.97, 41.01],
+  });
+  assert.equal(collection.features[1].id, "second");
+  assert.equal("latitude" in collection.features[0].properties, false);
+});
+
+test("kml escapes text and drops characters XML cannot carry", () => {
+  const kml = render(EXPORT_FORMATS.kml, [flattenSOS(sos)]);
+
+  assert.match(
+    kml,
+    /<description>Trapped &lt;two&gt; &amp; injured<\/description>/
+  );
+  assert.match(kml, /<styleUrl>#CRITICAL<\/styleUrl>/);
+  assert.match(kml, /<coordinates>28.97,41.01<\/coordinates>/);
+  assert.doesNotMatch(kml, /[\u0000-\u0008]/);
+  assert.ok(kml.endsWith("</Document>\n</kml>\n"));
+});
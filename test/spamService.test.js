@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SOS = require("../src/models/SOS");
+const {
+  assessSpam,
+  isGibberish,
+  hasNoContent,
+  openOceanArea,
+} = require("../src/services/spamService");
+
+/**
+ * Answers the repeat lookups of assessSpam without MongoDB
+ * @param {object} t - Test context
+ * @param {object} repeats - { bySession, otherSessions }
+ */
+const useRepeats = (t, { bySession = 0, otherSessions = 0 } = {}) => {
+  t.mock.method(SOS, "countDocuments", async () => bySession);
+  t.mock.method(SOS, "distinct", async () =>
+    Array.from({ length: otherSessions }, (_, index) => `session-${index}`)
+  );
+};
+
+const manila = { latitude: 14.5995, longitude: 120.9842 };
+
+const signalNames = (result) => result.signals.map((entry) => entry.signal);
+
+test("detects keyboard mashing", () => {
+  assert.equal(isGibberish("asdfgh qwrtzp xkcdvb"), true);
+  assert.equal(isGibberish("!!! ??? 123"), true);
+  assert.equal(isGibberish("the water is rising near our street"), false);
+});
+
+test("text in other scripts is not gibberish", () => {
+  assert.equal(isGibberish("मदद करो पानी बढ़ रहा है"), false);
+});
+
+test("text a triage rule matches is never gibberish, even negated", () => {
+  assert.equal(isGibberish("trapped"), false);
+  assert.equal(isGibberish("not trapped"), false);
+});
+
+test("finds messages with nothing but profanity or jokes", () => {
+  assert.equal(hasNoContent("lol test"), true);
+  assert.equal(hasNoContent("damn the roof collapsed"), false);
+  assert.equal(hasNoContent("   "), false);
+});
+
+test("finds open-ocean locations", () => {
+  assert.equal(
+    openOceanArea({ latitude: 40, longitude: -150 }),
+    "North Pacific"
+  );
+  assert.equal(openOceanArea(manila), null);
+});
+
+test("a genuine SOS scores 0", async (t) => {
+  useRepeats(t);
+  const result = await assessSpam({
+    transcript: "Flood water is rising, we are on the roof with two kids",
+    location: manila,
+    receivedAt: new Date(),
+  });
+
+  assert.equal(result.score, 0);
+  assert.equal(result.review, false);
+});
+
+test("a prank from 0,0 goes to manual review", async (t) => {
+  useRepeats(t);
+  const result = await assessSpam({
+    transcript: "lol test",
+    location: { latitude: 0, longitude: 0 },
+    receivedAt: new Date(),
+  });
+
+  assert.deepEqual(signalNames(result), ["noContent", "nullIsland"]);
+  assert.equal(result.score, 65);
+  assert.equal(result.review, true);
+});
+
+test("counts repeated messages and exceeded rate limits", async (t) => {
+  useRepeats(t, { bySession: 2, otherSessions: 3 });
+  const result = await assessSpam({
+    transcript: "Our building collapsed, people are under the rubble",
+    location: manila,
+    receivedAt: new Date(),
+    spam: { rateLimited: ["session", "ip"] },
+  });
+
+  assert.deepEqual(signalNames(result), [
+    "repeated",
+    "repeatedAcrossSessions",
+    "rateLimited",
+  ]);
+  assert.equal(result.score, 20 + 25 + 20);
+});
+
+test("an indoor emergency in the open ocean is implausible", async (t) => {
+  useRepeats(t);
+  const location = { latitude: 40, longitude: -150 };
+
+  const indoor = await assessSpam({
+    transcript: "Trapped in the basement of our house",
+    location,
+    receivedAt: new Date(),
+  });
+  const maritime = await assessSpam({
+    transcript: "Our boat capsized, trapped in the cabin",
+    location,
+    receivedAt: new Date(),
+  });
+
+  assert.equal(indoor.score, 30);
+  assert.equal(maritime.score, 0);
+});
+
+test("the score is capped at 100", async (t) => {
+  useRepeats(t, { bySession: 1, otherSessions: 5 });
+  const result = await assessSpam({
+    transcript: "asdfgh qwrtzp xkcdvb lkjhgf",
+    location: { latitude: 0, longitude: 0 },
+    receivedAt: new Date(),
+    spam: { rateLimited: ["session", "ip", "area"] },
+  });
+
+  assert.equal(result.score, 100);
+});
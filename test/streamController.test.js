@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const User = require("../src/models/User");
+const {
+  streamSOSEvents,
+  streamSessionMessages,
+} = require("../src/controllers/streamController");
+
+/**
+ * Opens a stream with a fake request and response
+ * @param {Function} handler
+ * @param {object} req - Request fields
+ * @returns {object} - { req, res } with res.status, res.body, res.chunks
+ */
+const open = (handler, req) => {
+  const request = Object.assign(new EventEmitter(), {
+    params: {},
+    query: {},
+    get: () => undefined,
+    ...req,
+  });
+  const response = Object.assign(new EventEmitter(), {
+    chunks: [],
+    ended: false,
+    writeHead(code) {
+      this.status = code;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+      this.emit("close");
+    },
+    status(code) {
+      this.status = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+  handler(request, response);
+  return { req: request, res: response };
+};
+
+/**
+ * Waits until a stream has ended
+ * @param {object} res - Fake response
+ * @returns {Promise<boolean>}
+ */
+const ended = async (res) => {
+  for (let i = 0; i < 50 && !res.ended; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return res.ended;
+};
+
+/**
+ * Sets an env var for one test
+ * @param {object} t - Test context
+ * @param {string} name
+ * @param {string} value
+ */
+const useEnv = (t, name, value) => {
+  const previous = process.env[name];
+  process.env[name] = value;
+  t.after(() => {
+    if (previous === undefined) delete process.env[name];
+    else process.env[name] = previous;
+  });
+};
+
+const rescuer = { _id: "64b0000000000000000000aa", role: "rescuer" };
+
+test("dashboard streams close when the credentials expire", async () => {
+  const { res } = open(streamSOSEvents, {
+    user: rescuer,
+    authExpiresAt: new Date(Date.now() + 20),
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(await ended(res), true);
+  assert.match(res.chunks.join(""), /event: stream.closed/);
+  assert.match(res.chunks.join(""), /credentials_expired/);
+});
+
+test("dashboard streams close once the account is disabled", async (t) => {
+  useEnv(t, "STREAM_AUTH_CHECK_MS", "10");
+  const account = { role: "rescuer", active: true };
+  t.mock.method(User, "findById", () => ({ select: async () => account }));
+
+  const { req, res } = open(streamSOSEvents, {
+    user: rescuer,
+    authExpiresAt: new Date(Date.now() + 60 * 1000),
+  });
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(res.ended, false);
+
+  account.active = false;
+  assert.equal(await ended(res), true);
+  assert.match(res.chunks.join(""), /access_revoked/);
+  req.emit("close");
+});
+
+test("a session may hold a limited number of message streams", (t) => {
+  useEnv(t, "SESSION_STREAM_LIMIT", "2");
+  const params = { sessionId: "session-streams" };
+
+  const first = open(streamSessionMessages, { params });
+  const second = open(streamSessionMessages, { params });
+  const third = open(streamSessionMessages, { params });
+
+  assert.equal(first.res.status, 200);
+  assert.equal(second.res.status, 200);
+  assert.equal(third.res.status, 429);
+
+  first.req.emit("close");
+  const fourth = open(streamSessionMessages, { params });
+  assert.equal(fourth.res.status, 200);
+
+  second.req.emit("close");
+  fourth.req.emit("close");
+});
@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildRuleset,
+  checkRegexSafety,
+  evaluateRules,
+  validateRule,
+} = require("../src/services/triageRuleService");
+
+const names = (matches) => matches.map((match) => match.name);
+
+test("a keyword fires its rule's urgency", () => {
+  const result = evaluateRules("We are trapped on the second floor");
+
+  assert.equal(result.urgency, "CRITICAL");
+  assert.deepEqual(names(result.fired), ["Trapped"]);
+  assert.equal(result.fired[0].match, "trapped");
+});
+
+test("keywords match whole words only", () => {
+  const result = evaluateRules("The firefighters already left");
+
+  assert.deepEqual(names(result.fired), []);
+});
+
+test("negated matches do not fire", () => {
+  const result = evaluateRules("Not trapped anymore, we are fine");
+
+  assert.equal(result.urgency, null);
+  assert.deepEqual(names(result.fired), []);
+  assert.deepEqual(names(result.negated), ["Trapped"]);
+});
+
+test("a cue after the match negates it too", () => {
+  const result = evaluateRules("We were stuck anymore");
+
+  assert.deepEqual(names(result.negated), ["Trapped"]);
+});
+
+test("negation does not reach past a new clause", () => {
+  const result = evaluateRules("Not hurt, but my brother is trapped");
+
+  assert.deepEqual(names(result.fired), ["Trapped"]);
+  assert.deepEqual(names(result.negated), ["Pain or injury"]);
+  assert.equal(result.urgency, "CRITICAL");
+});
+
+test("rules marked non-negatable always fire", () => {
+  const result = evaluateRules("I can't move my legs");
+
+  assert.deepEqual(names(result.fired), ["Cannot get out"]);
+});
+
+test("low-weight rules only count together", () => {
+  assert.equal(evaluateRules("help").urgency, null);
+  assert.equal(evaluateRules("help, we are scared").urgency, "HIGH");
+});
+
+test("rules in the survivor's language match their own words", () => {
+  const result = evaluateRules("We are trapped", {
+    language: "es",
+    originalText: "Estamos atrapados",
+  });
+
+  assert.ok(result.fired.some((match) => match.match === "atrapados"));
+  assert.ok(result.fired.some((match) => match.match === "trapped"));
+});
+
+test("evaluates a given ruleset", () => {
+  const ruleset = buildRuleset(
+    [
+      {
+        name: "Gas leak",
+        patternType: "phrase",
+        patterns: ["smell gas"],
+        urgency: "CRITICAL",
+      },
+    ],
+    "test"
+  );
+  const result = evaluateRules("We smell   gas in the kitchen", { ruleset });
+
+  assert.equal(result.urgency, "CRITICAL");
+  assert.equal(result.rulesetVersion, "test");
+});
+
+test("flags regexes that can backtrack catastrophically", () => {
+  assert.match(checkRegexSafety("(a+)+$"), /quantified groups/);
+  assert.match(checkRegexSafety("(a|aa)*b"), /quantified groups/);
+  assert.match(checkRegexSafety("(\\w+\\s?)*$"), /quantified groups/);
+  assert.match(checkRegexSafety("(a)\\1"), /backreferences/);
+  assert.match(checkRegexSafety("a.*b.*c.*d"), /unbounded quantifiers/);
+});
+
+test("accepts ordinary regexes", () => {
+  assert.equal(checkRegexSafety("\\bbroken (?:arm|leg)\\b"), null);
+  assert.equal(checkRegexSafety("\\d{1,3} people"), null);
+  assert.equal(checkRegexSafety("(?:help)? [a-z+*]+ now"), null);
+  assert.equal(checkRegexSafety("(water|flood)?\\s+rising"), null);
+});
+
+test("validateRule reports unsafe and invalid patterns", () => {
+  const unsafe = validateRule({
+    name: "Bad",
+    patternType: "regex",
+    patterns: ["(x+)+y"],
+    urgency: "HIGH",
+  });
+  const invalid = validateRule({
+    name: "Broken",
+    patternType: "regex",
+    patterns: ["(unclosed"],
+    urgency: "HIGH",
+  });
+
+  assert.match(unsafe[0], /Unsafe regex/);
+  assert.match(invalid[0], /Invalid pattern/);
+});
+
+test("validateRule checks the rule fields", () => {
+  const errors = validateRule({
+    patternType: "keyword",
+    patterns: ["two words"],
+    urgency: "LOW",
+    weight: 20,
+  });
+
+  assert.deepEqual(errors, [
+    "name is required",
+    "urgency must be one of: CRITICAL, HIGH, MEDIUM",
+    "weight must be a number between 0 and 10",
+    '"two words" has several words; use patternType phrase',
+  ]);
+});
+
+test("buildRuleset skips stored rules that are unsafe", (t) => {
+  t.mock.method(console, "error", () => {});
+  const ruleset = buildRuleset(
+    [
+      {
+        name: "Unsafe",
+        patternType: "regex",
+        patterns: ["(a+)+$"],
+        urgency: "HIGH",
+      },
+      {
+        name: "Safe",
+        patternType: "keyword",
+        patterns: ["sinking"],
+        urgency: "CRITICAL",
+      },
+    ],
+    "test"
+  );
+
+  assert.deepEqual(
+    ruleset.rules.map((rule) => rule.name),
+    ["Safe"]
+  );
+});
+
+test("regex rules only see the start of long messages", () => {
+  const ruleset = buildRuleset(
+    [
+      {
+        name: "Late regex",
+        patternType: "regex",
+        patterns: ["sinking"],
+        urgency: "CRITICAL",
+      },
+      {
+        name: "Late keyword",
+        patternType: "keyword",
+        patterns: ["sinking"],
+        urgency: "CRITICAL",
+      },
+    ],
+    "test"
+  );
+  const result = evaluateRules(`${"calm ".repeat(200)}sinking`, { ruleset });
+
+  assert.deepEqual(names(result.fired), ["Late keyword"]);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeTriage,
+  detectVulnerableGroups,
+  waitingSince,
+} = require("../src/services/triageService");
+
+const now = new Date("2026-01-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+/**
+ * Points of one factor in a triage breakdown
+ * @param {object} triage - computeTriage result
+ * @param {string} factor - Factor name
+ * @returns {number|undefined}
+ */
+const points = (triage, factor) => {
+  const item = triage.breakdown.find((entry) => entry.factor === factor);
+  return item && item.points;
+};
+
+test("scores urgency, waiting time and missing assignment", () => {
+  const triage = computeTriage(
+    {
+      status: "processed",
+      aiAnalysis: { urgency: "HIGH", confidence: 0.8 },
+      receivedAt: minutesAgo(60),
+    },
+    now
+  );
+
+  assert.equal(points(triage, "urgency"), 40);
+  assert.equal(points(triage, "confidence"), 4);
+  assert.equal(points(triage, "waiting"), 10);
+  assert.equal(points(triage, "unassigned"), 10);
+  assert.equal(triage.score, 64);
+});
+
+test("ranks a critical case above a low one received at the same time", () => {
+  const base = { status: "processed", receivedAt: minutesAgo(10) };
+  const critical = computeTriage(
+    { ...base, aiAnalysis: { urgency: "CRITICAL" } },
+    now
+  );
+  const low = computeTriage({ ...base, aiAnalysis: { urgency: "LOW" } }, now);
+
+  assert.ok(critical.score > low.score);
+});
+
+test("adds points for an unsure low rating", () => {
+  const triage = computeTriage(
+    {
+      status: "processed",
+      aiAnalysis: { urgency: "LOW", confidence: 0.3 },
+      receivedAt: now,
+    },
+    now
+  );
+
+  assert.equal(points(triage, "uncertainty"), 10);
+  assert.equal(points(triage, "confidence"), undefined);
+});
+
+test("caps waiting and group size points", () => {
+  const triage = computeTriage(
+    {
+      status: "assigned",
+      assignedTo: "rescuer",
+      aiAnalysis: { urgency: "MEDIUM", peopleCount: 30 },
+      receivedAt: minutesAgo(48 * 60),
+    },
+    now
+  );
+
+  assert.equal(points(triage, "waiting"), 20);
+  assert.equal(points(triage, "people"), 10);
+  assert.equal(points(triage, "stale"), 5);
+  assert.equal(points(triage, "unassigned"), undefined);
+});
+
+test("counts vulnerable groups and overdue cases", () => {
+  const triage = computeTriage(
+    {
+      status: "processed",
+      transcript: "My grandmother and two kids are stuck on the roof",
+      aiAnalysis: { urgency: "HIGH" },
+      overdue: true,
+      receivedAt: now,
+    },
+    now
+  );
+
+  assert.deepEqual(triage.vulnerableGroups, ["children", "elderly"]);
+  assert.equal(points(triage, "vulnerable"), 10);
+  assert.equal(points(triage, "overdue"), 10);
+});
+
+test("resolved cases score 0", () => {
+  const triage = computeTriage(
+    {
+      status: "resolved",
+      aiAnalysis: { urgency: "CRITICAL" },
+      receivedAt: minutesAgo(600),
+    },
+    now
+  );
+
+  assert.equal(triage.score, 0);
+});
+
+test("waits from the capture time of an SOS queued offline", () => {
+  const sos = {
+    receivedAt: minutesAgo(5),
+    location: { capturedAt: minutesAgo(90) },
+  };
+
+  assert.deepEqual(waitingSince(sos), minutesAgo(90));
+  assert.equal(
+    points(computeTriage({ ...sos, status: "processed" }, now), "waiting"),
+    15
+  );
+});
+
+test("finds vulnerable groups in follow-ups", () => {
+  assert.deepEqual(
+    detectVulnerableGroups({
+      transcript: "Water is rising",
+      followUps: [{ text: "There is a baby with us" }],
+    }),
+    ["children"]
+  );
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const axios = require("axios");
+const WebhookDelivery = require("../src/models/WebhookDelivery");
+const WebhookSubscription = require("../src/models/WebhookSubscription");
+const { sendDelivery, signPayload } = require("../src/services/webhookService");
+
+const secret = "partner-secret";
+
+/**
+ * Verifies a request the way a partner would
+ * @param {object} headers - Request headers
+ * @param {string} body - Raw body
+ * @returns {boolean}
+ */
+const verify = (headers, body) => {
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${headers["X-GenRescue-Timestamp"]}.${body}`)
+    .digest("hex");
+  return crypto.timingSafeEqual(
+    Buffer.from(headers["X-GenRescue-Signature"]),
+    Buffer.from(`sha256=${expected}`)
+  );
+};
+
+/**
+ * Fakes one pending delivery and its subscription
+ * @param {object} t - Test context
+ * @returns {object} - WebhookDelivery document
+ */
+const useDelivery = (t) => {
+  const subscription = new WebhookSubscription({
+    name: "Partner",
+    url: "https://partner.example/hooks",
+    secret,
+  });
+  const delivery = new WebhookDelivery({
+    subscription: subscription._id,
+    eventId: "boot-1",
+    eventType: "sos.created",
+    payload: { id: "boot-1", type: "sos.created", data: { status: "x" } },
+  });
+
+  t.mock.method(WebhookDelivery, "findById", async () => delivery);
+  t.mock.method(WebhookDelivery.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(WebhookSubscription, "findById", () => ({
+    select: async () => subscription,
+  }));
+  t.mock.method(WebhookSubscription, "updateOne", async () => ({}));
+  return delivery;
+};
+
+test("signs the timestamp and body with HMAC-SHA256", () => {
+  assert.equal(
+    signPayload(secret, 1700000000, '{"a":1}'),
+    `sha256=${crypto
+      .createHmac("sha256", secret)
+      .update('1700000000.{"a":1}')
+      .digest("hex")}`
+  );
+});
+
+test("signature changes with the timestamp, body and secret", () => {
+  const signature = signPayload(secret, 1700000000, "{}");
+
+  assert.notEqual(signPayload(secret, 1700000001, "{}"), signature);
+  assert.notEqual(signPayload(secret, 1700000000, "{ }"), signature);
+  assert.notEqual(signPayload("other", 1700000000, "{}"), signature);
+});
+
+test("sends the exact body it signed", async (t) => {
+  const delivery = useDelivery(t);
+  t.mock.method(Date, "now", () => 1700000000123);
+  const post = t.mock.method(axios, "post", async () => ({ status: 204 }));
+
+  await sendDelivery(delivery._id);
+
+  const [url, body, { headers }] = post.mock.calls[0].arguments;
+  assert.equal(url, "https://partner.example/hooks");
+  assert.equal(body, JSON.stringify(delivery.payload));
+  assert.equal(headers["X-GenRescue-Timestamp"], "1700000000");
+  assert.equal(headers["X-GenRescue-Delivery"], String(delivery._id));
+  assert.equal(verify(headers, body), true);
+  assert.equal(delivery.status, "succeeded");
+});
+
+test("failed requests are recorded and thrown for a retry", async (t) => {
+  const delivery = useDelivery(t);
+  t.mock.method(axios, "post", async () => ({ status: 500 }));
+
+  await assert.rejects(sendDelivery(delivery._id), /HTTP 500/);
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts[0].statusCode, 500);
+});